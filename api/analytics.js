@@ -0,0 +1,89 @@
+// Helpers for turning a request into a privacy-friendly analytics event
+import crypto from 'crypto';
+
+// Without a configured salt, IP hashes are only comparable within one server run
+const IP_HASH_SALT = process.env.IP_HASH_SALT || crypto.randomBytes(16).toString('hex');
+
+export const BUCKETS = {
+  hour: 60 * 60,
+  day: 24 * 60 * 60
+};
+
+/**
+ * Classify a user agent into a coarse device and browser class
+ * @returns {{ device: string, browser: string }}
+ */
+export function parseUserAgent(userAgent = '') {
+  const ua = userAgent.toLowerCase();
+
+  let device = 'desktop';
+  if (!ua) {
+    device = 'unknown';
+  } else if (/bot|crawler|spider|slurp|facebookexternalhit|embedly|preview|curl|wget|python-requests/.test(ua)) {
+    device = 'bot';
+  } else if (/ipad|tablet|kindle|silk|(android(?!.*mobile))/.test(ua)) {
+    device = 'tablet';
+  } else if (/mobi|iphone|ipod|android|blackberry|opera mini|iemobile/.test(ua)) {
+    device = 'mobile';
+  }
+
+  let browser = 'other';
+  if (/edg\//.test(ua)) browser = 'Edge';
+  else if (/opr\/|opera/.test(ua)) browser = 'Opera';
+  else if (/samsungbrowser/.test(ua)) browser = 'Samsung Internet';
+  else if (/firefox|fxios/.test(ua)) browser = 'Firefox';
+  else if (/chrome|crios|chromium/.test(ua)) browser = 'Chrome';
+  else if (/safari/.test(ua)) browser = 'Safari';
+
+  return { device, browser };
+}
+
+// Salted hash so unique visitors can be counted without storing IPs
+export function hashIp(ip) {
+  if (!ip) return null;
+  return crypto.createHash('sha256').update(IP_HASH_SALT + ip).digest('hex').slice(0, 32);
+}
+
+// Primary language subtag from an Accept-Language header ("en-US,en;q=0.9" -> "en")
+export function parseLanguage(acceptLanguage) {
+  if (!acceptLanguage) return null;
+  const primary = acceptLanguage.split(',')[0].split(';')[0].trim().toLowerCase();
+  const language = primary.split('-')[0];
+  return /^[a-z]{2,3}$/.test(language) ? language : null;
+}
+
+// Reduce a referrer URL to its host so query strings are never stored
+export function referrerHost(referrer) {
+  if (!referrer) return null;
+  try {
+    return new URL(referrer).host.toLowerCase() || null;
+  } catch {
+    return null;
+  }
+}
+
+// Campaign marker from ?src= (e.g. "qr"); anything unexpected is dropped
+export function parseSource(source) {
+  if (typeof source !== 'string') return null;
+  const value = source.trim().toLowerCase();
+  return /^[a-z0-9_-]{1,32}$/.test(value) ? value : null;
+}
+
+/**
+ * Build an access event from an Express request.
+ * The SPA forwards document.referrer as ?ref= since its own fetch has the app as referrer.
+ */
+export function buildAccessEvent(req) {
+  const userAgent = (req.get('User-Agent') || '').slice(0, 512);
+  const { device, browser } = parseUserAgent(userAgent);
+
+  return {
+    referrer: referrerHost(req.query.ref !== undefined ? req.query.ref : req.get('Referer')),
+    userAgent: userAgent || null,
+    device,
+    browser,
+    ipHash: hashIp(req.ip),
+    language: parseLanguage(req.get('Accept-Language')),
+    source: parseSource(req.query.src)
+  };
+}
@@ -0,0 +1,120 @@
+// Wallet signature helpers for sign-in-with-wallet authentication
+import crypto from 'crypto';
+import { verifyMessage, getAddress, isAddress, decodeBase58, toBeArray, zeroPadValue, getBytes } from 'ethers';
+
+// Nonces must be signed within 5 minutes, sessions last 1 hour by default
+export const NONCE_TTL = 5 * 60;
+export const SESSION_TTL = Number(process.env.SESSION_TTL_SECONDS) || 60 * 60;
+
+const SOLANA_ADDRESS_REGEX = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+/**
+ * Detect which chain an address belongs to
+ * @returns {'evm' | 'solana' | null}
+ */
+export function getChain(address) {
+  if (typeof address !== 'string') return null;
+  if (address.startsWith('0x')) {
+    return isAddress(address) ? 'evm' : null;
+  }
+  return SOLANA_ADDRESS_REGEX.test(address) ? 'solana' : null;
+}
+
+/**
+ * Normalize an address so it can be compared and stored consistently.
+ * EVM addresses are checksummed; Solana base58 addresses are case-sensitive
+ * and returned unchanged.
+ */
+export function normalizeAddress(address) {
+  const chain = getChain(address);
+  if (chain === 'evm') return getAddress(address);
+  if (chain === 'solana') return address;
+  return null;
+}
+
+// Generate a random single-use nonce
+export function generateNonce() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Generate an opaque session token
+export function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Session tokens are only ever stored hashed
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Build the human readable message the wallet is asked to sign
+ */
+export function buildSignInMessage(address, nonce, issuedAt) {
+  return [
+    'Link.io wants you to sign in with your wallet:',
+    address,
+    '',
+    'Sign this message to prove you own this wallet. It will not trigger a transaction or cost any fees.',
+    '',
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt * 1000).toISOString()}`
+  ].join('\n');
+}
+
+/**
+ * Verify an ed25519 signature produced by a Solana wallet's signMessage
+ * @param {string} address Base58 encoded public key
+ * @param {string} message The exact message that was signed
+ * @param {string} signature Base64 encoded 64-byte signature
+ */
+export function verifySolanaSignature(address, message, signature) {
+  try {
+    const publicKeyBytes = getBytes(zeroPadValue(toBeArray(decodeBase58(address)), 32));
+    const publicKey = crypto.createPublicKey({
+      key: {
+        kty: 'OKP',
+        crv: 'Ed25519',
+        x: Buffer.from(publicKeyBytes).toString('base64url')
+      },
+      format: 'jwk'
+    });
+
+    const signatureBytes = Buffer.from(signature, 'base64');
+    if (signatureBytes.length !== 64) return false;
+
+    return crypto.verify(null, Buffer.from(message, 'utf8'), publicKey, signatureBytes);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Verify an EIP-191 personal_sign signature from an EVM wallet
+ * @param {string} address 0x-prefixed address
+ * @param {string} message The exact message that was signed
+ * @param {string} signature 0x-prefixed 65-byte hex signature
+ */
+export function verifyEvmSignature(address, message, signature) {
+  try {
+    return verifyMessage(message, signature) === getAddress(address);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Verify a signed sign-in message for any supported chain
+ */
+export function verifyWalletSignature(address, message, signature) {
+  if (typeof signature !== 'string' || !signature) return false;
+
+  switch (getChain(address)) {
+    case 'evm':
+      return verifyEvmSignature(address, message, signature);
+    case 'solana':
+      return verifySolanaSignature(address, message, signature);
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,46 @@
+// Canonical form of link destinations, so equivalent URLs can be recognised as the same
+
+// Query parameters that only identify where a click came from
+const TRACKING_PARAM_PREFIXES = ['utm_'];
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'ttclid',
+  'igshid', 'li_fat_id', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok'
+]);
+
+export function isTrackingParam(name) {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMS.has(key) || TRACKING_PARAM_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * Canonical form of an http(s) URL: lowercase scheme and host, no default port, no trailing
+ * slash (except for the root path), query parameters sorted by name and no empty query or fragment.
+ * With stripTracking, parameters such as utm_* and fbclid are removed too.
+ * @returns {string | null} null if the URL cannot be parsed
+ */
+export function canonicalizeUrl(value, { stripTracking = false } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+
+  // URL already lowercases the scheme and host and drops default ports
+  url.hostname = url.hostname.replace(/\.$/, '');
+
+  if (url.pathname.length > 1 && url.pathname.endsWith('/')) {
+    url.pathname = url.pathname.replace(/\/+$/, '') || '/';
+  }
+
+  const params = [...url.searchParams]
+    .filter(([name]) => !(stripTracking && isTrackingParam(name)))
+    // Sort by name only, so repeated parameters keep their order
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  // Empty search and hash drop the bare "?" and "#"
+  url.search = new URLSearchParams(params).toString();
+  if (!url.hash) url.hash = '';
+
+  return url.href;
+}
@@ -0,0 +1,73 @@
+// Content identifiers (CIDs) of uploaded files, computed the way IPFS adds files with CIDv1.
+// The encoding is shared with the web app; this module adds hashing with node's crypto.
+import crypto from 'crypto';
+import { CHUNK_SIZE, MAX_LINKS, RAW_CODEC, DAG_PB_CODEC, cidBytes, cidString, fileNodeBlock, toCidV1 } from '../shared/cid.mjs';
+
+export { CHUNK_SIZE, parseCid, toCidV1, toCidV0 } from '../shared/cid.mjs';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+// A node of the file's tree: its binary CID, the file bytes below it and the size of all blocks below it
+function leafNode(block) {
+  return { cid: cidBytes(RAW_CODEC, sha256(block)), size: block.length, tsize: block.length };
+}
+
+function parentNode(children) {
+  const { block, size, tsize } = fileNodeBlock(children);
+  return { cid: cidBytes(DAG_PB_CODEC, sha256(block)), size, tsize };
+}
+
+/**
+ * Incremental CID computation: feed the file with update() as it arrives, then call digest()
+ * for its CIDv1. Only the current chunk and one small entry per chunk are kept in memory.
+ */
+export function createCidHasher() {
+  const leaves = [];
+  let pending = [];
+  let pendingLength = 0;
+
+  const flush = () => {
+    leaves.push(leafNode(Buffer.concat(pending, pendingLength)));
+    pending = [];
+    pendingLength = 0;
+  };
+
+  return {
+    update(data) {
+      let offset = 0;
+      while (offset < data.length) {
+        const take = Math.min(CHUNK_SIZE - pendingLength, data.length - offset);
+        pending.push(data.subarray(offset, offset + take));
+        pendingLength += take;
+        offset += take;
+        if (pendingLength === CHUNK_SIZE) flush();
+      }
+    },
+
+    digest() {
+      if (pendingLength > 0 || leaves.length === 0) flush();
+
+      let level = leaves;
+      while (level.length > 1) {
+        const parents = [];
+        for (let i = 0; i < level.length; i += MAX_LINKS) {
+          parents.push(parentNode(level.slice(i, i + MAX_LINKS)));
+        }
+        level = parents;
+      }
+      return cidString(level[0].cid);
+    }
+  };
+}
+
+/**
+ * Check the CID a pinning backend reported for an uploaded file against the CID computed
+ * from its bytes (file.cid), in whichever form the backend reported it
+ * @returns {{ error?: string }}
+ */
+export function verifyPinnedCid(file, cid) {
+  if (toCidV1(cid) !== file.cid) {
+    return { error: 'The CID returned by the pinning backend does not match the uploaded file' };
+  }
+  return {};
+}
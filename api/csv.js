@@ -0,0 +1,62 @@
+// Minimal RFC 4180 CSV reading (imports) and writing (exports)
+
+/**
+ * Parse CSV text into rows of fields.
+ * Handles quoted fields containing commas, line breaks and escaped quotes (""). Blank lines are skipped.
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+// Quote a field if needed. Text starting with =, +, - or @ is prefixed with '
+// so spreadsheets do not evaluate it as a formula.
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line, including its CRLF line ending
+export function toCsvRow(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
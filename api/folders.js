@@ -0,0 +1,30 @@
+// Folders for organizing links and media into a tree
+
+export const MAX_FOLDER_DEPTH = 8;
+const MAX_FOLDER_NAME_LENGTH = 64;
+
+/**
+ * Validate a folder name: 1-64 characters, no slashes or control characters
+ * @returns {{ name: string } | { error: string }}
+ */
+export function parseFolderName(value) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name || name.length > MAX_FOLDER_NAME_LENGTH || /[/\\\u0000-\u001f\u007f]/.test(name)) {
+    return { error: `Folder names must be 1-${MAX_FOLDER_NAME_LENGTH} characters, without slashes` };
+  }
+  return { name };
+}
+
+/**
+ * Validate an optional folder id from a request body
+ * @returns {{ folderId: number | null } | { error: string }} folderId is null for "no folder"
+ */
+export function parseFolderId(value) {
+  if (value === undefined || value === null || value === '') {
+    return { folderId: null };
+  }
+  if (!Number.isInteger(value) || value < 1) {
+    return { error: 'folderId must be a folder id or null' };
+  }
+  return { folderId: value };
+}
@@ -0,0 +1,246 @@
+// Minimal server-rendered HTML pages for short URLs (no JavaScript required)
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export function formatFileSize(bytes) {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+function formatDateTime(timestamp) {
+  return new Date(timestamp * 1000).toUTCString();
+}
+
+const STYLES = `
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    background: #0f172a; color: #f1f5f9; min-height: 100vh; line-height: 1.6; }
+  header { padding: 1rem 2rem; background: #1e293b; border-bottom: 1px solid #475569; }
+  .logo { font-size: 1.5rem; font-weight: 700; color: #f1f5f9; text-decoration: none; }
+  .logo span { color: #6366f1; }
+  main { max-width: 800px; margin: 2rem auto; padding: 0 1rem; text-align: center; }
+  .card { background: #1e293b; border: 1px solid #475569; border-radius: 16px; padding: 2rem; }
+  h1 { font-size: 1.5rem; margin-bottom: 1rem; word-break: break-word; }
+  p { color: #94a3b8; margin-bottom: 1.5rem; }
+  .preview img, .preview video { max-width: 100%; max-height: 500px; border-radius: 8px; }
+  .preview audio { width: 100%; }
+  .preview { margin-bottom: 1.5rem; }
+  .meta { color: #94a3b8; font-size: 0.875rem; margin-bottom: 1.5rem; }
+  .btn { display: inline-block; padding: 0.75rem 1.5rem; background: #6366f1; color: white; border: none;
+    border-radius: 8px; font-size: 1rem; font-weight: 600; text-decoration: none; cursor: pointer; }
+  form { max-width: 360px; margin: 0 auto; }
+  input { width: 100%; padding: 0.75rem 1rem; margin-bottom: 1rem; background: #0f172a; border: 1px solid #475569;
+    border-radius: 8px; color: #f1f5f9; font-size: 1rem; }
+  .target { color: #f1f5f9; font-family: monospace; word-break: break-all; }
+  .continue { display: block; margin-top: 1.5rem; color: #94a3b8; font-size: 0.875rem; }
+  .error { background: rgba(239, 68, 68, 0.1); border: 1px solid #ef4444; color: #ef4444;
+    padding: 0.75rem; border-radius: 8px; margin-bottom: 1rem; }
+`;
+
+/**
+ * Wrap page content in the shared layout
+ * @param {{ title: string, meta?: Array<[string, string]>, body: string }} page
+ *   meta entries are [property, content] pairs rendered as <meta> tags
+ */
+export function renderPage({ title, meta = [], body }) {
+  const metaTags = meta
+    .filter(([, content]) => content !== undefined && content !== null && content !== '')
+    .map(([property, content]) => {
+      const attribute = property.startsWith('og:') ? 'property' : 'name';
+      return `<meta ${attribute}="${escapeHtml(property)}" content="${escapeHtml(content)}">`;
+    })
+    .join('\n    ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    ${metaTags}
+    <style>${STYLES}</style>
+  </head>
+  <body>
+    <header><a href="/" class="logo">Link<span>.io</span></a></header>
+    <main>
+      <div class="card">
+        ${body}
+      </div>
+    </main>
+  </body>
+</html>`;
+}
+
+// Open Graph and Twitter card tags for a title, description and optional image
+function previewMeta({ title, description, image, url }) {
+  const meta = [
+    ['description', description],
+    ['og:site_name', 'Link.io'],
+    ['og:title', title],
+    ['og:description', description],
+    ['og:url', url],
+    ['twitter:card', image ? 'summary_large_image' : 'summary'],
+    ['twitter:title', title],
+    ['twitter:description', description]
+  ];
+  if (image) {
+    meta.push(['og:image', image], ['twitter:image', image]);
+  }
+  return meta;
+}
+
+// Error or status page with a link back home
+export function renderMessagePage(title, message) {
+  return renderPage({
+    title: `${title} | Link.io`,
+    meta: [['robots', 'noindex']],
+    body: `<h1>${escapeHtml(title)}</h1>
+        <p>${escapeHtml(message)}</p>
+        <a href="/" class="btn">Go Home</a>`
+  });
+}
+
+// Message page for a link blocked by its availability window or click cap
+export function renderUnavailablePage(unavailable) {
+  const { code, activateAt, expiresAt } = unavailable.body;
+  if (code === 'not_active') {
+    return renderMessagePage('Not Active Yet', `This link becomes available on ${formatDateTime(activateAt)}.`);
+  }
+  if (code === 'disabled') {
+    return renderMessagePage('Link Disabled', 'This link has been disabled by its owner.');
+  }
+  if (code === 'click_limit') {
+    return renderMessagePage('Link Expired', 'This link has reached its maximum number of clicks and is no longer available.');
+  }
+  return renderMessagePage('Link Expired', `This link expired on ${formatDateTime(expiresAt)}.`);
+}
+
+/**
+ * Password form that posts back to the short URL.
+ * Only the creator's preview overrides are exposed, never the protected target.
+ * @param {{ type: 'link' | 'media', action: string, error?: string, preview?: object, pageUrl?: string }} options
+ */
+export function renderUnlockPage({ type, action, error, preview = {}, pageUrl }) {
+  return renderPage({
+    title: 'Password Protected | Link.io',
+    meta: [
+      ['robots', 'noindex'],
+      ...previewMeta({
+        title: preview.title || 'Password protected',
+        description: preview.description,
+        image: preview.image,
+        url: pageUrl
+      })
+    ],
+    body: `<h1>Password Protected</h1>
+        <p>This ${type === 'link' ? 'link' : 'media'} is protected. Enter the password to continue.</p>
+        <form method="post" action="${escapeHtml(action)}">
+          ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+          <input type="password" name="password" placeholder="Password" required autofocus>
+          <button type="submit" class="btn">Unlock</button>
+        </form>`
+  });
+}
+
+/**
+ * Interstitial shown instead of redirecting to a flagged destination.
+ * The visitor can still continue; the target is shown in full so they can judge it.
+ * @param {{ targetUrl: string, reason: string }} warning
+ */
+export function renderLinkWarningPage({ targetUrl, reason }) {
+  return renderPage({
+    title: 'Warning: Suspicious Link | Link.io',
+    meta: [['robots', 'noindex']],
+    body: `<h1>This link may be unsafe</h1>
+        <p>It has been flagged: ${escapeHtml(reason)}. It may try to steal your information or harm your device.</p>
+        <p class="target">${escapeHtml(targetUrl)}</p>
+        <a href="/" class="btn">Go Home</a>
+        <a href="${escapeHtml(targetUrl)}" class="continue" rel="nofollow noopener noreferrer">Continue anyway</a>`
+  });
+}
+
+/**
+ * Preview page served to link-preview bots instead of the redirect.
+ * The target is omitted when only the creator's overrides may be shown.
+ * @param {{ title, description, image }} preview
+ * @param {{ pageUrl: string, targetUrl?: string }} urls
+ */
+export function renderLinkPreviewPage(preview, { pageUrl, targetUrl }) {
+  const title = preview.title || (targetUrl ? new URL(targetUrl).host : 'Link.io');
+  const meta = previewMeta({ ...preview, title, url: pageUrl });
+  if (targetUrl) {
+    meta.push(['og:type', 'website']);
+  }
+
+  return renderPage({
+    title,
+    meta,
+    body: `<h1>${escapeHtml(title)}</h1>
+        ${preview.description ? `<p>${escapeHtml(preview.description)}</p>` : ''}
+        ${targetUrl ? `<a href="${escapeHtml(targetUrl)}" class="btn" rel="nofollow">Continue</a>` : ''}`
+  });
+}
+
+// Inline player or download link for a media file
+function renderPreview(fileType, fileUrl, fileName) {
+  const url = escapeHtml(fileUrl);
+  if (fileType.startsWith('image/')) {
+    return `<img src="${url}" alt="${escapeHtml(fileName)}">`;
+  }
+  if (fileType.startsWith('video/')) {
+    return `<video src="${url}" controls></video>`;
+  }
+  if (fileType.startsWith('audio/')) {
+    return `<audio src="${url}" controls></audio>`;
+  }
+  return '';
+}
+
+/**
+ * Media viewer with Open Graph and Twitter card tags.
+ * The creator's preview title, description and image take precedence over the file's own.
+ * @param {object} media Media in its API representation (see formatMedia)
+ * @param {{ fileUrl: string, pageUrl: string }} urls
+ */
+export function renderMediaPage(media, { fileUrl, pageUrl }) {
+  const { fileName, fileType, fileSize, views, createdAt } = media;
+  const isImage = fileType.startsWith('image/');
+  const title = media.previewTitle || fileName;
+  const description = media.previewDescription || `${fileType} · ${formatFileSize(fileSize)} · Shared on Link.io`;
+  const image = media.previewImage || (isImage ? fileUrl : null);
+
+  const meta = [
+    ...previewMeta({ title, description, image, url: pageUrl }),
+    ['og:type', fileType.startsWith('video/') ? 'video.other' : 'website']
+  ];
+
+  if (isImage && !media.previewImage) {
+    meta.push(['og:image:type', fileType], ['og:image:alt', fileName]);
+  } else if (fileType.startsWith('video/')) {
+    meta.push(['og:video', fileUrl], ['og:video:type', fileType]);
+  } else if (fileType.startsWith('audio/')) {
+    meta.push(['og:audio', fileUrl], ['og:audio:type', fileType]);
+  }
+
+  return renderPage({
+    title: `${title} | Link.io`,
+    meta,
+    body: `<h1>${escapeHtml(fileName)}</h1>
+        <div class="preview">${renderPreview(fileType, fileUrl, fileName)}</div>
+        <div class="meta">
+          ${escapeHtml(fileType)} · ${escapeHtml(formatFileSize(fileSize))} · ${escapeHtml(views)} views ·
+          uploaded ${escapeHtml(new Date(createdAt * 1000).toISOString().slice(0, 10))}
+        </div>
+        <a href="${escapeHtml(fileUrl)}" class="btn" target="_blank" rel="noopener noreferrer">Open File</a>`
+  });
+}
@@ -0,0 +1,102 @@
+// Password hashing and brute-force throttling for protected links and media
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters (N=2^15 takes ~50-100ms per hash)
+const SCRYPT_N = 32768;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const MAX_MEMORY = 64 * 1024 * 1024;
+
+export const MIN_PASSWORD_LENGTH = 4;
+export const MAX_PASSWORD_LENGTH = 128;
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @returns {Promise<string>} "scrypt$N$r$p$salt$hash" (salt and hash base64 encoded)
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, {
+    N: SCRYPT_N,
+    r: SCRYPT_R,
+    p: SCRYPT_P,
+    maxmem: MAX_MEMORY
+  });
+
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+export async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+  const [algorithm, N, r, p, salt, hash] = stored.split('$');
+  if (algorithm !== 'scrypt') return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+    maxmem: MAX_MEMORY
+  });
+
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Returns an error message if the password is not acceptable, otherwise null
+export function validatePassword(password) {
+  if (typeof password !== 'string' ||
+      password.length < MIN_PASSWORD_LENGTH ||
+      password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Track unlock attempts per key (e.g. "link:abc123") in memory.
+ * An attempt is counted before the password is checked, so guesses sent in parallel are
+ * counted too, and a successful one clears the key. After maxFailures within windowSeconds
+ * the key is locked until the window ends.
+ */
+export function createAttemptLimiter({ maxFailures = 5, windowSeconds = 15 * 60 } = {}) {
+  const attempts = new Map();
+
+  function current(key, now) {
+    const entry = attempts.get(key);
+    if (entry && now - entry.windowStart >= windowSeconds) {
+      attempts.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  return {
+    // Count an attempt. Returns seconds until another attempt is allowed if the key is locked
+    // (the attempt is refused and not counted), otherwise 0
+    attempt(key) {
+      const now = Math.floor(Date.now() / 1000);
+      const entry = current(key, now);
+      if (!entry) {
+        attempts.set(key, { count: 1, windowStart: now });
+        return 0;
+      }
+      if (entry.count >= maxFailures) {
+        return entry.windowStart + windowSeconds - now;
+      }
+      entry.count++;
+      return 0;
+    },
+
+    reset(key) {
+      attempts.delete(key);
+    }
+  };
+}
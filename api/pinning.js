@@ -0,0 +1,299 @@
+// Pinning backends: store uploaded files on IPFS and keep track of what is pinned
+import fs from 'fs';
+import { join } from 'path';
+
+const PIN_TIMEOUT_MS = 5 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+// Pin states, following the IPFS Pinning Services API plus "unpinned" for content the backend does not hold
+export const PIN_STATUSES = ['queued', 'pinning', 'pinned', 'failed', 'unpinned'];
+export const PENDING_PIN_STATUSES = ['queued', 'pinning'];
+
+/*
+ * A backend is { name, pin(file), unpin(cid), status(cid), list(options) }:
+ *   pin(file)      file is { path, name, type, size, cid } for an upload spooled to disk, cid computed from its bytes.
+ *                  Resolves to { cid, size, status } once the backend has accepted the file
+ *   unpin(cid)     stop pinning a CID (resolves even if it was not pinned)
+ *   status(cid)    resolves to one of PIN_STATUSES
+ *   list(options)  options { status, limit }; resolves to [{ cid, status, name, createdAt }]
+ * All of them reject when the backend cannot be reached or refuses the request.
+ */
+
+async function request(url, { timeoutMs = REQUEST_TIMEOUT_MS, ...options } = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    const error = new Error(`${options.method || 'GET'} ${new URL(url).pathname} failed with status ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+}
+
+async function fileForm(file, field = 'file') {
+  const form = new FormData();
+  form.append(field, await fs.openAsBlob(file.path, { type: file.type }), file.name);
+  return form;
+}
+
+const toTimestamp = (date) => (date ? Math.floor(new Date(date).getTime() / 1000) : null);
+
+// Pinata, authenticated with a JWT or an API key pair
+export function createPinataBackend({ jwt, apiKey, secretKey, apiUrl = 'https://api.pinata.cloud' }) {
+  if (!jwt && !(apiKey && secretKey)) {
+    throw new Error('PINATA_JWT or PINATA_API_KEY and PINATA_SECRET_KEY are required for the pinata backend');
+  }
+  const headers = jwt
+    ? { Authorization: `Bearer ${jwt}` }
+    : { pinata_api_key: apiKey, pinata_secret_api_key: secretKey };
+
+  const pinList = async (query) => {
+    const response = await request(`${apiUrl}/data/pinList?${new URLSearchParams(query)}`, { headers });
+    const { rows } = await response.json();
+    return rows;
+  };
+
+  return {
+    name: 'pinata',
+
+    async pin(file) {
+      const form = await fileForm(file);
+      form.append('pinataMetadata', JSON.stringify({ name: file.name, keyvalues: { type: file.type } }));
+      form.append('pinataOptions', JSON.stringify({ cidVersion: 1 }));
+
+      const response = await request(`${apiUrl}/pinning/pinFileToIPFS`, {
+        method: 'POST',
+        headers,
+        body: form,
+        timeoutMs: PIN_TIMEOUT_MS
+      });
+      const result = await response.json();
+      return { cid: result.IpfsHash, size: result.PinSize, status: 'pinned' };
+    },
+
+    async unpin(cid) {
+      try {
+        await request(`${apiUrl}/pinning/unpin/${cid}`, { method: 'DELETE', headers });
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+    },
+
+    async status(cid) {
+      const rows = await pinList({ hashContains: cid, status: 'pinned', pageLimit: 1 });
+      return rows.length > 0 ? 'pinned' : 'unpinned';
+    },
+
+    async list({ status = 'pinned', limit = 100 } = {}) {
+      if (status !== 'pinned') return [];
+      const rows = await pinList({ status: 'pinned', pageLimit: Math.min(limit, 1000) });
+      return rows.map(row => ({
+        cid: row.ipfs_pin_hash,
+        status: 'pinned',
+        name: row.metadata?.name || null,
+        createdAt: toTimestamp(row.date_pinned)
+      }));
+    }
+  };
+}
+
+/**
+ * A self-hosted Kubo (go-ipfs) node, through its HTTP RPC API (default http://127.0.0.1:5001).
+ * auth is sent as the Authorization header, for nodes behind an authenticating proxy.
+ */
+export function createKuboBackend({ apiUrl = 'http://127.0.0.1:5001', auth }) {
+  const base = `${apiUrl.replace(/\/+$/, '')}/api/v0`;
+  const headers = auth ? { Authorization: auth } : {};
+
+  // Every RPC call is a POST with its arguments in the query string
+  const rpc = async (command, query = {}, options = {}) => {
+    const response = await request(`${base}/${command}?${new URLSearchParams(query)}`, {
+      method: 'POST',
+      headers,
+      ...options
+    });
+    return response.json();
+  };
+
+  return {
+    name: 'kubo',
+
+    async pin(file) {
+      const result = await rpc(
+        'add',
+        { 'cid-version': 1, 'raw-leaves': true, pin: true },
+        { body: await fileForm(file), timeoutMs: PIN_TIMEOUT_MS }
+      );
+      return { cid: result.Hash, size: Number(result.Size), status: 'pinned' };
+    },
+
+    async unpin(cid) {
+      try {
+        await rpc('pin/rm', { arg: cid });
+      } catch (error) {
+        // Kubo answers 500 for CIDs that are not pinned
+        if (error.status !== 500) throw error;
+      }
+    },
+
+    async status(cid) {
+      try {
+        // Keys lists the pin under the node's encoding of the CID, which may differ from ours
+        const { Keys } = await rpc('pin/ls', { arg: cid, type: 'recursive' });
+        return Keys && Object.keys(Keys).length > 0 ? 'pinned' : 'unpinned';
+      } catch (error) {
+        if (error.status === 500) return 'unpinned';
+        throw error;
+      }
+    },
+
+    async list({ status = 'pinned', limit = 100 } = {}) {
+      if (status !== 'pinned') return [];
+      const { Keys } = await rpc('pin/ls', { type: 'recursive' });
+      return Object.keys(Keys || {}).slice(0, limit).map(cid => ({ cid, status: 'pinned', name: null, createdAt: null }));
+    },
+
+    // Multiaddrs other peers can fetch this node's content from
+    async addresses() {
+      const { Addresses } = await rpc('id');
+      return Addresses || [];
+    }
+  };
+}
+
+/**
+ * A remote service implementing the IPFS Pinning Services API (https://ipfs.github.io/pinning-services-api-spec/).
+ * The service fetches content over IPFS, so uploads are first added to a Kubo node (kubo), whose
+ * addresses are passed to the service as origins. Pinning is asynchronous: pin resolves with the
+ * service's status (usually "queued") and status reports progress.
+ */
+export function createPinningServiceBackend({ endpoint, token, kubo }) {
+  if (!endpoint || !token) {
+    throw new Error('PINNING_SERVICE_ENDPOINT and PINNING_SERVICE_TOKEN are required for the pinning-service backend');
+  }
+  const base = endpoint.replace(/\/+$/, '');
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const findPins = async (query) => {
+    const response = await request(`${base}/pins?${new URLSearchParams(query)}`, { headers });
+    const { results } = await response.json();
+    return results;
+  };
+
+  return {
+    name: 'pinning-service',
+
+    async pin(file) {
+      const added = await kubo.pin(file);
+      const origins = await kubo.addresses().catch(() => []);
+
+      const response = await request(`${base}/pins`, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cid: added.cid, name: file.name, origins })
+      });
+      const { status } = await response.json();
+      return { cid: added.cid, size: added.size, status };
+    },
+
+    async unpin(cid) {
+      const pins = await findPins({ cid, status: PENDING_PIN_STATUSES.concat('pinned', 'failed').join(',') });
+      for (const { requestid } of pins) {
+        await request(`${base}/pins/${requestid}`, { method: 'DELETE', headers });
+      }
+    },
+
+    async status(cid) {
+      const pins = await findPins({ cid, status: PENDING_PIN_STATUSES.concat('pinned', 'failed').join(','), limit: 1 });
+      return pins.length > 0 ? pins[0].status : 'unpinned';
+    },
+
+    async list({ status = 'pinned', limit = 100 } = {}) {
+      const pins = await findPins({ status, limit: Math.min(limit, 1000) });
+      return pins.map(({ status: pinStatus, created, pin }) => ({
+        cid: pin.cid,
+        status: pinStatus,
+        name: pin.name || null,
+        createdAt: toTimestamp(created)
+      }));
+    }
+  };
+}
+
+/**
+ * Files kept in a local directory, named by CID, for tests and offline development.
+ * Nothing is published to IPFS, but the CID is the one IPFS computes for the file.
+ */
+export function createLocalBackend({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Path of a stored file, or null for anything that is not a CID-like name
+  const pathOf = (cid) => (/^[a-zA-Z0-9]+$/.test(cid) ? join(dir, cid) : null);
+
+  return {
+    name: 'local',
+    dir,
+
+    async pin(file) {
+      await fs.promises.copyFile(file.path, join(dir, file.cid));
+      return { cid: file.cid, size: file.size, status: 'pinned' };
+    },
+
+    async unpin(cid) {
+      const path = pathOf(cid);
+      if (path) await fs.promises.rm(path, { force: true });
+    },
+
+    async status(cid) {
+      const path = pathOf(cid);
+      return path && fs.existsSync(path) ? 'pinned' : 'unpinned';
+    },
+
+    async list({ status = 'pinned', limit = 100 } = {}) {
+      if (status !== 'pinned') return [];
+      const names = (await fs.promises.readdir(dir)).slice(0, limit);
+      return Promise.all(names.map(async (cid) => {
+        const { mtime } = await fs.promises.stat(join(dir, cid));
+        return { cid, status: 'pinned', name: null, createdAt: toTimestamp(mtime) };
+      }));
+    },
+
+    // Path of a stored file, or null if there is none under this CID
+    filePath(cid) {
+      const path = pathOf(cid);
+      return path && fs.existsSync(path) ? path : null;
+    }
+  };
+}
+
+/**
+ * Set up the backend named by PINNING_BACKEND: "pinata", "pinning-service", "kubo" or "local".
+ * Without it, Pinata is used when its credentials are set and the local directory
+ * (LOCAL_PINNING_DIR) otherwise.
+ */
+export function createPinningBackend(env, { defaultDir }) {
+  const pinata = {
+    jwt: env.PINATA_JWT,
+    apiKey: env.PINATA_API_KEY,
+    secretKey: env.PINATA_SECRET_KEY
+  };
+  const kubo = () => createKuboBackend({ apiUrl: env.KUBO_API_URL, auth: env.KUBO_API_AUTH });
+  const name = env.PINNING_BACKEND || (pinata.jwt || pinata.apiKey ? 'pinata' : 'local');
+
+  switch (name) {
+    case 'pinata':
+      return createPinataBackend(pinata);
+    case 'pinning-service':
+      return createPinningServiceBackend({
+        endpoint: env.PINNING_SERVICE_ENDPOINT,
+        token: env.PINNING_SERVICE_TOKEN,
+        kubo: kubo()
+      });
+    case 'kubo':
+      return kubo();
+    case 'local':
+      return createLocalBackend({ dir: env.LOCAL_PINNING_DIR || defaultDir });
+    default:
+      throw new Error(`Unknown PINNING_BACKEND "${name}", expected pinata, pinning-service, kubo or local`);
+  }
+}
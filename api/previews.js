@@ -0,0 +1,232 @@
+// Fetch title, description and image of a link target for social previews
+import dns from 'dns';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_HTML_BYTES = 256 * 1024;
+const MAX_REDIRECTS = 3;
+
+export const MAX_PREVIEW_TITLE_LENGTH = 200;
+export const MAX_PREVIEW_DESCRIPTION_LENGTH = 500;
+export const MAX_PREVIEW_IMAGE_LENGTH = 2048;
+
+// Never fetch from loopback, private, link-local or otherwise internal networks
+const blockedAddresses = new net.BlockList();
+blockedAddresses.addSubnet('0.0.0.0', 8, 'ipv4');
+blockedAddresses.addSubnet('10.0.0.0', 8, 'ipv4');
+blockedAddresses.addSubnet('100.64.0.0', 10, 'ipv4');
+blockedAddresses.addSubnet('127.0.0.0', 8, 'ipv4');
+blockedAddresses.addSubnet('169.254.0.0', 16, 'ipv4');
+blockedAddresses.addSubnet('172.16.0.0', 12, 'ipv4');
+blockedAddresses.addSubnet('192.168.0.0', 16, 'ipv4');
+blockedAddresses.addSubnet('224.0.0.0', 3, 'ipv4');
+blockedAddresses.addAddress('::', 'ipv6');
+blockedAddresses.addAddress('::1', 'ipv6');
+blockedAddresses.addSubnet('fc00::', 7, 'ipv6');
+blockedAddresses.addSubnet('fe80::', 10, 'ipv6');
+blockedAddresses.addSubnet('ff00::', 8, 'ipv6');
+
+function isBlockedAddress(address, family) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+const NON_PUBLIC_ADDRESS = 'URL resolves to a non-public address';
+
+/**
+ * DNS lookup for preview connections that refuses internal addresses. The socket connects to the
+ * address checked here, so a host cannot resolve to a public address for the check and an
+ * internal one for the connection (DNS rebinding).
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address, family }) => isBlockedAddress(address, family))) {
+      return callback(new Error(NON_PUBLIC_ADDRESS));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const previewAgent = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+// Only http(s) may be fetched. Host names are checked when connecting; IP literals skip the lookup, so check them here.
+function assertFetchable(url) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('Only http and https URLs can be previewed');
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  const family = net.isIP(hostname);
+  if (family && isBlockedAddress(hostname, family)) {
+    throw new Error(NON_PUBLIC_ADDRESS);
+  }
+}
+
+// Read at most maxBytes of a response body as text
+async function readLimited(response, maxBytes) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+
+  while (received < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+  }
+  await reader.cancel().catch(() => {});
+
+  return Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8');
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function clean(text, maxLength) {
+  if (!text) return null;
+  const value = decodeEntities(text).replace(/\s+/g, ' ').trim();
+  return value ? value.slice(0, maxLength) : null;
+}
+
+// Collect <meta property|name="..." content="..."> pairs from the document head
+function parseMetaTags(html) {
+  const tags = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = {};
+    for (const [, name, , doubleQuoted, singleQuoted] of tag.matchAll(/([a-z:-]+)\s*=\s*("([^"]*)"|'([^']*)')/gi)) {
+      attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted;
+    }
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && !(key in tags)) {
+      tags[key] = attributes.content;
+    }
+  }
+  return tags;
+}
+
+/**
+ * Extract preview metadata from an HTML document
+ * @returns {{ title: string|null, description: string|null, image: string|null }}
+ */
+export function parsePreview(html, baseUrl) {
+  const meta = parseMetaTags(html);
+  const titleTag = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+  let image = meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || null;
+  if (image) {
+    try {
+      image = new URL(decodeEntities(image), baseUrl).href;
+      if (!/^https?:$/.test(new URL(image).protocol) || image.length > MAX_PREVIEW_IMAGE_LENGTH) image = null;
+    } catch {
+      image = null;
+    }
+  }
+
+  return {
+    title: clean(meta['og:title'] || meta['twitter:title'] || (titleTag && titleTag[1]), MAX_PREVIEW_TITLE_LENGTH),
+    description: clean(meta['og:description'] || meta['twitter:description'] || meta.description, MAX_PREVIEW_DESCRIPTION_LENGTH),
+    image
+  };
+}
+
+/**
+ * Fetch a URL and extract its preview metadata.
+ * Redirects are followed manually so every hop is checked against internal addresses.
+ */
+export async function fetchLinkPreview(targetUrl) {
+  let url = new URL(targetUrl);
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    assertFetchable(url);
+
+    const response = await fetch(url, {
+      dispatcher: previewAgent,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      headers: {
+        'User-Agent': 'Link.io-Preview/1.0 (+link preview bot)',
+        Accept: 'text/html,application/xhtml+xml'
+      }
+    }).catch((error) => {
+      // fetch wraps connection errors; surface the address check as it is
+      throw error.cause?.message === NON_PUBLIC_ADDRESS ? error.cause : error;
+    });
+
+    if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+      await response.body?.cancel().catch(() => {});
+      url = new URL(response.headers.get('location'), url);
+      continue;
+    }
+
+    if (!response.ok) {
+      await response.body?.cancel().catch(() => {});
+      throw new Error(`Preview fetch failed with status ${response.status}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+      await response.body?.cancel().catch(() => {});
+      return { title: null, description: null, image: null };
+    }
+
+    return parsePreview(await readLimited(response, MAX_HTML_BYTES), url);
+  }
+
+  throw new Error('Too many redirects');
+}
+
+// Chat and social apps that fetch a URL to render a preview card
+const PREVIEW_BOT_REGEX = /facebookexternalhit|facebot|twitterbot|slackbot|slack-imgproxy|discordbot|telegrambot|whatsapp|linkedinbot|skypeuripreview|embedly|iframely|pinterestbot|redditbot|mastodon|vkshare|snapchat|viber|line\//i;
+
+export function isPreviewBot(userAgent) {
+  return !!userAgent && PREVIEW_BOT_REGEX.test(userAgent);
+}
+
+/**
+ * Validate optional creator overrides (previewTitle, previewDescription, previewImage)
+ * @returns {{ preview: { title, description, image } } | { error: string }}
+ */
+export function parsePreviewOverrides(body) {
+  const preview = { title: null, description: null, image: null };
+  const fields = [
+    ['previewTitle', 'title', MAX_PREVIEW_TITLE_LENGTH],
+    ['previewDescription', 'description', MAX_PREVIEW_DESCRIPTION_LENGTH],
+    ['previewImage', 'image', MAX_PREVIEW_IMAGE_LENGTH]
+  ];
+
+  for (const [field, key, maxLength] of fields) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value !== 'string' || value.trim().length > maxLength) {
+      return { error: `${field} must be a string of at most ${maxLength} characters` };
+    }
+    preview[key] = value.trim() || null;
+  }
+
+  if (preview.image) {
+    let imageUrl;
+    try {
+      imageUrl = new URL(preview.image);
+    } catch {
+      return { error: 'previewImage must be a valid URL' };
+    }
+    if (imageUrl.protocol !== 'http:' && imageUrl.protocol !== 'https:') {
+      return { error: 'previewImage must be an http or https URL' };
+    }
+  }
+
+  return { preview };
+}
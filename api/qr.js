@@ -0,0 +1,211 @@
+// Render QR codes for short URLs as PNG or SVG
+import fs from 'fs';
+import QRCode from 'qrcode';
+import { PNG } from 'pngjs';
+
+export const QR_FORMATS = ['png', 'svg'];
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+const MIN_SIZE = 64;
+const MAX_SIZE = 2048;
+const MAX_MARGIN = 16;
+
+// Share of the code's width covered by the logo. Small enough for Q or H error correction to recover.
+const LOGO_RATIO = 0.22;
+
+const COLOR_REGEX = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// "#abc", "aabbcc" or "aabbcc80" -> { r, g, b, a }
+function parseColor(value) {
+  const match = COLOR_REGEX.exec(value);
+  if (!match) return null;
+  let hex = match[1];
+  if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+  if (hex.length === 6) hex += 'ff';
+  const [r, g, b, a] = hex.match(/../g).map(pair => parseInt(pair, 16));
+  return { r, g, b, a };
+}
+
+const toSvgColor = ({ r, g, b }) => `#${[r, g, b].map(c => c.toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Validate QR options from a query string:
+ * format (png|svg), size (pixels), margin (modules), ecl (L|M|Q|H), fg/bg (hex colors) and logo.
+ * With a logo, error correction is raised to at least Q so the covered modules can be recovered.
+ * @returns {{ options: object } | { error: string }}
+ */
+export function parseQrOptions(query) {
+  const format = query.format || 'png';
+  if (!QR_FORMATS.includes(format)) {
+    return { error: 'format must be png or svg' };
+  }
+
+  const size = query.size === undefined ? 512 : Number(query.size);
+  if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+    return { error: `size must be an integer between ${MIN_SIZE} and ${MAX_SIZE}` };
+  }
+
+  const margin = query.margin === undefined ? 4 : Number(query.margin);
+  if (!Number.isInteger(margin) || margin < 0 || margin > MAX_MARGIN) {
+    return { error: `margin must be an integer between 0 and ${MAX_MARGIN}` };
+  }
+
+  let ecl = (query.ecl || 'M').toUpperCase();
+  if (!ERROR_CORRECTION_LEVELS.includes(ecl)) {
+    return { error: 'ecl must be L, M, Q or H' };
+  }
+
+  const fg = parseColor(query.fg || '000000');
+  const bg = parseColor(query.bg || 'ffffff');
+  if (!fg || !bg) {
+    return { error: 'fg and bg must be hex colors (rgb, rrggbb or rrggbbaa)' };
+  }
+
+  const logo = query.logo === '1' || query.logo === 'true';
+  if (logo && (ecl === 'L' || ecl === 'M')) {
+    ecl = 'Q';
+  }
+
+  return { options: { format, size, margin, ecl, fg, bg, logo } };
+}
+
+/**
+ * Read a PNG to use as the center logo instead of the built-in mark
+ * @returns {{ png: PNG, base64: string }}
+ */
+export function loadQrLogo(path) {
+  const buffer = fs.readFileSync(path);
+  return { png: PNG.sync.read(buffer), base64: buffer.toString('base64') };
+}
+
+// Built-in logo: two interlocking rings, in unit coordinates
+const MARK_RINGS = [{ cx: 0.38, cy: 0.5 }, { cx: 0.62, cy: 0.5 }];
+const MARK_RADIUS = 0.215;
+const MARK_STROKE = 0.09;
+
+function insideMark(u, v) {
+  return MARK_RINGS.some(({ cx, cy }) => {
+    const distance = Math.hypot(u - cx, v - cy);
+    return Math.abs(distance - MARK_RADIUS) <= MARK_STROKE / 2;
+  });
+}
+
+// Alpha-blend color into the PNG pixel at (x, y)
+function blendPixel(png, x, y, { r, g, b, a }) {
+  const i = (png.width * y + x) << 2;
+  const alpha = a / 255;
+  png.data[i] = Math.round(r * alpha + png.data[i] * (1 - alpha));
+  png.data[i + 1] = Math.round(g * alpha + png.data[i + 1] * (1 - alpha));
+  png.data[i + 2] = Math.round(b * alpha + png.data[i + 2] * (1 - alpha));
+  png.data[i + 3] = Math.max(png.data[i + 3], a);
+}
+
+// Position of the logo box, in the same unit as total
+function logoBox(total) {
+  const width = total * LOGO_RATIO;
+  return { offset: (total - width) / 2, width };
+}
+
+function renderPng(modules, { size, margin, fg, bg, logo }, customLogo) {
+  const png = new PNG({ width: size, height: size });
+  const count = modules.size + margin * 2;
+
+  for (let y = 0; y < size; y++) {
+    const row = Math.floor((y * count) / size) - margin;
+    for (let x = 0; x < size; x++) {
+      const col = Math.floor((x * count) / size) - margin;
+      const dark = row >= 0 && col >= 0 && row < modules.size && col < modules.size && modules.get(row, col);
+      const { r, g, b, a } = dark ? fg : bg;
+      const i = (size * y + x) << 2;
+      png.data[i] = r;
+      png.data[i + 1] = g;
+      png.data[i + 2] = b;
+      png.data[i + 3] = a;
+    }
+  }
+
+  if (logo) {
+    const { offset, width } = logoBox(size);
+    const start = Math.round(offset);
+    const end = Math.round(offset + width);
+    const pad = Math.round(width * 0.1);
+    const inner = end - start - pad * 2;
+
+    for (let y = start; y < end; y++) {
+      for (let x = start; x < end; x++) {
+        png.data.set([bg.r, bg.g, bg.b, 255], (size * y + x) << 2);
+
+        const u = (x - start - pad) / inner;
+        const v = (y - start - pad) / inner;
+        if (u < 0 || v < 0 || u >= 1 || v >= 1) continue;
+
+        if (customLogo) {
+          // Nearest-neighbour scale, keeping the logo's aspect ratio
+          const source = customLogo.png;
+          const scale = Math.max(source.width, source.height);
+          const sx = Math.floor(u * scale - (scale - source.width) / 2);
+          const sy = Math.floor(v * scale - (scale - source.height) / 2);
+          if (sx < 0 || sy < 0 || sx >= source.width || sy >= source.height) continue;
+          const j = (source.width * sy + sx) << 2;
+          blendPixel(png, x, y, {
+            r: source.data[j], g: source.data[j + 1], b: source.data[j + 2], a: source.data[j + 3]
+          });
+        } else if (insideMark(u, v)) {
+          blendPixel(png, x, y, fg);
+        }
+      }
+    }
+  }
+
+  return PNG.sync.write(png);
+}
+
+function renderSvg(modules, { size, margin, fg, bg, logo }, customLogo) {
+  const count = modules.size + margin * 2;
+  const path = [];
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) path.push(`M${col + margin} ${row + margin}h1v1h-1z`);
+    }
+  }
+
+  const fill = (color) => `fill="${toSvgColor(color)}"${color.a < 255 ? ` fill-opacity="${(color.a / 255).toFixed(3)}"` : ''}`;
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${count} ${count}" shape-rendering="crispEdges">`,
+    `<rect width="${count}" height="${count}" ${fill(bg)}/>`,
+    `<path d="${path.join('')}" ${fill(fg)}/>`
+  ];
+
+  if (logo) {
+    const { offset, width } = logoBox(count);
+    const pad = width * 0.1;
+    const inner = width - pad * 2;
+    parts.push(`<rect x="${offset}" y="${offset}" width="${width}" height="${width}" fill="${toSvgColor(bg)}"/>`);
+
+    if (customLogo) {
+      parts.push(`<image x="${offset + pad}" y="${offset + pad}" width="${inner}" height="${inner}" preserveAspectRatio="xMidYMid meet" href="data:image/png;base64,${customLogo.base64}"/>`);
+    } else {
+      for (const { cx, cy } of MARK_RINGS) {
+        parts.push(`<circle cx="${offset + pad + cx * inner}" cy="${offset + pad + cy * inner}" r="${MARK_RADIUS * inner}" fill="none" stroke="${toSvgColor(fg)}" stroke-width="${MARK_STROKE * inner}" shape-rendering="geometricPrecision"/>`);
+      }
+    }
+  }
+
+  parts.push('</svg>');
+  return parts.join('');
+}
+
+/**
+ * Render text as a QR code
+ * @param {object} options Result of parseQrOptions
+ * @param {{ png: PNG, base64: string } | null} customLogo Logo from loadQrLogo, or null for the built-in mark
+ * @returns {{ contentType: string, body: Buffer | string }}
+ */
+export function renderQrCode(text, options, customLogo = null) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: options.ecl });
+
+  if (options.format === 'svg') {
+    return { contentType: 'image/svg+xml', body: renderSvg(modules, options, customLogo) };
+  }
+  return { contentType: 'image/png', body: renderPng(modules, options, customLogo) };
+}
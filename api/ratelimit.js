@@ -0,0 +1,90 @@
+// In-memory request throttling: token buckets for rate limits, and a window for repeated visits
+
+// Forget idle entries once a store grows past this many keys
+const PRUNE_THRESHOLD = 10000;
+
+/**
+ * Parse a "requests/seconds" limit such as "30/60" (30 requests per minute).
+ * "off" disables the limit.
+ * @returns {{ capacity: number, seconds: number } | null} null when disabled
+ */
+export function parseRateLimit(value, fallback) {
+  const text = (value || fallback).trim().toLowerCase();
+  if (text === 'off' || text === '0') return null;
+
+  const match = text.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    throw new Error(`Invalid rate limit "${value}", expected "requests/seconds" or "off"`);
+  }
+  return { capacity: Number(match[1]), seconds: Number(match[2]) };
+}
+
+/**
+ * Token bucket per key: holds up to capacity tokens and refills capacity tokens every seconds.
+ * Each request takes one token; bursts up to capacity are allowed.
+ */
+export function createTokenBucket({ capacity, seconds }) {
+  const refillPerMs = capacity / (seconds * 1000);
+  const buckets = new Map();
+
+  // Drop buckets that have refilled completely; they behave exactly like new ones
+  function prune(now) {
+    for (const [key, bucket] of buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= capacity) {
+        buckets.delete(key);
+      }
+    }
+  }
+
+  return {
+    capacity,
+
+    /**
+     * Take a token for key if one is available
+     * @returns {{ allowed: boolean, remaining: number, reset: number, retryAfter: number }}
+     *   reset is the number of seconds until the bucket is full again,
+     *   retryAfter the number of seconds until a token is available (0 if allowed)
+     */
+    take(key, now = Date.now()) {
+      if (buckets.size > PRUNE_THRESHOLD) prune(now);
+
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+      bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+      bucket.updatedAt = now;
+
+      const allowed = bucket.tokens >= 1;
+      if (allowed) bucket.tokens -= 1;
+      buckets.set(key, bucket);
+
+      return {
+        allowed,
+        remaining: Math.floor(bucket.tokens),
+        reset: Math.ceil((capacity - bucket.tokens) / refillPerMs / 1000),
+        retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)
+      };
+    }
+  };
+}
+
+/**
+ * Remembers keys for windowSeconds so repeats within the window can be recognised
+ */
+export function createRepeatWindow(windowSeconds) {
+  const seen = new Map();
+
+  return {
+    // True if key was seen within the window; otherwise records it and returns false
+    isRepeat(key, now = Date.now()) {
+      if (seen.size > PRUNE_THRESHOLD) {
+        for (const [seenKey, at] of seen) {
+          if (now - at >= windowSeconds * 1000) seen.delete(seenKey);
+        }
+      }
+
+      const at = seen.get(key);
+      if (at !== undefined && now - at < windowSeconds * 1000) return true;
+      seen.set(key, now);
+      return false;
+    }
+  };
+}
@@ -0,0 +1,32 @@
+// Admin roles and the actions each of them may perform
+import { normalizeAddress } from './auth.js';
+
+export const PERMISSIONS = ['read', 'delete', 'ban', 'manage'];
+
+export const ROLES = {
+  viewer: ['read'],
+  moderator: ['read', 'delete', 'ban'],
+  admin: ['read', 'delete', 'ban', 'manage']
+};
+
+export function hasPermission(role, permission) {
+  return !!ROLES[role] && ROLES[role].includes(permission);
+}
+
+/**
+ * Parse a comma separated wallet allowlist (ADMIN_WALLETS).
+ * Allowlisted wallets always have the admin role and cannot be changed through the API.
+ * @returns {Set<string>} normalized addresses; invalid entries are skipped with a warning
+ */
+export function parseAdminAllowlist(value = '') {
+  const wallets = new Set();
+  for (const entry of value.split(',').map(v => v.trim()).filter(Boolean)) {
+    const address = normalizeAddress(entry);
+    if (address) {
+      wallets.add(address);
+    } else {
+      console.warn(`Ignoring invalid wallet in ADMIN_WALLETS: ${entry}`);
+    }
+  }
+  return wallets;
+}
@@ -0,0 +1,183 @@
+// Destination URL safety: allowed schemes, a local blocklist and pluggable threat-intel lookups
+import fs from 'fs';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+export const MAX_URL_LENGTH = 2048;
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+const LOOKUP_TIMEOUT_MS = 5000;
+
+/**
+ * Check that a destination is an absolute http(s) URL with a host
+ * @returns {{ url: string } | { error: string }} url is the trimmed input
+ */
+export function validateDestinationUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return { error: 'Original URL is required' };
+  }
+
+  const url = value.trim();
+  if (url.length > MAX_URL_LENGTH) {
+    return { error: `Original URL must be at most ${MAX_URL_LENGTH} characters` };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: 'Original URL is not a valid URL' };
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    return { error: 'Only http and https URLs can be shortened' };
+  }
+  if (!parsed.hostname) {
+    return { error: 'Original URL must include a host' };
+  }
+
+  return { url };
+}
+
+const escapeRegExp = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+// "example.com" / "*.example.com" -> domain, "/regex/" -> regex, anything with / or * -> wildcard pattern
+function parseBlocklistEntry(entry) {
+  const regex = entry.match(/^\/(.+)\/$/);
+  if (regex) {
+    return { pattern: new RegExp(regex[1], 'i'), withScheme: true };
+  }
+  if (entry.includes('/') || entry.includes('*', entry.startsWith('*.') ? 2 : 0)) {
+    const source = entry.replace(/^[a-z]+:\/\//i, '').split('*').map(escapeRegExp).join('.*');
+    return { pattern: new RegExp(`^${source}`, 'i'), withScheme: false };
+  }
+  return { domain: entry.replace(/^\*?\./, '').replace(/\.$/, '').toLowerCase() };
+}
+
+/**
+ * Build a blocklist from entries, one per item:
+ *   example.com          the domain and all of its subdomains
+ *   example.com/phish*   URLs (without scheme) starting with the pattern; * matches anything
+ *   /casino-\d+\./       a regular expression tested against the full URL
+ * @returns {{ size: number, match: (url: string) => string | null }} match returns the entry that blocked the URL
+ */
+export function createBlocklist(entries = []) {
+  const domains = new Map();
+  const patterns = [];
+
+  for (const entry of entries) {
+    const { domain, ...pattern } = parseBlocklistEntry(entry);
+    if (domain) domains.set(domain, entry);
+    else patterns.push({ entry, ...pattern });
+  }
+
+  return {
+    size: domains.size + patterns.length,
+
+    match(url) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        return null;
+      }
+
+      // Check the host and each of its parent domains
+      const labels = parsed.hostname.toLowerCase().replace(/\.$/, '').split('.');
+      for (let i = 0; i < labels.length; i++) {
+        const entry = domains.get(labels.slice(i).join('.'));
+        if (entry) return entry;
+      }
+
+      const withoutScheme = parsed.href.slice(parsed.protocol.length + 2);
+      const hit = patterns.find(({ pattern, withScheme }) => pattern.test(withScheme ? parsed.href : withoutScheme));
+      return hit ? hit.entry : null;
+    }
+  };
+}
+
+/**
+ * Load a blocklist file: one entry per line, blank lines and # comments are ignored
+ */
+export function loadBlocklist(path) {
+  const entries = fs.readFileSync(path, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean);
+  return createBlocklist(entries);
+}
+
+/*
+ * Threat-intel providers look URLs up in an external reputation service.
+ * A provider is { name, lookup(url) }: lookup resolves to null for URLs the service
+ * does not know as harmful, to { category, reason } for flagged ones, and rejects
+ * when the service cannot be reached.
+ */
+
+// Google Safe Browsing (Lookup API v4)
+export function createSafeBrowsingProvider({ apiKey, clientId = 'linkio', timeoutMs = LOOKUP_TIMEOUT_MS }) {
+  if (!apiKey) {
+    throw new Error('SAFE_BROWSING_API_KEY is required for the safe-browsing provider');
+  }
+
+  const REASONS = {
+    MALWARE: 'Malware',
+    SOCIAL_ENGINEERING: 'Phishing or deceptive site',
+    UNWANTED_SOFTWARE: 'Unwanted software',
+    POTENTIALLY_HARMFUL_APPLICATION: 'Potentially harmful application'
+  };
+
+  return {
+    name: 'safe-browsing',
+
+    async lookup(url) {
+      const response = await fetch(
+        `https://safebrowsing.googleapis.com/v4/threatMatches:find?key=${encodeURIComponent(apiKey)}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          signal: AbortSignal.timeout(timeoutMs),
+          body: JSON.stringify({
+            client: { clientId, clientVersion: '1.0.0' },
+            threatInfo: {
+              threatTypes: Object.keys(REASONS),
+              platformTypes: ['ANY_PLATFORM'],
+              threatEntryTypes: ['URL'],
+              threatEntries: [{ url }]
+            }
+          })
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Safe Browsing lookup failed with status ${response.status}`);
+      }
+
+      const { matches } = await response.json();
+      if (!matches || matches.length === 0) return null;
+      const category = matches[0].threatType;
+      return { category, reason: REASONS[category] || 'Reported as harmful' };
+    }
+  };
+}
+
+/**
+ * Set up the provider named by THREAT_INTEL_PROVIDER: "safe-browsing", or the path of
+ * a module whose default export takes the environment and returns a provider.
+ * @returns {Promise<object | null>} null when no provider is configured
+ */
+export async function createThreatIntelProvider(env) {
+  const name = env.THREAT_INTEL_PROVIDER;
+  if (!name || name === 'none') return null;
+
+  if (name === 'safe-browsing') {
+    return createSafeBrowsingProvider({ apiKey: env.SAFE_BROWSING_API_KEY });
+  }
+
+  const module = await import(pathToFileURL(resolve(name)).href);
+  const provider = await module.default(env);
+  if (!provider || typeof provider.lookup !== 'function') {
+    throw new Error(`Threat-intel provider ${name} must export a function returning { name, lookup(url) }`);
+  }
+  return provider;
+}
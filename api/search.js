@@ -0,0 +1,39 @@
+// Helpers for paginated, searchable listings
+
+/**
+ * Encode a keyset cursor: the sort key, the last row's sort value and its id
+ * @returns {string} base64url token, opaque to clients
+ */
+export function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify([sort, value, id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor for the same sort key
+ * @returns {{ value: number, id: number } | null} null if the cursor is malformed or for another sort
+ */
+export function decodeCursor(cursor, sort) {
+  try {
+    const [cursorSort, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (cursorSort !== sort || !Number.isInteger(value) || !Number.isInteger(id)) return null;
+    return { value, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn free text into an FTS5 MATCH expression.
+ * Every word must match (as a prefix), and FTS5 operators in the input are treated as text.
+ * @returns {string|null} null if the query has no searchable words
+ */
+export function buildMatchQuery(text) {
+  if (typeof text !== 'string') return null;
+  const terms = text
+    .split(/\s+/)
+    .map(term => term.replace(/"/g, ''))
+    .filter(term => /[\p{L}\p{N}]/u.test(term))
+    .slice(0, 10);
+
+  return terms.length ? terms.map(term => `"${term}"*`).join(' ') : null;
+}
@@ -4,6 +4,50 @@ import Database from 'better-sqlite3';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import {
+  NONCE_TTL,
+  SESSION_TTL,
+  normalizeAddress,
+  generateNonce,
+  generateToken,
+  hashToken,
+  buildSignInMessage,
+  verifyWalletSignature
+} from './auth.js';
+import {
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  createAttemptLimiter
+} from './passwords.js';
+import { BUCKETS, buildAccessEvent, hashIp } from './analytics.js';
+import { fetchLinkPreview, parsePreviewOverrides, isPreviewBot } from './previews.js';
+import { encodeCursor, decodeCursor, buildMatchQuery } from './search.js';
+import { ROLES, hasPermission, parseAdminAllowlist } from './roles.js';
+import { parseCsv, toCsvRow } from './csv.js';
+import { parseTags, parseTagName } from './tags.js';
+import { MAX_FOLDER_DEPTH, parseFolderName, parseFolderId } from './folders.js';
+import { parseQrOptions, renderQrCode, loadQrLogo } from './qr.js';
+import { parseUtm, applyUtm } from './utm.js';
+import { parseRateLimit, createTokenBucket, createRepeatWindow } from './ratelimit.js';
+import { canonicalizeUrl } from './canonical.js';
+import { toCidV1, verifyPinnedCid } from './cid.js';
+import { PENDING_PIN_STATUSES, PIN_STATUSES, createPinningBackend } from './pinning.js';
+import { receiveUpload, removeUpload } from './uploads.js';
+import {
+  validateDestinationUrl,
+  createBlocklist,
+  loadBlocklist,
+  createThreatIntelProvider
+} from './safety.js';
+import {
+  renderMessagePage,
+  renderUnavailablePage,
+  renderUnlockPage,
+  renderLinkPreviewPage,
+  renderLinkWarningPage,
+  renderMediaPage
+} from './pages.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -11,299 +55,3070 @@ const __dirname = dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Status used by GET /l/:shortCode (301 permanent, 302 or 307 temporary)
+const REDIRECT_STATUSES = [301, 302, 307];
+const REDIRECT_STATUS = REDIRECT_STATUSES.includes(Number(process.env.REDIRECT_STATUS))
+  ? Number(process.env.REDIRECT_STATUS)
+  : 302;
+
+// How long clients may cache a redirect. Cached redirects are not counted as clicks,
+// so the default is to not cache at all.
+const REDIRECT_CACHE_MAX_AGE = Math.max(0, parseInt(process.env.REDIRECT_CACHE_MAX_AGE, 10) || 0);
+
+// Public origin of short URLs and the gateway used for media served by /m/:shortCode
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+const IPFS_GATEWAY = process.env.IPFS_GATEWAY || 'https://ipfs.io/ipfs/';
+
+// Fetch the title/description/image of link targets for previews (LINK_PREVIEWS=false to disable)
+const LINK_PREVIEWS_ENABLED = process.env.LINK_PREVIEWS !== 'false';
+const LINK_PREVIEW_TTL = 24 * 60 * 60;
+
+// PNG drawn in the center of QR codes requested with ?logo=1 (default: a built-in mark)
+const QR_LOGO = process.env.QR_LOGO_PATH ? loadQrLogo(process.env.QR_LOGO_PATH) : null;
+
+// Domains and URL patterns that cannot be shortened, one per line (see safety.js)
+const BLOCKLIST = process.env.BLOCKLIST_PATH ? loadBlocklist(process.env.BLOCKLIST_PATH) : createBlocklist();
+
+// Optional reputation lookups for link destinations, and how often a verdict is refreshed
+const THREAT_INTEL = await createThreatIntelProvider(process.env);
+const THREAT_INTEL_RECHECK = Math.max(60, parseInt(process.env.THREAT_INTEL_RECHECK_SECONDS, 10) || 24 * 60 * 60);
+
+// Drop tracking parameters (utm_*, fbclid, gclid, ...) from the canonical form used to recognise equivalent links
+const CANONICAL_OPTIONS = { stripTracking: process.env.CANONICAL_STRIP_TRACKING === 'true' };
+
+// Where POST /api/media/upload stores files (see pinning.js), and the largest file it accepts
+const PINNING = createPinningBackend(process.env, { defaultDir: join(__dirname, 'ipfs-data') });
+const MAX_UPLOAD_BYTES = (parseInt(process.env.MAX_UPLOAD_MB, 10) || 50) * 1024 * 1024;
+// How often a queued or in-progress pin is checked again
+const PIN_STATUS_RECHECK = Math.max(10, parseInt(process.env.PIN_STATUS_RECHECK_SECONDS, 10) || 60);
+
+// Wallets with the admin role regardless of the admins table
+const ADMIN_WALLETS = parseAdminAllowlist(process.env.ADMIN_WALLETS);
+
+// Most links accepted by one POST /api/links/bulk request
+const BULK_MAX_LINKS = 500;
+
+// Token-bucket rate limits as "requests/seconds" (or "off"), per client IP and per signed-in wallet.
+// Reads (GET, including redirects and media views) and writes (everything else) have separate budgets.
+const RATE_LIMITS = {
+  read: {
+    ip: parseRateLimit(process.env.RATE_LIMIT_READ_IP, '300/60'),
+    wallet: parseRateLimit(process.env.RATE_LIMIT_READ_WALLET, '600/60')
+  },
+  write: {
+    ip: parseRateLimit(process.env.RATE_LIMIT_WRITE_IP, '30/60'),
+    wallet: parseRateLimit(process.env.RATE_LIMIT_WRITE_WALLET, '60/60')
+  }
+};
+
+// Repeated clicks or views of the same content by the same client within this many seconds
+// are not counted (0 counts every hit)
+const VISIT_DEDUPE_SECONDS = Math.max(0, parseInt(process.env.VISIT_DEDUPE_SECONDS ?? '30', 10) || 0);
+
+// Behind a reverse proxy, take client IPs from X-Forwarded-For: a hop count, "true" or an Express trust value
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware
-app.use(cors());
+// Browsers hide response headers from cross-origin scripts unless they are exposed:
+// exports name their file in Content-Disposition, and clients back off using the rate limit headers
+app.use(cors({
+  exposedHeaders: [
+    'Content-Disposition', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset'
+  ]
+}));
+// Bulk imports may be larger than the default 100kb, and may be sent as CSV
+app.use('/api/links/bulk', express.json({ limit: '2mb' }), express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }));
 app.use(express.json());
 
-// Initialize SQLite database
-const db = new Database(join(__dirname, 'linkio.db'));
+// Initialize SQLite database (DB_PATH, e.g. ":memory:" for tests, defaults to api/linkio.db)
+const db = new Database(process.env.DB_PATH || join(__dirname, 'linkio.db'));
+
+// Create tables
+db.exec(`
+  CREATE TABLE IF NOT EXISTS links (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    short_code TEXT UNIQUE NOT NULL,
+    original_url TEXT NOT NULL,
+    creator TEXT DEFAULT 'anonymous',
+    created_at INTEGER NOT NULL,
+    clicks INTEGER DEFAULT 0
+  );
+
+  CREATE TABLE IF NOT EXISTS media (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    short_code TEXT UNIQUE NOT NULL,
+    ipfs_hash TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    file_type TEXT NOT NULL,
+    file_size INTEGER NOT NULL,
+    creator TEXT DEFAULT 'anonymous',
+    created_at INTEGER NOT NULL,
+    views INTEGER DEFAULT 0
+  );
+
+  CREATE TABLE IF NOT EXISTS auth_nonces (
+    nonce TEXT PRIMARY KEY,
+    address TEXT NOT NULL,
+    message TEXT NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    wallet TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS access_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    content_type TEXT NOT NULL,
+    short_code TEXT NOT NULL,
+    occurred_at INTEGER NOT NULL,
+    referrer TEXT,
+    user_agent TEXT,
+    device TEXT,
+    browser TEXT,
+    ip_hash TEXT,
+    language TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS link_previews (
+    url TEXT PRIMARY KEY,
+    title TEXT,
+    description TEXT,
+    image TEXT,
+    error TEXT,
+    fetched_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS link_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    short_code TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    original_url TEXT NOT NULL,
+    preview_title TEXT,
+    preview_description TEXT,
+    preview_image TEXT,
+    activate_at INTEGER,
+    expires_at INTEGER,
+    max_clicks INTEGER,
+    disabled_at INTEGER,
+    edited_by TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    UNIQUE (short_code, revision)
+  );
+
+  CREATE TABLE IF NOT EXISTS admins (
+    wallet TEXT PRIMARY KEY,
+    role TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    created_by TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS banned_wallets (
+    wallet TEXT PRIMARY KEY,
+    reason TEXT,
+    banned_by TEXT NOT NULL,
+    banned_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    admin_wallet TEXT NOT NULL,
+    action TEXT NOT NULL,
+    target_type TEXT NOT NULL,
+    target_id TEXT NOT NULL,
+    details TEXT,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at, id);
+  CREATE INDEX IF NOT EXISTS idx_access_events_content ON access_events(content_type, short_code, occurred_at);
+  CREATE INDEX IF NOT EXISTS idx_links_creator ON links(creator);
+  CREATE INDEX IF NOT EXISTS idx_media_creator ON media(creator);
+  CREATE INDEX IF NOT EXISTS idx_links_created ON links(created_at, id);
+  CREATE INDEX IF NOT EXISTS idx_media_created ON media(created_at, id);
+  CREATE INDEX IF NOT EXISTS idx_links_short_code ON links(short_code);
+  CREATE INDEX IF NOT EXISTS idx_media_short_code ON media(short_code);
+`);
+
+// Add a column introduced after the initial schema to existing databases
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Link availability window and click cap (NULL = unrestricted)
+addColumnIfMissing('links', 'activate_at', 'INTEGER');
+addColumnIfMissing('links', 'expires_at', 'INTEGER');
+addColumnIfMissing('links', 'max_clicks', 'INTEGER');
+
+// Optional scrypt password hash protecting the target (NULL = public)
+addColumnIfMissing('links', 'password_hash', 'TEXT');
+addColumnIfMissing('media', 'password_hash', 'TEXT');
+
+// Creator overrides for social previews (NULL = derived from the target or file)
+for (const table of ['links', 'media']) {
+  addColumnIfMissing(table, 'preview_title', 'TEXT');
+  addColumnIfMissing(table, 'preview_description', 'TEXT');
+  addColumnIfMissing(table, 'preview_image', 'TEXT');
+}
+
+/**
+ * Keep an FTS5 index "<table>_fts" over the given columns in sync with the table.
+ * The index is rebuilt whenever its column list changes.
+ */
+const SEARCH_INDEXES = new Set();
+
+function createSearchIndex(table, columns) {
+  const fts = `${table}_fts`;
+  SEARCH_INDEXES.add(table);
+  const createSql = `CREATE VIRTUAL TABLE ${fts} USING fts5(${columns.join(', ')}, content='${table}', content_rowid='id')`;
+  const existing = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(fts);
+  if (existing && existing.sql === createSql) return;
+
+  const newValues = columns.map(c => `new.${c}`).join(', ');
+  const oldValues = columns.map(c => `old.${c}`).join(', ');
+
+  db.transaction(() => {
+    db.exec(`
+      DROP TABLE IF EXISTS ${fts};
+      DROP TRIGGER IF EXISTS ${fts}_insert;
+      DROP TRIGGER IF EXISTS ${fts}_delete;
+      DROP TRIGGER IF EXISTS ${fts}_update;
+
+      ${createSql};
+
+      CREATE TRIGGER ${fts}_insert AFTER INSERT ON ${table} BEGIN
+        INSERT INTO ${fts}(rowid, ${columns.join(', ')}) VALUES (new.id, ${newValues});
+      END;
+      CREATE TRIGGER ${fts}_delete AFTER DELETE ON ${table} BEGIN
+        INSERT INTO ${fts}(${fts}, rowid, ${columns.join(', ')}) VALUES ('delete', old.id, ${oldValues});
+      END;
+      CREATE TRIGGER ${fts}_update AFTER UPDATE OF ${columns.join(', ')} ON ${table} BEGIN
+        INSERT INTO ${fts}(${fts}, rowid, ${columns.join(', ')}) VALUES ('delete', old.id, ${oldValues});
+        INSERT INTO ${fts}(rowid, ${columns.join(', ')}) VALUES (new.id, ${newValues});
+      END;
+
+      INSERT INTO ${fts}(${fts}) VALUES ('rebuild');
+    `);
+  })();
+}
+
+// Campaign marker of an access, e.g. "qr" for scans of generated QR codes
+addColumnIfMissing('access_events', 'source', 'TEXT');
+
+// Tags and folders belong to a wallet. Content is tagged many-to-many through content_tags
+// and filed in at most one folder; folders nest through parent_id (NULL = top level).
+const hasContentTags = !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'content_tags'").get();
+db.exec(`
+  CREATE TABLE IF NOT EXISTS tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner TEXT NOT NULL,
+    name TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    UNIQUE(owner, name)
+  );
+
+  CREATE TABLE IF NOT EXISTS content_tags (
+    tag_id INTEGER NOT NULL,
+    content_type TEXT NOT NULL,
+    content_id INTEGER NOT NULL,
+    PRIMARY KEY (tag_id, content_type, content_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_content_tags_content ON content_tags(content_type, content_id);
+
+  CREATE TABLE IF NOT EXISTS folders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner TEXT NOT NULL,
+    name TEXT NOT NULL,
+    parent_id INTEGER,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_folders_name ON folders(owner, COALESCE(parent_id, 0), name);
+`);
+
+// Comma separated tag names, a copy of content_tags kept for display, export and search
+for (const table of ['links', 'media']) {
+  addColumnIfMissing(table, 'tags', 'TEXT');
+  addColumnIfMissing(table, 'folder_id', 'INTEGER');
+}
+
+// Links were tagged through the tags column alone before content_tags existed
+if (!hasContentTags) {
+  const tagged = db.prepare('SELECT id, creator, tags, created_at FROM links WHERE tags IS NOT NULL').all();
+  const createTag = db.prepare('INSERT OR IGNORE INTO tags (owner, name, created_at) VALUES (?, ?, ?)');
+  const tagLink = db.prepare(`
+    INSERT OR IGNORE INTO content_tags (tag_id, content_type, content_id)
+    SELECT id, 'link', ? FROM tags WHERE owner = ? AND name = ?
+  `);
+  db.transaction(() => {
+    for (const link of tagged) {
+      for (const name of link.tags.split(',')) {
+        createTag.run(link.creator, name, link.created_at);
+        tagLink.run(link.id, link.creator, name);
+      }
+    }
+  })();
+}
+
+// Pin state of files uploaded through the API: the backend holding them, its last reported
+// status (see PIN_STATUSES) and when that was checked. NULL for media saved by CID alone.
+addColumnIfMissing('media', 'pin_backend', 'TEXT');
+addColumnIfMissing('media', 'pin_status', 'TEXT');
+addColumnIfMissing('media', 'pin_checked_at', 'INTEGER');
+
+// 1 when the CID was checked against the file's bytes on upload; media saved by CID alone is unverified
+addColumnIfMissing('media', 'content_verified', 'INTEGER NOT NULL DEFAULT 0');
+
+// Media CIDs are stored as CIDv1 base32. Older rows may hold CIDv0 or other encodings; ones that
+// do not parse at all (saved before CIDs were validated) are left as they are.
+{
+  const stored = db.prepare("SELECT id, ipfs_hash FROM media WHERE ipfs_hash NOT LIKE 'b%'").all();
+  const normalize = db.prepare('UPDATE media SET ipfs_hash = ? WHERE id = ?');
+  db.transaction(() => {
+    for (const { id, ipfs_hash } of stored) {
+      const cid = toCidV1(ipfs_hash);
+      if (cid) normalize.run(cid, id);
+    }
+  })();
+}
+
+// Set while the owner has switched a link off (NULL = enabled)
+addColumnIfMissing('links', 'disabled_at', 'INTEGER');
+
+// UTM parameters (JSON, see utm.js) merged into the target at redirect time
+addColumnIfMissing('links', 'utm', 'TEXT');
+
+// Campaigns group a creator's links for aggregated reporting
+db.exec(`
+  CREATE TABLE IF NOT EXISTS campaigns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner TEXT NOT NULL,
+    name TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    UNIQUE(owner, name)
+  );
+`);
+addColumnIfMissing('links', 'campaign_id', 'INTEGER');
+db.exec('CREATE INDEX IF NOT EXISTS idx_links_campaign ON links(campaign_id)');
+
+// Threat-intel verdict of the destination: why it was flagged (NULL = not flagged) and when it was last looked up
+addColumnIfMissing('links', 'flag_reason', 'TEXT');
+addColumnIfMissing('links', 'flagged_at', 'INTEGER');
+addColumnIfMissing('links', 'threat_checked_at', 'INTEGER');
+
+// Canonical form of the destination (see canonical.js), for finding equivalent links
+addColumnIfMissing('links', 'canonical_url', 'TEXT');
+db.exec('CREATE INDEX IF NOT EXISTS idx_links_creator_canonical ON links(creator, canonical_url)');
+{
+  const missing = db.prepare('SELECT id, original_url FROM links WHERE canonical_url IS NULL').all();
+  const update = db.prepare('UPDATE links SET canonical_url = ? WHERE id = ?');
+  db.transaction(() => {
+    for (const row of missing) {
+      update.run(canonicalizeUrl(row.original_url, CANONICAL_OPTIONS) ?? row.original_url, row.id);
+    }
+  })();
+}
+
+// Soft deletes: removed content keeps its row (and short code) so an admin can restore it
+for (const table of ['links', 'media']) {
+  addColumnIfMissing(table, 'deleted_at', 'INTEGER');
+  addColumnIfMissing(table, 'deleted_by', 'TEXT');
+}
+
+// Full-text search for listings
+createSearchIndex('links', ['short_code', 'original_url', 'preview_title', 'tags']);
+createSearchIndex('media', ['short_code', 'file_name', 'preview_title', 'tags']);
+
+// Failed password attempts are throttled per short code
+const unlockLimiter = createAttemptLimiter({ maxFailures: 5, windowSeconds: 15 * 60 });
+
+// Generate random short code
+function generateShortCode(length = 6) {
+  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  const bytes = crypto.randomBytes(length);
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += chars[bytes[i] % chars.length];
+  }
+  return result;
+}
+
+// Custom aliases: 3-32 letters, digits, hyphens or underscores, starting and ending alphanumeric
+const ALIAS_REGEX = /^[A-Za-z0-9][A-Za-z0-9_-]{1,30}[A-Za-z0-9]$/;
+
+// Aliases that would clash with app routes or be confusing as short codes
+const RESERVED_ALIASES = new Set([
+  'api', 'admin', 'l', 'm', 'auth', 'login', 'logout', 'static', 'assets',
+  'health', 'stats', 'app', 'www', 'dashboard', 'settings', 'help', 'about'
+]);
+
+// Returns an error message if the alias is not acceptable, otherwise null
+function validateAlias(alias) {
+  if (typeof alias !== 'string' || !ALIAS_REGEX.test(alias)) {
+    return 'Alias must be 3-32 characters using letters, numbers, hyphens or underscores, and start and end with a letter or number';
+  }
+  if (RESERVED_ALIASES.has(alias.toLowerCase())) {
+    return 'This alias is reserved';
+  }
+  return null;
+}
+
+// Use the requested alias if given, otherwise generate a unique random short code
+function resolveShortCode(table, alias) {
+  const checkStmt = db.prepare(`SELECT 1 FROM ${table} WHERE short_code = ?`);
+
+  if (alias !== undefined && alias !== null && alias !== '') {
+    const aliasError = validateAlias(alias);
+    if (aliasError) {
+      return { status: 400, error: aliasError };
+    }
+    if (checkStmt.get(alias)) {
+      return { status: 409, error: 'Alias is already taken' };
+    }
+    return { shortCode: alias };
+  }
+
+  let shortCode = generateShortCode();
+  while (checkStmt.get(shortCode)) {
+    shortCode = generateShortCode();
+  }
+  return { shortCode };
+}
+
+// Parse a ?limit= query value (at most 500)
+function parseLimit(value, defaultLimit = 10) {
+  const limit = parseInt(value, 10);
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, 500) : defaultLimit;
+}
+
+// Sortable columns of each listing, keyed by their ?sort= name
+const LIST_SORTS = {
+  links: { created: 'created_at', clicks: 'clicks' },
+  media: { created: 'created_at', views: 'views' },
+  admin_audit_log: { created: 'created_at' }
+};
+
+const FILE_TYPE_REGEX = /^[a-z0-9.+-]+(\/[a-z0-9.+-]+)?$/i;
+
+/**
+ * Parse the sort, cursor, search and filter query parameters of a listing:
+ * ?sort=created|clicks|views&order=desc|asc&limit=&cursor=&q=&from=&to=&fileType=
+ * @returns {{ list: object } | { error: string }}
+ */
+function parseListQuery(table, query, { defaultLimit = 10 } = {}) {
+  const sort = query.sort || 'created';
+  const column = LIST_SORTS[table][sort];
+  if (!column) {
+    return { error: `sort must be one of: ${Object.keys(LIST_SORTS[table]).join(', ')}` };
+  }
+
+  const order = query.order || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be "asc" or "desc"' };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor), sort);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  const filters = [];
+  const params = [];
+
+  const match = buildMatchQuery(query.q);
+  if (match && !SEARCH_INDEXES.has(table)) {
+    return { error: 'Search is not supported for this listing' };
+  }
+  if (match) {
+    filters.push(`id IN (SELECT rowid FROM ${table}_fts WHERE ${table}_fts MATCH ?)`);
+    params.push(match);
+  }
+
+  for (const [field, operator] of [['from', '>='], ['to', '<=']]) {
+    if (query[field] === undefined || query[field] === '') continue;
+    const value = Number(query[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: `${field} must be a unix timestamp in seconds` };
+    }
+    filters.push(`created_at ${operator} ?`);
+    params.push(value);
+  }
+
+  // "image" matches every image/* type, "image/png" only that type
+  if (table === 'media' && query.fileType) {
+    const fileType = String(query.fileType).toLowerCase();
+    if (!FILE_TYPE_REGEX.test(fileType)) {
+      return { error: 'fileType must be a MIME type such as "image" or "image/png"' };
+    }
+    if (fileType.includes('/')) {
+      filters.push('file_type = ?');
+      params.push(fileType);
+    } else {
+      filters.push('file_type LIKE ?');
+      params.push(`${fileType}/%`);
+    }
+  }
+
+  return {
+    list: { sort, column, order, cursor, filters, params, limit: parseLimit(query.limit, defaultLimit) }
+  };
+}
+
+/**
+ * Fetch one page of a listing using keyset pagination on (sort column, id)
+ * @param {string[]} where Extra conditions, e.g. ['creator = ?']
+ * @returns {{ rows: object[], nextCursor: string|null }}
+ */
+function listContent(table, where, whereParams, list) {
+  const { sort, column, order, cursor, limit } = list;
+  const conditions = [...where, ...list.filters];
+  const params = [...whereParams, ...list.params];
+
+  if (cursor) {
+    conditions.push(`(${column}, id) ${order === 'desc' ? '<' : '>'} (?, ?)`);
+    params.push(cursor.value, cursor.id);
+  }
+
+  const stmt = db.prepare(`
+    SELECT * FROM ${table}
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY ${column} ${order}, id ${order}
+    LIMIT ?
+  `);
+  const rows = stmt.all(...params, limit + 1);
+
+  // One extra row tells us whether there is another page
+  const hasMore = rows.length > limit;
+  if (hasMore) rows.pop();
+  const last = rows[rows.length - 1];
+
+  return { rows, nextCursor: hasMore ? encodeCursor(sort, last[column], last.id) : null };
+}
+
+// A concurrent insert can still claim the same short code between check and insert
+function isUniqueViolation(error) {
+  return error && error.code === 'SQLITE_CONSTRAINT_UNIQUE';
+}
+
+// Look up content that has not been deleted
+function findLink(shortCode) {
+  return db.prepare('SELECT * FROM links WHERE short_code = ? AND deleted_at IS NULL').get(shortCode);
+}
+
+function findMedia(shortCode) {
+  return db.prepare('SELECT * FROM media WHERE short_code = ? AND deleted_at IS NULL').get(shortCode);
+}
+
+// Map a links row to its API representation.
+// The target of a password-protected link is withheld unless reveal is set.
+function formatLink(link, { reveal = false } = {}) {
+  return {
+    shortCode: link.short_code,
+    originalUrl: link.password_hash && !reveal ? null : link.original_url,
+    canonicalUrl: link.password_hash && !reveal ? null : link.canonical_url,
+    creator: link.creator,
+    createdAt: link.created_at,
+    clicks: link.clicks,
+    activateAt: link.activate_at,
+    expiresAt: link.expires_at,
+    maxClicks: link.max_clicks,
+    passwordProtected: !!link.password_hash,
+    disabled: !!link.disabled_at,
+    tags: link.tags ? link.tags.split(',') : [],
+    folderId: link.folder_id,
+    utm: link.utm ? JSON.parse(link.utm) : null,
+    campaignId: link.campaign_id,
+    previewTitle: link.preview_title,
+    previewDescription: link.preview_description,
+    previewImage: link.preview_image
+  };
+}
+
+// The caller's newest live link to an equivalent destination with the same UTM parameters and campaign.
+// Only plain links qualify: protected, disabled, expired or used-up links are never reused.
+function findReusableLink(creator, canonicalUrl, utm, campaignId, now) {
+  return db.prepare(`
+    SELECT * FROM links
+    WHERE creator = ? AND canonical_url = ? AND utm IS ? AND campaign_id IS ?
+      AND deleted_at IS NULL AND disabled_at IS NULL AND password_hash IS NULL
+      AND (activate_at IS NULL OR activate_at <= ?)
+      AND (expires_at IS NULL OR expires_at > ?)
+      AND (max_clicks IS NULL OR clicks < max_clicks)
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  `).get(creator, canonicalUrl, utm ? JSON.stringify(utm) : null, campaignId, now, now);
+}
+
+// Where a link sends its visitors: the original URL with its UTM parameters merged in
+function linkTarget(link) {
+  return applyUtm(link.original_url, link.utm ? JSON.parse(link.utm) : null);
+}
+
+// Map a media row to its API representation.
+// The IPFS hash of password-protected media is withheld unless reveal is set.
+function formatMedia(media, { reveal = false } = {}) {
+  return {
+    shortCode: media.short_code,
+    ipfsHash: media.password_hash && !reveal ? null : media.ipfs_hash,
+    fileName: media.file_name,
+    fileType: media.file_type,
+    fileSize: media.file_size,
+    creator: media.creator,
+    createdAt: media.created_at,
+    views: media.views,
+    passwordProtected: !!media.password_hash,
+    tags: media.tags ? media.tags.split(',') : [],
+    folderId: media.folder_id,
+    pinStatus: media.pin_status,
+    verified: !!media.content_verified,
+    previewTitle: media.preview_title,
+    previewDescription: media.preview_description,
+    previewImage: media.preview_image
+  };
+}
+
+// Hash the optional password from a create request; returns { passwordHash } or { error }
+async function parsePassword(password) {
+  if (password === undefined || password === null || password === '') {
+    return { passwordHash: null };
+  }
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return { error: passwordError };
+  }
+  return { passwordHash: await hashPassword(password) };
+}
+
+// Check an unlock attempt; returns { status, body, retryAfter? } on failure, otherwise null
+async function checkUnlockPassword(key, password, passwordHash) {
+  const retryAfter = unlockLimiter.attempt(key);
+  if (retryAfter) {
+    return {
+      status: 429,
+      retryAfter,
+      body: { error: 'Too many incorrect attempts. Please try again later.', code: 'too_many_attempts', retryAfter }
+    };
+  }
+
+  if (!(await verifyPassword(password, passwordHash))) {
+    return { status: 401, body: { error: 'Incorrect password', code: 'invalid_password' } };
+  }
+
+  unlockLimiter.reset(key);
+  return null;
+}
+
+function sendUnlockFailure(res, failure) {
+  if (failure.retryAfter) {
+    res.set('Retry-After', String(failure.retryAfter));
+  }
+  res.status(failure.status).json(failure.body);
+}
+
+// Validate optional activateAt / expiresAt (unix seconds) and maxClicks
+function parseLinkLimits(body, now) {
+  const limits = { activateAt: null, expiresAt: null, maxClicks: null };
+
+  for (const field of ['activateAt', 'expiresAt', 'maxClicks']) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (!Number.isInteger(value) || value <= 0) {
+      return { error: `${field} must be a positive integer` };
+    }
+    limits[field] = value;
+  }
+
+  if (limits.expiresAt !== null && limits.expiresAt <= now) {
+    return { error: 'expiresAt must be in the future' };
+  }
+  if (limits.activateAt !== null && limits.expiresAt !== null && limits.activateAt >= limits.expiresAt) {
+    return { error: 'activateAt must be before expiresAt' };
+  }
+
+  return { limits };
+}
+
+const MAX_CAMPAIGN_NAME_LENGTH = 100;
+
+// Validate an optional campaign name; returns { campaignName } (null if unset) or { error }
+function parseCampaignName(value) {
+  if (value === undefined || value === null || value === '') {
+    return { campaignName: null };
+  }
+  if (typeof value !== 'string' || !value.trim() || value.trim().length > MAX_CAMPAIGN_NAME_LENGTH) {
+    return { error: `campaign must be a name of at most ${MAX_CAMPAIGN_NAME_LENGTH} characters` };
+  }
+  return { campaignName: value.trim() };
+}
+
+// Id of the owner's campaign with this name, or null if there is none
+function findCampaignId(owner, name) {
+  return db.prepare('SELECT id FROM campaigns WHERE owner = ? AND name = ?').get(owner, name)?.id ?? null;
+}
+
+// Id of the owner's campaign with this name, creating it on first use
+function findOrCreateCampaign(owner, name, now) {
+  db.prepare('INSERT OR IGNORE INTO campaigns (owner, name, created_at) VALUES (?, ?, ?)').run(owner, name, now);
+  return findCampaignId(owner, name);
+}
+
+const CONTENT_TABLES = { link: 'links', media: 'media' };
+
+// Recompute the tags column from content_tags for the content rows matching where
+function syncTagColumn(contentType, where, params) {
+  const table = CONTENT_TABLES[contentType];
+  db.prepare(`
+    UPDATE ${table} SET tags = (
+      SELECT group_concat(name, ',') FROM (
+        SELECT tags.name FROM content_tags JOIN tags ON tags.id = content_tags.tag_id
+        WHERE content_tags.content_type = ? AND content_tags.content_id = ${table}.id
+        ORDER BY tags.name
+      )
+    )
+    WHERE ${where}
+  `).run(contentType, ...params);
+}
+
+// Links and media carrying a tag, as { link: [ids], media: [ids] }
+function taggedContentIds(tagId) {
+  const ids = { link: [], media: [] };
+  const rows = db.prepare('SELECT content_type, content_id FROM content_tags WHERE tag_id = ?').all(tagId);
+  for (const row of rows) {
+    ids[row.content_type].push(row.content_id);
+  }
+  return ids;
+}
+
+function syncTaggedContent(ids) {
+  for (const [contentType, contentIds] of Object.entries(ids)) {
+    if (contentIds.length > 0) {
+      syncTagColumn(contentType, 'id IN (SELECT value FROM json_each(?))', [JSON.stringify(contentIds)]);
+    }
+  }
+}
+
+// Replace the tags of a link or media entry, creating its owner's tags on first use
+const setContentTags = db.transaction((contentType, content, names) => {
+  const now = Math.floor(Date.now() / 1000);
+  const createTag = db.prepare('INSERT OR IGNORE INTO tags (owner, name, created_at) VALUES (?, ?, ?)');
+  const tagContent = db.prepare(`
+    INSERT OR IGNORE INTO content_tags (tag_id, content_type, content_id)
+    SELECT id, ?, ? FROM tags WHERE owner = ? AND name = ?
+  `);
+
+  db.prepare('DELETE FROM content_tags WHERE content_type = ? AND content_id = ?').run(contentType, content.id);
+  for (const name of names) {
+    createTag.run(content.creator, name, now);
+    tagContent.run(contentType, content.id, content.creator, name);
+  }
+  syncTagColumn(contentType, 'id = ?', [content.id]);
+});
+
+function findFolder(owner, folderId) {
+  return db.prepare('SELECT * FROM folders WHERE id = ? AND owner = ?').get(folderId, owner);
+}
+
+// Number of folders from the top level down to folderId (a top-level folder has depth 1)
+function folderDepth(folderId) {
+  return db.prepare(`
+    WITH RECURSIVE ancestry(id, parent_id) AS (
+      SELECT id, parent_id FROM folders WHERE id = ?
+      UNION ALL
+      SELECT folders.id, folders.parent_id FROM folders JOIN ancestry ON folders.id = ancestry.parent_id
+    )
+    SELECT COUNT(*) AS depth FROM ancestry
+  `).get(folderId).depth;
+}
+
+// A folder and everything below it, with each folder's depth relative to it (the folder itself is 1)
+function folderSubtree(folderId) {
+  return db.prepare(`
+    WITH RECURSIVE subtree(id, depth) AS (
+      SELECT id, 1 FROM folders WHERE id = ?
+      UNION ALL
+      SELECT folders.id, subtree.depth + 1 FROM folders JOIN subtree ON folders.parent_id = subtree.id
+    )
+    SELECT id, depth FROM subtree
+  `).all(folderId);
+}
+
+// Check the folderId of a create request against the signed-in wallet's folders; returns { folderId } or { status, error }
+function resolveContentFolder(req) {
+  const { folderId, error } = parseFolderId(req.body.folderId);
+  if (error) {
+    return { status: 400, error };
+  }
+  if (folderId && !req.wallet) {
+    return { status: 401, error: 'Sign in to file content in folders' };
+  }
+  if (folderId && !findFolder(req.wallet, folderId)) {
+    return { status: 400, error: 'Folder not found' };
+  }
+  return { folderId };
+}
+
+/**
+ * Tag and folder filters for a wallet's listing:
+ * tag (comma separated names, all must match) and folder (a folder id, or "none" for unfiled content)
+ * @returns {{ filters: string[], params: any[] } | { error: string }}
+ */
+function parseOrganizeFilters(contentType, owner, query) {
+  const filters = [];
+  const params = [];
+
+  if (query.tag) {
+    const { tags, error } = parseTags(String(query.tag));
+    if (error) {
+      return { error };
+    }
+    for (const name of tags) {
+      filters.push(`id IN (
+        SELECT content_tags.content_id FROM content_tags JOIN tags ON tags.id = content_tags.tag_id
+        WHERE content_tags.content_type = ? AND tags.owner = ? AND tags.name = ?
+      )`);
+      params.push(contentType, owner, name);
+    }
+  }
+
+  if (query.folder === 'none') {
+    filters.push('folder_id IS NULL');
+  } else if (query.folder !== undefined && query.folder !== '') {
+    const folderId = Number(query.folder);
+    if (!Number.isInteger(folderId) || folderId < 1) {
+      return { error: 'folder must be a folder id or "none"' };
+    }
+    filters.push('folder_id = ?');
+    params.push(folderId);
+  }
+
+  return { filters, params };
+}
+
+// Returns { status, body } if the link cannot currently be followed, otherwise null
+function checkLinkAvailability(link, now) {
+  if (link.disabled_at) {
+    return {
+      status: 410,
+      body: { error: 'Link has been disabled by its owner', code: 'disabled' }
+    };
+  }
+  if (link.activate_at && now < link.activate_at) {
+    return {
+      status: 425,
+      body: { error: 'Link is not yet active', code: 'not_active', activateAt: link.activate_at }
+    };
+  }
+  if (link.expires_at && now >= link.expires_at) {
+    return {
+      status: 410,
+      body: { error: 'Link has expired', code: 'expired', expiresAt: link.expires_at }
+    };
+  }
+  if (link.max_clicks && link.clicks >= link.max_clicks) {
+    return {
+      status: 410,
+      body: { error: 'Link has reached its click limit', code: 'click_limit', maxClicks: link.max_clicks }
+    };
+  }
+  return null;
+}
+
+// Validate a destination and reject blocklisted ones; returns { url } or { error, code }
+function checkDestination(value) {
+  const { url, error } = validateDestinationUrl(value);
+  if (error) {
+    return { error, code: 'invalid_url' };
+  }
+  if (BLOCKLIST.match(url)) {
+    return { error: 'This destination is not allowed', code: 'blocked_url' };
+  }
+  return { url };
+}
+
+// Reason to warn visitors before sending them on: a threat-intel flag, or a blocklist
+// entry added after the link was created. Returns null for links that are not flagged.
+function linkWarning(link) {
+  if (link.flag_reason) {
+    return { code: 'flagged', reason: link.flag_reason };
+  }
+  if (BLOCKLIST.match(link.original_url)) {
+    return { code: 'flagged', reason: 'Blocked by this site' };
+  }
+  return null;
+}
+
+// In-flight threat-intel lookups by link id
+const pendingThreatChecks = new Map();
+
+// Look the destination up with the threat-intel provider in the background and store the verdict.
+// Links are checked when created or retargeted, then again on visits once the verdict is stale.
+// Resolves once the verdict is stored (or the lookup failed or was not needed).
+function scheduleThreatCheck(link) {
+  if (!THREAT_INTEL) return Promise.resolve();
+  if (pendingThreatChecks.has(link.id)) return pendingThreatChecks.get(link.id);
+  const now = Math.floor(Date.now() / 1000);
+  if (link.threat_checked_at && now - link.threat_checked_at < THREAT_INTEL_RECHECK) return Promise.resolve();
+
+  const pending = THREAT_INTEL.lookup(link.original_url)
+    .then((verdict) => {
+      // Skip the update if the link was retargeted while the lookup ran
+      db.prepare(`
+        UPDATE links SET flag_reason = ?, flagged_at = ?, threat_checked_at = ?
+        WHERE id = ? AND original_url = ?
+      `).run(
+        verdict ? verdict.reason : null,
+        verdict ? link.flagged_at || now : null,
+        Math.floor(Date.now() / 1000),
+        link.id, link.original_url
+      );
+    })
+    .catch((error) => {
+      console.error(`Threat-intel lookup failed (${THREAT_INTEL.name}):`, error.message);
+    })
+    .finally(() => pendingThreatChecks.delete(link.id));
+  pendingThreatChecks.set(link.id, pending);
+  return pending;
+}
+
+const pendingPinChecks = new Set();
+
+// Ask the pinning backend for the current status of a file and store it; resolves to the status
+async function checkPinStatus(media) {
+  const status = await PINNING.status(media.ipfs_hash);
+  db.prepare('UPDATE media SET pin_status = ?, pin_checked_at = ? WHERE ipfs_hash = ? AND pin_backend = ?')
+    .run(status, Math.floor(Date.now() / 1000), media.ipfs_hash, PINNING.name);
+  return status;
+}
+
+// Pins the backend has queued or is still working on are checked again in the background
+// when the media is requested, at most every PIN_STATUS_RECHECK seconds
+function schedulePinCheck(media) {
+  if (media.pin_backend !== PINNING.name || !PENDING_PIN_STATUSES.includes(media.pin_status)) return;
+  if (pendingPinChecks.has(media.ipfs_hash)) return;
+  const now = Math.floor(Date.now() / 1000);
+  if (media.pin_checked_at && now - media.pin_checked_at < PIN_STATUS_RECHECK) return;
+
+  pendingPinChecks.add(media.ipfs_hash);
+  checkPinStatus(media)
+    .catch((error) => {
+      console.error(`Pin status check failed (${PINNING.name}):`, error.message);
+    })
+    .finally(() => pendingPinChecks.delete(media.ipfs_hash));
+}
+
+// Columns owners can edit; every revision stores a snapshot of them
+const LINK_REVISION_COLUMNS = [
+  'original_url', 'preview_title', 'preview_description', 'preview_image',
+  'activate_at', 'expires_at', 'max_clicks', 'disabled_at'
+];
+
+/**
+ * Validate a PATCH body against the current link. Omitted fields stay unchanged,
+ * null clears an optional field.
+ * @returns {{ changes: object } | { error: string }} changes maps column names to new values
+ */
+function parseLinkChanges(body, link, now) {
+  const changes = {};
+
+  if ('originalUrl' in body) {
+    const { url, error, code } = checkDestination(body.originalUrl);
+    if (error) {
+      return { error, code };
+    }
+    changes.original_url = url;
+  }
+
+  const { preview, error: previewError } = parsePreviewOverrides(body);
+  if (previewError) {
+    return { error: previewError };
+  }
+  for (const [field, key, column] of [
+    ['previewTitle', 'title', 'preview_title'],
+    ['previewDescription', 'description', 'preview_description'],
+    ['previewImage', 'image', 'preview_image']
+  ]) {
+    if (field in body) changes[column] = preview[key];
+  }
+
+  for (const [field, column] of [['activateAt', 'activate_at'], ['expiresAt', 'expires_at'], ['maxClicks', 'max_clicks']]) {
+    if (!(field in body)) continue;
+    const value = body[field];
+    if (value === null || value === '') {
+      changes[column] = null;
+    } else if (!Number.isInteger(value) || value <= 0) {
+      return { error: `${field} must be a positive integer or null` };
+    } else {
+      changes[column] = value;
+    }
+  }
+
+  if (changes.expires_at && changes.expires_at <= now) {
+    return { error: 'expiresAt must be in the future' };
+  }
+  const activateAt = 'activate_at' in changes ? changes.activate_at : link.activate_at;
+  const expiresAt = 'expires_at' in changes ? changes.expires_at : link.expires_at;
+  if (activateAt && expiresAt && activateAt >= expiresAt) {
+    return { error: 'activateAt must be before expiresAt' };
+  }
+
+  if ('disabled' in body) {
+    if (typeof body.disabled !== 'boolean') {
+      return { error: 'disabled must be true or false' };
+    }
+    changes.disabled_at = body.disabled ? (link.disabled_at || now) : null;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'No changes given' };
+  }
+
+  return { changes };
+}
+
+// Store a snapshot of the link's editable fields as its next revision
+function recordLinkRevision(link, editedBy, createdAt) {
+  const { revision } = db.prepare(
+    'SELECT COALESCE(MAX(revision), 0) + 1 AS revision FROM link_revisions WHERE short_code = ?'
+  ).get(link.short_code);
+
+  db.prepare(`
+    INSERT INTO link_revisions (short_code, revision, ${LINK_REVISION_COLUMNS.join(', ')}, edited_by, created_at)
+    VALUES (?, ?, ${LINK_REVISION_COLUMNS.map(() => '?').join(', ')}, ?, ?)
+  `).run(link.short_code, revision, ...LINK_REVISION_COLUMNS.map(c => link[c]), editedBy, createdAt);
+
+  return revision;
+}
+
+/**
+ * Apply changes to a link and record the result as a new revision.
+ * Links edited for the first time get their original state recorded as revision 1.
+ * @returns {{ link: object, revision: number }}
+ */
+const applyLinkChanges = db.transaction((link, changes, editedBy) => {
+  const hasHistory = db.prepare('SELECT 1 FROM link_revisions WHERE short_code = ?').get(link.short_code);
+  if (!hasHistory) {
+    recordLinkRevision(link, link.creator, link.created_at);
+  }
+
+  // A new destination needs a new canonical form and threat-intel verdict
+  const update = 'original_url' in changes && changes.original_url !== link.original_url
+    ? {
+      ...changes,
+      canonical_url: canonicalizeUrl(changes.original_url, CANONICAL_OPTIONS),
+      flag_reason: null,
+      flagged_at: null,
+      threat_checked_at: null
+    }
+    : changes;
+
+  const columns = Object.keys(update);
+  db.prepare(`UPDATE links SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`)
+    .run(...columns.map(c => update[c]), link.id);
+
+  const updated = db.prepare('SELECT * FROM links WHERE id = ?').get(link.id);
+  const revision = recordLinkRevision(updated, editedBy, Math.floor(Date.now() / 1000));
+  return { link: updated, revision };
+});
+
+function formatRevision(row) {
+  return {
+    revision: row.revision,
+    originalUrl: row.original_url,
+    previewTitle: row.preview_title,
+    previewDescription: row.preview_description,
+    previewImage: row.preview_image,
+    activateAt: row.activate_at,
+    expiresAt: row.expires_at,
+    maxClicks: row.max_clicks,
+    disabled: !!row.disabled_at,
+    editedBy: row.edited_by,
+    createdAt: row.created_at
+  };
+}
+
+// Increment clicks, re-checking the cap so concurrent clicks cannot overshoot it.
+// Returns false if the click limit has been reached.
+function incrementClicks(link) {
+  const stmt = db.prepare(`
+    UPDATE links SET clicks = clicks + 1
+    WHERE short_code = ? AND (max_clicks IS NULL OR clicks < max_clicks)
+  `);
+  return stmt.run(link.short_code).changes > 0;
+}
+
+const repeatVisits = VISIT_DEDUPE_SECONDS > 0 ? createRepeatWindow(VISIT_DEDUPE_SECONDS) : null;
+
+// True if the same client (IP and user agent) already clicked or viewed the content within the dedupe window
+function isRepeatVisit(contentType, shortCode, req) {
+  if (!repeatVisits) return false;
+  return repeatVisits.isRepeat(`${contentType}:${shortCode}:${hashIp(req.ip)}:${req.get('User-Agent') || ''}`);
+}
+
+// Count a click and record it for analytics, unless it repeats a recent one.
+// Returns false if the click limit has been reached.
+function trackClick(link, req) {
+  if (isRepeatVisit('link', link.short_code, req)) return true;
+  if (!incrementClicks(link)) return false;
+  recordAccess('link', link.short_code, req);
+  return true;
+}
+
+// Count a view and record it for analytics, unless it repeats a recent one.
+// Returns the media row with its updated view count.
+function trackView(media, req) {
+  if (isRepeatVisit('media', media.short_code, req)) return media;
+  db.prepare('UPDATE media SET views = views + 1 WHERE short_code = ?').run(media.short_code);
+  recordAccess('media', media.short_code, req);
+  return { ...media, views: media.views + 1 };
+}
+
+function clickLimitReached(link) {
+  return { error: 'Link has reached its click limit', code: 'click_limit', maxClicks: link.max_clicks };
+}
+
+const PASSWORD_REQUIRED = { error: 'Password required', code: 'password_required' };
+
+// Links with an availability window or click cap must be re-checked on every request
+function redirectCacheControl(link) {
+  const limited = link.activate_at || link.expires_at || link.max_clicks;
+  if (!REDIRECT_CACHE_MAX_AGE || limited) {
+    return 'no-store';
+  }
+  const scope = REDIRECT_STATUS === 301 ? 'public' : 'private';
+  return `${scope}, max-age=${REDIRECT_CACHE_MAX_AGE}`;
+}
+
+// Absolute URL of a short URL path, e.g. "/m/abc123"
+function publicUrl(req, path) {
+  return `${PUBLIC_URL || `${req.protocol}://${req.get('host')}`}${path}`;
+}
+
+// In-flight preview fetches, so concurrent requests for one URL share a fetch
+const pendingPreviews = new Map();
+
+// Fetch and cache the preview of a URL; failures are cached too so they are not retried every request
+function refreshLinkPreview(url) {
+  if (pendingPreviews.has(url)) return pendingPreviews.get(url);
+
+  const upsert = db.prepare(`
+    INSERT INTO link_previews (url, title, description, image, error, fetched_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(url) DO UPDATE SET
+      title = excluded.title, description = excluded.description, image = excluded.image,
+      error = excluded.error, fetched_at = excluded.fetched_at
+  `);
+
+  const pending = fetchLinkPreview(url)
+    .then(({ title, description, image }) => {
+      upsert.run(url, title, description, image, null, Math.floor(Date.now() / 1000));
+    })
+    .catch((error) => {
+      upsert.run(url, null, null, null, String(error.message).slice(0, 200), Math.floor(Date.now() / 1000));
+    })
+    .finally(() => pendingPreviews.delete(url));
+
+  pendingPreviews.set(url, pending);
+  return pending;
+}
+
+// Warm the preview cache of a new or retargeted link so the first share already unfurls.
+// Password-protected and flagged targets are never fetched, so this waits for the threat-intel verdict.
+function warmLinkPreview(link) {
+  if (!LINK_PREVIEWS_ENABLED || link.password_hash) return;
+  scheduleThreatCheck(link).then(() => {
+    const checked = db.prepare('SELECT * FROM links WHERE id = ?').get(link.id);
+    if (checked && checked.original_url === link.original_url && !linkWarning(checked)) {
+      refreshLinkPreview(checked.original_url);
+    }
+  });
+}
+
+// Preview of a link: creator overrides first, then the cached metadata of the target.
+// Targets of password-protected and flagged links are never fetched or exposed.
+async function getLinkPreview(link) {
+  const overrides = {
+    title: link.preview_title,
+    description: link.preview_description,
+    image: link.preview_image
+  };
+  if (link.password_hash || linkWarning(link) || !LINK_PREVIEWS_ENABLED) {
+    return overrides;
+  }
+
+  const selectStmt = db.prepare('SELECT * FROM link_previews WHERE url = ?');
+  let cached = selectStmt.get(link.original_url);
+  if (!cached || cached.fetched_at <= Math.floor(Date.now() / 1000) - LINK_PREVIEW_TTL) {
+    // A destination the threat-intel provider has not judged yet is only fetched once it is cleared
+    if (THREAT_INTEL && !link.threat_checked_at) {
+      await scheduleThreatCheck(link);
+      const checked = db.prepare('SELECT * FROM links WHERE id = ?').get(link.id);
+      if (!checked || linkWarning(checked)) return overrides;
+    }
+    await refreshLinkPreview(link.original_url);
+    cached = selectStmt.get(link.original_url);
+  }
+
+  return {
+    title: overrides.title || cached?.title || null,
+    description: overrides.description || cached?.description || null,
+    image: overrides.image || cached?.image || null
+  };
+}
+
+function mediaPreviewOverrides(media) {
+  return { title: media.preview_title, description: media.preview_description, image: media.preview_image };
+}
+
+// Render the viewer page, recording the view unless track is false (preview bots)
+function sendMediaPage(req, res, media, { track = true } = {}) {
+  if (track) {
+    media = trackView(media, req);
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.type('html').send(renderMediaPage(formatMedia(media, { reveal: true }), {
+    fileUrl: `${IPFS_GATEWAY}${media.ipfs_hash}`,
+    pageUrl: publicUrl(req, `/m/${media.short_code}`)
+  }));
+}
+
+// Record a click or view in the analytics event log
+function recordAccess(contentType, shortCode, req) {
+  const event = buildAccessEvent(req);
+  const stmt = db.prepare(`
+    INSERT INTO access_events (content_type, short_code, occurred_at, referrer, user_agent, device, browser, ip_hash, language, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  stmt.run(
+    contentType, shortCode, Math.floor(Date.now() / 1000),
+    event.referrer, event.userAgent, event.device, event.browser, event.ipHash, event.language, event.source
+  );
+}
+
+// Columns offered as top-N breakdowns, with the label used for missing values
+const ANALYTICS_BREAKDOWNS = {
+  referrers: { column: 'referrer', fallback: 'direct' },
+  devices: { column: 'device', fallback: 'unknown' },
+  browsers: { column: 'browser', fallback: 'unknown' },
+  languages: { column: 'language', fallback: 'unknown' },
+  sources: { column: 'source', fallback: 'none' }
+};
+
+const MAX_ANALYTICS_BUCKETS = 2000;
+
+// Build the analytics handler for links or media (?from=&to=&bucket=hour|day&top=, range inclusive)
+function analyticsRoute(contentType) {
+  const table = contentType === 'link' ? 'links' : 'media';
+  const label = contentType === 'link' ? 'Link' : 'Media';
+
+  return (req, res) => {
+    try {
+      const { shortCode } = req.params;
+      const content = db.prepare(`SELECT creator FROM ${table} WHERE short_code = ? AND deleted_at IS NULL`).get(shortCode);
+
+      if (!content) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+
+      // Anonymous content has no provable owner, so its analytics are public
+      if (content.creator !== 'anonymous' && req.wallet !== content.creator) {
+        return res.status(req.wallet ? 403 : 401).json({ error: 'Only the creator can view analytics' });
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const to = req.query.to !== undefined ? Number(req.query.to) : now;
+      const from = req.query.from !== undefined ? Number(req.query.from) : to - 7 * BUCKETS.day;
+      const bucket = req.query.bucket || 'day';
+      const top = Math.min(Math.max(parseInt(req.query.top, 10) || 10, 1), 50);
+
+      if (!Number.isInteger(from) || !Number.isInteger(to) || from >= to) {
+        return res.status(400).json({ error: 'from and to must be unix timestamps with from before to' });
+      }
+      if (!BUCKETS[bucket]) {
+        return res.status(400).json({ error: 'bucket must be "hour" or "day"' });
+      }
+
+      const size = BUCKETS[bucket];
+      const firstBucket = Math.floor(from / size) * size;
+      if ((to - firstBucket) / size > MAX_ANALYTICS_BUCKETS) {
+        return res.status(400).json({ error: 'Date range is too large for this bucket size' });
+      }
+
+      const where = 'content_type = ? AND short_code = ? AND occurred_at >= ? AND occurred_at <= ?';
+      const params = [contentType, shortCode, from, to];
+
+      const totals = db.prepare(`
+        SELECT COUNT(*) AS total, COUNT(DISTINCT ip_hash) AS uniqueVisitors
+        FROM access_events WHERE ${where}
+      `).get(...params);
+
+      const counts = new Map(db.prepare(`
+        SELECT occurred_at - (occurred_at % ?) AS bucket_start, COUNT(*) AS count
+        FROM access_events WHERE ${where}
+        GROUP BY bucket_start
+      `).all(size, ...params).map(row => [row.bucket_start, row.count]));
+
+      const series = [];
+      for (let t = firstBucket; t <= to; t += size) {
+        series.push({ timestamp: t, count: counts.get(t) || 0 });
+      }
+
+      const breakdowns = {};
+      for (const [name, { column, fallback }] of Object.entries(ANALYTICS_BREAKDOWNS)) {
+        breakdowns[name] = db.prepare(`
+          SELECT COALESCE(${column}, ?) AS value, COUNT(*) AS count
+          FROM access_events WHERE ${where}
+          GROUP BY value
+          ORDER BY count DESC, value ASC
+          LIMIT ?
+        `).all(fallback, ...params, top);
+      }
+
+      res.json({
+        shortCode,
+        type: contentType,
+        from,
+        to,
+        bucket,
+        total: totals.total,
+        uniqueVisitors: totals.uniqueVisitors,
+        series,
+        breakdowns
+      });
+    } catch (error) {
+      console.error('Error getting analytics:', error);
+      res.status(500).json({ error: 'Failed to get analytics' });
+    }
+  };
+}
+
+// ============ AUTH MIDDLEWARE ============
+
+// Resolve the verified wallet from a "Bearer <token>" session header
+function authenticate(req, res, next) {
+  req.wallet = null;
+  req.session = null;
+
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) return next();
+
+  const now = Math.floor(Date.now() / 1000);
+  const stmt = db.prepare('SELECT * FROM sessions WHERE token_hash = ? AND expires_at > ?');
+  const session = stmt.get(hashToken(match[1]), now);
+
+  if (session) {
+    req.session = session;
+    req.wallet = session.wallet;
+  }
+  next();
+}
+
+// Reject requests without a valid session
+function requireAuth(req, res, next) {
+  if (!req.wallet) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+// Only allow the creator of the link or media :shortCode through; sets req.link or req.media
+function requireContentOwner(contentType) {
+  const find = contentType === 'link' ? findLink : findMedia;
+  const label = contentType === 'link' ? 'Link' : 'Media';
+
+  return (req, res, next) => {
+    if (!req.wallet) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    const content = find(req.params.shortCode);
+    if (!content) {
+      return res.status(404).json({ error: `${label} not found` });
+    }
+    if (content.creator !== req.wallet) {
+      return res.status(403).json({ error: `You can only change your own ${contentType === 'link' ? 'links' : 'media'}` });
+    }
+    req[contentType] = content;
+    next();
+  };
+}
+
+/**
+ * Delete the owner's link or media. Like admin deletes this is a soft delete:
+ * the short code stops resolving but stays taken, and analytics are kept.
+ */
+function ownerDeleteRoute(contentType) {
+  const table = contentType === 'link' ? 'links' : 'media';
+  const label = contentType === 'link' ? 'Link' : 'Media';
+
+  return (req, res) => {
+    try {
+      db.prepare(`UPDATE ${table} SET deleted_at = ?, deleted_by = ? WHERE id = ?`)
+        .run(Math.floor(Date.now() / 1000), req.wallet, req[contentType].id);
+      res.json({ message: `${label} deleted` });
+    } catch (error) {
+      console.error(`Error deleting ${contentType}:`, error);
+      res.status(500).json({ error: `Failed to delete ${label.toLowerCase()}` });
+    }
+  };
+}
+
+// Only allow the verified owner of :walletAddress through
+function requireWalletOwner(req, res, next) {
+  if (!req.wallet) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (normalizeAddress(req.params.walletAddress) !== req.wallet) {
+    return res.status(403).json({ error: 'You can only access your own content' });
+  }
+  next();
+}
+
+// Role of a wallet: allowlisted wallets are admins, others come from the admins table
+function getAdminRole(wallet) {
+  if (!wallet) return null;
+  if (ADMIN_WALLETS.has(wallet)) return 'admin';
+  const row = db.prepare('SELECT role FROM admins WHERE wallet = ?').get(wallet);
+  return row ? row.role : null;
+}
+
+// Only allow signed-in admins whose role grants the permission through; sets req.admin
+function requireAdmin(permission) {
+  return (req, res, next) => {
+    if (!req.wallet) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    const role = getAdminRole(req.wallet);
+    if (!role) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    if (permission && !hasPermission(role, permission)) {
+      return res.status(403).json({ error: `The ${role} role cannot ${permission}` });
+    }
+    req.admin = { wallet: req.wallet, role };
+    next();
+  };
+}
+
+// Record an admin action in the audit log
+function logAdminAction(req, action, targetType, targetId, details = null) {
+  const stmt = db.prepare(`
+    INSERT INTO admin_audit_log (admin_wallet, action, target_type, target_id, details, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  stmt.run(
+    req.admin.wallet, action, targetType, targetId,
+    details ? JSON.stringify(details) : null, Math.floor(Date.now() / 1000)
+  );
+}
+
+function isBanned(wallet) {
+  return !!db.prepare('SELECT 1 FROM banned_wallets WHERE wallet = ?').get(wallet);
+}
+
+app.use(authenticate);
+
+const rateLimiters = Object.fromEntries(Object.entries(RATE_LIMITS).map(([kind, { ip, wallet }]) => [
+  kind,
+  { ip: ip && createTokenBucket(ip), wallet: wallet && createTokenBucket(wallet) }
+]));
+
+// Throttle clients by IP and, once signed in, by wallet. The X-RateLimit-* headers describe
+// whichever budget is closest to running out; an exhausted budget answers 429 with Retry-After.
+function rateLimit(req, res, next) {
+  if (req.method === 'OPTIONS') return next();
+
+  const { ip, wallet } = rateLimiters[req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write'];
+  const results = [
+    ip && { limit: ip.capacity, ...ip.take(req.ip) },
+    wallet && req.wallet && { limit: wallet.capacity, ...wallet.take(req.wallet) }
+  ].filter(Boolean);
+  if (results.length === 0) return next();
+
+  const denied = results.find(result => !result.allowed);
+  const tightest = denied || results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+  res.set({
+    'X-RateLimit-Limit': String(tightest.limit),
+    'X-RateLimit-Remaining': String(tightest.remaining),
+    'X-RateLimit-Reset': String(tightest.reset)
+  });
+
+  if (denied) {
+    res.set('Retry-After', String(denied.retryAfter));
+    if (!req.path.startsWith('/api/')) {
+      return res.status(429).type('html').send(
+        renderMessagePage('Slow Down', 'Too many requests. Please wait a moment and try again.')
+      );
+    }
+    return res.status(429).json({
+      error: 'Too many requests. Please slow down.',
+      code: 'rate_limited',
+      retryAfter: denied.retryAfter
+    });
+  }
+  next();
+}
+
+app.use(rateLimit);
+
+// ============ AUTH ROUTES ============
+
+// Issue a sign-in nonce and the message the wallet must sign
+app.post('/api/auth/nonce', (req, res) => {
+  try {
+    const address = normalizeAddress(req.body.address);
+
+    if (!address) {
+      return res.status(400).json({ error: 'A valid Solana or EVM wallet address is required' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    db.prepare('DELETE FROM auth_nonces WHERE expires_at <= ?').run(now);
+
+    const nonce = generateNonce();
+    const message = buildSignInMessage(address, nonce, now);
+    const expiresAt = now + NONCE_TTL;
+
+    const stmt = db.prepare(`
+      INSERT INTO auth_nonces (nonce, address, message, expires_at)
+      VALUES (?, ?, ?, ?)
+    `);
+    stmt.run(nonce, address, message, expiresAt);
+
+    res.json({ address, nonce, message, expiresAt });
+  } catch (error) {
+    console.error('Error creating nonce:', error);
+    res.status(500).json({ error: 'Failed to create nonce' });
+  }
+});
+
+// Verify the signed nonce and open a session
+app.post('/api/auth/verify', (req, res) => {
+  try {
+    const { nonce, signature } = req.body;
+    const address = normalizeAddress(req.body.address);
+
+    if (!address || !nonce || !signature) {
+      return res.status(400).json({ error: 'Address, nonce and signature are required' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const nonceRow = db.prepare('SELECT * FROM auth_nonces WHERE nonce = ?').get(nonce);
+
+    if (!nonceRow || nonceRow.address !== address || nonceRow.expires_at <= now) {
+      return res.status(401).json({ error: 'Nonce is invalid or has expired' });
+    }
+
+    // Nonces are single-use, whether or not the signature checks out
+    db.prepare('DELETE FROM auth_nonces WHERE nonce = ?').run(nonce);
+
+    if (!verifyWalletSignature(address, nonceRow.message, signature)) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    if (isBanned(address)) {
+      return res.status(403).json({ error: 'This wallet has been banned' });
+    }
+
+    db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(now);
+
+    const token = generateToken();
+    const expiresAt = now + SESSION_TTL;
+    const stmt = db.prepare(`
+      INSERT INTO sessions (token_hash, wallet, created_at, expires_at)
+      VALUES (?, ?, ?, ?)
+    `);
+    stmt.run(hashToken(token), address, now, expiresAt);
+
+    res.json({ token, address, expiresAt });
+  } catch (error) {
+    console.error('Error verifying signature:', error);
+    res.status(500).json({ error: 'Failed to verify signature' });
+  }
+});
+
+// Get the current session
+app.get('/api/auth/session', requireAuth, (req, res) => {
+  res.json({ address: req.session.wallet, expiresAt: req.session.expires_at });
+});
+
+// End the current session
+app.post('/api/auth/logout', requireAuth, (req, res) => {
+  try {
+    db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(req.session.token_hash);
+
+    res.json({ message: 'Signed out' });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+// ============ LINK ROUTES ============
+
+// Create short link
+app.post('/api/links', async (req, res) => {
+  try {
+    const { alias, password } = req.body;
+    const creator = req.wallet || 'anonymous';
+
+    const { url: originalUrl, error: urlError, code: urlCode } = checkDestination(req.body.originalUrl);
+    if (urlError) {
+      return res.status(400).json({ error: urlError, code: urlCode });
+    }
+
+    const createdAt = Math.floor(Date.now() / 1000);
+    const { limits, error: limitsError } = parseLinkLimits(req.body, createdAt);
+    if (limitsError) {
+      return res.status(400).json({ error: limitsError });
+    }
+
+    const { preview, error: previewError } = parsePreviewOverrides(req.body);
+    if (previewError) {
+      return res.status(400).json({ error: previewError });
+    }
+
+    const { tags, error: tagsError } = parseTags(req.body.tags);
+    if (tagsError) {
+      return res.status(400).json({ error: tagsError });
+    }
+
+    const { utm, error: utmError } = parseUtm(req.body.utm);
+    if (utmError) {
+      return res.status(400).json({ error: utmError });
+    }
+
+    // Links of signed-in creators join the campaign they name, or the one from utm.campaign
+    const { campaignName, error: campaignError } = parseCampaignName(req.body.campaign);
+    if (campaignError) {
+      return res.status(400).json({ error: campaignError });
+    }
+    if (campaignName && !req.wallet) {
+      return res.status(401).json({ error: 'Sign in to group links into campaigns' });
+    }
+    const campaign = req.wallet ? campaignName || utm?.campaign?.slice(0, MAX_CAMPAIGN_NAME_LENGTH) : null;
+
+    const { folderId, status: folderStatus, error: folderError } = resolveContentFolder(req);
+    if (folderError) {
+      return res.status(folderStatus).json({ error: folderError });
+    }
+
+    const { passwordHash, error: passwordError } = await parsePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    // With reuseExisting, hand back the caller's link to an equivalent URL instead of minting a new code.
+    // A custom alias or a password always asks for a new link.
+    const canonicalUrl = canonicalizeUrl(originalUrl, CANONICAL_OPTIONS);
+    if (req.body.reuseExisting === true) {
+      if (!req.wallet) {
+        return res.status(401).json({ error: 'Sign in to reuse your existing links' });
+      }
+      const campaignId = campaign ? findCampaignId(req.wallet, campaign) : null;
+      const existing = !alias && !passwordHash && (!campaign || campaignId)
+        && findReusableLink(req.wallet, canonicalUrl, utm, campaignId, createdAt);
+      if (existing) {
+        return res.json({ ...formatLink(existing, { reveal: true }), reused: true });
+      }
+    }
+
+    const { shortCode, status, error } = resolveShortCode('links', alias);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const stmt = db.prepare(`
+      INSERT INTO links (
+        short_code, original_url, canonical_url, creator, created_at, clicks, activate_at, expires_at, max_clicks,
+        password_hash, preview_title, preview_description, preview_image, folder_id, utm, campaign_id
+      )
+      VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const { lastInsertRowid } = stmt.run(
+      shortCode, originalUrl, canonicalUrl, creator, createdAt,
+      limits.activateAt, limits.expiresAt, limits.maxClicks, passwordHash,
+      preview.title, preview.description, preview.image, folderId,
+      utm ? JSON.stringify(utm) : null, campaign ? findOrCreateCampaign(creator, campaign, createdAt) : null
+    );
+    setContentTags('link', { id: lastInsertRowid, creator }, tags);
+
+    const link = findLink(shortCode);
+    scheduleThreatCheck(link);
+    warmLinkPreview(link);
+    res.json({ ...formatLink(link, { reveal: true }), reused: false });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'Alias is already taken' });
+    }
+    console.error('Error creating link:', error);
+    res.status(500).json({ error: 'Failed to create short link' });
+  }
+});
+
+// Bulk CSV columns, keyed by their lowercased header without spaces, dashes or underscores
+const BULK_CSV_COLUMNS = {
+  url: 'originalUrl',
+  originalurl: 'originalUrl',
+  alias: 'alias',
+  tags: 'tags',
+  activateat: 'activateAt',
+  expiresat: 'expiresAt',
+  expires: 'expiresAt',
+  expiry: 'expiresAt',
+  maxclicks: 'maxClicks'
+};
+
+/**
+ * Read the links of a bulk request: a JSON array (or { links: [...] }) or CSV with a header row
+ * @returns {{ rows: object[] } | { error: string }}
+ */
+function readBulkRows(req) {
+  let rows;
+  if (typeof req.body === 'string') {
+    const [header, ...records] = parseCsv(req.body);
+    const columns = (header || []).map(name => BULK_CSV_COLUMNS[name.toLowerCase().replace(/[\s_-]/g, '')]);
+    if (!columns.includes('originalUrl')) {
+      return { error: 'CSV must start with a header row containing a url column' };
+    }
+    rows = records.map(record => Object.fromEntries(
+      columns.map((column, i) => [column, record[i]?.trim()]).filter(([column]) => column)
+    ));
+  } else {
+    rows = Array.isArray(req.body) ? req.body : req.body?.links;
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object')) {
+      return { error: 'Send a JSON array of links, { "links": [...] } or CSV' };
+    }
+  }
+
+  if (rows.length === 0) {
+    return { error: 'No links to create' };
+  }
+  if (rows.length > BULK_MAX_LINKS) {
+    return { error: `At most ${BULK_MAX_LINKS} links can be created at once` };
+  }
+  return { rows };
+}
+
+// Dates in bulk rows may be unix seconds or ISO 8601; CSV numbers arrive as strings
+function parseBulkNumber(value, { date = false } = {}) {
+  if (typeof value !== 'string') return value;
+  const text = value.trim();
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+  const time = date ? Date.parse(text) : NaN;
+  return Number.isNaN(time) ? text : Math.floor(time / 1000);
+}
+
+/**
+ * Validate and insert bulk rows in one transaction. Invalid rows are reported and skipped;
+ * anything unexpected rolls the whole batch back.
+ * @returns {object[]} one result per row, in order
+ */
+const createBulkLinks = db.transaction((rows, creator, createdAt) => {
+  const insert = db.prepare(`
+    INSERT INTO links (
+      short_code, original_url, canonical_url, creator, created_at, clicks, activate_at, expires_at, max_clicks
+    )
+    VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?)
+  `);
+
+  return rows.map((row, index) => {
+    const input = row.originalUrl ?? row.url;
+    const { url: originalUrl, error: urlError } = checkDestination(input);
+    const result = { row: index + 1, originalUrl: originalUrl ?? input ?? null, alias: row.alias || null };
+    const fail = (error) => ({ ...result, status: 'failed', error });
+
+    if (urlError) {
+      return fail(urlError);
+    }
+
+    const { limits, error: limitsError } = parseLinkLimits({
+      activateAt: parseBulkNumber(row.activateAt, { date: true }),
+      expiresAt: parseBulkNumber(row.expiresAt, { date: true }),
+      maxClicks: parseBulkNumber(row.maxClicks)
+    }, createdAt);
+    if (limitsError) {
+      return fail(limitsError);
+    }
+
+    const { tags, error: tagsError } = parseTags(row.tags);
+    if (tagsError) {
+      return fail(tagsError);
+    }
+
+    const { shortCode, error } = resolveShortCode('links', row.alias);
+    if (error) {
+      return fail(error);
+    }
+
+    const { lastInsertRowid } = insert.run(
+      shortCode, originalUrl, canonicalizeUrl(originalUrl, CANONICAL_OPTIONS), creator, createdAt,
+      limits.activateAt, limits.expiresAt, limits.maxClicks
+    );
+    setContentTags('link', { id: lastInsertRowid, creator }, tags);
+    return { ...result, status: 'created', shortCode, tags, expiresAt: limits.expiresAt };
+  });
+});
+
+// Create many links at once from JSON or CSV (signed-in wallets only)
+app.post('/api/links/bulk', requireAuth, (req, res) => {
+  try {
+    const { rows, error } = readBulkRows(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const results = createBulkLinks(rows, req.wallet, Math.floor(Date.now() / 1000));
+    const created = results.filter(result => result.status === 'created').length;
+
+    for (const result of results) {
+      if (result.status !== 'created') continue;
+      const link = findLink(result.shortCode);
+      scheduleThreatCheck(link);
+      warmLinkPreview(link);
+    }
+
+    res.json({ created, failed: results.length - created, results });
+  } catch (error) {
+    console.error('Error creating links in bulk:', error);
+    res.status(500).json({ error: 'Failed to create links' });
+  }
+});
+
+// Get link data
+app.get('/api/links/:shortCode', (req, res) => {
+  try {
+    const { shortCode } = req.params;
+    const link = findLink(shortCode);
+
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    res.json(formatLink(link, { reveal: !!req.wallet && req.wallet === link.creator }));
+  } catch (error) {
+    console.error('Error getting link:', error);
+    res.status(500).json({ error: 'Failed to get link' });
+  }
+});
+
+// Increment link clicks and redirect
+app.get('/api/links/:shortCode/redirect', (req, res) => {
+  try {
+    const { shortCode } = req.params;
+    const link = findLink(shortCode);
+
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    const unavailable = checkLinkAvailability(link, Math.floor(Date.now() / 1000));
+    if (unavailable) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+
+    // Protected links are followed through the unlock route instead
+    if (link.password_hash) {
+      return res.status(401).json(PASSWORD_REQUIRED);
+    }
+
+    if (!trackClick(link, req)) {
+      return res.status(410).json(clickLimitReached(link));
+    }
+
+    scheduleThreatCheck(link);
+
+    res.json({
+      originalUrl: linkTarget(link),
+      warning: linkWarning(link)
+    });
+  } catch (error) {
+    console.error('Error redirecting:', error);
+    res.status(500).json({ error: 'Failed to redirect' });
+  }
+});
+
+// Verify the password of a protected link, then track the click and return the target
+app.post('/api/links/:shortCode/unlock', async (req, res) => {
+  try {
+    const { shortCode } = req.params;
+    const link = findLink(shortCode);
+
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    const unavailable = checkLinkAvailability(link, Math.floor(Date.now() / 1000));
+    if (unavailable) {
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+
+    if (link.password_hash) {
+      const failure = await checkUnlockPassword(`link:${shortCode}`, req.body.password, link.password_hash);
+      if (failure) {
+        return sendUnlockFailure(res, failure);
+      }
+    }
+
+    if (!trackClick(link, req)) {
+      return res.status(410).json(clickLimitReached(link));
+    }
+
+    scheduleThreatCheck(link);
+
+    res.json({
+      originalUrl: linkTarget(link),
+      warning: linkWarning(link)
+    });
+  } catch (error) {
+    console.error('Error unlocking link:', error);
+    res.status(500).json({ error: 'Failed to unlock link' });
+  }
+});
+
+// Edit a link (owner only): retarget, change preview metadata and limits, or disable/enable it
+app.patch('/api/links/:shortCode', requireContentOwner('link'), (req, res) => {
+  try {
+    const { changes, error, code } = parseLinkChanges(req.body, req.link, Math.floor(Date.now() / 1000));
+    if (error) {
+      return res.status(400).json({ error, code });
+    }
+
+    const { link, revision } = applyLinkChanges(req.link, changes, req.wallet);
+    scheduleThreatCheck(link);
+    if (changes.original_url) warmLinkPreview(link);
+
+    res.json({ ...formatLink(link, { reveal: true }), revision });
+  } catch (error) {
+    console.error('Error updating link:', error);
+    res.status(500).json({ error: 'Failed to update link' });
+  }
+});
+
+// Delete a link (owner only)
+app.delete('/api/links/:shortCode', requireContentOwner('link'), ownerDeleteRoute('link'));
+
+// Get a link's revision history, newest first (owner only)
+app.get('/api/links/:shortCode/revisions', requireContentOwner('link'), (req, res) => {
+  try {
+    const rows = db.prepare('SELECT * FROM link_revisions WHERE short_code = ? ORDER BY revision DESC')
+      .all(req.link.short_code);
+
+    // Never edited: the current state is the only revision
+    if (rows.length === 0) {
+      return res.json([formatRevision({ ...req.link, revision: 1, edited_by: req.link.creator })]);
+    }
+
+    res.json(rows.map(formatRevision));
+  } catch (error) {
+    console.error('Error getting revisions:', error);
+    res.status(500).json({ error: 'Failed to get revisions' });
+  }
+});
+
+// Restore the fields of an earlier revision, recorded as a new revision (owner only)
+app.post('/api/links/:shortCode/revisions/:revision/rollback', requireContentOwner('link'), (req, res) => {
+  try {
+    const target = db.prepare('SELECT * FROM link_revisions WHERE short_code = ? AND revision = ?')
+      .get(req.link.short_code, Number(req.params.revision));
+
+    if (!target) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    // The blocklist may have grown since this revision was current
+    const { error, code } = checkDestination(target.original_url);
+    if (error) {
+      return res.status(400).json({ error, code });
+    }
+
+    const changes = Object.fromEntries(LINK_REVISION_COLUMNS.map(c => [c, target[c]]));
+    const { link, revision } = applyLinkChanges(req.link, changes, req.wallet);
+    scheduleThreatCheck(link);
+    warmLinkPreview(link);
+
+    res.json({ ...formatLink(link, { reveal: true }), revision, restoredFrom: target.revision });
+  } catch (error) {
+    console.error('Error rolling back link:', error);
+    res.status(500).json({ error: 'Failed to roll back link' });
+  }
+});
+
+// Get click analytics for a link
+app.get('/api/links/:shortCode/analytics', analyticsRoute('link'));
+
+// Get user's links (paginated, searchable)
+app.get('/api/users/:walletAddress/links', requireWalletOwner, (req, res) => {
+  try {
+    const { list, error } = parseListQuery('links', req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const organize = parseOrganizeFilters('link', req.wallet, req.query);
+    if (organize.error) {
+      return res.status(400).json({ error: organize.error });
+    }
+
+    const where = ['creator = ?', 'deleted_at IS NULL', ...organize.filters];
+    const params = [req.wallet, ...organize.params];
+    if (req.query.campaign !== undefined) {
+      const campaignId = Number(req.query.campaign);
+      if (!Number.isInteger(campaignId) || campaignId < 1) {
+        return res.status(400).json({ error: 'campaign must be a campaign id' });
+      }
+      where.push('campaign_id = ?');
+      params.push(campaignId);
+    }
+
+    const { rows, nextCursor } = listContent('links', where, params, list);
+
+    res.json({ items: rows.map(link => formatLink(link, { reveal: true })), nextCursor });
+  } catch (error) {
+    console.error('Error getting user links:', error);
+    res.status(500).json({ error: 'Failed to get user links' });
+  }
+});
+
+// Campaigns of a wallet with the link count and click totals of their live links
+app.get('/api/users/:walletAddress/campaigns', requireWalletOwner, (req, res) => {
+  try {
+    const stmt = db.prepare(`
+      SELECT campaigns.id, campaigns.name, campaigns.created_at,
+        COUNT(links.id) AS links,
+        COALESCE(SUM(links.clicks), 0) AS clicks,
+        (SELECT COUNT(DISTINCT access_events.ip_hash) FROM access_events
+          JOIN links AS tracked ON tracked.short_code = access_events.short_code
+          WHERE access_events.content_type = 'link'
+            AND tracked.campaign_id = campaigns.id AND tracked.deleted_at IS NULL) AS unique_visitors
+      FROM campaigns
+      LEFT JOIN links ON links.campaign_id = campaigns.id AND links.deleted_at IS NULL
+      WHERE campaigns.owner = ?
+      GROUP BY campaigns.id
+      ORDER BY campaigns.created_at DESC, campaigns.id DESC
+    `);
+
+    const campaigns = stmt.all(req.wallet).map(campaign => ({
+      id: campaign.id,
+      name: campaign.name,
+      createdAt: campaign.created_at,
+      links: campaign.links,
+      clicks: campaign.clicks,
+      uniqueVisitors: campaign.unique_visitors
+    }));
+
+    res.json({ campaigns });
+  } catch (error) {
+    console.error('Error getting campaigns:', error);
+    res.status(500).json({ error: 'Failed to get campaigns' });
+  }
+});
+
+// ============ MEDIA ROUTES ============
+
+/**
+ * Validate the options of a new media entry: alias, password, preview overrides, tags and folderId
+ * @returns {Promise<{ options: object } | { status: number, error: string }>}
+ */
+async function parseMediaOptions(req) {
+  const { preview, error: previewError } = parsePreviewOverrides(req.body);
+  if (previewError) {
+    return { status: 400, error: previewError };
+  }
+
+  const { tags, error: tagsError } = parseTags(req.body.tags);
+  if (tagsError) {
+    return { status: 400, error: tagsError };
+  }
+
+  const { folderId, status: folderStatus, error: folderError } = resolveContentFolder(req);
+  if (folderError) {
+    return { status: folderStatus, error: folderError };
+  }
+
+  const { passwordHash, error: passwordError } = await parsePassword(req.body.password);
+  if (passwordError) {
+    return { status: 400, error: passwordError };
+  }
+
+  const { shortCode, status, error } = resolveShortCode('media', req.body.alias);
+  if (error) {
+    return { status, error };
+  }
+
+  return { options: { shortCode, passwordHash, preview, tags, folderId } };
+}
+
+// Insert a media entry for a stored file and return its row.
+// pinStatus is set for files pinned by PINNING, verified when ipfsHash was computed from the file.
+function insertMedia(creator, { ipfsHash, fileName, fileType, fileSize, pinStatus = null, verified = false }, options) {
+  const { shortCode, passwordHash, preview, tags, folderId } = options;
+  const createdAt = Math.floor(Date.now() / 1000);
+  const stmt = db.prepare(`
+    INSERT INTO media (
+      short_code, ipfs_hash, file_name, file_type, file_size, creator, created_at, views, password_hash,
+      preview_title, preview_description, preview_image, folder_id, pin_backend, pin_status, pin_checked_at,
+      content_verified
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const { lastInsertRowid } = stmt.run(
+    shortCode, ipfsHash, fileName, fileType, fileSize, creator, createdAt, passwordHash,
+    preview.title, preview.description, preview.image, folderId,
+    pinStatus ? PINNING.name : null, pinStatus, pinStatus ? createdAt : null,
+    verified ? 1 : 0
+  );
+  setContentTags('media', { id: lastInsertRowid, creator }, tags);
+
+  return findMedia(shortCode);
+}
+
+// Unpin a file that no media entry uses, e.g. after its upload was rejected
+function releasePin(cid) {
+  if (db.prepare('SELECT 1 FROM media WHERE ipfs_hash = ?').get(toCidV1(cid) || cid)) return;
+  PINNING.unpin(cid).catch((error) => {
+    console.error(`Failed to unpin ${cid} (${PINNING.name}):`, error.message);
+  });
+}
+
+// Save metadata for a file that is already on IPFS
+app.post('/api/media', async (req, res) => {
+  try {
+    const { ipfsHash, fileName, fileType, fileSize } = req.body;
+
+    if (!ipfsHash || !fileName || !fileType || !fileSize) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const cid = toCidV1(ipfsHash);
+    if (!cid) {
+      return res.status(400).json({ error: 'ipfsHash is not a valid IPFS CID' });
+    }
+
+    const { options, status, error } = await parseMediaOptions(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const media = insertMedia(req.wallet || 'anonymous', { ipfsHash: cid, fileName, fileType, fileSize }, options);
+    res.json(formatMedia(media, { reveal: true }));
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'Alias is already taken' });
+    }
+    console.error('Error saving media:', error);
+    res.status(500).json({ error: 'Failed to save media metadata' });
+  }
+});
+
+// Upload a file (multipart "file" field, plus the same options as POST /api/media as text fields):
+// store it with the pinning backend, check the CID it reports against the file's bytes and save the media entry.
+// An optional "cid" field is the CID the client computed; it must match the bytes received.
+// Signed-in wallets only: uploads use the operator's pinning account, and their owner can delete them.
+app.post('/api/media/upload', requireAuth, async (req, res) => {
+  let file = null;
+  try {
+    const upload = await receiveUpload(req, { maxBytes: MAX_UPLOAD_BYTES });
+    if (upload.error) {
+      return res.status(upload.status).json({ error: upload.error });
+    }
+    file = upload.file;
+
+    // Form fields are text; folderId is the only number among them
+    const { folderId, cid: clientCid, ...fields } = upload.fields;
+    if (clientCid && toCidV1(clientCid) !== file.cid) {
+      return res.status(400).json({ error: 'The uploaded file does not match the CID computed before sending it' });
+    }
+
+    req.body = { ...fields, folderId: folderId ? Number(folderId) : undefined };
+
+    const { options, status, error } = await parseMediaOptions(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    let pinned;
+    try {
+      pinned = await PINNING.pin(file);
+    } catch (pinError) {
+      console.error(`Error pinning upload with ${PINNING.name}:`, pinError);
+      return res.status(502).json({ error: 'Failed to store the file on IPFS' });
+    }
+
+    const { error: cidError } = verifyPinnedCid(file, pinned.cid);
+    if (cidError || pinned.status === 'failed') {
+      console.error(`Rejected ${PINNING.name} upload of ${file.name}: ${cidError || 'pin failed'}`);
+      releasePin(pinned.cid);
+      return res.status(502).json({ error: cidError || 'Failed to store the file on IPFS' });
+    }
+
+    try {
+      const media = insertMedia(req.wallet, {
+        ipfsHash: file.cid,
+        fileName: file.name,
+        fileType: file.type,
+        fileSize: file.size,
+        pinStatus: pinned.status,
+        verified: true
+      }, options);
+      res.json(formatMedia(media, { reveal: true }));
+    } catch (insertError) {
+      releasePin(pinned.cid);
+      throw insertError;
+    }
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'Alias is already taken' });
+    }
+    console.error('Error uploading media:', error);
+    res.status(500).json({ error: 'Failed to upload media' });
+  } finally {
+    if (file) await removeUpload(file);
+  }
+});
+
+// Get media data
+app.get('/api/media/:shortCode', (req, res) => {
+  try {
+    const { shortCode } = req.params;
+    const media = findMedia(shortCode);
+
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    schedulePinCheck(media);
+    res.json(formatMedia(media, { reveal: !!req.wallet && req.wallet === media.creator }));
+  } catch (error) {
+    console.error('Error getting media:', error);
+    res.status(500).json({ error: 'Failed to get media' });
+  }
+});
+
+// Increment media views
+app.get('/api/media/:shortCode/view', (req, res) => {
+  try {
+    const { shortCode } = req.params;
+    const media = findMedia(shortCode);
+
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    // Protected media is viewed through the unlock route instead
+    if (media.password_hash) {
+      return res.status(401).json(PASSWORD_REQUIRED);
+    }
+
+    schedulePinCheck(media);
+    res.json(formatMedia(trackView(media, req)));
+  } catch (error) {
+    console.error('Error viewing media:', error);
+    res.status(500).json({ error: 'Failed to view media' });
+  }
+});
+
+// Delete media (owner only)
+app.delete('/api/media/:shortCode', requireContentOwner('media'), ownerDeleteRoute('media'));
+
+// Check the pin status of uploaded media with the pinning backend now (owner only)
+app.get('/api/media/:shortCode/pin', requireContentOwner('media'), async (req, res) => {
+  const { media } = req;
+  if (!media.pin_backend) {
+    return res.json({ ipfsHash: media.ipfs_hash, backend: null, status: null, checkedAt: null });
+  }
+  if (media.pin_backend !== PINNING.name) {
+    return res.json({
+      ipfsHash: media.ipfs_hash, backend: media.pin_backend, status: media.pin_status, checkedAt: media.pin_checked_at
+    });
+  }
+
+  try {
+    const status = await checkPinStatus(media);
+    res.json({ ipfsHash: media.ipfs_hash, backend: PINNING.name, status, checkedAt: Math.floor(Date.now() / 1000) });
+  } catch (error) {
+    console.error(`Pin status check failed (${PINNING.name}):`, error.message);
+    res.status(502).json({ error: 'Could not reach the pinning backend' });
+  }
+});
+
+// Verify the password of protected media, then track the view and return its data
+app.post('/api/media/:shortCode/unlock', async (req, res) => {
+  try {
+    const { shortCode } = req.params;
+    const media = findMedia(shortCode);
+
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    if (media.password_hash) {
+      const failure = await checkUnlockPassword(`media:${shortCode}`, req.body.password, media.password_hash);
+      if (failure) {
+        return sendUnlockFailure(res, failure);
+      }
+    }
+
+    res.json(formatMedia(trackView(media, req), { reveal: true }));
+  } catch (error) {
+    console.error('Error unlocking media:', error);
+    res.status(500).json({ error: 'Failed to unlock media' });
+  }
+});
+
+// Get view analytics for media
+app.get('/api/media/:shortCode/analytics', analyticsRoute('media'));
+
+// Get user's media (paginated, searchable)
+app.get('/api/users/:walletAddress/media', requireWalletOwner, (req, res) => {
+  try {
+    const { list, error } = parseListQuery('media', req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const organize = parseOrganizeFilters('media', req.wallet, req.query);
+    if (organize.error) {
+      return res.status(400).json({ error: organize.error });
+    }
+
+    const { rows, nextCursor } = listContent(
+      'media',
+      ['creator = ?', 'deleted_at IS NULL', ...organize.filters],
+      [req.wallet, ...organize.params],
+      list
+    );
+
+    res.json({ items: rows.map(media => formatMedia(media, { reveal: true })), nextCursor });
+  } catch (error) {
+    console.error('Error getting user media:', error);
+    res.status(500).json({ error: 'Failed to get user media' });
+  }
+});
+
+// ============ TAG AND FOLDER ROUTES ============
+
+// Tags of a wallet with the number of live links and media carrying each
+app.get('/api/users/:walletAddress/tags', requireWalletOwner, (req, res) => {
+  try {
+    const stmt = db.prepare(`
+      SELECT tags.id, tags.name, tags.created_at,
+        COUNT(links.id) AS links,
+        COUNT(media.id) AS media
+      FROM tags
+      LEFT JOIN content_tags ON content_tags.tag_id = tags.id
+      LEFT JOIN links ON content_tags.content_type = 'link'
+        AND links.id = content_tags.content_id AND links.deleted_at IS NULL
+      LEFT JOIN media ON content_tags.content_type = 'media'
+        AND media.id = content_tags.content_id AND media.deleted_at IS NULL
+      WHERE tags.owner = ?
+      GROUP BY tags.id
+      ORDER BY tags.name
+    `);
+
+    const tags = stmt.all(req.wallet).map(tag => ({
+      id: tag.id,
+      name: tag.name,
+      createdAt: tag.created_at,
+      links: tag.links,
+      media: tag.media
+    }));
+
+    res.json({ tags });
+  } catch (error) {
+    console.error('Error getting tags:', error);
+    res.status(500).json({ error: 'Failed to get tags' });
+  }
+});
+
+// Create a tag without tagging anything yet
+app.post('/api/users/:walletAddress/tags', requireWalletOwner, (req, res) => {
+  try {
+    const { name, error } = parseTagName(req.body.name);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const createdAt = Math.floor(Date.now() / 1000);
+    const { lastInsertRowid } = db.prepare('INSERT INTO tags (owner, name, created_at) VALUES (?, ?, ?)')
+      .run(req.wallet, name, createdAt);
+
+    res.status(201).json({ id: lastInsertRowid, name, createdAt, links: 0, media: 0 });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'A tag with this name already exists' });
+    }
+    console.error('Error creating tag:', error);
+    res.status(500).json({ error: 'Failed to create tag' });
+  }
+});
+
+// Rename a tag; everything carrying it picks up the new name
+app.patch('/api/users/:walletAddress/tags/:tagId', requireWalletOwner, (req, res) => {
+  try {
+    const tag = db.prepare('SELECT * FROM tags WHERE id = ? AND owner = ?').get(Number(req.params.tagId), req.wallet);
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const { name, error } = parseTagName(req.body.name);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    db.transaction(() => {
+      db.prepare('UPDATE tags SET name = ? WHERE id = ?').run(name, tag.id);
+      syncTaggedContent(taggedContentIds(tag.id));
+    })();
+
+    res.json({ id: tag.id, name, createdAt: tag.created_at });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'A tag with this name already exists' });
+    }
+    console.error('Error renaming tag:', error);
+    res.status(500).json({ error: 'Failed to rename tag' });
+  }
+});
+
+// Delete a tag and remove it from everything carrying it
+app.delete('/api/users/:walletAddress/tags/:tagId', requireWalletOwner, (req, res) => {
+  try {
+    const tag = db.prepare('SELECT * FROM tags WHERE id = ? AND owner = ?').get(Number(req.params.tagId), req.wallet);
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    db.transaction(() => {
+      const ids = taggedContentIds(tag.id);
+      db.prepare('DELETE FROM content_tags WHERE tag_id = ?').run(tag.id);
+      db.prepare('DELETE FROM tags WHERE id = ?').run(tag.id);
+      syncTaggedContent(ids);
+    })();
+
+    res.json({ message: 'Tag deleted' });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+// Folders of a wallet as a flat list; parentId links them into a tree
+app.get('/api/users/:walletAddress/folders', requireWalletOwner, (req, res) => {
+  try {
+    const stmt = db.prepare(`
+      SELECT folders.id, folders.name, folders.parent_id, folders.created_at,
+        (SELECT COUNT(*) FROM links WHERE links.folder_id = folders.id AND links.deleted_at IS NULL) AS links,
+        (SELECT COUNT(*) FROM media WHERE media.folder_id = folders.id AND media.deleted_at IS NULL) AS media
+      FROM folders
+      WHERE folders.owner = ?
+      ORDER BY folders.name, folders.id
+    `);
+
+    const folders = stmt.all(req.wallet).map(folder => ({
+      id: folder.id,
+      name: folder.name,
+      parentId: folder.parent_id,
+      createdAt: folder.created_at,
+      links: folder.links,
+      media: folder.media
+    }));
+
+    res.json({ folders });
+  } catch (error) {
+    console.error('Error getting folders:', error);
+    res.status(500).json({ error: 'Failed to get folders' });
+  }
+});
+
+// Create a folder, at the top level or inside parentId
+app.post('/api/users/:walletAddress/folders', requireWalletOwner, (req, res) => {
+  try {
+    const { name, error } = parseFolderName(req.body.name);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { folderId: parentId, error: parentError } = parseFolderId(req.body.parentId);
+    if (parentError) {
+      return res.status(400).json({ error: parentError.replace('folderId', 'parentId') });
+    }
+    if (parentId && !findFolder(req.wallet, parentId)) {
+      return res.status(400).json({ error: 'Parent folder not found' });
+    }
+    if (parentId && folderDepth(parentId) >= MAX_FOLDER_DEPTH) {
+      return res.status(400).json({ error: `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep` });
+    }
+
+    const createdAt = Math.floor(Date.now() / 1000);
+    const { lastInsertRowid } = db.prepare('INSERT INTO folders (owner, name, parent_id, created_at) VALUES (?, ?, ?, ?)')
+      .run(req.wallet, name, parentId, createdAt);
+
+    res.status(201).json({ id: lastInsertRowid, name, parentId, createdAt, links: 0, media: 0 });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'A folder with this name already exists here' });
+    }
+    console.error('Error creating folder:', error);
+    res.status(500).json({ error: 'Failed to create folder' });
+  }
+});
+
+// Rename a folder and/or move it under another parent (parentId null moves it to the top level)
+app.patch('/api/users/:walletAddress/folders/:folderId', requireWalletOwner, (req, res) => {
+  try {
+    const folder = findFolder(req.wallet, Number(req.params.folderId));
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    let { name, parent_id: parentId } = folder;
+
+    if (req.body.name !== undefined) {
+      const parsed = parseFolderName(req.body.name);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      name = parsed.name;
+    }
+
+    if (req.body.parentId !== undefined) {
+      const parsed = parseFolderId(req.body.parentId);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error.replace('folderId', 'parentId') });
+      }
+      parentId = parsed.folderId;
+
+      if (parentId) {
+        if (!findFolder(req.wallet, parentId)) {
+          return res.status(400).json({ error: 'Parent folder not found' });
+        }
+        const subtree = folderSubtree(folder.id);
+        if (subtree.some(({ id }) => id === parentId)) {
+          return res.status(400).json({ error: 'A folder cannot be moved into itself or one of its subfolders' });
+        }
+        const height = Math.max(...subtree.map(({ depth }) => depth));
+        if (folderDepth(parentId) + height > MAX_FOLDER_DEPTH) {
+          return res.status(400).json({ error: `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep` });
+        }
+      }
+    }
+
+    db.prepare('UPDATE folders SET name = ?, parent_id = ? WHERE id = ?').run(name, parentId, folder.id);
+
+    res.json({ id: folder.id, name, parentId, createdAt: folder.created_at });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'A folder with this name already exists here' });
+    }
+    console.error('Error updating folder:', error);
+    res.status(500).json({ error: 'Failed to update folder' });
+  }
+});
+
+// Delete a folder; its subfolders, links and media move up to its parent
+app.delete('/api/users/:walletAddress/folders/:folderId', requireWalletOwner, (req, res) => {
+  try {
+    const folder = findFolder(req.wallet, Number(req.params.folderId));
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    db.transaction(() => {
+      db.prepare('UPDATE folders SET parent_id = ? WHERE parent_id = ?').run(folder.parent_id, folder.id);
+      db.prepare('UPDATE links SET folder_id = ? WHERE folder_id = ?').run(folder.parent_id, folder.id);
+      db.prepare('UPDATE media SET folder_id = ? WHERE folder_id = ?').run(folder.parent_id, folder.id);
+      db.prepare('DELETE FROM folders WHERE id = ?').run(folder.id);
+    })();
+
+    res.json({ message: 'Folder deleted' });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'A subfolder has the same name as a folder it would move next to; rename it first' });
+    }
+    console.error('Error deleting folder:', error);
+    res.status(500).json({ error: 'Failed to delete folder' });
+  }
+});
+
+// Replace the tags of the owner's link or media
+function contentTagsRoute(contentType) {
+  const format = contentType === 'link' ? formatLink : formatMedia;
+  const find = contentType === 'link' ? findLink : findMedia;
 
-// Create tables
-db.exec(`
-  CREATE TABLE IF NOT EXISTS links (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    short_code TEXT UNIQUE NOT NULL,
-    original_url TEXT NOT NULL,
-    creator TEXT DEFAULT 'anonymous',
-    created_at INTEGER NOT NULL,
-    clicks INTEGER DEFAULT 0
-  );
+  return (req, res) => {
+    try {
+      const { tags, error } = parseTags(req.body.tags);
+      if (error) {
+        return res.status(400).json({ error });
+      }
 
-  CREATE TABLE IF NOT EXISTS media (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    short_code TEXT UNIQUE NOT NULL,
-    ipfs_hash TEXT NOT NULL,
-    file_name TEXT NOT NULL,
-    file_type TEXT NOT NULL,
-    file_size INTEGER NOT NULL,
-    creator TEXT DEFAULT 'anonymous',
-    created_at INTEGER NOT NULL,
-    views INTEGER DEFAULT 0
-  );
+      setContentTags(contentType, req[contentType], tags);
+      res.json(format(find(req.params.shortCode), { reveal: true }));
+    } catch (error) {
+      console.error(`Error tagging ${contentType}:`, error);
+      res.status(500).json({ error: 'Failed to update tags' });
+    }
+  };
+}
 
-  CREATE INDEX IF NOT EXISTS idx_links_creator ON links(creator);
-  CREATE INDEX IF NOT EXISTS idx_media_creator ON media(creator);
-  CREATE INDEX IF NOT EXISTS idx_links_short_code ON links(short_code);
-  CREATE INDEX IF NOT EXISTS idx_media_short_code ON media(short_code);
-`);
+// Move the owner's link or media into a folder, or out of all folders with folderId null
+function contentFolderRoute(contentType) {
+  const table = CONTENT_TABLES[contentType];
+  const format = contentType === 'link' ? formatLink : formatMedia;
+  const find = contentType === 'link' ? findLink : findMedia;
 
-// Generate random short code
-function generateShortCode(length = 6) {
-  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  const bytes = crypto.randomBytes(length);
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars[bytes[i] % chars.length];
+  return (req, res) => {
+    try {
+      const { folderId, status, error } = resolveContentFolder(req);
+      if (error) {
+        return res.status(status).json({ error });
+      }
+
+      db.prepare(`UPDATE ${table} SET folder_id = ? WHERE id = ?`).run(folderId, req[contentType].id);
+      res.json(format(find(req.params.shortCode), { reveal: true }));
+    } catch (error) {
+      console.error(`Error moving ${contentType}:`, error);
+      res.status(500).json({ error: 'Failed to move to folder' });
+    }
+  };
+}
+
+app.put('/api/links/:shortCode/tags', requireContentOwner('link'), contentTagsRoute('link'));
+app.put('/api/media/:shortCode/tags', requireContentOwner('media'), contentTagsRoute('media'));
+app.put('/api/links/:shortCode/folder', requireContentOwner('link'), contentFolderRoute('link'));
+app.put('/api/media/:shortCode/folder', requireContentOwner('media'), contentFolderRoute('media'));
+
+// ============ EXPORT ROUTES ============
+
+const EXPORT_FORMATS = ['json', 'csv'];
+const EXPORT_BATCH_SIZE = 500;
+
+// Links and media share one CSV file, told apart by the type column
+const EXPORT_CSV_COLUMNS = [
+  'type', 'short_code', 'creator', 'created_at', 'target', 'file_name', 'file_type', 'file_size',
+  'accesses', 'unique_visitors', 'last_accessed_at', 'activate_at', 'expires_at', 'max_clicks',
+  'tags', 'password_protected', 'disabled', 'deleted_at'
+];
+
+const toIsoDate = (timestamp) => timestamp ? new Date(timestamp * 1000).toISOString() : null;
+
+// Rows of a table in id order, a batch at a time, with their aggregated access stats.
+// Batches keep the connection free between writes while the response drains.
+function* exportBatches(table, where, params) {
+  const contentType = table === 'links' ? 'link' : 'media';
+  const stmt = db.prepare(`
+    SELECT ${table}.*,
+      (SELECT COUNT(DISTINCT ip_hash) FROM access_events
+        WHERE content_type = ? AND short_code = ${table}.short_code) AS unique_visitors,
+      (SELECT MAX(occurred_at) FROM access_events
+        WHERE content_type = ? AND short_code = ${table}.short_code) AS last_accessed_at
+    FROM ${table}
+    WHERE ${[...where, 'id > ?'].join(' AND ')}
+    ORDER BY id
+    LIMIT ?
+  `);
+
+  let lastId = 0;
+  while (true) {
+    const rows = stmt.all(contentType, contentType, ...params, lastId, EXPORT_BATCH_SIZE);
+    if (rows.length > 0) yield rows;
+    if (rows.length < EXPORT_BATCH_SIZE) return;
+    lastId = rows[rows.length - 1].id;
   }
-  return result;
 }
 
-// ============ LINK ROUTES ============
+function exportCsvRow(table, row) {
+  const isLink = table === 'links';
+  return toCsvRow([
+    isLink ? 'link' : 'media', row.short_code, row.creator, toIsoDate(row.created_at),
+    isLink ? row.original_url : row.ipfs_hash,
+    row.file_name, row.file_type, row.file_size,
+    isLink ? row.clicks : row.views, row.unique_visitors, toIsoDate(row.last_accessed_at),
+    toIsoDate(row.activate_at), toIsoDate(row.expires_at), row.max_clicks,
+    row.tags, !!row.password_hash, !!row.disabled_at, toIsoDate(row.deleted_at)
+  ]);
+}
 
-// Create short link
-app.post('/api/links', (req, res) => {
-  try {
-    const { originalUrl, creator } = req.body;
+function exportJsonItem(table, row) {
+  const item = table === 'links' ? formatLink(row, { reveal: true }) : formatMedia(row, { reveal: true });
+  return JSON.stringify({
+    ...item,
+    uniqueVisitors: row.unique_visitors,
+    lastAccessedAt: row.last_accessed_at,
+    ...(row.deleted_at ? { deletedAt: row.deleted_at } : {})
+  });
+}
 
-    if (!originalUrl) {
-      return res.status(400).json({ error: 'Original URL is required' });
-    }
+// Write to the response, waiting for it to drain (or close) when its buffer is full
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Stream all links and media matching where/params as a CSV or JSON download
+ * @param {{ format: 'json' | 'csv', where: string[], params: any[], fileName: string }} options
+ */
+async function streamExport(res, { format, where, params, fileName }) {
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${fileName}.${format}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  if (format === 'csv') {
+    await writeChunk(res, toCsvRow(EXPORT_CSV_COLUMNS));
+  } else {
+    await writeChunk(res, `{"exportedAt":${Math.floor(Date.now() / 1000)}`);
+  }
 
-    // Generate unique short code
-    let shortCode = generateShortCode();
-    const checkStmt = db.prepare('SELECT 1 FROM links WHERE short_code = ?');
-    while (checkStmt.get(shortCode)) {
-      shortCode = generateShortCode();
+  for (const table of ['links', 'media']) {
+    if (format === 'json') {
+      await writeChunk(res, `,"${table}":[`);
     }
+    let first = true;
+    for (const rows of exportBatches(table, where, params)) {
+      if (res.destroyed) return;
+      const chunk = format === 'csv'
+        ? rows.map(row => exportCsvRow(table, row)).join('')
+        : rows.map(row => exportJsonItem(table, row)).join(',');
+      await writeChunk(res, format === 'json' && !first ? `,${chunk}` : chunk);
+      first = false;
+    }
+    if (format === 'json') {
+      await writeChunk(res, ']');
+    }
+  }
 
-    const createdAt = Math.floor(Date.now() / 1000);
-    const stmt = db.prepare(`
-      INSERT INTO links (short_code, original_url, creator, created_at, clicks)
-      VALUES (?, ?, ?, ?, 0)
-    `);
+  res.end(format === 'json' ? '}' : undefined);
+}
 
-    stmt.run(shortCode, originalUrl, creator || 'anonymous', createdAt);
+// Once streaming has started the status is sent, so a failure can only abort the response
+function handleExportError(res, error) {
+  console.error('Error exporting content:', error);
+  if (res.headersSent) {
+    res.destroy(error);
+  } else {
+    res.status(500).json({ error: 'Failed to export content' });
+  }
+}
 
-    res.json({
-      shortCode,
-      originalUrl,
-      creator: creator || 'anonymous',
-      createdAt,
-      clicks: 0
+// Export all of a user's links and media with their click/view stats (?format=json|csv)
+app.get('/api/users/:walletAddress/export', requireWalletOwner, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    await streamExport(res, {
+      format,
+      where: ['creator = ?', 'deleted_at IS NULL'],
+      params: [req.wallet],
+      fileName: `linkio-export-${req.wallet}`
     });
   } catch (error) {
-    console.error('Error creating link:', error);
-    res.status(500).json({ error: 'Failed to create short link' });
+    handleExportError(res, error);
   }
 });
 
-// Get link data
-app.get('/api/links/:shortCode', (req, res) => {
+// ============ QR CODE ROUTES ============
+
+/**
+ * QR code of a link's or media's short URL
+ * (?format=png|svg&size=&margin=&ecl=L|M|Q|H&fg=&bg=&logo=1&download=1).
+ * The encoded URL carries ?src=qr so scans show up under sources in analytics.
+ */
+app.get('/api/qr/:type/:shortCode', (req, res) => {
   try {
-    const { shortCode } = req.params;
-    const stmt = db.prepare('SELECT * FROM links WHERE short_code = ?');
-    const link = stmt.get(shortCode);
+    const { type, shortCode } = req.params;
+    if (type !== 'link' && type !== 'media') {
+      return res.status(404).json({ error: 'Type must be link or media' });
+    }
 
-    if (!link) {
-      return res.status(404).json({ error: 'Link not found' });
+    const content = type === 'link' ? findLink(shortCode) : findMedia(shortCode);
+    if (!content) {
+      return res.status(404).json({ error: `${type === 'link' ? 'Link' : 'Media'} not found` });
     }
 
-    res.json({
-      shortCode: link.short_code,
-      originalUrl: link.original_url,
-      creator: link.creator,
-      createdAt: link.created_at,
-      clicks: link.clicks
-    });
+    const { options, error } = parseQrOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { contentType, body } = renderQrCode(
+      publicUrl(req, `/${type === 'link' ? 'l' : 'm'}/${content.short_code}?src=qr`),
+      options,
+      QR_LOGO
+    );
+
+    res.set({ 'Content-Type': contentType, 'Cache-Control': 'public, max-age=86400' });
+    if (req.query.download) {
+      res.attachment(`${content.short_code}-qr.${options.format}`);
+    }
+    res.send(body);
   } catch (error) {
-    console.error('Error getting link:', error);
-    res.status(500).json({ error: 'Failed to get link' });
+    console.error('Error rendering QR code:', error);
+    res.status(500).json({ error: 'Failed to render QR code' });
   }
 });
 
-// Increment link clicks and redirect
-app.get('/api/links/:shortCode/redirect', (req, res) => {
+// ============ ALIAS ROUTES ============
+
+// Check whether a custom alias can be claimed (?type=link|media, defaults to link)
+app.get('/api/aliases/:alias', (req, res) => {
   try {
-    const { shortCode } = req.params;
-    const stmt = db.prepare('SELECT * FROM links WHERE short_code = ?');
-    const link = stmt.get(shortCode);
+    const { alias } = req.params;
+    const type = req.query.type || 'link';
 
-    if (!link) {
-      return res.status(404).json({ error: 'Link not found' });
+    if (type !== 'link' && type !== 'media') {
+      return res.status(400).json({ error: 'Type must be "link" or "media"' });
     }
 
-    // Increment clicks
-    const updateStmt = db.prepare('UPDATE links SET clicks = clicks + 1 WHERE short_code = ?');
-    updateStmt.run(shortCode);
+    const aliasError = validateAlias(alias);
+    if (aliasError) {
+      return res.json({ alias, type, available: false, reason: aliasError });
+    }
+
+    const table = type === 'link' ? 'links' : 'media';
+    const taken = db.prepare(`SELECT 1 FROM ${table} WHERE short_code = ?`).get(alias);
 
     res.json({
-      originalUrl: link.original_url
+      alias,
+      type,
+      available: !taken,
+      ...(taken && { reason: 'Alias is already taken' })
     });
   } catch (error) {
-    console.error('Error redirecting:', error);
-    res.status(500).json({ error: 'Failed to redirect' });
+    console.error('Error checking alias:', error);
+    res.status(500).json({ error: 'Failed to check alias' });
   }
 });
 
-// Get user's links
-app.get('/api/users/:walletAddress/links', (req, res) => {
-  try {
-    const { walletAddress } = req.params;
-    const stmt = db.prepare(`
-      SELECT * FROM links
-      WHERE creator = ?
-      ORDER BY created_at DESC
-      LIMIT 10
-    `);
-    const links = stmt.all(walletAddress);
-
-    res.json(links.map(link => ({
-      shortCode: link.short_code,
-      originalUrl: link.original_url,
-      creator: link.creator,
-      createdAt: link.created_at,
-      clicks: link.clicks
-    })));
-  } catch (error) {
-    console.error('Error getting user links:', error);
-    res.status(500).json({ error: 'Failed to get user links' });
-  }
-});
+// ============ SHORT URL ROUTES ============
 
-// ============ MEDIA ROUTES ============
+// Form posts from the server-rendered unlock pages
+const parseUnlockForm = express.urlencoded({ extended: false });
 
-// Save media metadata
-app.post('/api/media', (req, res) => {
+// Redirect to the original URL, tracking the click.
+// Link-preview bots get an HTML page with Open Graph tags instead and are not counted.
+app.get('/l/:shortCode', async (req, res) => {
   try {
-    const { ipfsHash, fileName, fileType, fileSize, creator } = req.body;
+    const { shortCode } = req.params;
+    const link = findLink(shortCode);
 
-    if (!ipfsHash || !fileName || !fileType || !fileSize) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (!link) {
+      return res.status(404).type('html').send(renderMessagePage('Oops!', 'Link not found'));
     }
 
-    // Generate unique short code
-    let shortCode = generateShortCode();
-    const checkStmt = db.prepare('SELECT 1 FROM media WHERE short_code = ?');
-    while (checkStmt.get(shortCode)) {
-      shortCode = generateShortCode();
+    const unavailable = checkLinkAvailability(link, Math.floor(Date.now() / 1000));
+    if (unavailable) {
+      res.set('Cache-Control', 'no-store');
+      return res.status(unavailable.status).type('html').send(renderUnavailablePage(unavailable));
     }
 
-    const createdAt = Math.floor(Date.now() / 1000);
-    const stmt = db.prepare(`
-      INSERT INTO media (short_code, ipfs_hash, file_name, file_type, file_size, creator, created_at, views)
-      VALUES (?, ?, ?, ?, ?, ?, ?, 0)
-    `);
+    const pageUrl = publicUrl(req, `/l/${shortCode}`);
 
-    stmt.run(shortCode, ipfsHash, fileName, fileType, fileSize, creator || 'anonymous', createdAt);
+    if (isPreviewBot(req.get('User-Agent'))) {
+      const preview = await getLinkPreview(link);
+      // getLinkPreview may have waited for a threat-intel verdict that flagged the link
+      const checked = findLink(shortCode) || link;
+      res.set('Cache-Control', 'public, max-age=300');
+      return res.type('html').send(renderLinkPreviewPage(preview, {
+        pageUrl,
+        targetUrl: checked.password_hash || linkWarning(checked) ? null : linkTarget(checked)
+      }));
+    }
 
-    res.json({
-      shortCode,
-      ipfsHash,
-      fileName,
-      fileType,
-      fileSize,
-      creator: creator || 'anonymous',
-      createdAt,
-      views: 0
-    });
+    if (link.password_hash) {
+      res.set('Cache-Control', 'no-store');
+      return res.status(401).type('html').send(renderUnlockPage({
+        type: 'link',
+        action: req.originalUrl,
+        preview: await getLinkPreview(link),
+        pageUrl
+      }));
+    }
+
+    // Link checkers send HEAD requests; only count real visits
+    if (req.method !== 'HEAD') {
+      if (!trackClick(link, req)) {
+        res.set('Cache-Control', 'no-store');
+        return res.status(410).type('html').send(renderUnavailablePage({ body: clickLimitReached(link) }));
+      }
+    }
+    scheduleThreatCheck(link);
+
+    const warning = linkWarning(link);
+    if (warning) {
+      res.set('Cache-Control', 'no-store');
+      return res.type('html').send(renderLinkWarningPage({ targetUrl: linkTarget(link), reason: warning.reason }));
+    }
+
+    res.set('Cache-Control', redirectCacheControl(link));
+    res.redirect(REDIRECT_STATUS, linkTarget(link));
   } catch (error) {
-    console.error('Error saving media:', error);
-    res.status(500).json({ error: 'Failed to save media metadata' });
+    console.error('Error redirecting:', error);
+    res.status(500).type('html').send(renderMessagePage('Oops!', 'Failed to load content. Please try again.'));
   }
 });
 
-// Get media data
-app.get('/api/media/:shortCode', (req, res) => {
+// Unlock a password-protected link from the HTML form
+app.post('/l/:shortCode', parseUnlockForm, async (req, res) => {
   try {
     const { shortCode } = req.params;
-    const stmt = db.prepare('SELECT * FROM media WHERE short_code = ?');
-    const media = stmt.get(shortCode);
+    const link = findLink(shortCode);
 
-    if (!media) {
-      return res.status(404).json({ error: 'Media not found' });
+    res.set('Cache-Control', 'no-store');
+
+    if (!link) {
+      return res.status(404).type('html').send(renderMessagePage('Oops!', 'Link not found'));
     }
 
-    res.json({
-      shortCode: media.short_code,
-      ipfsHash: media.ipfs_hash,
-      fileName: media.file_name,
-      fileType: media.file_type,
-      fileSize: media.file_size,
-      creator: media.creator,
-      createdAt: media.created_at,
-      views: media.views
-    });
+    const unavailable = checkLinkAvailability(link, Math.floor(Date.now() / 1000));
+    if (unavailable) {
+      return res.status(unavailable.status).type('html').send(renderUnavailablePage(unavailable));
+    }
+
+    if (link.password_hash) {
+      const failure = await checkUnlockPassword(`link:${shortCode}`, req.body?.password, link.password_hash);
+      if (failure) {
+        if (failure.retryAfter) {
+          res.set('Retry-After', String(failure.retryAfter));
+        }
+        return res.status(failure.status).type('html').send(
+          renderUnlockPage({ type: 'link', action: req.originalUrl, error: failure.body.error, preview: await getLinkPreview(link) })
+        );
+      }
+    }
+
+    if (!trackClick(link, req)) {
+      return res.status(410).type('html').send(renderUnavailablePage({ body: clickLimitReached(link) }));
+    }
+    scheduleThreatCheck(link);
+
+    const warning = linkWarning(link);
+    if (warning) {
+      return res.type('html').send(renderLinkWarningPage({ targetUrl: linkTarget(link), reason: warning.reason }));
+    }
+
+    // 303 so the browser follows with a GET
+    res.redirect(303, linkTarget(link));
   } catch (error) {
-    console.error('Error getting media:', error);
-    res.status(500).json({ error: 'Failed to get media' });
+    console.error('Error unlocking link:', error);
+    res.status(500).type('html').send(renderMessagePage('Oops!', 'Failed to unlock. Please try again.'));
   }
 });
 
-// Increment media views
-app.get('/api/media/:shortCode/view', (req, res) => {
+// Lightweight media viewer with Open Graph tags, tracking the view (except for preview bots)
+app.get('/m/:shortCode', (req, res) => {
   try {
     const { shortCode } = req.params;
-    const stmt = db.prepare('SELECT * FROM media WHERE short_code = ?');
-    const media = stmt.get(shortCode);
+    const media = findMedia(shortCode);
 
     if (!media) {
-      return res.status(404).json({ error: 'Media not found' });
+      return res.status(404).type('html').send(renderMessagePage('Oops!', 'Media not found'));
     }
 
-    // Increment views
-    const updateStmt = db.prepare('UPDATE media SET views = views + 1 WHERE short_code = ?');
-    updateStmt.run(shortCode);
+    if (media.password_hash) {
+      res.set('Cache-Control', 'no-store');
+      // Chat apps skip previews of error responses, so bots get the form with a 200
+      return res.status(isPreviewBot(req.get('User-Agent')) ? 200 : 401).type('html').send(renderUnlockPage({
+        type: 'media',
+        action: req.originalUrl,
+        preview: mediaPreviewOverrides(media),
+        pageUrl: publicUrl(req, `/m/${shortCode}`)
+      }));
+    }
 
-    res.json({
-      shortCode: media.short_code,
-      ipfsHash: media.ipfs_hash,
-      fileName: media.file_name,
-      fileType: media.file_type,
-      fileSize: media.file_size,
-      creator: media.creator,
-      createdAt: media.created_at,
-      views: media.views + 1
-    });
+    if (req.method === 'HEAD') {
+      return res.type('html').end();
+    }
+
+    sendMediaPage(req, res, media, { track: !isPreviewBot(req.get('User-Agent')) });
   } catch (error) {
     console.error('Error viewing media:', error);
-    res.status(500).json({ error: 'Failed to view media' });
+    res.status(500).type('html').send(renderMessagePage('Oops!', 'Failed to load content. Please try again.'));
   }
 });
 
-// Get user's media
-app.get('/api/users/:walletAddress/media', (req, res) => {
+// Unlock password-protected media from the HTML form
+app.post('/m/:shortCode', parseUnlockForm, async (req, res) => {
   try {
-    const { walletAddress } = req.params;
-    const stmt = db.prepare(`
-      SELECT * FROM media
-      WHERE creator = ?
-      ORDER BY created_at DESC
-      LIMIT 10
-    `);
-    const mediaList = stmt.all(walletAddress);
-
-    res.json(mediaList.map(media => ({
-      shortCode: media.short_code,
-      ipfsHash: media.ipfs_hash,
-      fileName: media.file_name,
-      fileType: media.file_type,
-      fileSize: media.file_size,
-      creator: media.creator,
-      createdAt: media.created_at,
-      views: media.views
-    })));
+    const { shortCode } = req.params;
+    const media = findMedia(shortCode);
+
+    if (!media) {
+      return res.status(404).type('html').send(renderMessagePage('Oops!', 'Media not found'));
+    }
+
+    if (media.password_hash) {
+      const failure = await checkUnlockPassword(`media:${shortCode}`, req.body?.password, media.password_hash);
+      if (failure) {
+        if (failure.retryAfter) {
+          res.set('Retry-After', String(failure.retryAfter));
+        }
+        res.set('Cache-Control', 'no-store');
+        return res.status(failure.status).type('html').send(
+          renderUnlockPage({ type: 'media', action: req.originalUrl, error: failure.body.error, preview: mediaPreviewOverrides(media) })
+        );
+      }
+    }
+
+    sendMediaPage(req, res, media);
   } catch (error) {
-    console.error('Error getting user media:', error);
-    res.status(500).json({ error: 'Failed to get user media' });
+    console.error('Error unlocking media:', error);
+    res.status(500).type('html').send(renderMessagePage('Oops!', 'Failed to unlock. Please try again.'));
   }
 });
 
+// ============ LOCAL IPFS ROUTES ============
+
+// Files stored by the local pinning backend, served like a gateway for offline development
+if (PINNING.filePath) {
+  app.get('/ipfs/:cid', (req, res) => {
+    const cid = toCidV1(req.params.cid);
+    const path = cid && PINNING.filePath(cid);
+    if (!path) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    const media = db.prepare('SELECT file_type FROM media WHERE ipfs_hash = ? LIMIT 1').get(cid);
+    res.type(media ? media.file_type : 'application/octet-stream');
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.sendFile(path);
+  });
+}
+
 // ============ STATS ROUTES ============
 
 app.get('/api/stats', (req, res) => {
   try {
-    const linksStmt = db.prepare('SELECT COUNT(*) as count FROM links');
-    const mediaStmt = db.prepare('SELECT COUNT(*) as count FROM media');
+    const linksStmt = db.prepare('SELECT COUNT(*) as count FROM links WHERE deleted_at IS NULL');
+    const mediaStmt = db.prepare('SELECT COUNT(*) as count FROM media WHERE deleted_at IS NULL');
 
     const totalLinks = linksStmt.get().count;
     const totalMedia = mediaStmt.get().count;
@@ -322,69 +3137,341 @@ app.get('/api/health', (req, res) => {
 
 // ============ ADMIN ROUTES ============
 
-// Get all links (admin)
-app.get('/api/admin/links', (req, res) => {
+// ?deleted=include (default), exclude or only
+function deletedFilter(value) {
+  if (value === 'exclude') return ['deleted_at IS NULL'];
+  if (value === 'only') return ['deleted_at IS NOT NULL'];
+  return [];
+}
+
+// Content rows as stored, for moderation, with the password hash replaced by a flag
+function adminContentRow({ password_hash: passwordHash, ...row }) {
+  return { ...row, password_protected: !!passwordHash };
+}
+
+// List any user's content with pagination, search and ?creator= / ?deleted= filters
+function adminListRoute(table) {
+  return (req, res) => {
+    try {
+      const { list, error } = parseListQuery(table, req.query, { defaultLimit: 100 });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const where = deletedFilter(req.query.deleted);
+      const params = [];
+      if (req.query.creator) {
+        where.push('creator = ?');
+        params.push(normalizeAddress(req.query.creator) || req.query.creator);
+      }
+
+      const { rows, nextCursor } = listContent(table, where, params, list);
+      res.json({ items: rows.map(adminContentRow), nextCursor });
+    } catch (error) {
+      console.error(`Error listing ${table}:`, error);
+      res.status(500).json({ error: `Failed to get ${table}` });
+    }
+  };
+}
+
+// Soft-delete (deleted = true) or restore content, recording the action in the audit log
+function adminDeleteRoute(table, targetType, label, deleted) {
+  return (req, res) => {
+    try {
+      const { shortCode } = req.params;
+      const stmt = deleted
+        ? db.prepare(`UPDATE ${table} SET deleted_at = ?, deleted_by = ? WHERE short_code = ? AND deleted_at IS NULL`)
+        : db.prepare(`UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL WHERE short_code = ? AND deleted_at IS NOT NULL`);
+      const result = deleted
+        ? stmt.run(Math.floor(Date.now() / 1000), req.admin.wallet, shortCode)
+        : stmt.run(shortCode);
+
+      if (result.changes === 0) {
+        return res.status(404).json({ error: deleted ? `${label} not found` : `No deleted ${label.toLowerCase()} with this short code` });
+      }
+
+      logAdminAction(req, deleted ? 'delete' : 'restore', targetType, shortCode,
+        req.body?.reason ? { reason: String(req.body.reason).slice(0, 500) } : null);
+      res.json({ message: deleted ? `${label} deleted` : `${label} restored` });
+    } catch (error) {
+      console.error(`Error updating ${table}:`, error);
+      res.status(500).json({ error: deleted ? `Failed to delete ${label.toLowerCase()}` : `Failed to restore ${label.toLowerCase()}` });
+    }
+  };
+}
+
+// Get the signed-in admin's role and permissions
+app.get('/api/admin/me', requireAdmin(), (req, res) => {
+  res.json({ wallet: req.admin.wallet, role: req.admin.role, permissions: ROLES[req.admin.role] });
+});
+
+// Get all links / media (admin)
+app.get('/api/admin/links', requireAdmin('read'), adminListRoute('links'));
+app.get('/api/admin/media', requireAdmin('read'), adminListRoute('media'));
+
+// Pins held by the pinning backend (?status=pinned|queued|pinning|failed, ?limit=), with how many media entries use each
+app.get('/api/admin/pins', requireAdmin('read'), async (req, res) => {
+  const status = req.query.status || 'pinned';
+  if (!PIN_STATUSES.includes(status) || status === 'unpinned') {
+    return res.status(400).json({ error: 'status must be pinned, queued, pinning or failed' });
+  }
+
+  try {
+    const pins = await PINNING.list({ status, limit: parseLimit(req.query.limit, 100) });
+    const countMedia = db.prepare('SELECT COUNT(*) AS count FROM media WHERE ipfs_hash = ?');
+    res.json({
+      backend: PINNING.name,
+      // Backends may list CIDs in another form than the CIDv1 stored with media
+      pins: pins.map(pin => ({ ...pin, media: countMedia.get(toCidV1(pin.cid) || pin.cid).count }))
+    });
+  } catch (error) {
+    console.error(`Error listing pins (${PINNING.name}):`, error);
+    res.status(502).json({ error: 'Could not reach the pinning backend' });
+  }
+});
+
+// Export all links and media with their stats (?format=json|csv, ?creator=, ?deleted=include|exclude|only)
+app.get('/api/admin/export', requireAdmin('read'), async (req, res) => {
   try {
-    const stmt = db.prepare('SELECT * FROM links ORDER BY created_at DESC LIMIT 100');
-    const links = stmt.all();
-    res.json(links);
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    const where = deletedFilter(req.query.deleted);
+    const params = [];
+    const creator = req.query.creator ? normalizeAddress(req.query.creator) || req.query.creator : null;
+    if (creator) {
+      where.push('creator = ?');
+      params.push(creator);
+    }
+
+    logAdminAction(req, 'export', 'content', creator || '*', { format, deleted: req.query.deleted || 'include' });
+    await streamExport(res, { format, where, params, fileName: 'linkio-admin-export' });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get links' });
+    handleExportError(res, error);
   }
 });
 
-// Get all media (admin)
-app.get('/api/admin/media', (req, res) => {
+// Soft-delete and restore links / media (admin)
+app.delete('/api/admin/links/:shortCode', requireAdmin('delete'), adminDeleteRoute('links', 'link', 'Link', true));
+app.post('/api/admin/links/:shortCode/restore', requireAdmin('delete'), adminDeleteRoute('links', 'link', 'Link', false));
+app.delete('/api/admin/media/:shortCode', requireAdmin('delete'), adminDeleteRoute('media', 'media', 'Media', true));
+app.post('/api/admin/media/:shortCode/restore', requireAdmin('delete'), adminDeleteRoute('media', 'media', 'Media', false));
+
+// Get banned wallets
+app.get('/api/admin/bans', requireAdmin('read'), (req, res) => {
   try {
-    const stmt = db.prepare('SELECT * FROM media ORDER BY created_at DESC LIMIT 100');
-    const media = stmt.all();
-    res.json(media);
+    const bans = db.prepare('SELECT * FROM banned_wallets ORDER BY banned_at DESC').all();
+    res.json(bans.map(ban => ({
+      wallet: ban.wallet,
+      reason: ban.reason,
+      bannedBy: ban.banned_by,
+      bannedAt: ban.banned_at
+    })));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get media' });
+    console.error('Error getting bans:', error);
+    res.status(500).json({ error: 'Failed to get bans' });
   }
 });
 
-// Delete a link (admin)
-app.delete('/api/admin/links/:shortCode', (req, res) => {
+// Ban a wallet: it can no longer sign in and its sessions are revoked
+app.post('/api/admin/bans', requireAdmin('ban'), (req, res) => {
   try {
-    const { shortCode } = req.params;
-    const stmt = db.prepare('DELETE FROM links WHERE short_code = ?');
-    const result = stmt.run(shortCode);
+    const wallet = normalizeAddress(req.body.wallet);
+    const reason = req.body.reason ? String(req.body.reason).slice(0, 500) : null;
+
+    if (!wallet) {
+      return res.status(400).json({ error: 'A valid wallet address is required' });
+    }
+    if (getAdminRole(wallet)) {
+      return res.status(400).json({ error: 'Admins cannot be banned' });
+    }
+    if (isBanned(wallet)) {
+      return res.status(409).json({ error: 'Wallet is already banned' });
+    }
+
+    const bannedAt = Math.floor(Date.now() / 1000);
+    db.transaction(() => {
+      db.prepare('INSERT INTO banned_wallets (wallet, reason, banned_by, banned_at) VALUES (?, ?, ?, ?)')
+        .run(wallet, reason, req.admin.wallet, bannedAt);
+      db.prepare('DELETE FROM sessions WHERE wallet = ?').run(wallet);
+      logAdminAction(req, 'ban', 'wallet', wallet, reason ? { reason } : null);
+    })();
+
+    res.json({ wallet, reason, bannedBy: req.admin.wallet, bannedAt });
+  } catch (error) {
+    console.error('Error banning wallet:', error);
+    res.status(500).json({ error: 'Failed to ban wallet' });
+  }
+});
+
+// Lift a ban
+app.delete('/api/admin/bans/:wallet', requireAdmin('ban'), (req, res) => {
+  try {
+    const wallet = normalizeAddress(req.params.wallet) || req.params.wallet;
+    const result = db.prepare('DELETE FROM banned_wallets WHERE wallet = ?').run(wallet);
     if (result.changes === 0) {
-      return res.status(404).json({ error: 'Link not found' });
+      return res.status(404).json({ error: 'Wallet is not banned' });
     }
-    res.json({ message: 'Link deleted' });
+
+    logAdminAction(req, 'unban', 'wallet', wallet);
+    res.json({ message: 'Ban lifted' });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete link' });
+    console.error('Error lifting ban:', error);
+    res.status(500).json({ error: 'Failed to lift ban' });
   }
 });
 
-// Delete media (admin)
-app.delete('/api/admin/media/:shortCode', (req, res) => {
+// Get admins, including those configured through ADMIN_WALLETS
+app.get('/api/admin/admins', requireAdmin('manage'), (req, res) => {
   try {
-    const { shortCode } = req.params;
-    const stmt = db.prepare('DELETE FROM media WHERE short_code = ?');
-    const result = stmt.run(shortCode);
+    const rows = db.prepare('SELECT * FROM admins ORDER BY created_at').all();
+    const admins = [...ADMIN_WALLETS].map(wallet => ({ wallet, role: 'admin', source: 'config' }));
+    for (const row of rows) {
+      if (ADMIN_WALLETS.has(row.wallet)) continue;
+      admins.push({ wallet: row.wallet, role: row.role, source: 'database', createdAt: row.created_at, createdBy: row.created_by });
+    }
+    res.json(admins);
+  } catch (error) {
+    console.error('Error getting admins:', error);
+    res.status(500).json({ error: 'Failed to get admins' });
+  }
+});
+
+// Grant or change a wallet's admin role
+app.put('/api/admin/admins/:wallet', requireAdmin('manage'), (req, res) => {
+  try {
+    const wallet = normalizeAddress(req.params.wallet);
+    const { role } = req.body;
+
+    if (!wallet) {
+      return res.status(400).json({ error: 'A valid wallet address is required' });
+    }
+    if (!ROLES[role]) {
+      return res.status(400).json({ error: `Role must be one of: ${Object.keys(ROLES).join(', ')}` });
+    }
+    if (ADMIN_WALLETS.has(wallet)) {
+      return res.status(400).json({ error: 'Wallets in ADMIN_WALLETS cannot be changed' });
+    }
+
+    const previous = getAdminRole(wallet);
+    db.prepare(`
+      INSERT INTO admins (wallet, role, created_at, created_by) VALUES (?, ?, ?, ?)
+      ON CONFLICT(wallet) DO UPDATE SET role = excluded.role
+    `).run(wallet, role, Math.floor(Date.now() / 1000), req.admin.wallet);
+    logAdminAction(req, 'set_role', 'admin', wallet, { role, previous });
+
+    res.json({ wallet, role, source: 'database' });
+  } catch (error) {
+    console.error('Error setting admin role:', error);
+    res.status(500).json({ error: 'Failed to set admin role' });
+  }
+});
+
+// Revoke a wallet's admin role
+app.delete('/api/admin/admins/:wallet', requireAdmin('manage'), (req, res) => {
+  try {
+    const wallet = normalizeAddress(req.params.wallet) || req.params.wallet;
+
+    if (ADMIN_WALLETS.has(wallet)) {
+      return res.status(400).json({ error: 'Wallets in ADMIN_WALLETS cannot be changed' });
+    }
+
+    const result = db.prepare('DELETE FROM admins WHERE wallet = ?').run(wallet);
     if (result.changes === 0) {
-      return res.status(404).json({ error: 'Media not found' });
+      return res.status(404).json({ error: 'Admin not found' });
     }
-    res.json({ message: 'Media deleted' });
+
+    logAdminAction(req, 'remove_role', 'admin', wallet);
+    res.json({ message: 'Admin removed' });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete media' });
+    console.error('Error removing admin:', error);
+    res.status(500).json({ error: 'Failed to remove admin' });
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log('API endpoints:');
-  console.log('  POST /api/links - Create short link');
-  console.log('  GET  /api/links/:shortCode - Get link data');
-  console.log('  GET  /api/links/:shortCode/redirect - Redirect and track click');
-  console.log('  POST /api/media - Save media metadata');
-  console.log('  GET  /api/media/:shortCode - Get media data');
-  console.log('  GET  /api/media/:shortCode/view - View and track media');
-  console.log('  GET  /api/users/:wallet/links - Get user links');
-  console.log('  GET  /api/users/:wallet/media - Get user media');
-  console.log('  GET  /api/stats - Get total counts');
+// Get the audit log (newest first, paginated, ?admin= / ?action= / ?from= / ?to= filters)
+app.get('/api/admin/audit', requireAdmin('read'), (req, res) => {
+  try {
+    const { list, error } = parseListQuery('admin_audit_log', req.query, { defaultLimit: 100 });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const where = [];
+    const params = [];
+    if (req.query.admin) {
+      where.push('admin_wallet = ?');
+      params.push(normalizeAddress(req.query.admin) || req.query.admin);
+    }
+    if (req.query.action) {
+      where.push('action = ?');
+      params.push(req.query.action);
+    }
+
+    const { rows, nextCursor } = listContent('admin_audit_log', where, params, list);
+    res.json({
+      items: rows.map(entry => ({
+        id: entry.id,
+        admin: entry.admin_wallet,
+        action: entry.action,
+        targetType: entry.target_type,
+        targetId: entry.target_id,
+        details: entry.details ? JSON.parse(entry.details) : null,
+        createdAt: entry.created_at
+      })),
+      nextCursor
+    });
+  } catch (error) {
+    console.error('Error getting audit log:', error);
+    res.status(500).json({ error: 'Failed to get audit log' });
+  }
 });
+
+// Start server when run directly; the tests import the app instead
+if (process.argv[1] === __filename) {
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+    console.log('API endpoints:');
+    console.log('  POST /api/auth/nonce - Get a sign-in nonce');
+    console.log('  POST /api/auth/verify - Verify wallet signature and start session');
+    console.log('  POST /api/links - Create short link');
+    console.log('  POST /api/links/bulk - Create links from JSON or CSV');
+    console.log('  GET  /api/links/:shortCode - Get link data');
+    console.log('  PATCH /api/links/:shortCode - Edit a link (owner)');
+    console.log('  DELETE /api/links/:shortCode - Delete a link (owner)');
+    console.log('  GET  /api/links/:shortCode/revisions - Link revision history (owner)');
+    console.log('  GET  /api/links/:shortCode/redirect - Redirect and track click');
+    console.log('  POST /api/links/:shortCode/unlock - Unlock a password-protected link');
+    console.log('  GET  /api/links/:shortCode/analytics - Click time series and breakdowns');
+    console.log('  POST /api/media - Save media metadata');
+    console.log('  POST /api/media/upload - Upload a file to IPFS and save it as media (signed in)');
+    console.log('  GET  /api/media/:shortCode/pin - Check the pin status of uploaded media (owner)');
+    console.log('  GET  /api/media/:shortCode - Get media data');
+    console.log('  DELETE /api/media/:shortCode - Delete media (owner)');
+    console.log('  GET  /api/media/:shortCode/view - View and track media');
+    console.log('  POST /api/media/:shortCode/unlock - Unlock password-protected media');
+    console.log('  GET  /api/media/:shortCode/analytics - View time series and breakdowns');
+    console.log('  GET  /api/users/:wallet/links - Get user links');
+    console.log('  GET  /api/users/:wallet/media - Get user media');
+    console.log('  GET  /api/users/:wallet/campaigns - Get user campaigns with click totals');
+    console.log('  GET/POST/PATCH/DELETE /api/users/:wallet/tags - Manage tags');
+    console.log('  GET/POST/PATCH/DELETE /api/users/:wallet/folders - Manage folders');
+    console.log('  PUT  /api/{links,media}/:shortCode/{tags,folder} - Tag or file content (owner)');
+    console.log('  GET  /api/users/:wallet/export - Export user links, media and stats (JSON or CSV)');
+    console.log('  GET  /api/qr/:type/:shortCode - QR code (PNG or SVG) for a short URL');
+    console.log('  GET  /api/aliases/:alias - Check custom alias availability');
+    console.log('  GET  /api/stats - Get total counts');
+    console.log('  GET  /api/admin/* - Admin moderation (requires an admin wallet session)');
+    console.log(`  GET  /l/:shortCode - Redirect (${REDIRECT_STATUS}) and track click`);
+    console.log('  GET  /m/:shortCode - Media viewer page with Open Graph tags');
+    if (PINNING.filePath) {
+      console.log('  GET  /ipfs/:cid - Files stored by the local pinning backend');
+    }
+    console.log(`Media uploads: ${PINNING.name} pinning backend, up to ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB`);
+    console.log(`URL safety: ${BLOCKLIST.size} blocklist entries, threat intel ${THREAT_INTEL ? THREAT_INTEL.name : 'off'}`);
+  });
+}
+
+export { app };
@@ -0,0 +1,42 @@
+// Tags for organizing links and media
+
+export const MAX_TAGS = 10;
+const TAG_REGEX = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const TAG_RULE = 'use up to 32 letters, digits, hyphens or underscores';
+
+/**
+ * Validate tags given as an array or a comma or semicolon separated string.
+ * Tags are lowercased and deduplicated.
+ * @returns {{ tags: string[] } | { error: string }}
+ */
+export function parseTags(value) {
+  if (value === undefined || value === null || value === '') {
+    return { tags: [] };
+  }
+  const list = typeof value === 'string' ? value.split(/[,;]/) : value;
+  if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+    return { error: 'tags must be a list of strings' };
+  }
+
+  const tags = [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  const invalid = tags.find(tag => !TAG_REGEX.test(tag));
+  if (invalid) {
+    return { error: `Invalid tag "${invalid}": ${TAG_RULE}` };
+  }
+  if (tags.length > MAX_TAGS) {
+    return { error: `At most ${MAX_TAGS} tags are allowed` };
+  }
+  return { tags };
+}
+
+/**
+ * Validate a single tag name, lowercasing it
+ * @returns {{ name: string } | { error: string }}
+ */
+export function parseTagName(value) {
+  const name = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!TAG_REGEX.test(name)) {
+    return { error: `Invalid tag name: ${TAG_RULE}` };
+  }
+  return { name };
+}
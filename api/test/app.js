@@ -0,0 +1,72 @@
+// Start the API on a random port with an in-memory database, for route tests.
+// server.js reads its configuration when imported, so each test file starts it once.
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { Wallet } from 'ethers';
+
+/**
+ * @param {object} env Extra environment variables, e.g. { ADMIN_WALLETS: '0x...' }
+ * @returns {Promise<{ request: Function, signIn: Function, close: Function, baseUrl: string, pinningDir: string }>}
+ */
+export async function startApp(env = {}) {
+  const pinningDir = fs.mkdtempSync(join(os.tmpdir(), 'linkio-pins-'));
+  Object.assign(process.env, {
+    DB_PATH: ':memory:',
+    PINNING_BACKEND: 'local',
+    LOCAL_PINNING_DIR: pinningDir,
+    LINK_PREVIEWS: 'false',
+    VISIT_DEDUPE_SECONDS: '0',
+    RATE_LIMIT_READ_IP: 'off',
+    RATE_LIMIT_READ_WALLET: 'off',
+    RATE_LIMIT_WRITE_IP: 'off',
+    RATE_LIMIT_WRITE_WALLET: 'off',
+    ...env
+  });
+
+  const { app } = await import('../server.js');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Send a request; objects are sent as JSON. Redirects are not followed.
+   * @returns {Promise<{ status: number, headers: Headers, body: any }>} body is parsed JSON, or text
+   */
+  async function request(method, path, { token, body, headers = {} } = {}) {
+    const init = { method, redirect: 'manual', headers: { ...headers } };
+    if (token) init.headers.Authorization = `Bearer ${token}`;
+    if (body instanceof FormData || typeof body === 'string') {
+      init.body = body;
+    } else if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, init);
+    const text = await response.text();
+    const json = /json/.test(response.headers.get('content-type') || '');
+    return { status: response.status, headers: response.headers, body: json && text ? JSON.parse(text) : text };
+  }
+
+  /**
+   * Sign in with an EVM wallet (a new random one by default)
+   * @returns {Promise<{ wallet: Wallet, address: string, token: string }>}
+   */
+  async function signIn(wallet = Wallet.createRandom()) {
+    const { body: { nonce, message } } = await request('POST', '/api/auth/nonce', { body: { address: wallet.address } });
+    const signature = await wallet.signMessage(message);
+    const { status, body } = await request('POST', '/api/auth/verify', { body: { address: wallet.address, nonce, signature } });
+    if (status !== 200) throw new Error(`Sign-in failed: ${body.error}`);
+    return { wallet, address: body.address, token: body.token };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(pinningDir, { recursive: true, force: true });
+  }
+
+  return { request, signIn, close, baseUrl, pinningDir };
+}
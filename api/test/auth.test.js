@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { Wallet, encodeBase58 } from 'ethers';
+import {
+  getChain, normalizeAddress, buildSignInMessage, verifyEvmSignature, verifySolanaSignature, verifyWalletSignature
+} from '../auth.js';
+
+const message = buildSignInMessage('0x0000000000000000000000000000000000000001', 'nonce', 1700000000);
+
+// A Solana wallet: an ed25519 key pair whose address is the base58 public key
+function solanaWallet() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+  return {
+    address: encodeBase58(raw),
+    sign: (text) => crypto.sign(null, Buffer.from(text, 'utf8'), privateKey).toString('base64')
+  };
+}
+
+describe('addresses', () => {
+  it('detects the chain', () => {
+    assert.equal(getChain(Wallet.createRandom().address), 'evm');
+    assert.equal(getChain(solanaWallet().address), 'solana');
+    assert.equal(getChain('0x1234'), null);
+    assert.equal(getChain(undefined), null);
+  });
+
+  it('checksums EVM addresses', () => {
+    const { address } = Wallet.createRandom();
+    assert.equal(normalizeAddress(address.toLowerCase()), address);
+    assert.equal(normalizeAddress('nope'), null);
+  });
+});
+
+describe('EVM signatures', () => {
+  it('accepts a signature by the address', async () => {
+    const wallet = Wallet.createRandom();
+    const signature = await wallet.signMessage(message);
+    assert.equal(verifyEvmSignature(wallet.address, message, signature), true);
+    assert.equal(verifyWalletSignature(wallet.address.toLowerCase(), message, signature), true);
+  });
+
+  it('rejects another signer, another message and malformed signatures', async () => {
+    const wallet = Wallet.createRandom();
+    const signature = await wallet.signMessage(message);
+    assert.equal(verifyEvmSignature(Wallet.createRandom().address, message, signature), false);
+    assert.equal(verifyEvmSignature(wallet.address, `${message}\n`, signature), false);
+    assert.equal(verifyEvmSignature(wallet.address, message, '0x1234'), false);
+    assert.equal(verifyWalletSignature(wallet.address, message, ''), false);
+  });
+});
+
+describe('Solana signatures', () => {
+  it('accepts a signature by the address', () => {
+    const wallet = solanaWallet();
+    assert.equal(verifySolanaSignature(wallet.address, message, wallet.sign(message)), true);
+    assert.equal(verifyWalletSignature(wallet.address, message, wallet.sign(message)), true);
+  });
+
+  it('rejects another signer, another message and malformed signatures', () => {
+    const wallet = solanaWallet();
+    assert.equal(verifySolanaSignature(solanaWallet().address, message, wallet.sign(message)), false);
+    assert.equal(verifySolanaSignature(wallet.address, `${message}\n`, wallet.sign(message)), false);
+    assert.equal(verifySolanaSignature(wallet.address, message, Buffer.alloc(10).toString('base64')), false);
+  });
+});
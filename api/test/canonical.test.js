@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalizeUrl, isTrackingParam } from '../canonical.js';
+
+describe('canonicalizeUrl', () => {
+  it('lowercases the scheme and host but not the path', () => {
+    assert.equal(canonicalizeUrl('HTTPS://Example.COM/Path/To'), 'https://example.com/Path/To');
+  });
+
+  it('drops default ports and keeps others', () => {
+    assert.equal(canonicalizeUrl('https://example.com:443/a'), 'https://example.com/a');
+    assert.equal(canonicalizeUrl('http://example.com:80'), 'http://example.com/');
+    assert.equal(canonicalizeUrl('http://example.com:8080/'), 'http://example.com:8080/');
+    assert.equal(canonicalizeUrl('https://example.com:80/'), 'https://example.com:80/');
+  });
+
+  it('drops trailing slashes except for the root path, and the trailing dot of the host', () => {
+    assert.equal(canonicalizeUrl('https://example.com/a/b/'), 'https://example.com/a/b');
+    assert.equal(canonicalizeUrl('https://example.com/a//'), 'https://example.com/a');
+    assert.equal(canonicalizeUrl('https://example.com/'), 'https://example.com/');
+    assert.equal(canonicalizeUrl('https://example.com./a'), 'https://example.com/a');
+  });
+
+  it('sorts query parameters by name, keeping the order of repeated ones', () => {
+    assert.equal(canonicalizeUrl('https://example.com/?b=2&a=1&c=3&a=0'), 'https://example.com/?a=1&a=0&b=2&c=3');
+  });
+
+  it('drops an empty query or fragment and keeps others', () => {
+    assert.equal(canonicalizeUrl('https://example.com/a?#'), 'https://example.com/a');
+    assert.equal(canonicalizeUrl('https://example.com/a?q=1#section'), 'https://example.com/a?q=1#section');
+    assert.notEqual(canonicalizeUrl('https://example.com/a#one'), canonicalizeUrl('https://example.com/a#two'));
+  });
+
+  it('writes internationalized hosts in punycode', () => {
+    assert.equal(canonicalizeUrl('https://BÜCHER.example/'), 'https://xn--bcher-kva.example/');
+    assert.equal(canonicalizeUrl('https://bücher.example/a'), canonicalizeUrl('https://xn--bcher-kva.example/a/'));
+  });
+
+  it('keeps tracking parameters unless asked to strip them', () => {
+    const url = 'https://example.com/p?utm_source=news&fbclid=abc&q=1&UTM_Medium=email&gclid=x';
+    assert.equal(canonicalizeUrl(url), 'https://example.com/p?UTM_Medium=email&fbclid=abc&gclid=x&q=1&utm_source=news');
+    assert.equal(canonicalizeUrl(url, { stripTracking: true }), 'https://example.com/p?q=1');
+    assert.equal(canonicalizeUrl('https://example.com/?utm_source=x', { stripTracking: true }), 'https://example.com/');
+  });
+
+  it('returns null for values that are not URLs', () => {
+    assert.equal(canonicalizeUrl('not a url'), null);
+    assert.equal(canonicalizeUrl(''), null);
+  });
+});
+
+describe('isTrackingParam', () => {
+  it('matches known click IDs and utm_ parameters in any case', () => {
+    for (const name of ['utm_source', 'UTM_CAMPAIGN', 'fbclid', 'GCLID', 'msclkid', 'mc_eid']) {
+      assert.equal(isTrackingParam(name), true, name);
+    }
+    for (const name of ['q', 'utm', 'id', 'source', 'clid']) {
+      assert.equal(isTrackingParam(name), false, name);
+    }
+  });
+});
@@ -0,0 +1,28 @@
+// The web app hashes uploads with Web Crypto (frontend/src/utils/cid.js) and the API rejects uploads whose
+// CID differs from its own, so both must give the same CIDs; the encoding itself is shared
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { CHUNK_SIZE, createCidHasher } from '../cid.js';
+import { computeCid } from '../../frontend/src/utils/cid.js';
+
+function serverCid(data) {
+  const hasher = createCidHasher();
+  hasher.update(data);
+  return hasher.digest();
+}
+
+describe('browser and API CIDs', () => {
+  for (const [name, length] of [
+    ['an empty file', 0],
+    ['1 byte', 1],
+    ['one full chunk', CHUNK_SIZE],
+    ['one chunk and a byte', CHUNK_SIZE + 1],
+    ['more than 174 chunks', 175 * CHUNK_SIZE + 1]
+  ]) {
+    it(`agree for ${name}`, async () => {
+      const data = crypto.randomBytes(length);
+      assert.equal(await computeCid(new Blob([data])), serverCid(data));
+    });
+  }
+});
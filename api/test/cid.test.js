@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHUNK_SIZE, createCidHasher, parseCid, toCidV1, toCidV0, verifyPinnedCid } from '../cid.js';
+
+// Bytes 0, 1, ..., 250, 0, 1, ... so fixtures can be rebuilt without storing them
+function pattern(length) {
+  const bytes = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) bytes[i] = i % 251;
+  return bytes;
+}
+
+function cidOf(...parts) {
+  const hasher = createCidHasher();
+  for (const part of parts) hasher.update(part);
+  return hasher.digest();
+}
+
+// The same CID in the encodings parseCid accepts
+const V0 = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+const V1 = 'bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34';
+
+describe('createCidHasher', () => {
+  // Expected CIDs from `ipfs add --cid-version 1 --raw-leaves`
+  it('matches IPFS for a single chunk', () => {
+    assert.equal(cidOf(Buffer.from('hello world\n')), 'bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4');
+    assert.equal(cidOf(pattern(1)), 'bafkreidogqfzz75tpkmjzjke425xqcrmpcib2p5tg44hnbirumdbpl5adu');
+    assert.equal(cidOf(pattern(CHUNK_SIZE)), 'bafkreibruh455iawsviqslif5c7uurdcfdemh22mtnytyzvnzn75kpejxy');
+  });
+
+  it('matches IPFS for a file tree', () => {
+    assert.equal(cidOf(pattern(CHUNK_SIZE + 1)), 'bafybeiexg2oqkfnj56l7fcmawswqbijt5shq4b5rg6a546uwpkqqzwjioi');
+  });
+
+  it('matches IPFS for a tree with more than one level', () => {
+    assert.equal(cidOf(pattern(175 * CHUNK_SIZE + 1)), 'bafybeihzhgkxa5ea4r5cr73r73tsf3ppwpstcxnsuyqxio3vy7xpikkhmi');
+  });
+
+  it('does not depend on how the data is split across updates', () => {
+    const data = pattern(3 * CHUNK_SIZE + 17);
+    assert.equal(cidOf(data.subarray(0, 5), data.subarray(5, CHUNK_SIZE + 9), data.subarray(CHUNK_SIZE + 9)), cidOf(data));
+  });
+});
+
+describe('parseCid', () => {
+  it('decodes CIDv0', () => {
+    const cid = parseCid(V0);
+    assert.equal(cid.version, 0);
+    assert.equal(cid.codec, 0x70);
+    assert.equal(cid.multihash.length, 34);
+  });
+
+  it('decodes CIDv1 in every supported multibase', () => {
+    for (const encoded of [
+      V1,
+      V1.toUpperCase(),
+      'zdj7Wg2Qkk4mYgAkVU1kppfQ2sMGz5zPwERVpeWmxCQLDxVoC',
+      'k2jmtxvacy5p64u708sn9oawhfsizpcwgk1g59ckse0h1r7a2j7d0tlr',
+      'f017012209d6c2be50f706953479ab9df2ce3edca90b68053c00b3004b7f0accbe1e8eedf',
+      'uAXASIJ1sK-UPcGlTR5q53yzj7cqQtoBTwAswBLfwrMvh6O7f'
+    ]) {
+      const cid = parseCid(encoded);
+      assert.ok(cid, encoded);
+      assert.equal(cid.version, 1);
+      assert.equal(cid.codec, 0x70);
+    }
+  });
+
+  it('rejects malformed CIDs', () => {
+    for (const value of [
+      null,
+      '',
+      'hello',
+      // Fake hashes the app used to generate: hex, which is not base58
+      'Qm9f2fbc39fb2043eb58e0460dd232e93c604134719fe5',
+      // Truncated, extended and mistyped CIDs
+      V1.slice(0, -1),
+      `${V1}a`,
+      `${V1.slice(0, -1)}1`,
+      V0.slice(0, -1),
+      'bafkrei'
+    ]) {
+      assert.equal(parseCid(value), null, String(value));
+    }
+  });
+});
+
+describe('toCidV1 / toCidV0', () => {
+  it('converts between versions', () => {
+    assert.equal(toCidV1(V0), V1);
+    assert.equal(toCidV1('zdj7Wg2Qkk4mYgAkVU1kppfQ2sMGz5zPwERVpeWmxCQLDxVoC'), V1);
+    assert.equal(toCidV0(V1), V0);
+    assert.equal(toCidV0(V0), V0);
+  });
+
+  it('returns null for CIDs without a CIDv0 form and for non-CIDs', () => {
+    assert.equal(toCidV0(cidOf(Buffer.from('raw leaf'))), null);
+    assert.equal(toCidV1('not a cid'), null);
+  });
+});
+
+describe('verifyPinnedCid', () => {
+  it('accepts the file CID in any encoding', () => {
+    assert.deepEqual(verifyPinnedCid({ cid: V1 }, V0), {});
+    assert.deepEqual(verifyPinnedCid({ cid: V1 }, V1), {});
+  });
+
+  it('rejects another CID', () => {
+    assert.ok(verifyPinnedCid({ cid: V1 }, cidOf(Buffer.from('other'))).error);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsvRow } from '../csv.js';
+
+describe('toCsvRow', () => {
+  it('quotes fields with commas, quotes and line breaks', () => {
+    assert.equal(toCsvRow(['a', 'b,c', 'say "hi"', 'two\nlines']), 'a,"b,c","say ""hi""","two\nlines"\r\n');
+  });
+
+  it('writes empty fields for null and undefined', () => {
+    assert.equal(toCsvRow([null, undefined, 0, false]), ',,0,false\r\n');
+  });
+
+  it('keeps spreadsheets from evaluating formulas', () => {
+    assert.equal(toCsvRow(['=HYPERLINK("http://evil")', '+1', '-1', '@SUM(A1)']), `"'=HYPERLINK(""http://evil"")",'+1,'-1,'@SUM(A1)\r\n`);
+  });
+
+  it('leaves numbers alone', () => {
+    assert.equal(toCsvRow([-5, 12]), '-5,12\r\n');
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads quoted fields, escaped quotes and CRLF line endings', () => {
+    assert.deepEqual(parseCsv('﻿url,alias\r\n"https://a.com/?x=1,2","say ""hi"""\r\n\r\nhttps://b.com,b\n'), [
+      ['url', 'alias'],
+      ['https://a.com/?x=1,2', 'say "hi"'],
+      ['https://b.com', 'b']
+    ]);
+  });
+
+  it('reads back what toCsvRow writes', () => {
+    const values = ['plain', 'with, comma', 'multi\nline', '"quoted"'];
+    assert.deepEqual(parseCsv(toCsvRow(values)), [values]);
+  });
+});
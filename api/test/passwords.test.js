@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashPassword, verifyPassword, validatePassword, createAttemptLimiter } from '../passwords.js';
+
+describe('hashPassword / verifyPassword', () => {
+  it('accepts the password and nothing else', async () => {
+    const stored = await hashPassword('open sesame');
+    assert.match(stored, /^scrypt\$32768\$8\$1\$/);
+    assert.equal(await verifyPassword('open sesame', stored), true);
+    assert.equal(await verifyPassword('open sesame ', stored), false);
+    assert.equal(await verifyPassword(undefined, stored), false);
+  });
+
+  it('salts every hash', async () => {
+    assert.notEqual(await hashPassword('same'), await hashPassword('same'));
+  });
+});
+
+describe('validatePassword', () => {
+  it('enforces the length limits', () => {
+    assert.equal(validatePassword('1234'), null);
+    assert.ok(validatePassword('123'));
+    assert.ok(validatePassword('x'.repeat(129)));
+    assert.ok(validatePassword(1234));
+  });
+});
+
+describe('createAttemptLimiter', () => {
+  it('refuses attempts after maxFailures until the key is reset', () => {
+    const limiter = createAttemptLimiter({ maxFailures: 5, windowSeconds: 60 });
+    for (let i = 0; i < 5; i++) {
+      assert.equal(limiter.attempt('link:abc'), 0);
+    }
+
+    const retryAfter = limiter.attempt('link:abc');
+    assert.ok(retryAfter > 0 && retryAfter <= 60);
+    assert.equal(limiter.attempt('link:other'), 0);
+
+    limiter.reset('link:abc');
+    assert.equal(limiter.attempt('link:abc'), 0);
+  });
+
+  it('counts attempts that have not finished yet', async () => {
+    const limiter = createAttemptLimiter({ maxFailures: 5, windowSeconds: 60 });
+    // Every guess is counted before its (slow) password check resolves
+    const guesses = Array.from({ length: 25 }, async () => {
+      if (limiter.attempt('link:abc')) return 'refused';
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return 'checked';
+    });
+    const results = await Promise.all(guesses);
+    assert.equal(results.filter(result => result === 'checked').length, 5);
+  });
+});
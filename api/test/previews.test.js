@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { fetchLinkPreview, parsePreview } from '../previews.js';
+
+describe('fetchLinkPreview', () => {
+  it('never fetches internal addresses', async () => {
+    for (const url of [
+      'http://127.0.0.1/',
+      'http://localhost:3001/api/stats',
+      'http://10.0.0.1/',
+      'http://172.16.5.4/',
+      'http://192.168.1.1/',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://100.64.0.1/',
+      'http://0.0.0.0/',
+      'http://[::1]/',
+      'http://[::ffff:127.0.0.1]/',
+      'http://[fd00::1]/',
+      'http://[fe80::1]/'
+    ]) {
+      await assert.rejects(fetchLinkPreview(url), /non-public address/, url);
+    }
+  });
+
+  it('checks the address it connects to, not a separate lookup', async () => {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+      requests++;
+      res.end('<title>internal</title>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      await assert.rejects(fetchLinkPreview(`http://localhost:${server.address().port}/`), /non-public address/);
+      assert.equal(requests, 0);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('only fetches http and https', async () => {
+    await assert.rejects(fetchLinkPreview('ftp://example.com/'), /Only http and https/);
+    await assert.rejects(fetchLinkPreview('file:///etc/passwd'), /Only http and https/);
+  });
+});
+
+describe('parsePreview', () => {
+  it('prefers Open Graph tags and resolves the image URL', () => {
+    const html = `
+      <head>
+        <title>Page title</title>
+        <meta property="og:title" content="OG &amp; title">
+        <meta name="description" content="  Some
+          description ">
+        <meta property="og:image" content="/img/card.png">
+      </head>`;
+    assert.deepEqual(parsePreview(html, 'https://example.com/post/1'), {
+      title: 'OG & title',
+      description: 'Some description',
+      image: 'https://example.com/img/card.png'
+    });
+  });
+
+  it('falls back to the title tag and drops non-http images', () => {
+    const html = '<title>Only a title</title><meta property="og:image" content="javascript:alert(1)">';
+    assert.deepEqual(parsePreview(html, 'https://example.com/'), { title: 'Only a title', description: null, image: null });
+  });
+});
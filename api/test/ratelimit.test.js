@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRateLimit, createTokenBucket, createRepeatWindow } from '../ratelimit.js';
+
+describe('parseRateLimit', () => {
+  it('parses requests/seconds and off', () => {
+    assert.deepEqual(parseRateLimit('30/60'), { capacity: 30, seconds: 60 });
+    assert.deepEqual(parseRateLimit(undefined, '5 / 10'), { capacity: 5, seconds: 10 });
+    assert.equal(parseRateLimit('off'), null);
+  });
+
+  it('rejects anything else', () => {
+    assert.throws(() => parseRateLimit('30'));
+    assert.throws(() => parseRateLimit('0/60'));
+  });
+});
+
+describe('createTokenBucket', () => {
+  it('allows a burst up to capacity, then refills over time', () => {
+    const bucket = createTokenBucket({ capacity: 3, seconds: 30 });
+    const now = 1_000_000;
+    for (let i = 0; i < 3; i++) {
+      assert.equal(bucket.take('ip', now).allowed, true);
+    }
+
+    const refused = bucket.take('ip', now);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.retryAfter, 10);
+
+    // One token comes back every 10 seconds
+    assert.equal(bucket.take('ip', now + 10_000).allowed, true);
+    assert.equal(bucket.take('ip', now + 10_000).allowed, false);
+  });
+
+  it('keeps keys apart', () => {
+    const bucket = createTokenBucket({ capacity: 1, seconds: 60 });
+    assert.equal(bucket.take('a', 0).allowed, true);
+    assert.equal(bucket.take('a', 0).allowed, false);
+    assert.equal(bucket.take('b', 0).allowed, true);
+  });
+});
+
+describe('createRepeatWindow', () => {
+  it('recognises repeats within the window only', () => {
+    const window = createRepeatWindow(60);
+    assert.equal(window.isRepeat('visit', 0), false);
+    assert.equal(window.isRepeat('visit', 59_999), true);
+    assert.equal(window.isRepeat('visit', 120_000), false);
+  });
+});
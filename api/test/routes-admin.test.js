@@ -0,0 +1,94 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import { startApp } from './app.js';
+
+describe('admin roles', () => {
+  const ownerWallet = Wallet.createRandom();
+  let app;
+  let owner;
+  let viewer;
+  let moderator;
+  let user;
+  let shortCode;
+
+  before(async () => {
+    app = await startApp({ ADMIN_WALLETS: ownerWallet.address });
+    owner = await app.signIn(ownerWallet);
+    viewer = await app.signIn();
+    moderator = await app.signIn();
+    user = await app.signIn();
+    ({ body: { shortCode } } = await app.request('POST', '/api/links', { token: user.token, body: { originalUrl: 'https://example.com/' } }));
+  });
+  after(() => app.close());
+
+  const admin = (method, path, token, body) => app.request(method, `/api/admin${path}`, { token, body });
+
+  it('keeps admin routes to admins', async () => {
+    assert.equal((await admin('GET', '/links')).status, 401);
+    const { status, body } = await admin('GET', '/links', user.token);
+    assert.equal(status, 403);
+    assert.equal(body.error, 'Admin access required');
+
+    const me = await admin('GET', '/me', owner.token);
+    assert.deepEqual(me.body, { wallet: owner.address, role: 'admin', permissions: ['read', 'delete', 'ban', 'manage'] });
+  });
+
+  it('lets admins grant roles, except to allowlisted wallets', async () => {
+    assert.equal((await admin('PUT', `/admins/${viewer.address}`, owner.token, { role: 'viewer' })).status, 200);
+    assert.equal((await admin('PUT', `/admins/${moderator.address}`, owner.token, { role: 'moderator' })).status, 200);
+    assert.equal((await admin('PUT', `/admins/${user.address}`, owner.token, { role: 'superuser' })).status, 400);
+    assert.equal((await admin('PUT', `/admins/${owner.address}`, owner.token, { role: 'viewer' })).status, 400);
+    assert.equal((await admin('GET', '/me', viewer.token)).body.role, 'viewer');
+  });
+
+  it('limits each role to its permissions', async () => {
+    assert.equal((await admin('GET', '/links', viewer.token)).status, 200);
+    const del = await admin('DELETE', `/links/${shortCode}`, viewer.token);
+    assert.equal(del.status, 403);
+    assert.equal(del.body.error, 'The viewer role cannot delete');
+    assert.equal((await admin('POST', '/bans', viewer.token, { wallet: user.address })).status, 403);
+
+    const manage = await admin('PUT', `/admins/${user.address}`, moderator.token, { role: 'admin' });
+    assert.equal(manage.status, 403);
+    assert.equal(manage.body.error, 'The moderator role cannot manage');
+    assert.equal((await admin('GET', '/admins', moderator.token)).status, 403);
+  });
+
+  it('lets moderators delete and restore content', async () => {
+    assert.equal((await admin('DELETE', `/links/${shortCode}`, moderator.token)).status, 200);
+    assert.equal((await app.request('GET', `/api/links/${shortCode}`)).status, 404);
+    assert.equal((await admin('DELETE', `/links/${shortCode}`, moderator.token)).status, 404);
+
+    assert.equal((await admin('POST', `/links/${shortCode}/restore`, moderator.token)).status, 200);
+    assert.equal((await app.request('GET', `/api/links/${shortCode}`)).status, 200);
+  });
+
+  it('lets moderators ban wallets, ending their sessions', async () => {
+    assert.equal((await admin('POST', '/bans', moderator.token, { wallet: viewer.address })).status, 400);
+
+    const ban = await admin('POST', '/bans', moderator.token, { wallet: user.address, reason: 'spam' });
+    assert.equal(ban.status, 200);
+    assert.equal((await admin('POST', '/bans', moderator.token, { wallet: user.address })).status, 409);
+    assert.equal((await app.request('GET', '/api/auth/session', { token: user.token })).status, 401);
+    await assert.rejects(app.signIn(user.wallet), /This wallet has been banned/);
+
+    assert.equal((await admin('DELETE', `/bans/${user.address}`, moderator.token)).status, 200);
+    await app.signIn(user.wallet);
+  });
+
+  it('records every action in the audit log', async () => {
+    const { body } = await admin('GET', '/audit?order=asc', viewer.token);
+    assert.deepEqual(body.items.map(entry => entry.action), ['set_role', 'set_role', 'delete', 'restore', 'ban', 'unban']);
+    assert.deepEqual(body.items[4], { ...body.items[4], admin: moderator.address, targetId: user.address, details: { reason: 'spam' } });
+
+    const bans = await admin('GET', '/audit?action=ban', viewer.token);
+    assert.equal(bans.body.items.length, 1);
+  });
+
+  it('revokes roles', async () => {
+    assert.equal((await admin('DELETE', `/admins/${viewer.address}`, owner.token)).status, 200);
+    assert.equal((await admin('GET', '/links', viewer.token)).status, 403);
+    assert.equal((await admin('DELETE', `/admins/${owner.address}`, owner.token)).status, 400);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './app.js';
+
+const CID = 'bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34';
+
+describe('custom aliases', () => {
+  let app;
+
+  before(async () => { app = await startApp(); });
+  after(() => app.close());
+
+  const createLink = (alias) => app.request('POST', '/api/links', { body: { originalUrl: 'https://example.com/', alias } });
+  const createMedia = (alias) => app.request('POST', '/api/media', {
+    body: { ipfsHash: CID, fileName: 'a.png', fileType: 'image/png', fileSize: 10, alias }
+  });
+  const check = async (alias, type = 'link') => (await app.request('GET', `/api/aliases/${alias}?type=${type}`)).body;
+
+  it('uses the alias as the short code', async () => {
+    assert.deepEqual(await check('launch-2026'), { alias: 'launch-2026', type: 'link', available: true });
+
+    const { status, body } = await createLink('launch-2026');
+    assert.equal(status, 200);
+    assert.equal(body.shortCode, 'launch-2026');
+    assert.equal((await app.request('GET', '/l/launch-2026')).headers.get('location'), 'https://example.com/');
+  });
+
+  it('refuses aliases that are taken', async () => {
+    await createLink('taken');
+    const { status, body } = await createLink('taken');
+    assert.equal(status, 409);
+    assert.equal(body.error, 'Alias is already taken');
+    assert.deepEqual(await check('taken'), { alias: 'taken', type: 'link', available: false, reason: 'Alias is already taken' });
+  });
+
+  it('keeps links and media in separate namespaces', async () => {
+    await createLink('shared-name');
+    assert.equal((await check('shared-name', 'media')).available, true);
+    const { status, body } = await createMedia('shared-name');
+    assert.equal(status, 200);
+    assert.equal(body.shortCode, 'shared-name');
+    assert.equal((await createMedia('shared-name')).status, 409);
+  });
+
+  it('rejects invalid and reserved aliases', async () => {
+    for (const alias of ['ab', '-dash', 'under_', 'a'.repeat(33)]) {
+      const { status, body } = await createLink(alias);
+      assert.equal(status, 400, alias);
+      assert.match(body.error, /3-32 characters/, alias);
+    }
+    for (const alias of ['admin', 'API']) {
+      assert.equal((await createLink(alias)).body.error, 'This alias is reserved', alias);
+      assert.deepEqual(await check(alias), { alias, type: 'link', available: false, reason: 'This alias is reserved' });
+    }
+    assert.equal((await app.request('GET', '/api/aliases/anything?type=folder')).status, 400);
+  });
+
+  it('generates a code when no alias is given', async () => {
+    const { body } = await createLink('');
+    assert.match(body.shortCode, /^[A-Za-z0-9]{6}$/);
+  });
+});
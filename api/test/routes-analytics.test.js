@@ -0,0 +1,79 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './app.js';
+
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+const CID = 'bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34';
+
+describe('click analytics', () => {
+  let app;
+  let owner;
+  let shortCode;
+
+  before(async () => {
+    app = await startApp({ TRUST_PROXY: 'true', VISIT_DEDUPE_SECONDS: '60' });
+    owner = await app.signIn();
+    ({ body: { shortCode } } = await app.request('POST', '/api/links', {
+      token: owner.token,
+      body: { originalUrl: 'https://example.com/' }
+    }));
+
+    const visit = (path, ip, headers) => app.request('GET', path, { headers: { 'X-Forwarded-For': ip, ...headers } });
+    await visit(`/l/${shortCode}?src=qr`, '198.51.100.1', { 'User-Agent': CHROME, 'Accept-Language': 'de-DE,de;q=0.9' });
+    // A repeat within the dedupe window is not counted
+    await visit(`/l/${shortCode}?src=qr`, '198.51.100.1', { 'User-Agent': CHROME, 'Accept-Language': 'de-DE,de;q=0.9' });
+    await visit(`/l/${shortCode}`, '198.51.100.2', { 'User-Agent': IPHONE, Referer: 'https://news.example.com/story' });
+    await visit(`/api/links/${shortCode}/redirect?ref=https://social.example/post`, '198.51.100.2', { 'User-Agent': CHROME });
+  });
+  after(() => app.close());
+
+  const analytics = (query = '', token = owner.token) => app.request('GET', `/api/links/${shortCode}/analytics${query}`, { token });
+
+  it('counts visits, unique visitors and their breakdowns', async () => {
+    const { status, body } = await analytics();
+    assert.equal(status, 200);
+    assert.equal(body.total, 3);
+    assert.equal(body.uniqueVisitors, 2);
+    assert.deepEqual(body.breakdowns.devices, [{ value: 'desktop', count: 2 }, { value: 'mobile', count: 1 }]);
+    assert.deepEqual(body.breakdowns.browsers, [{ value: 'Chrome', count: 2 }, { value: 'Safari', count: 1 }]);
+    assert.deepEqual(body.breakdowns.sources, [{ value: 'none', count: 2 }, { value: 'qr', count: 1 }]);
+    assert.deepEqual(body.breakdowns.languages, [{ value: 'unknown', count: 2 }, { value: 'de', count: 1 }]);
+    assert.deepEqual(body.breakdowns.referrers.map(row => row.value).sort(), ['direct', 'news.example.com', 'social.example']);
+    assert.equal((await app.request('GET', `/api/links/${shortCode}`)).body.clicks, 3);
+  });
+
+  it('buckets visits into a time series', async () => {
+    const to = Math.floor(Date.now() / 1000) + 60;
+    const { body } = await analytics(`?from=${to - 3 * 3600}&to=${to}&bucket=hour`);
+    assert.equal(body.bucket, 'hour');
+    assert.ok(body.series.length >= 3 && body.series.length <= 4);
+    assert.equal(body.series.reduce((total, point) => total + point.count, 0), 3);
+    for (const point of body.series) assert.equal(point.timestamp % 3600, 0);
+
+    const { body: before } = await analytics(`?from=${to - 7200}&to=${to - 3600}`);
+    assert.equal(before.total, 0);
+  });
+
+  it('validates the range and bucket', async () => {
+    assert.equal((await analytics('?from=100&to=50')).status, 400);
+    assert.equal((await analytics('?bucket=week')).status, 400);
+    assert.equal((await analytics('?from=0&bucket=hour')).status, 400);
+  });
+
+  it('shows analytics to the creator only, except for anonymous content', async () => {
+    assert.equal((await analytics('', null)).status, 401);
+    const other = await app.signIn();
+    assert.equal((await analytics('', other.token)).status, 403);
+
+    const { body: media } = await app.request('POST', '/api/media', {
+      body: { ipfsHash: CID, fileName: 'a.png', fileType: 'image/png', fileSize: 10 }
+    });
+    await app.request('GET', `/api/media/${media.shortCode}/view`);
+    const { status, body } = await app.request('GET', `/api/media/${media.shortCode}/analytics`);
+    assert.equal(status, 200);
+    assert.equal(body.total, 1);
+
+    assert.equal((await app.request('GET', '/api/links/missing/analytics')).status, 404);
+  });
+});
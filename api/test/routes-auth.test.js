@@ -0,0 +1,90 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import { startApp } from './app.js';
+
+describe('wallet sign-in', () => {
+  let app;
+  before(async () => { app = await startApp(); });
+  after(() => app.close());
+
+  it('opens a session for a signed nonce', async () => {
+    const { address, token } = await app.signIn();
+    const { status, body } = await app.request('GET', '/api/auth/session', { token });
+    assert.equal(status, 200);
+    assert.equal(body.address, address);
+  });
+
+  it('rejects invalid addresses, other signers and reused nonces', async () => {
+    assert.equal((await app.request('POST', '/api/auth/nonce', { body: { address: '0x1234' } })).status, 400);
+
+    const wallet = Wallet.createRandom();
+    const { body: { nonce, message } } = await app.request('POST', '/api/auth/nonce', { body: { address: wallet.address } });
+    const forged = await Wallet.createRandom().signMessage(message);
+    const verify = (signature) => app.request('POST', '/api/auth/verify', { body: { address: wallet.address, nonce, signature } });
+
+    assert.equal((await verify(forged)).status, 401);
+    // The nonce was used up by the failed attempt
+    assert.equal((await verify(await wallet.signMessage(message))).status, 401);
+  });
+
+  it('ends the session on logout', async () => {
+    const { token } = await app.signIn();
+    assert.equal((await app.request('POST', '/api/auth/logout', { token })).status, 200);
+    assert.equal((await app.request('GET', '/api/auth/session', { token })).status, 401);
+    assert.equal((await app.request('GET', '/api/auth/session', { token: 'not-a-token' })).status, 401);
+  });
+
+  it('attributes content to the signed-in wallet and anonymous content to no one', async () => {
+    const { address, token } = await app.signIn();
+    const signedIn = await app.request('POST', '/api/links', { token, body: { originalUrl: 'https://example.com/a' } });
+    const anonymous = await app.request('POST', '/api/links', { body: { originalUrl: 'https://example.com/b' } });
+    assert.equal(signedIn.body.creator, address);
+    assert.equal(anonymous.body.creator, 'anonymous');
+  });
+});
+
+describe('ownership checks', () => {
+  let app;
+  let owner;
+  let other;
+  let shortCode;
+
+  before(async () => {
+    app = await startApp();
+    owner = await app.signIn();
+    other = await app.signIn();
+    ({ body: { shortCode } } = await app.request('POST', '/api/links', {
+      token: owner.token,
+      body: { originalUrl: 'https://example.com/owned' }
+    }));
+  });
+  after(() => app.close());
+
+  it('requires a session to change content', async () => {
+    assert.equal((await app.request('PATCH', `/api/links/${shortCode}`, { body: { disabled: true } })).status, 401);
+    assert.equal((await app.request('DELETE', `/api/links/${shortCode}`)).status, 401);
+  });
+
+  it('only lets the creator change or delete content', async () => {
+    const patch = await app.request('PATCH', `/api/links/${shortCode}`, { token: other.token, body: { disabled: true } });
+    assert.equal(patch.status, 403);
+    assert.equal((await app.request('DELETE', `/api/links/${shortCode}`, { token: other.token })).status, 403);
+    assert.equal((await app.request('GET', `/api/links/${shortCode}/revisions`, { token: other.token })).status, 403);
+
+    const own = await app.request('PATCH', `/api/links/${shortCode}`, { token: owner.token, body: { disabled: true } });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.disabled, true);
+  });
+
+  it('only lists a wallet\'s content to that wallet', async () => {
+    const path = `/api/users/${owner.address}/links`;
+    assert.equal((await app.request('GET', path)).status, 401);
+    assert.equal((await app.request('GET', path, { token: other.token })).status, 403);
+
+    // Addresses match in any letter case
+    const { status, body } = await app.request('GET', `/api/users/${owner.address.toLowerCase()}/links`, { token: owner.token });
+    assert.equal(status, 200);
+    assert.deepEqual(body.items.map(link => link.shortCode), [shortCode]);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { startApp } from './app.js';
+
+describe('POST /api/links/bulk', () => {
+  let app;
+  let user;
+  let blocklistPath;
+
+  before(async () => {
+    blocklistPath = join(fs.mkdtempSync(join(os.tmpdir(), 'linkio-blocklist-')), 'blocklist.txt');
+    fs.writeFileSync(blocklistPath, 'blocked.example\n');
+    app = await startApp({ BLOCKLIST_PATH: blocklistPath });
+    user = await app.signIn();
+  });
+  after(async () => {
+    await app.close();
+    fs.rmSync(join(blocklistPath, '..'), { recursive: true, force: true });
+  });
+
+  const bulk = (body, options = {}) => app.request('POST', '/api/links/bulk', { token: user.token, body, ...options });
+
+  it('requires a signed-in wallet', async () => {
+    assert.equal((await bulk([{ originalUrl: 'https://example.com/' }], { token: null })).status, 401);
+  });
+
+  it('stores each destination as checked and reports invalid rows without blocking the rest', async () => {
+    const { status, body } = await bulk([
+      { originalUrl: '  https://example.com/padded  ', alias: 'padded', tags: ['news'] },
+      { originalUrl: 'javascript:alert(1)' },
+      { url: 'https://blocked.example/page' },
+      { originalUrl: 'https://example.com/limited', expiresAt: '2000-01-01' }
+    ]);
+    assert.equal(status, 200);
+    assert.equal(body.created, 1);
+    assert.equal(body.failed, 3);
+    assert.deepEqual(body.results.map(result => result.status), ['created', 'failed', 'failed', 'failed']);
+    assert.equal(body.results[1].originalUrl, 'javascript:alert(1)');
+    assert.equal(body.results[2].error, 'This destination is not allowed');
+
+    const { body: link } = await app.request('GET', '/api/links/padded', { token: user.token });
+    assert.equal(link.originalUrl, 'https://example.com/padded');
+    assert.equal(link.creator, user.address);
+    assert.deepEqual(link.tags, ['news']);
+  });
+
+  it('reads CSV with a header row', async () => {
+    const csv = 'originalUrl,alias,maxClicks\nhttps://example.com/one,csv-one,5\nhttps://example.com/two,,\n';
+    const { body } = await bulk(csv, { headers: { 'Content-Type': 'text/csv' } });
+    assert.equal(body.created, 2);
+    assert.equal(body.results[0].shortCode, 'csv-one');
+
+    const { body: link } = await app.request('GET', '/api/links/csv-one', { token: user.token });
+    assert.equal(link.maxClicks, 5);
+  });
+
+  it('reports taken aliases per row', async () => {
+    const { body } = await bulk([
+      { originalUrl: 'https://example.com/a', alias: 'twice' },
+      { originalUrl: 'https://example.com/b', alias: 'twice' }
+    ]);
+    assert.deepEqual(body.results.map(result => result.status), ['created', 'failed']);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './app.js';
+
+describe('reusing links to equivalent URLs', () => {
+  let app;
+  let user;
+  let original;
+
+  before(async () => {
+    app = await startApp({ CANONICAL_STRIP_TRACKING: 'true' });
+    user = await app.signIn();
+    ({ body: original } = await app.request('POST', '/api/links', {
+      token: user.token,
+      body: { originalUrl: 'https://Example.com:443/a/?b=2&a=1' }
+    }));
+  });
+  after(() => app.close());
+
+  const create = (body, token = user.token) => app.request('POST', '/api/links', { token, body: { reuseExisting: true, ...body } });
+
+  it('stores the canonical form next to the URL as given', () => {
+    assert.equal(original.originalUrl, 'https://Example.com:443/a/?b=2&a=1');
+    assert.equal(original.canonicalUrl, 'https://example.com/a?a=1&b=2');
+    assert.equal(original.reused, false);
+  });
+
+  it('hands back the wallet\'s link to an equivalent URL', async () => {
+    const { status, body } = await create({ originalUrl: 'https://example.com/a?a=1&b=2&utm_source=news#' });
+    assert.equal(status, 200);
+    assert.equal(body.reused, true);
+    assert.equal(body.shortCode, original.shortCode);
+  });
+
+  it('creates a new link for other wallets, UTM parameters, aliases and passwords', async () => {
+    const url = 'https://example.com/a?a=1&b=2';
+    const other = await app.signIn();
+    for (const [body, token] of [
+      [{ originalUrl: url }, other.token],
+      [{ originalUrl: url, utm: { source: 'news' } }, user.token],
+      [{ originalUrl: url, alias: 'own-code' }, user.token],
+      [{ originalUrl: url, password: 'correct horse battery' }, user.token]
+    ]) {
+      const { status, body: link } = await create(body, token);
+      assert.equal(status, 200, JSON.stringify(body));
+      assert.equal(link.reused, false, JSON.stringify(body));
+      assert.notEqual(link.shortCode, original.shortCode);
+    }
+  });
+
+  it('does not reuse links that are no longer live', async () => {
+    const { body: link } = await create({ originalUrl: 'https://example.com/retired' });
+    await app.request('PATCH', `/api/links/${link.shortCode}`, { token: user.token, body: { disabled: true } });
+    const { body } = await create({ originalUrl: 'https://example.com/retired/' });
+    assert.equal(body.reused, false);
+    assert.notEqual(body.shortCode, link.shortCode);
+  });
+
+  it('only reuses links for signed-in callers', async () => {
+    const { status } = await create({ originalUrl: 'https://example.com/a' }, null);
+    assert.equal(status, 401);
+  });
+});
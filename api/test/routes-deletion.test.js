@@ -0,0 +1,79 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import { startApp } from './app.js';
+
+const CID = 'bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34';
+
+describe('deleting content', () => {
+  const adminWallet = Wallet.createRandom();
+  let app;
+  let owner;
+
+  before(async () => {
+    app = await startApp({ ADMIN_WALLETS: adminWallet.address });
+    owner = await app.signIn();
+  });
+  after(() => app.close());
+
+  const createLink = async (body) => (await app.request('POST', '/api/links', {
+    token: owner.token,
+    body: { originalUrl: 'https://example.com/', ...body }
+  })).body;
+
+  it('takes a link down for good while keeping its code taken', async () => {
+    const link = await createLink({ alias: 'gone-soon' });
+    await app.request('GET', '/l/gone-soon');
+
+    const { status, body } = await app.request('DELETE', '/api/links/gone-soon', { token: owner.token });
+    assert.equal(status, 200);
+    assert.equal(body.message, 'Link deleted');
+
+    assert.equal((await app.request('GET', '/api/links/gone-soon')).status, 404);
+    assert.equal((await app.request('GET', '/api/links/gone-soon/redirect')).status, 404);
+    assert.equal((await app.request('GET', '/l/gone-soon')).status, 404);
+    assert.equal((await app.request('GET', '/api/links/gone-soon/analytics', { token: owner.token })).status, 404);
+    assert.equal((await app.request('PATCH', '/api/links/gone-soon', { token: owner.token, body: { disabled: true } })).status, 404);
+    assert.equal((await app.request('DELETE', '/api/links/gone-soon', { token: owner.token })).status, 404);
+
+    const { body: { items } } = await app.request('GET', `/api/users/${owner.address}/links`, { token: owner.token });
+    assert.ok(!items.some(item => item.shortCode === link.shortCode));
+
+    // The alias cannot be claimed again, so old links and QR codes cannot be taken over
+    assert.equal((await createLink({ alias: 'gone-soon' })).error, 'Alias is already taken');
+    assert.equal((await app.request('GET', '/api/aliases/gone-soon')).body.available, false);
+  });
+
+  it('deletes media', async () => {
+    const { body: media } = await app.request('POST', '/api/media', {
+      token: owner.token,
+      body: { ipfsHash: CID, fileName: 'a.png', fileType: 'image/png', fileSize: 10 }
+    });
+    assert.equal((await app.request('DELETE', `/api/media/${media.shortCode}`, { token: owner.token })).body.message, 'Media deleted');
+    assert.equal((await app.request('GET', `/api/media/${media.shortCode}`)).status, 404);
+    assert.equal((await app.request('GET', `/m/${media.shortCode}`)).status, 404);
+  });
+
+  it('only lets the creator delete, and not anonymous content', async () => {
+    const link = await createLink();
+    const other = await app.signIn();
+    assert.equal((await app.request('DELETE', `/api/links/${link.shortCode}`)).status, 401);
+    assert.equal((await app.request('DELETE', `/api/links/${link.shortCode}`, { token: other.token })).status, 403);
+
+    const { body: anonymous } = await app.request('POST', '/api/links', { body: { originalUrl: 'https://example.com/' } });
+    assert.equal((await app.request('DELETE', `/api/links/${anonymous.shortCode}`, { token: other.token })).status, 403);
+  });
+
+  it('can be undone by an admin', async () => {
+    const link = await createLink();
+    await app.request('DELETE', `/api/links/${link.shortCode}`, { token: owner.token });
+
+    const admin = await app.signIn(adminWallet);
+    const { body: { items } } = await app.request('GET', '/api/admin/links?deleted=only', { token: admin.token });
+    const deleted = items.find(item => item.short_code === link.shortCode);
+    assert.equal(deleted.deleted_by, owner.address);
+
+    assert.equal((await app.request('POST', `/api/admin/links/${link.shortCode}/restore`, { token: admin.token })).status, 200);
+    assert.equal((await app.request('GET', `/l/${link.shortCode}`)).status, 302);
+  });
+});
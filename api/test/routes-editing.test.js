@@ -0,0 +1,86 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './app.js';
+
+describe('editing links', () => {
+  let app;
+  let owner;
+  let shortCode;
+
+  before(async () => {
+    app = await startApp();
+    owner = await app.signIn();
+    ({ body: { shortCode } } = await app.request('POST', '/api/links', {
+      token: owner.token,
+      body: { originalUrl: 'https://example.com/first', maxClicks: 100 }
+    }));
+    await app.request('GET', `/l/${shortCode}`);
+  });
+  after(() => app.close());
+
+  const edit = (body) => app.request('PATCH', `/api/links/${shortCode}`, { token: owner.token, body });
+  const target = async () => (await app.request('GET', `/l/${shortCode}`)).headers.get('location');
+
+  it('retargets a link and keeps its clicks', async () => {
+    const { status, body } = await edit({ originalUrl: 'https://Example.com/second/', previewTitle: 'Second' });
+    assert.equal(status, 200);
+    assert.equal(body.revision, 2);
+    assert.equal(body.originalUrl, 'https://Example.com/second/');
+    assert.equal(body.canonicalUrl, 'https://example.com/second');
+    assert.equal(body.previewTitle, 'Second');
+    assert.equal(body.clicks, 1);
+    assert.equal(await target(), 'https://Example.com/second/');
+  });
+
+  it('changes limits and disables the link', async () => {
+    assert.equal((await edit({ maxClicks: null })).body.maxClicks, null);
+
+    const disabled = await edit({ disabled: true });
+    assert.equal(disabled.body.disabled, true);
+    const { status, body } = await app.request('GET', `/api/links/${shortCode}/redirect`);
+    assert.equal(status, 410);
+    assert.equal(body.code, 'disabled');
+
+    assert.equal((await edit({ disabled: false })).body.disabled, false);
+    assert.equal((await app.request('GET', `/api/links/${shortCode}/redirect`)).status, 200);
+  });
+
+  it('rejects invalid changes', async () => {
+    const invalid = await edit({ originalUrl: 'javascript:alert(1)' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'invalid_url');
+    assert.equal((await edit({})).status, 400);
+    assert.equal((await edit({ maxClicks: -1 })).status, 400);
+    assert.equal((await edit({ disabled: 'yes' })).status, 400);
+    assert.equal((await edit({ expiresAt: Math.floor(Date.now() / 1000) - 1 })).status, 400);
+  });
+
+  it('lists every revision, newest first', async () => {
+    const { body } = await app.request('GET', `/api/links/${shortCode}/revisions`, { token: owner.token });
+    assert.deepEqual(body.map(revision => revision.revision), [5, 4, 3, 2, 1]);
+    assert.equal(body.at(-1).originalUrl, 'https://example.com/first');
+    assert.equal(body.at(-1).maxClicks, 100);
+    assert.equal(body.at(-1).editedBy, owner.address);
+    assert.equal(body[1].disabled, true);
+  });
+
+  it('rolls back to an earlier revision as a new revision', async () => {
+    const { status, body } = await app.request('POST', `/api/links/${shortCode}/revisions/1/rollback`, { token: owner.token });
+    assert.equal(status, 200);
+    assert.equal(body.revision, 6);
+    assert.equal(body.restoredFrom, 1);
+    assert.equal(body.originalUrl, 'https://example.com/first');
+    assert.equal(body.previewTitle, null);
+    assert.equal(body.maxClicks, 100);
+    assert.equal(await target(), 'https://example.com/first');
+
+    const missing = await app.request('POST', `/api/links/${shortCode}/revisions/42/rollback`, { token: owner.token });
+    assert.equal(missing.status, 404);
+  });
+
+  it('reports a single revision for links never edited', async () => {
+    const { body: link } = await app.request('POST', '/api/links', { token: owner.token, body: { originalUrl: 'https://example.com/new' } });
+    const { body } = await app.request('GET', `/api/links/${link.shortCode}/revisions`, { token: owner.token });
+    assert.deepEqual(body.map(revision => [revision.revision, revision.originalUrl]), [[1, 'https://example.com/new']]);
+  });
+});
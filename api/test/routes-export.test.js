@@ -0,0 +1,103 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import { startApp } from './app.js';
+import { parseCsv } from '../csv.js';
+
+const CID = 'bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34';
+
+describe('exporting content', () => {
+  const adminWallet = Wallet.createRandom();
+  let app;
+  let owner;
+  let other;
+
+  before(async () => {
+    app = await startApp({ ADMIN_WALLETS: adminWallet.address });
+    owner = await app.signIn();
+    other = await app.signIn();
+
+    const create = (path, token, body) => app.request('POST', path, { token, body });
+    await create('/api/links', owner.token, { originalUrl: 'https://example.com/a', alias: 'export-a', tags: ['docs'] });
+    await create('/api/links', owner.token, { originalUrl: 'https://example.com/secret', alias: 'export-secret', password: 'hunter22' });
+    await create('/api/links', owner.token, { originalUrl: 'https://example.com/gone', alias: 'export-gone' });
+    await create('/api/media', owner.token, { ipfsHash: CID, fileName: 'a,b.png', fileType: 'image/png', fileSize: 10, alias: 'export-media' });
+    await create('/api/links', other.token, { originalUrl: 'https://example.com/other', alias: 'export-other' });
+
+    await app.request('GET', '/l/export-a');
+    await app.request('GET', '/l/export-a');
+    await app.request('DELETE', '/api/links/export-gone', { token: owner.token });
+  });
+  after(() => app.close());
+
+  it("downloads the owner's live links and media with their stats as JSON", async () => {
+    const { status, headers, body } = await app.request('GET', `/api/users/${owner.address}/export`, { token: owner.token });
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-disposition'), `attachment; filename="linkio-export-${owner.address}.json"`);
+    assert.equal(headers.get('cache-control'), 'no-store');
+
+    assert.deepEqual(body.links.map(link => link.shortCode), ['export-a', 'export-secret']);
+    const [link, secret] = body.links;
+    assert.equal(link.clicks, 2);
+    assert.equal(link.uniqueVisitors, 1);
+    assert.ok(link.lastAccessedAt > 0);
+    assert.deepEqual(link.tags, ['docs']);
+    // The owner's own export includes the destinations of protected links
+    assert.equal(secret.originalUrl, 'https://example.com/secret');
+    assert.equal(secret.passwordProtected, true);
+    assert.equal(secret.lastAccessedAt, null);
+
+    assert.deepEqual(body.media.map(media => [media.shortCode, media.fileName]), [['export-media', 'a,b.png']]);
+  });
+
+  it('downloads the same content as one CSV file', async () => {
+    const { status, headers, body } = await app.request('GET', `/api/users/${owner.address}/export?format=csv`, { token: owner.token });
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.equal(headers.get('content-disposition'), `attachment; filename="linkio-export-${owner.address}.csv"`);
+
+    const [columns, ...rows] = parseCsv(body);
+    const records = rows.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i]])));
+    assert.deepEqual(records.map(record => [record.type, record.short_code]), [
+      ['link', 'export-a'],
+      ['link', 'export-secret'],
+      ['media', 'export-media']
+    ]);
+    assert.equal(records[0].accesses, '2');
+    assert.equal(records[0].unique_visitors, '1');
+    assert.equal(records[1].password_protected, 'true');
+    assert.equal(records[2].target, CID);
+    assert.equal(records[2].file_name, 'a,b.png');
+  });
+
+  it('is only available to the signed-in owner', async () => {
+    assert.equal((await app.request('GET', `/api/users/${owner.address}/export`)).status, 401);
+    assert.equal((await app.request('GET', `/api/users/${owner.address}/export`, { token: other.token })).status, 403);
+
+    const { status, body } = await app.request('GET', `/api/users/${owner.address}/export?format=xml`, { token: owner.token });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'format must be json or csv');
+  });
+
+  it("lets admins export everyone's content, including deleted content, and records it", async () => {
+    assert.equal((await app.request('GET', '/api/admin/export', { token: owner.token })).status, 403);
+
+    const admin = await app.signIn(adminWallet);
+    const { status, headers, body } = await app.request('GET', '/api/admin/export', { token: admin.token });
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-disposition'), 'attachment; filename="linkio-admin-export.json"');
+    assert.deepEqual(body.links.map(link => link.shortCode), ['export-a', 'export-secret', 'export-gone', 'export-other']);
+    assert.ok(body.links[2].deletedAt > 0);
+
+    const deleted = await app.request('GET', `/api/admin/export?format=csv&deleted=only&creator=${owner.address}`, { token: admin.token });
+    const [columns, ...rows] = parseCsv(deleted.body);
+    assert.deepEqual(rows.map(row => row[columns.indexOf('short_code')]), ['export-gone']);
+    assert.equal(rows[0][columns.indexOf('target')], 'https://example.com/gone');
+
+    const { body: audit } = await app.request('GET', '/api/admin/audit?action=export', { token: admin.token });
+    assert.deepEqual(audit.items.map(entry => [entry.targetId, entry.details]), [
+      [owner.address, { format: 'csv', deleted: 'only' }],
+      ['*', { format: 'json', deleted: 'include' }]
+    ]);
+  });
+});
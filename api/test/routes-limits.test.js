@@ -0,0 +1,68 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './app.js';
+
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('link windows and click caps', () => {
+  let app;
+
+  before(async () => { app = await startApp(); });
+  after(() => app.close());
+
+  const create = async (limits) => {
+    const { status, body } = await app.request('POST', '/api/links', { body: { originalUrl: 'https://example.com/', ...limits } });
+    assert.equal(status, 200, JSON.stringify(body));
+    return body;
+  };
+  const redirect = (shortCode) => app.request('GET', `/api/links/${shortCode}/redirect`);
+
+  it('answers 425 before the link is active', async () => {
+    const activateAt = now() + 3600;
+    const link = await create({ activateAt });
+    const { status, body } = await redirect(link.shortCode);
+    assert.equal(status, 425);
+    assert.deepEqual(body, { error: 'Link is not yet active', code: 'not_active', activateAt });
+    assert.equal((await app.request('GET', `/l/${link.shortCode}`)).status, 425);
+  });
+
+  it('answers 410 once the link has expired', async () => {
+    const link = await create({ expiresAt: now() + 1 });
+    assert.equal((await redirect(link.shortCode)).status, 200);
+
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    const { status, body } = await redirect(link.shortCode);
+    assert.equal(status, 410);
+    assert.equal(body.code, 'expired');
+    assert.equal((await app.request('GET', `/l/${link.shortCode}`)).status, 410);
+  });
+
+  it('stops at the click cap, even for concurrent visits', async () => {
+    const link = await create({ maxClicks: 3 });
+    const visits = await Promise.all(Array.from({ length: 8 }, () => app.request('GET', `/l/${link.shortCode}`)));
+    assert.equal(visits.filter(visit => visit.status === 302).length, 3);
+    assert.equal(visits.filter(visit => visit.status === 410).length, 5);
+
+    const { status, body } = await redirect(link.shortCode);
+    assert.equal(status, 410);
+    assert.deepEqual(body, { error: 'Link has reached its click limit', code: 'click_limit', maxClicks: 3 });
+    assert.equal((await app.request('GET', `/api/links/${link.shortCode}`)).body.clicks, 3);
+  });
+
+  it('never lets clients cache limited redirects', async () => {
+    const link = await create({ maxClicks: 10 });
+    assert.equal((await app.request('GET', `/l/${link.shortCode}`)).headers.get('cache-control'), 'no-store');
+  });
+
+  it('validates the limits', async () => {
+    for (const limits of [
+      { maxClicks: 0 },
+      { maxClicks: '5' },
+      { expiresAt: now() - 10 },
+      { activateAt: now() + 100, expiresAt: now() + 50 }
+    ]) {
+      const { status } = await app.request('POST', '/api/links', { body: { originalUrl: 'https://example.com/', ...limits } });
+      assert.equal(status, 400, JSON.stringify(limits));
+    }
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import { startApp } from './app.js';
+
+const CID = 'bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34';
+const adminWallet = Wallet.createRandom();
+
+let app;
+before(async () => { app = await startApp({ ADMIN_WALLETS: adminWallet.address }); });
+after(() => app.close());
+
+// Items of a listing, failing the test for anything but 200
+async function listItems(path, token) {
+  const { status, body } = await app.request('GET', path, { token });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body;
+}
+
+describe('wallet listings', () => {
+  let user;
+
+  before(async () => {
+    user = await app.signIn();
+    const links = Array.from({ length: 505 }, (_, i) => ({ originalUrl: `https://example.com/${i}` }));
+    await app.request('POST', '/api/links/bulk', { token: user.token, body: links.slice(0, 500) });
+    await app.request('POST', '/api/links/bulk', { token: user.token, body: links.slice(500) });
+  });
+
+  const list = async (query) => (await listItems(`/api/users/${user.address}/links${query}`, user.token)).items;
+
+  it('returns ten items unless a limit is given, and at most 500', async () => {
+    assert.equal((await list('')).length, 10);
+    assert.equal((await list('?limit=25')).length, 25);
+    assert.equal((await list('?limit=0')).length, 10);
+    assert.equal((await list('?limit=many')).length, 10);
+    assert.equal((await list('?limit=1000')).length, 500);
+  });
+});
+
+describe('sorting, paging, search and filters', () => {
+  let user;
+  let codes;
+
+  before(async () => {
+    user = await app.signIn();
+    codes = [];
+    for (const [i, title] of ['Spring launch', 'Summer sale', 'Autumn launch', 'Winter notes', 'Spring recap'].entries()) {
+      const { body } = await app.request('POST', '/api/links', {
+        token: user.token,
+        body: { originalUrl: `https://shop.example/${i}`, previewTitle: title }
+      });
+      codes.push(body.shortCode);
+      // Give every link a different click count: 0, 1, 2, ...
+      for (let click = 0; click < i; click++) await app.request('GET', `/l/${body.shortCode}`);
+    }
+    for (const [fileName, fileType] of [['cat.png', 'image/png'], ['dog.jpg', 'image/jpeg'], ['talk.mp4', 'video/mp4']]) {
+      await app.request('POST', '/api/media', { token: user.token, body: { ipfsHash: CID, fileName, fileType, fileSize: 10 } });
+    }
+  });
+
+  const links = (query) => listItems(`/api/users/${user.address}/links${query}`, user.token);
+  const media = (query) => listItems(`/api/users/${user.address}/media${query}`, user.token);
+
+  it('sorts by creation or clicks, in either order', async () => {
+    assert.deepEqual((await links('?sort=clicks')).items.map(link => link.clicks), [4, 3, 2, 1, 0]);
+    assert.deepEqual((await links('?sort=clicks&order=asc')).items.map(link => link.shortCode), codes);
+    assert.deepEqual((await links('')).items.map(link => link.shortCode), [...codes].reverse());
+  });
+
+  it('pages through every item once with the cursor', async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await links(`?sort=clicks&limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+      assert.ok(page.items.length <= 2);
+      seen.push(...page.items.map(link => link.shortCode));
+      cursor = page.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen, [...codes].reverse());
+  });
+
+  it('searches titles and URLs by word prefix', async () => {
+    const titles = async (q) => (await links(`?q=${encodeURIComponent(q)}`)).items.map(link => link.previewTitle).sort();
+    assert.deepEqual(await titles('launch'), ['Autumn launch', 'Spring launch']);
+    assert.deepEqual(await titles('spr'), ['Spring launch', 'Spring recap']);
+    assert.deepEqual(await titles('spring launch'), ['Spring launch']);
+    assert.deepEqual(await titles('shop'), ['Autumn launch', 'Spring launch', 'Spring recap', 'Summer sale', 'Winter notes']);
+    // FTS5 syntax is searched as text
+    assert.deepEqual(await titles('"sale" OR'), []);
+  });
+
+  it('filters by creation time and media type', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    assert.equal((await links(`?from=${now + 60}`)).items.length, 0);
+    assert.equal((await links(`?to=${now - 3600}`)).items.length, 0);
+    assert.equal((await links(`?from=${now - 3600}&to=${now + 60}`)).items.length, 5);
+
+    assert.deepEqual((await media('?fileType=image')).items.map(item => item.fileName).sort(), ['cat.png', 'dog.jpg']);
+    assert.deepEqual((await media('?fileType=video/mp4')).items.map(item => item.fileName), ['talk.mp4']);
+  });
+
+  it('rejects invalid parameters', async () => {
+    for (const query of ['?sort=views', '?order=up', '?cursor=bogus', '?from=yesterday']) {
+      const { status } = await app.request('GET', `/api/users/${user.address}/links${query}`, { token: user.token });
+      assert.equal(status, 400, query);
+    }
+    // A cursor only works with the sort it came from
+    const { nextCursor } = await links('?sort=clicks&limit=1');
+    assert.equal((await app.request('GET', `/api/users/${user.address}/links?cursor=${nextCursor}`, { token: user.token })).status, 400);
+    assert.equal((await app.request('GET', `/api/users/${user.address}/media?fileType=image/*`, { token: user.token })).status, 400);
+  });
+
+  it('lets admins page and search across wallets', async () => {
+    const admin = await app.signIn(adminWallet);
+    const page = await listItems(`/api/admin/links?creator=${user.address.toLowerCase()}&sort=clicks&limit=3`, admin.token);
+    assert.deepEqual(page.items.map(link => link.short_code), [...codes].reverse().slice(0, 3));
+    assert.ok(page.nextCursor);
+
+    const found = await listItems('/api/admin/links?q=winter', admin.token);
+    assert.deepEqual(found.items.map(link => link.short_code), [codes[3]]);
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './app.js';
+
+const CID = 'bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34';
+
+describe('tags and folders', () => {
+  let app;
+  let owner;
+  let other;
+
+  before(async () => {
+    app = await startApp();
+    owner = await app.signIn();
+    other = await app.signIn();
+  });
+  after(() => app.close());
+
+  const call = (method, path, body, user = owner) => app.request(method, path, { token: user.token, body });
+  const tagsPath = () => `/api/users/${owner.address}/tags`;
+  const foldersPath = () => `/api/users/${owner.address}/folders`;
+  const listed = async (query) => (await call('GET', `/api/users/${owner.address}/links?${query}`)).body.items
+    .map(link => link.shortCode)
+    .sort();
+
+  it('creates tags on first use, counts them and filters listings by them', async () => {
+    await call('POST', '/api/links', { originalUrl: 'https://example.com/1', alias: 'tagged-both', tags: ['Docs', 'news'] });
+    await call('POST', '/api/links', { originalUrl: 'https://example.com/2', alias: 'tagged-docs', tags: 'docs' });
+    await call('POST', '/api/media', { ipfsHash: CID, fileName: 'a.png', fileType: 'image/png', fileSize: 1, tags: ['docs'] });
+
+    const { body } = await call('GET', tagsPath());
+    assert.deepEqual(body.tags.map(({ name, links, media }) => ({ name, links, media })), [
+      { name: 'docs', links: 2, media: 1 },
+      { name: 'news', links: 1, media: 0 }
+    ]);
+
+    assert.deepEqual(await listed('tag=docs'), ['tagged-both', 'tagged-docs']);
+    assert.deepEqual(await listed('tag=docs,news'), ['tagged-both']);
+    assert.equal((await call('GET', `/api/users/${owner.address}/links?tag=${encodeURIComponent('no spaces')}`)).status, 400);
+  });
+
+  it('replaces, renames and deletes tags everywhere they are used', async () => {
+    const { body: link } = await call('PUT', '/api/links/tagged-docs/tags', { tags: ['docs', 'draft'] });
+    assert.deepEqual(link.tags, ['docs', 'draft']);
+
+    const { status, body: created } = await call('POST', tagsPath(), { name: 'Later' });
+    assert.equal(status, 201);
+    assert.deepEqual([created.name, created.links], ['later', 0]);
+    assert.equal((await call('POST', tagsPath(), { name: 'later' })).status, 409);
+    assert.equal((await call('POST', tagsPath(), { name: '#bad' })).status, 400);
+
+    const draft = (await call('GET', tagsPath())).body.tags.find(tag => tag.name === 'draft');
+    assert.equal((await call('PATCH', `${tagsPath()}/${draft.id}`, { name: 'docs' })).status, 409);
+    assert.equal((await call('PATCH', `${tagsPath()}/${draft.id}`, { name: 'wip' })).body.name, 'wip');
+    assert.deepEqual((await call('GET', '/api/links/tagged-docs')).body.tags.sort(), ['docs', 'wip']);
+    assert.deepEqual(await listed('tag=wip'), ['tagged-docs']);
+
+    const docs = (await call('GET', tagsPath())).body.tags.find(tag => tag.name === 'docs');
+    assert.equal((await call('DELETE', `${tagsPath()}/${docs.id}`)).body.message, 'Tag deleted');
+    assert.deepEqual((await call('GET', '/api/links/tagged-both')).body.tags, ['news']);
+    assert.deepEqual(await listed('tag=docs'), []);
+    assert.equal((await call('DELETE', `${tagsPath()}/${docs.id}`)).status, 404);
+  });
+
+  it('files content in nested folders and filters listings by folder', async () => {
+    const { status, body: work } = await call('POST', foldersPath(), { name: 'Work' });
+    assert.equal(status, 201);
+    const { body: reports } = await call('POST', foldersPath(), { name: 'Reports', parentId: work.id });
+    assert.equal(reports.parentId, work.id);
+    assert.equal((await call('POST', foldersPath(), { name: 'Reports', parentId: work.id })).status, 409);
+    assert.equal((await call('POST', foldersPath(), { name: 'Reports' })).status, 201);
+    assert.equal((await call('POST', foldersPath(), { name: 'a/b' })).status, 400);
+
+    await call('POST', '/api/links', { originalUrl: 'https://example.com/3', alias: 'filed', folderId: reports.id });
+    const { body: moved } = await call('PUT', '/api/links/tagged-both/folder', { folderId: work.id });
+    assert.equal(moved.folderId, work.id);
+
+    const counts = (await call('GET', foldersPath())).body.folders
+      .map(({ name, parentId, links }) => ({ name, parentId, links }));
+    assert.deepEqual(counts.filter(folder => folder.parentId !== null), [{ name: 'Reports', parentId: work.id, links: 1 }]);
+    assert.deepEqual(counts.find(folder => folder.name === 'Work'), { name: 'Work', parentId: null, links: 1 });
+
+    assert.deepEqual(await listed(`folder=${reports.id}`), ['filed']);
+    assert.deepEqual(await listed('folder=none'), ['tagged-docs']);
+    assert.equal((await call('GET', `/api/users/${owner.address}/links?folder=top`)).status, 400);
+
+    assert.equal((await call('PUT', '/api/links/tagged-both/folder', { folderId: null })).body.folderId, null);
+    assert.deepEqual(await listed('folder=none'), ['tagged-both', 'tagged-docs']);
+  });
+
+  it('moves folders within the depth limit, and moves their content up when deleted', async () => {
+    const { body: { folders } } = await call('GET', foldersPath());
+    const work = folders.find(folder => folder.name === 'Work');
+    const reports = folders.find(folder => folder.parentId === work.id);
+
+    assert.equal((await call('PATCH', `${foldersPath()}/${work.id}`, { parentId: reports.id })).body.error,
+      'A folder cannot be moved into itself or one of its subfolders');
+
+    const chain = [];
+    for (let depth = 1; depth <= 8; depth++) {
+      const { status, body } = await call('POST', foldersPath(), { name: `Level ${depth}`, parentId: chain.at(-1) ?? null });
+      assert.equal(status, 201);
+      chain.push(body.id);
+    }
+    const tooDeep = await call('POST', foldersPath(), { name: 'Level 9', parentId: chain[7] });
+    assert.equal(tooDeep.status, 400);
+    assert.equal(tooDeep.body.error, 'Folders can be nested at most 8 levels deep');
+
+    // Work/Reports is two levels tall, so it only fits under the first six levels
+    assert.equal((await call('PATCH', `${foldersPath()}/${work.id}`, { parentId: chain[6] })).status, 400);
+    const { body: movedWork } = await call('PATCH', `${foldersPath()}/${work.id}`, { name: 'Projects', parentId: chain[5] });
+    assert.deepEqual([movedWork.name, movedWork.parentId], ['Projects', chain[5]]);
+
+    assert.equal((await call('DELETE', `${foldersPath()}/${work.id}`)).body.message, 'Folder deleted');
+    const orphan = (await call('GET', foldersPath())).body.folders.find(folder => folder.id === reports.id);
+    assert.equal(orphan.parentId, chain[5]);
+    assert.deepEqual(await listed(`folder=${reports.id}`), ['filed']);
+  });
+
+  it("keeps each wallet's tags and folders to itself", async () => {
+    assert.equal((await app.request('GET', tagsPath())).status, 401);
+    assert.equal((await call('GET', tagsPath(), undefined, other)).status, 403);
+    assert.equal((await call('POST', foldersPath(), { name: 'Mine' }, other)).status, 403);
+    assert.equal((await call('PUT', '/api/links/filed/tags', { tags: ['x'] }, other)).status, 403);
+    assert.equal((await app.request('PUT', '/api/links/filed/folder', { body: { folderId: null } })).status, 401);
+
+    // Another wallet's folder ids cannot be used, and its tag names are separate
+    const { body: { folders: [mine] } } = await call('GET', foldersPath());
+    await call('POST', '/api/links', { originalUrl: 'https://example.com/o', alias: 'others', tags: ['news'] }, other);
+    assert.equal((await call('PUT', '/api/links/others/folder', { folderId: mine.id }, other)).body.error, 'Folder not found');
+    assert.equal((await call('PATCH', `/api/users/${other.address}/folders/${mine.id}`, { name: 'Taken' }, other)).status, 404);
+
+    const { body } = await call('GET', `/api/users/${other.address}/tags`, undefined, other);
+    assert.deepEqual(body.tags.map(({ name, links }) => [name, links]), [['news', 1]]);
+  });
+});
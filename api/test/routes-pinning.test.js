@@ -0,0 +1,95 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { Wallet } from 'ethers';
+import { CHUNK_SIZE, createCidHasher, toCidV0 } from '../cid.js';
+import { startApp } from './app.js';
+
+const LINKED_CID = 'bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34';
+
+describe('pinning routes', () => {
+  const adminWallet = Wallet.createRandom();
+  // More than one chunk, so the root is a dag-pb node that also has a CIDv0
+  const data = Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.alloc(CHUNK_SIZE, 1)]);
+  let app;
+  let owner;
+  let cid;
+
+  before(async () => {
+    app = await startApp({ ADMIN_WALLETS: adminWallet.address });
+    owner = await app.signIn();
+
+    const hasher = createCidHasher();
+    hasher.update(data);
+    cid = hasher.digest();
+
+    const form = new FormData();
+    form.append('alias', 'pinned-file');
+    form.append('file', new Blob([data], { type: 'application/pdf' }), 'doc.pdf');
+    await app.request('POST', '/api/media/upload', { token: owner.token, body: form });
+    await app.request('POST', '/api/media', {
+      token: owner.token,
+      body: { ipfsHash: LINKED_CID, fileName: 'a.png', fileType: 'image/png', fileSize: 10, alias: 'linked-file' }
+    });
+  });
+  after(() => app.close());
+
+  it('serves pinned files like a gateway, by either CID version', async () => {
+    for (const form of [cid, toCidV0(cid)]) {
+      const response = await fetch(`${app.baseUrl}/ipfs/${form}`);
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-type'), 'application/pdf');
+      assert.equal(response.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+      assert.ok(Buffer.from(await response.arrayBuffer()).equals(data));
+    }
+
+    assert.equal((await app.request('GET', `/ipfs/${LINKED_CID}`)).status, 404);
+    assert.equal((await app.request('GET', '/ipfs/not-a-cid')).status, 404);
+  });
+
+  it('checks the pin of uploaded media with the backend for its owner', async () => {
+    const { status, body } = await app.request('GET', '/api/media/pinned-file/pin', { token: owner.token });
+    assert.equal(status, 200);
+    assert.equal(body.ipfsHash, cid);
+    assert.equal(body.backend, 'local');
+    assert.equal(body.status, 'pinned');
+    assert.ok(body.checkedAt > 0);
+
+    // Media saved by CID was pinned elsewhere, so there is nothing to check
+    assert.deepEqual((await app.request('GET', '/api/media/linked-file/pin', { token: owner.token })).body, {
+      ipfsHash: LINKED_CID, backend: null, status: null, checkedAt: null
+    });
+
+    assert.equal((await app.request('GET', '/api/media/pinned-file/pin')).status, 401);
+    const other = await app.signIn();
+    assert.equal((await app.request('GET', '/api/media/pinned-file/pin', { token: other.token })).status, 403);
+    assert.equal((await app.request('GET', '/api/media/missing/pin', { token: owner.token })).status, 404);
+  });
+
+  it('lists the backend\'s pins with the media using each, for admins', async () => {
+    assert.equal((await app.request('GET', '/api/admin/pins', { token: owner.token })).status, 403);
+
+    const admin = await app.signIn(adminWallet);
+    const { status, body } = await app.request('GET', '/api/admin/pins', { token: admin.token });
+    assert.equal(status, 200);
+    assert.equal(body.backend, 'local');
+    assert.deepEqual(body.pins.map(({ cid: pinned, status: pinStatus, media }) => ({ cid: pinned, status: pinStatus, media })), [
+      { cid, status: 'pinned', media: 1 }
+    ]);
+
+    assert.deepEqual((await app.request('GET', '/api/admin/pins?status=queued', { token: admin.token })).body.pins, []);
+    const invalid = await app.request('GET', '/api/admin/pins?status=unpinned', { token: admin.token });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'status must be pinned, queued, pinning or failed');
+  });
+
+  it('records a pin that has disappeared from the backend', async () => {
+    fs.rmSync(join(app.pinningDir, cid));
+
+    const { body } = await app.request('GET', '/api/media/pinned-file/pin', { token: owner.token });
+    assert.equal(body.status, 'unpinned');
+    assert.equal((await app.request('GET', '/api/media/pinned-file')).body.pinStatus, 'unpinned');
+    assert.equal((await app.request('GET', `/ipfs/${cid}`)).status, 404);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { PNG } from 'pngjs';
+import { startApp } from './app.js';
+import { parseQrOptions, renderQrCode } from '../qr.js';
+
+const PUBLIC_URL = 'https://short.example';
+const CID = 'bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34';
+
+describe('QR code route', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp({ PUBLIC_URL });
+    const owner = await app.signIn();
+    await app.request('POST', '/api/links', { token: owner.token, body: { originalUrl: 'https://example.com/', alias: 'qr-link' } });
+    await app.request('POST', '/api/media', {
+      token: owner.token,
+      body: { ipfsHash: CID, fileName: 'a.png', fileType: 'image/png', fileSize: 10, alias: 'qr-media' }
+    });
+  });
+  after(() => app.close());
+
+  // PNGs are binary, so they are fetched without the text-decoding helper
+  const fetchQr = async (path) => {
+    const response = await fetch(`${app.baseUrl}${path}`);
+    return { status: response.status, headers: response.headers, body: Buffer.from(await response.arrayBuffer()) };
+  };
+
+  // The code the route should have drawn for a short URL with these query options
+  const expectedQr = (url, query = {}) => renderQrCode(url, parseQrOptions(query).options).body;
+
+  it('renders a PNG of the short URL, tagged as a QR scan', async () => {
+    const { status, headers, body } = await fetchQr('/api/qr/link/qr-link');
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'image/png');
+    assert.equal(headers.get('cache-control'), 'public, max-age=86400');
+    assert.equal(headers.get('content-disposition'), null);
+
+    const png = PNG.sync.read(body);
+    assert.equal(png.width, 512);
+    assert.deepEqual(body, expectedQr(`${PUBLIC_URL}/l/qr-link?src=qr`));
+  });
+
+  it('renders SVGs and media codes with the requested options', async () => {
+    const query = { format: 'svg', size: '256', margin: '2', ecl: 'h', fg: '#123', bg: 'ffffff00', logo: '1' };
+    const { status, headers, body } = await app.request('GET', `/api/qr/media/qr-media?${new URLSearchParams(query)}`);
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'image/svg+xml; charset=utf-8');
+    assert.equal(body, expectedQr(`${PUBLIC_URL}/m/qr-media?src=qr`, query));
+    assert.match(body, /#112233/);
+  });
+
+  it('sends the code as a download when asked', async () => {
+    const { headers } = await fetchQr('/api/qr/link/qr-link?format=svg&download=1');
+    assert.equal(headers.get('content-disposition'), 'attachment; filename="qr-link-qr.svg"');
+  });
+
+  it('rejects unknown content and invalid options', async () => {
+    assert.equal((await app.request('GET', '/api/qr/link/missing')).body.error, 'Link not found');
+    assert.equal((await app.request('GET', '/api/qr/media/qr-link')).body.error, 'Media not found');
+    assert.equal((await app.request('GET', '/api/qr/file/qr-link')).status, 404);
+
+    for (const [query, error] of [
+      ['format=gif', 'format must be png or svg'],
+      ['size=10', 'size must be an integer between 64 and 2048'],
+      ['margin=1.5', 'margin must be an integer between 0 and 16'],
+      ['ecl=X', 'ecl must be L, M, Q or H'],
+      ['fg=red', 'fg and bg must be hex colors (rgb, rrggbb or rrggbbaa)']
+    ]) {
+      const { status, body } = await app.request('GET', `/api/qr/link/qr-link?${query}`);
+      assert.equal(status, 400, query);
+      assert.equal(body.error, error);
+    }
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './app.js';
+
+const CID = 'bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34';
+const BOT = { 'User-Agent': 'Slackbot-LinkExpanding 1.0' };
+const FORM = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+describe('short URL routes', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp({
+      REDIRECT_STATUS: '307',
+      REDIRECT_CACHE_MAX_AGE: '60',
+      IPFS_GATEWAY: 'https://gateway.example/ipfs/',
+      PUBLIC_URL: 'https://short.example'
+    });
+  });
+  after(() => app.close());
+
+  const createLink = async (body) => (await app.request('POST', '/api/links', { body: { originalUrl: 'https://example.com/target', ...body } })).body;
+  const createMedia = async (body) => (await app.request('POST', '/api/media', {
+    body: { ipfsHash: CID, fileName: 'photo.png', fileType: 'image/png', fileSize: 10, ...body }
+  })).body;
+  const clicks = async (shortCode) => (await app.request('GET', `/api/links/${shortCode}`)).body.clicks;
+
+  it('redirects links with the configured status and cache lifetime, counting the click', async () => {
+    const link = await createLink();
+    const { status, headers } = await app.request('GET', `/l/${link.shortCode}`);
+    assert.equal(status, 307);
+    assert.equal(headers.get('location'), 'https://example.com/target');
+    assert.equal(headers.get('cache-control'), 'private, max-age=60');
+    assert.equal(await clicks(link.shortCode), 1);
+
+    // Link checkers' HEAD requests are not counted
+    assert.equal((await app.request('HEAD', `/l/${link.shortCode}`)).status, 307);
+    assert.equal(await clicks(link.shortCode), 1);
+  });
+
+  it('answers unknown codes with an HTML page', async () => {
+    const link = await app.request('GET', '/l/nope123');
+    assert.equal(link.status, 404);
+    assert.match(link.headers.get('content-type'), /html/);
+    assert.match(link.body, /Link not found/);
+    assert.equal((await app.request('GET', '/m/nope123')).status, 404);
+  });
+
+  it('serves preview bots a card instead of the redirect, without counting them', async () => {
+    const link = await createLink({ previewTitle: 'Launch <day>' });
+    const { status, body } = await app.request('GET', `/l/${link.shortCode}`, { headers: BOT });
+    assert.equal(status, 200);
+    assert.match(body, /<meta property="og:title" content="Launch &lt;day&gt;">/);
+    assert.match(body, new RegExp(`<meta property="og:url" content="https://short.example/l/${link.shortCode}">`));
+    assert.equal(await clicks(link.shortCode), 0);
+  });
+
+  it('serves a media viewer page through the gateway and counts the view', async () => {
+    const media = await createMedia();
+    const { status, body } = await app.request('GET', `/m/${media.shortCode}`);
+    assert.equal(status, 200);
+    assert.match(body, new RegExp(`https://gateway.example/ipfs/${CID}`));
+    assert.match(body, /<meta property="og:title" content="photo.png">/);
+    assert.equal((await app.request('GET', `/api/media/${media.shortCode}`)).body.views, 1);
+  });
+
+  it('asks for the password of protected content with a form that posts back', async () => {
+    const link = await createLink({ password: 'correct horse battery' });
+    const locked = await app.request('GET', `/l/${link.shortCode}`);
+    assert.equal(locked.status, 401);
+    assert.match(locked.body, new RegExp(`<form method="post" action="/l/${link.shortCode}"`));
+    assert.doesNotMatch(locked.body, /example\.com\/target/);
+
+    const wrong = await app.request('POST', `/l/${link.shortCode}`, { headers: FORM, body: 'password=wrong' });
+    assert.equal(wrong.status, 401);
+    assert.doesNotMatch(wrong.body, /example\.com\/target/);
+
+    const right = await app.request('POST', `/l/${link.shortCode}`, { headers: FORM, body: 'password=correct+horse+battery' });
+    assert.equal(right.status, 303);
+    assert.equal(right.headers.get('location'), 'https://example.com/target');
+    assert.equal(await clicks(link.shortCode), 1);
+
+    const media = await createMedia({ password: 'correct horse battery' });
+    assert.equal((await app.request('GET', `/m/${media.shortCode}`)).status, 401);
+    assert.equal((await app.request('GET', `/m/${media.shortCode}`, { headers: BOT })).status, 200);
+    const unlocked = await app.request('POST', `/m/${media.shortCode}`, { headers: FORM, body: 'password=correct+horse+battery' });
+    assert.equal(unlocked.status, 200);
+    assert.match(unlocked.body, new RegExp(CID));
+  });
+});
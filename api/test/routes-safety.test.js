@@ -0,0 +1,115 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+import { startApp } from './app.js';
+
+const BOT = { 'User-Agent': 'Twitterbot/1.0' };
+
+// Threat-intel provider that flags URLs mentioning "phish", after a short delay like a real lookup
+const PROVIDER = `export default () => ({
+  name: 'test',
+  async lookup(url) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return url.includes('phish') ? { category: 'SOCIAL_ENGINEERING', reason: 'Phishing' } : null;
+  }
+});
+`;
+
+describe('destination safety', () => {
+  let app;
+  let user;
+  let dir;
+  let db;
+
+  before(async () => {
+    dir = fs.mkdtempSync(join(os.tmpdir(), 'linkio-safety-'));
+    fs.writeFileSync(join(dir, 'blocklist.txt'), 'blocked.example\n');
+    fs.writeFileSync(join(dir, 'provider.mjs'), PROVIDER);
+    app = await startApp({
+      DB_PATH: join(dir, 'linkio.db'),
+      BLOCKLIST_PATH: join(dir, 'blocklist.txt'),
+      THREAT_INTEL_PROVIDER: join(dir, 'provider.mjs'),
+      LINK_PREVIEWS: 'true'
+    });
+    user = await app.signIn();
+    db = new Database(join(dir, 'linkio.db'), { readonly: true });
+  });
+  after(async () => {
+    db.close();
+    await app.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const create = (originalUrl) => app.request('POST', '/api/links', { token: user.token, body: { originalUrl } });
+  const cachedPreview = (url) => db.prepare('SELECT * FROM link_previews WHERE url = ?').get(url);
+
+  // Wait for a background lookup or preview fetch to be stored
+  async function waitFor(check) {
+    for (let wait = 0; !check() && wait < 40; wait++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    return check();
+  }
+
+  it('rejects invalid and blocklisted destinations', async () => {
+    const invalid = await create('javascript:alert(1)');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'invalid_url');
+
+    const blocked = await create('https://www.blocked.example/page');
+    assert.equal(blocked.status, 400);
+    assert.equal(blocked.body.code, 'blocked_url');
+
+    const { body: link } = await create('https://example.com/');
+    const retarget = await app.request('PATCH', `/api/links/${link.shortCode}`, {
+      token: user.token,
+      body: { originalUrl: 'https://blocked.example/' }
+    });
+    assert.equal(retarget.status, 400);
+    assert.equal(retarget.body.code, 'blocked_url');
+  });
+
+  it('warms the preview of a destination the lookup clears', async () => {
+    // A private address fails the preview fetch at once; the failure is cached like a result
+    const { body: link } = await create('http://10.0.0.1/clean');
+    assert.ok(await waitFor(() => cachedPreview('http://10.0.0.1/clean')));
+    assert.equal((await app.request('GET', `/l/${link.shortCode}`)).status, 302);
+  });
+
+  it('warns visitors of flagged links and never fetches their preview', async () => {
+    const url = 'http://10.0.0.2/phish';
+    const { body: link } = await create(url);
+    const flagged = () => db.prepare('SELECT flag_reason FROM links WHERE short_code = ?').get(link.shortCode).flag_reason;
+    assert.equal(await waitFor(flagged), 'Phishing');
+
+    const visit = await app.request('GET', `/l/${link.shortCode}`);
+    assert.equal(visit.status, 200);
+    assert.equal(visit.headers.get('location'), null);
+    assert.match(visit.body, /This link may be unsafe/);
+    assert.match(visit.body, /Phishing/);
+
+    const api = await app.request('GET', `/api/links/${link.shortCode}/redirect`);
+    assert.deepEqual(api.body.warning, { code: 'flagged', reason: 'Phishing' });
+
+    const preview = await app.request('GET', `/l/${link.shortCode}`, { headers: BOT });
+    assert.equal(preview.status, 200);
+    assert.doesNotMatch(preview.body, /10\.0\.0\.2/);
+
+    // Give a stray background fetch the time the clean link needed
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal(cachedPreview(url), undefined);
+  });
+
+  it('does not fetch previews for bots before the lookup has cleared the destination', async () => {
+    const url = 'http://10.0.0.3/phish-fresh';
+    const { body: link } = await create(url);
+    // Straight after creation, before the verdict is stored
+    const preview = await app.request('GET', `/l/${link.shortCode}`, { headers: BOT });
+    assert.doesNotMatch(preview.body, /10\.0\.0\.3/);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.equal(cachedPreview(url), undefined);
+  });
+});
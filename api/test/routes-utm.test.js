@@ -0,0 +1,69 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './app.js';
+
+describe('UTM parameters and campaigns', () => {
+  let app;
+  let user;
+
+  before(async () => {
+    app = await startApp();
+    user = await app.signIn();
+  });
+  after(() => app.close());
+
+  const create = (body, token = user.token) => app.request('POST', '/api/links', { token, body });
+
+  it('merges the link\'s parameters into the destination on every redirect', async () => {
+    const { body: link } = await create({
+      originalUrl: 'https://example.com/p?utm_source=old&q=1',
+      utm: { source: 'news letter', medium: 'email' }
+    });
+    const target = 'https://example.com/p?utm_source=news+letter&q=1&utm_medium=email';
+
+    const api = await app.request('GET', `/api/links/${link.shortCode}/redirect`);
+    assert.equal(api.body.originalUrl, target);
+    const visit = await app.request('GET', `/l/${link.shortCode}`);
+    assert.equal(visit.headers.get('location'), target);
+
+    // A new destination keeps them
+    await app.request('PATCH', `/api/links/${link.shortCode}`, { token: user.token, body: { originalUrl: 'https://example.com/new' } });
+    const moved = await app.request('GET', `/l/${link.shortCode}`);
+    assert.equal(moved.headers.get('location'), 'https://example.com/new?utm_source=news+letter&utm_medium=email');
+  });
+
+  it('rejects invalid parameters', async () => {
+    assert.equal((await create({ originalUrl: 'https://example.com/', utm: { id: '1' } })).status, 400);
+    assert.equal((await create({ originalUrl: 'https://example.com/', utm: 'source=x' })).status, 400);
+  });
+
+  it('groups links into the named campaign, or the one from utm.campaign', async () => {
+    const { body: named } = await create({ originalUrl: 'https://example.com/1', campaign: 'Launch', utm: { campaign: 'launch-week' } });
+    const { body: fromUtm } = await create({ originalUrl: 'https://example.com/2', utm: { campaign: 'Launch' } });
+    const { body: other } = await create({ originalUrl: 'https://example.com/3', utm: { campaign: 'launch-week' } });
+    assert.equal(named.campaignId, fromUtm.campaignId);
+    assert.notEqual(other.campaignId, named.campaignId);
+
+    await app.request('GET', `/l/${named.shortCode}`);
+    const { body: { campaigns } } = await app.request('GET', `/api/users/${user.address}/campaigns`, { token: user.token });
+    const launch = campaigns.find(campaign => campaign.name === 'Launch');
+    assert.equal(launch.links, 2);
+    assert.equal(launch.clicks, 1);
+
+    const { body: { items } } = await app.request('GET', `/api/users/${user.address}/links?campaign=${launch.id}`, { token: user.token });
+    assert.deepEqual(items.map(link => link.shortCode).sort(), [named.shortCode, fromUtm.shortCode].sort());
+  });
+
+  it('keeps campaigns to signed-in wallets', async () => {
+    assert.equal((await create({ originalUrl: 'https://example.com/', campaign: 'Launch' }, null)).status, 401);
+
+    // Anonymous links still carry their UTM parameters, outside any campaign
+    const { status, body } = await create({ originalUrl: 'https://example.com/', utm: { campaign: 'Launch' } }, null);
+    assert.equal(status, 200);
+    assert.equal(body.campaignId, null);
+
+    const other = await app.signIn();
+    const list = await app.request('GET', `/api/users/${user.address}/campaigns`, { token: other.token });
+    assert.equal(list.status, 403);
+  });
+});
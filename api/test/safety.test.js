@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { MAX_URL_LENGTH, createBlocklist, loadBlocklist, validateDestinationUrl } from '../safety.js';
+
+describe('validateDestinationUrl', () => {
+  it('accepts absolute http and https URLs, trimmed', () => {
+    assert.deepEqual(validateDestinationUrl('  https://example.com/a?b=1 '), { url: 'https://example.com/a?b=1' });
+    assert.deepEqual(validateDestinationUrl('HTTP://example.com'), { url: 'HTTP://example.com' });
+  });
+
+  it('rejects other schemes', () => {
+    for (const url of ['javascript:alert(1)', 'data:text/html,<script>', 'ftp://example.com/', 'file:///etc/passwd', 'mailto:a@example.com']) {
+      assert.match(validateDestinationUrl(url).error, /Only http and https/, url);
+    }
+  });
+
+  it('rejects missing, relative and overlong URLs', () => {
+    assert.match(validateDestinationUrl('').error, /required/);
+    assert.match(validateDestinationUrl(42).error, /required/);
+    assert.match(validateDestinationUrl('/relative/path').error, /not a valid URL/);
+    assert.match(validateDestinationUrl('example.com').error, /not a valid URL/);
+    assert.match(validateDestinationUrl(`https://example.com/${'a'.repeat(MAX_URL_LENGTH)}`).error, /at most 2048/);
+  });
+});
+
+describe('createBlocklist', () => {
+  const blocklist = createBlocklist([
+    'malware.example',
+    '*.ads.example',
+    'files.example.com/downloads/*.exe',
+    '/free-gift-\\d+\\./'
+  ]);
+
+  it('blocks a domain and all of its subdomains', () => {
+    assert.equal(blocklist.match('https://malware.example/x'), 'malware.example');
+    assert.equal(blocklist.match('http://a.b.MALWARE.example./'), 'malware.example');
+    assert.equal(blocklist.match('https://notmalware.example/'), null);
+    assert.equal(blocklist.match('https://malware.example.org/'), null);
+  });
+
+  it('treats *.domain like the domain', () => {
+    assert.equal(blocklist.match('https://x.ads.example/'), '*.ads.example');
+    assert.equal(blocklist.match('https://ads.example/'), '*.ads.example');
+  });
+
+  it('matches wildcard patterns against the URL without its scheme', () => {
+    assert.equal(blocklist.match('http://files.example.com/downloads/a/b.exe'), 'files.example.com/downloads/*.exe');
+    assert.equal(blocklist.match('https://files.example.com/other.exe'), null);
+    assert.equal(blocklist.match('https://mirror.example/files.example.com/downloads/a.exe'), null);
+  });
+
+  it('tests /regex/ entries against the full URL, ignoring case', () => {
+    assert.equal(blocklist.match('https://FREE-GIFT-42.example/'), '/free-gift-\\d+\\./');
+    assert.equal(blocklist.match('https://free-gift.example/'), null);
+  });
+
+  it('ignores values that are not URLs', () => {
+    assert.equal(blocklist.match('not a url'), null);
+    assert.equal(blocklist.size, 4);
+  });
+});
+
+describe('loadBlocklist', () => {
+  it('reads one entry per line and skips comments and blank lines', () => {
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'linkio-blocklist-'));
+    try {
+      const path = join(dir, 'blocklist.txt');
+      fs.writeFileSync(path, '# blocked\r\nmalware.example  # and subdomains\n\n  /casino-\\d+/\n');
+      const blocklist = loadBlocklist(path);
+      assert.equal(blocklist.size, 2);
+      assert.equal(blocklist.match('https://www.malware.example/'), 'malware.example');
+      assert.equal(blocklist.match('https://casino-7.example/'), '/casino-\\d+/');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import net from 'net';
+import { join } from 'path';
+import { createCidHasher } from '../cid.js';
+import { startApp } from './app.js';
+
+// Files receiveUpload has spooled and not removed yet
+const spooledUploads = () => fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('linkio-upload-')).length;
+
+// The route removes its spooled file after responding, so give it a moment
+async function settledSpoolCount(expected) {
+  for (let wait = 0; spooledUploads() > expected && wait < 40; wait++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return spooledUploads();
+}
+
+describe('POST /api/media/upload', () => {
+  let app;
+  let user;
+
+  before(async () => {
+    app = await startApp({ MAX_UPLOAD_MB: '1' });
+    user = await app.signIn();
+  });
+  after(() => app.close());
+
+  const upload = (form, token = user.token) => app.request('POST', '/api/media/upload', { token, body: form });
+
+  const imageForm = (data, fields = {}) => {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) form.append(name, value);
+    form.append('file', new Blob([data], { type: 'image/png' }), 'image.png');
+    return form;
+  };
+
+  it('requires a signed-in wallet', async () => {
+    const { status } = await upload(imageForm(Buffer.alloc(1024, 1)), null);
+    assert.equal(status, 401);
+    assert.deepEqual(fs.readdirSync(app.pinningDir), []);
+  });
+
+  it('pins the file under the CID of its bytes and saves it as the wallet\'s media', async () => {
+    const before = spooledUploads();
+    const data = Buffer.alloc(300 * 1024, 7);
+    const hasher = createCidHasher();
+    hasher.update(data);
+    const cid = hasher.digest();
+
+    const { status, body } = await upload(imageForm(data, { alias: 'my-file', cid }));
+    assert.equal(status, 200);
+    assert.equal(body.shortCode, 'my-file');
+    assert.equal(body.ipfsHash, cid);
+    assert.equal(body.fileSize, data.length);
+    assert.equal(body.creator, user.address);
+    assert.equal(body.pinStatus, 'pinned');
+    assert.equal(body.verified, true);
+    assert.ok(fs.readFileSync(join(app.pinningDir, cid)).equals(data));
+    assert.equal(await settledSpoolCount(before), before);
+
+    const pin = await app.request('GET', '/api/media/my-file/pin', { token: user.token });
+    assert.equal(pin.body.status, 'pinned');
+  });
+
+  it('rejects a file that does not match the CID the client computed', async () => {
+    const hasher = createCidHasher();
+    hasher.update(Buffer.from('other bytes'));
+    const { status } = await upload(imageForm(Buffer.alloc(1024, 2), { cid: hasher.digest() }));
+    assert.equal(status, 400);
+  });
+
+  it('rejects unsupported types, empty files and files over the limit', async () => {
+    const form = new FormData();
+    form.append('file', new Blob(['text'], { type: 'text/plain' }), 'notes.txt');
+    assert.equal((await upload(form)).status, 415);
+    assert.equal((await upload(imageForm(Buffer.alloc(0)))).status, 400);
+    assert.equal((await upload(imageForm(Buffer.alloc(1024 * 1024 + 1)))).status, 413);
+  });
+
+  it('removes the spooled file when the client disconnects', async () => {
+    const before = spooledUploads();
+    const socket = net.connect(new URL(app.baseUrl).port, '127.0.0.1');
+    const boundary = 'test-boundary';
+    socket.write([
+      'POST /api/media/upload HTTP/1.1',
+      'Host: 127.0.0.1',
+      `Authorization: Bearer ${user.token}`,
+      `Content-Type: multipart/form-data; boundary=${boundary}`,
+      `Content-Length: ${1024 * 1024}`,
+      '',
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename="cut.png"',
+      'Content-Type: image/png',
+      '',
+      ''
+    ].join('\r\n'));
+    socket.write(Buffer.alloc(64 * 1024, 1));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(spooledUploads(), before + 1);
+    socket.destroy();
+    assert.equal(await settledSpoolCount(before), before);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyUtm, parseUtm } from '../utm.js';
+
+describe('parseUtm', () => {
+  it('keeps the set fields, trimmed', () => {
+    assert.deepEqual(parseUtm({ source: ' news ', medium: '', campaign: null, term: '   ' }), { utm: { source: 'news' } });
+    assert.deepEqual(parseUtm({}), { utm: null });
+    assert.deepEqual(parseUtm(undefined), { utm: null });
+  });
+
+  it('rejects unknown fields, non-strings and long values', () => {
+    assert.match(parseUtm({ source: 'x', id: '1' }).error, /Unknown utm field "id"/);
+    assert.match(parseUtm({ source: 42 }).error, /utm.source must be a string/);
+    assert.match(parseUtm({ content: 'x'.repeat(201) }).error, /at most 200/);
+    assert.match(parseUtm(['source']).error, /must be an object/);
+    assert.match(parseUtm('source=x').error, /must be an object/);
+  });
+});
+
+describe('applyUtm', () => {
+  it('replaces utm_* parameters the URL already has and keeps the rest', () => {
+    assert.equal(
+      applyUtm('https://example.com/p?utm_source=old&q=1&utm_term=kept#top', { source: 'new', medium: 'email' }),
+      'https://example.com/p?utm_source=new&q=1&utm_term=kept&utm_medium=email#top'
+    );
+    assert.equal(applyUtm('https://example.com/?utm_source=a&utm_source=b', { source: 'c' }), 'https://example.com/?utm_source=c');
+  });
+
+  it('encodes values as query parameters', () => {
+    assert.equal(
+      applyUtm('https://example.com/', { campaign: 'Spring sale & more', content: 'ünï/?#=x' }),
+      'https://example.com/?utm_campaign=Spring+sale+%26+more&utm_content=%C3%BCn%C3%AF%2F%3F%23%3Dx'
+    );
+  });
+
+  it('leaves the URL alone without parameters or when it cannot be parsed', () => {
+    assert.equal(applyUtm('https://example.com/?utm_source=a', null), 'https://example.com/?utm_source=a');
+    assert.equal(applyUtm('not a url', { source: 'x' }), 'not a url');
+  });
+});
@@ -0,0 +1,143 @@
+// Receive multipart file uploads, spooling the file to a temporary path while computing its CID
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+import { join } from 'path';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+import busboy from 'busboy';
+import { createCidHasher } from './cid.js';
+
+// File types the app can show, kept in sync with SUPPORTED_FILE_TYPES in the frontend
+export const UPLOAD_FILE_TYPES = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'video/mp4', 'video/webm',
+  'audio/mp3', 'audio/mpeg', 'audio/wav',
+  'application/pdf'
+];
+
+const MAX_FIELDS = 20;
+const MAX_FIELD_BYTES = 4096;
+
+/**
+ * Read a multipart/form-data request with one "file" part and text fields.
+ * Fields sent after the file are read too.
+ * @returns {Promise<{ fields: object, file: { path, name, type, size, cid } } | { status: number, error: string }>}
+ *   On success the caller must remove file.path when done with it (see removeUpload)
+ */
+export function receiveUpload(req, { maxBytes }) {
+  return new Promise((resolve) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: 1, fields: MAX_FIELDS, fieldSize: MAX_FIELD_BYTES, fileSize: maxBytes }
+      });
+    } catch {
+      resolve({ status: 400, error: 'Expected a multipart/form-data upload' });
+      return;
+    }
+
+    const fields = {};
+    let file = null;
+    let fileStream = null;
+    let failure = null;
+    let spooling = Promise.resolve();
+
+    const fail = (status, error) => {
+      failure = failure || { status, error };
+    };
+
+    parser.on('field', (name, value, info) => {
+      if (info.valueTruncated) {
+        fail(400, `Field ${name} is too long`);
+      } else {
+        fields[name] = value;
+      }
+    });
+
+    parser.on('file', (name, stream, info) => {
+      if (name !== 'file' || file) {
+        stream.resume();
+        fail(400, 'Send exactly one file, in the "file" field');
+        return;
+      }
+      if (!UPLOAD_FILE_TYPES.includes(info.mimeType)) {
+        stream.resume();
+        fail(415, `Unsupported file type ${info.mimeType}`);
+        return;
+      }
+
+      fileStream = stream;
+      const path = join(os.tmpdir(), `linkio-upload-${crypto.randomUUID()}`);
+      const hasher = createCidHasher();
+      let size = 0;
+      file = { path, name: info.filename || 'upload', type: info.mimeType };
+
+      stream.on('limit', () => {
+        fail(413, `File is larger than ${Math.floor(maxBytes / (1024 * 1024))}MB`);
+      });
+
+      const measure = new Transform({
+        transform(chunk, encoding, callback) {
+          hasher.update(chunk);
+          size += chunk.length;
+          callback(null, chunk);
+        }
+      });
+
+      spooling = pipeline(stream, measure, fs.createWriteStream(path))
+        .then(() => {
+          file.size = size;
+          file.cid = hasher.digest();
+        })
+        .catch(() => fail(400, 'Upload was interrupted'));
+    });
+
+    parser.on('filesLimit', () => fail(400, 'Send exactly one file, in the "file" field'));
+    parser.on('fieldsLimit', () => fail(400, 'Too many form fields'));
+
+    let finished = false;
+    const finish = async () => {
+      if (finished) return;
+      finished = true;
+      await spooling;
+      if (!failure && (!file || file.size === 0)) {
+        fail(400, 'A non-empty file is required');
+      }
+      if (failure) {
+        if (file) await removeUpload(file);
+        resolve(failure);
+      } else {
+        resolve({ fields, file });
+      }
+    };
+
+    parser.on('close', finish);
+    parser.on('error', () => {
+      fail(400, 'Malformed multipart upload');
+      finish();
+    });
+
+    // A client that disconnects mid-upload stops feeding the parser, which then never closes:
+    // end the file being spooled so finish() can remove it
+    const abort = () => {
+      if (finished) return;
+      fail(400, 'Upload was interrupted');
+      req.unpipe(parser);
+      if (fileStream) fileStream.destroy(new Error('Upload was interrupted'));
+      finish();
+    };
+    req.on('error', abort);
+    req.on('close', () => {
+      if (!req.complete) abort();
+    });
+
+    req.pipe(parser);
+  });
+}
+
+// Remove a spooled upload
+export async function removeUpload(file) {
+  await fs.promises.rm(file.path, { force: true });
+}
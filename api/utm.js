@@ -0,0 +1,51 @@
+// UTM parameters merged into link targets at redirect time
+
+export const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+const MAX_UTM_LENGTH = 200;
+
+/**
+ * Validate an optional { source, medium, campaign, term, content } object
+ * @returns {{ utm: object | null } | { error: string }} utm is null when no field is set
+ */
+export function parseUtm(value) {
+  if (value === undefined || value === null) {
+    return { utm: null };
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'utm must be an object' };
+  }
+
+  const unknown = Object.keys(value).find(key => !UTM_FIELDS.includes(key));
+  if (unknown) {
+    return { error: `Unknown utm field "${unknown}"` };
+  }
+
+  const utm = {};
+  for (const field of UTM_FIELDS) {
+    const fieldValue = value[field];
+    if (fieldValue === undefined || fieldValue === null || fieldValue === '') continue;
+    if (typeof fieldValue !== 'string' || fieldValue.trim().length > MAX_UTM_LENGTH) {
+      return { error: `utm.${field} must be a string of at most ${MAX_UTM_LENGTH} characters` };
+    }
+    if (fieldValue.trim()) utm[field] = fieldValue.trim();
+  }
+
+  return { utm: Object.keys(utm).length > 0 ? utm : null };
+}
+
+/**
+ * Set utm_* query parameters on a URL, replacing any it already has
+ * @returns {string} the URL unchanged if there is nothing to merge or it cannot be parsed
+ */
+export function applyUtm(url, utm) {
+  if (!utm) return url;
+  try {
+    const target = new URL(url);
+    for (const [field, value] of Object.entries(utm)) {
+      target.searchParams.set(`utm_${field}`, value);
+    }
+    return target.href;
+  } catch {
+    return url;
+  }
+}
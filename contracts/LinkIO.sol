@@ -2,7 +2,6 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/Counters.sol";
 
 /**
  * @title LinkIO
@@ -10,10 +9,8 @@ import "@openzeppelin/contracts/utils/Counters.sol";
  * @notice This contract stores shortened links and IPFS hashes for media files
  */
 contract LinkIO is Ownable {
-    using Counters for Counters.Counter;
-
-    Counters.Counter private _linkCounter;
-    Counters.Counter private _mediaCounter;
+    uint256 private _linkCounter;
+    uint256 private _mediaCounter;
 
     enum ContentType { LINK, MEDIA }
 
@@ -23,6 +20,10 @@ contract LinkIO is Ownable {
         uint256 createdAt;
         uint256 clicks;
         bool exists;
+        uint256 activateAt;   // 0 = active immediately
+        uint256 expiresAt;    // 0 = never expires
+        uint256 maxClicks;    // 0 = unlimited
+        bool disabled;        // switched off by the creator
     }
 
     struct MediaData {
@@ -46,13 +47,36 @@ contract LinkIO is Ownable {
     mapping(address => string[]) public userLinks;
     mapping(address => string[]) public userMedia;
 
+    // Reserved custom aliases, keyed by keccak256 of the lowercased alias
+    mapping(bytes32 => bool) public reservedAliases;
+
+    // Content disabled by the contract owner for moderation
+    mapping(string => bool) public disabledLinks;
+    mapping(string => bool) public disabledMedia;
+
+    // Short codes of deleted content, never handed out again so old links and QR codes cannot be taken over
+    mapping(string => bool) public retiredLinkCodes;
+    mapping(string => bool) public retiredMediaCodes;
+
     // Events
     event LinkCreated(string indexed shortCode, string originalUrl, address indexed creator);
     event MediaUploaded(string indexed shortCode, string ipfsHash, string fileName, address indexed creator);
     event LinkAccessed(string indexed shortCode, address accessor);
     event MediaAccessed(string indexed shortCode, address accessor);
-
-    constructor() Ownable(msg.sender) {}
+    event ReservedAliasUpdated(string aliasName, bool reserved);
+    event LinkLimitsUpdated(string indexed shortCode, uint256 activateAt, uint256 expiresAt, uint256 maxClicks);
+    event LinkUpdated(string shortCode, string originalUrl, bool disabled);
+    event LinkDeleted(string shortCode, address creator);
+    event MediaDeleted(string shortCode, address creator);
+    event LinkModerated(string shortCode, bool disabled);
+    event MediaModerated(string shortCode, bool disabled);
+
+    constructor() Ownable(msg.sender) {
+        string[4] memory defaults = ["api", "admin", "l", "m"];
+        for (uint256 i = 0; i < defaults.length; i++) {
+            reservedAliases[keccak256(_toLower(bytes(defaults[i])))] = true;
+        }
+    }
 
     /**
      * @dev Generate a unique short code based on counter and block data
@@ -62,11 +86,9 @@ contract LinkIO is Ownable {
     function _generateShortCode(ContentType contentType) internal returns (string memory) {
         uint256 counter;
         if (contentType == ContentType.LINK) {
-            _linkCounter.increment();
-            counter = _linkCounter.current();
+            counter = ++_linkCounter;
         } else {
-            _mediaCounter.increment();
-            counter = _mediaCounter.current();
+            counter = ++_mediaCounter;
         }
 
         bytes memory chars = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
@@ -86,37 +108,273 @@ contract LinkIO is Ownable {
         return string(shortCode);
     }
 
+    /**
+     * @dev Lowercase ASCII letters in a byte string
+     */
+    function _toLower(bytes memory value) internal pure returns (bytes memory) {
+        bytes memory lower = new bytes(value.length);
+        for (uint256 i = 0; i < value.length; i++) {
+            bytes1 c = value[i];
+            lower[i] = (c >= 0x41 && c <= 0x5A) ? bytes1(uint8(c) + 32) : c;
+        }
+        return lower;
+    }
+
+    /**
+     * @dev Remove a short code from a user's list by swapping in the last entry
+     */
+    function _removeShortCode(string[] storage codes, string calldata shortCode) internal {
+        bytes32 target = keccak256(bytes(shortCode));
+        for (uint256 i = 0; i < codes.length; i++) {
+            if (keccak256(bytes(codes[i])) == target) {
+                codes[i] = codes[codes.length - 1];
+                codes.pop();
+                return;
+            }
+        }
+    }
+
+    /**
+     * @dev Validate a custom alias: 3-32 letters, digits, hyphens or underscores,
+     * starting and ending alphanumeric, and not reserved
+     */
+    function _validateAlias(string calldata aliasName) internal view {
+        bytes memory b = bytes(aliasName);
+        require(b.length >= 3 && b.length <= 32, "Alias must be 3-32 characters");
+
+        for (uint256 i = 0; i < b.length; i++) {
+            bytes1 c = b[i];
+            bool isAlphanumeric = (c >= 0x30 && c <= 0x39) || (c >= 0x41 && c <= 0x5A) || (c >= 0x61 && c <= 0x7A);
+            bool isSeparator = (c == 0x2D || c == 0x5F) && i > 0 && i < b.length - 1;
+            require(isAlphanumeric || isSeparator, "Invalid alias character");
+        }
+
+        require(!reservedAliases[keccak256(_toLower(b))], "Alias is reserved");
+    }
+
+    /**
+     * @dev Store a new link under the given short code
+     */
+    function _storeLink(string memory shortCode, string calldata originalUrl) internal {
+        links[shortCode] = LinkData({
+            originalUrl: originalUrl,
+            creator: msg.sender,
+            createdAt: block.timestamp,
+            clicks: 0,
+            exists: true,
+            activateAt: 0,
+            expiresAt: 0,
+            maxClicks: 0,
+            disabled: false
+        });
+
+        userLinks[msg.sender].push(shortCode);
+
+        emit LinkCreated(shortCode, originalUrl, msg.sender);
+    }
+
     /**
      * @dev Create a shortened link
      * @param originalUrl The original URL to shorten
      * @return shortCode The generated short code
      */
     function createShortLink(string calldata originalUrl) external returns (string memory shortCode) {
+        return _createShortLink(originalUrl);
+    }
+
+    /**
+     * @dev Create several shortened links in one transaction
+     * @param originalUrls The original URLs to shorten (at most 100)
+     * @return shortCodes The generated short codes, in the same order
+     */
+    function createShortLinks(string[] calldata originalUrls) external returns (string[] memory shortCodes) {
+        require(originalUrls.length > 0, "No URLs given");
+        require(originalUrls.length <= 100, "Too many URLs");
+
+        shortCodes = new string[](originalUrls.length);
+        for (uint256 i = 0; i < originalUrls.length; i++) {
+            shortCodes[i] = _createShortLink(originalUrls[i]);
+        }
+
+        return shortCodes;
+    }
+
+    /**
+     * @dev Create a shortened link under a newly generated short code
+     */
+    function _createShortLink(string calldata originalUrl) internal returns (string memory shortCode) {
         require(bytes(originalUrl).length > 0, "URL cannot be empty");
         require(bytes(originalUrl).length <= 2048, "URL too long");
 
         shortCode = _generateShortCode(ContentType.LINK);
 
         // Ensure unique (extremely rare collision)
-        while (links[shortCode].exists) {
+        while (links[shortCode].exists || retiredLinkCodes[shortCode]) {
             shortCode = _generateShortCode(ContentType.LINK);
         }
 
-        links[shortCode] = LinkData({
-            originalUrl: originalUrl,
-            creator: msg.sender,
-            createdAt: block.timestamp,
-            clicks: 0,
-            exists: true
-        });
+        _storeLink(shortCode, originalUrl);
 
-        userLinks[msg.sender].push(shortCode);
+        return shortCode;
+    }
 
-        emit LinkCreated(shortCode, originalUrl, msg.sender);
+    /**
+     * @dev Create a shortened link with a custom, human readable alias
+     * @param originalUrl The original URL to shorten
+     * @param aliasName The requested short code (e.g. "launch-2026")
+     * @return shortCode The claimed short code
+     */
+    function createShortLinkWithAlias(
+        string calldata originalUrl,
+        string calldata aliasName
+    ) external returns (string memory shortCode) {
+        require(bytes(originalUrl).length > 0, "URL cannot be empty");
+        require(bytes(originalUrl).length <= 2048, "URL too long");
+        _validateAlias(aliasName);
+        require(!links[aliasName].exists && !retiredLinkCodes[aliasName], "Alias already taken");
+
+        _linkCounter++;
+        shortCode = aliasName;
+        _storeLink(shortCode, originalUrl);
 
         return shortCode;
     }
 
+    /**
+     * @dev Create a shortened link with an availability window and click cap
+     * @param originalUrl The original URL to shorten
+     * @param activateAt Timestamp from which the link resolves (0 = immediately)
+     * @param expiresAt Timestamp after which the link stops resolving (0 = never)
+     * @param maxClicks Number of resolutions allowed (0 = unlimited)
+     * @return shortCode The generated short code
+     */
+    function createShortLinkWithLimits(
+        string calldata originalUrl,
+        uint256 activateAt,
+        uint256 expiresAt,
+        uint256 maxClicks
+    ) external returns (string memory shortCode) {
+        shortCode = _createShortLink(originalUrl);
+        _setLinkLimits(shortCode, activateAt, expiresAt, maxClicks);
+        return shortCode;
+    }
+
+    /**
+     * @dev Update the availability window and click cap of a link (creator only)
+     * @param shortCode The short code to update
+     * @param activateAt Timestamp from which the link resolves (0 = immediately)
+     * @param expiresAt Timestamp after which the link stops resolving (0 = never)
+     * @param maxClicks Number of resolutions allowed (0 = unlimited)
+     */
+    function setLinkLimits(
+        string calldata shortCode,
+        uint256 activateAt,
+        uint256 expiresAt,
+        uint256 maxClicks
+    ) external {
+        require(links[shortCode].exists, "Link does not exist");
+        require(links[shortCode].creator == msg.sender, "Not the link creator");
+        _setLinkLimits(shortCode, activateAt, expiresAt, maxClicks);
+    }
+
+    function _setLinkLimits(
+        string memory shortCode,
+        uint256 activateAt,
+        uint256 expiresAt,
+        uint256 maxClicks
+    ) internal {
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Expiry must be in the future");
+        require(expiresAt == 0 || activateAt < expiresAt, "Activation must be before expiry");
+
+        LinkData storage link = links[shortCode];
+        link.activateAt = activateAt;
+        link.expiresAt = expiresAt;
+        link.maxClicks = maxClicks;
+
+        emit LinkLimitsUpdated(shortCode, activateAt, expiresAt, maxClicks);
+    }
+
+    /**
+     * @dev Point a link at a new destination (creator only)
+     * @param shortCode The short code to update
+     * @param newUrl The new destination URL
+     */
+    function updateLink(string calldata shortCode, string calldata newUrl) external {
+        require(links[shortCode].exists, "Link does not exist");
+        require(links[shortCode].creator == msg.sender, "Not the link creator");
+        require(bytes(newUrl).length > 0, "URL cannot be empty");
+        require(bytes(newUrl).length <= 2048, "URL too long");
+
+        LinkData storage link = links[shortCode];
+        link.originalUrl = newUrl;
+
+        emit LinkUpdated(shortCode, newUrl, link.disabled);
+    }
+
+    /**
+     * @dev Disable or re-enable a link (creator only)
+     * @param shortCode The short code to update
+     * @param disabled Whether the link should stop resolving
+     */
+    function disableLink(string calldata shortCode, bool disabled) external {
+        require(links[shortCode].exists, "Link does not exist");
+        require(links[shortCode].creator == msg.sender, "Not the link creator");
+
+        LinkData storage link = links[shortCode];
+        link.disabled = disabled;
+
+        emit LinkUpdated(shortCode, link.originalUrl, disabled);
+    }
+
+    /**
+     * @dev Delete a link and remove it from the creator's links (creator only).
+     * The short code is retired and cannot be claimed again.
+     * @param shortCode The short code to delete
+     */
+    function deleteLink(string calldata shortCode) external {
+        require(links[shortCode].exists, "Link does not exist");
+        require(links[shortCode].creator == msg.sender, "Not the link creator");
+
+        delete links[shortCode];
+        delete disabledLinks[shortCode];
+        retiredLinkCodes[shortCode] = true;
+        _removeShortCode(userLinks[msg.sender], shortCode);
+
+        emit LinkDeleted(shortCode, msg.sender);
+    }
+
+    /**
+     * @dev Reserve or release a custom alias (case-insensitive)
+     * @param aliasName The alias to update
+     * @param reserved Whether the alias should be blocked
+     */
+    function setReservedAlias(string calldata aliasName, bool reserved) external onlyOwner {
+        reservedAliases[keccak256(_toLower(bytes(aliasName)))] = reserved;
+        emit ReservedAliasUpdated(aliasName, reserved);
+    }
+
+    /**
+     * @dev Disable or re-enable a link for moderation (owner only)
+     * @param shortCode The short code to update
+     * @param disabled Whether the link should stop resolving
+     */
+    function setLinkDisabled(string calldata shortCode, bool disabled) external onlyOwner {
+        require(links[shortCode].exists, "Link does not exist");
+        disabledLinks[shortCode] = disabled;
+        emit LinkModerated(shortCode, disabled);
+    }
+
+    /**
+     * @dev Disable or re-enable media for moderation (owner only)
+     * @param shortCode The short code to update
+     * @param disabled Whether the media should stop resolving
+     */
+    function setMediaDisabled(string calldata shortCode, bool disabled) external onlyOwner {
+        require(media[shortCode].exists, "Media does not exist");
+        disabledMedia[shortCode] = disabled;
+        emit MediaModerated(shortCode, disabled);
+    }
+
     /**
      * @dev Upload media file metadata (IPFS hash)
      * @param ipfsHash The IPFS hash of the uploaded file
@@ -137,7 +395,7 @@ contract LinkIO is Ownable {
         shortCode = _generateShortCode(ContentType.MEDIA);
 
         // Ensure unique
-        while (media[shortCode].exists) {
+        while (media[shortCode].exists || retiredMediaCodes[shortCode]) {
             shortCode = _generateShortCode(ContentType.MEDIA);
         }
 
@@ -159,18 +417,40 @@ contract LinkIO is Ownable {
         return shortCode;
     }
 
+    /**
+     * @dev Delete media and remove it from the creator's media (creator only).
+     * The short code is retired and cannot be reused.
+     * @param shortCode The short code to delete
+     */
+    function deleteMedia(string calldata shortCode) external {
+        require(media[shortCode].exists, "Media does not exist");
+        require(media[shortCode].creator == msg.sender, "Not the media creator");
+
+        delete media[shortCode];
+        delete disabledMedia[shortCode];
+        retiredMediaCodes[shortCode] = true;
+        _removeShortCode(userMedia[msg.sender], shortCode);
+
+        emit MediaDeleted(shortCode, msg.sender);
+    }
+
     /**
      * @dev Get the original URL from a short code
      * @param shortCode The short code to look up
      * @return originalUrl The original URL
      */
     function getLink(string calldata shortCode) external returns (string memory originalUrl) {
-        require(links[shortCode].exists, "Link does not exist");
-
-        links[shortCode].clicks++;
+        LinkData storage link = links[shortCode];
+        require(link.exists, "Link does not exist");
+        require(!link.disabled && !disabledLinks[shortCode], "Link is disabled");
+        require(block.timestamp >= link.activateAt, "Link is not yet active");
+        require(link.expiresAt == 0 || block.timestamp < link.expiresAt, "Link has expired");
+        require(link.maxClicks == 0 || link.clicks < link.maxClicks, "Link click limit reached");
+
+        link.clicks++;
         emit LinkAccessed(shortCode, msg.sender);
 
-        return links[shortCode].originalUrl;
+        return link.originalUrl;
     }
 
     /**
@@ -188,6 +468,7 @@ contract LinkIO is Ownable {
         uint256 fileSize
     ) {
         require(media[shortCode].exists, "Media does not exist");
+        require(!disabledMedia[shortCode], "Media is disabled");
 
         media[shortCode].views++;
         emit MediaAccessed(shortCode, msg.sender);
@@ -211,6 +492,20 @@ contract LinkIO is Ownable {
         return (l.originalUrl, l.creator, l.createdAt, l.clicks);
     }
 
+    /**
+     * @dev Get the availability window and click cap of a link
+     * @param shortCode The short code to look up
+     */
+    function getLinkLimits(string calldata shortCode) external view returns (
+        uint256 activateAt,
+        uint256 expiresAt,
+        uint256 maxClicks
+    ) {
+        require(links[shortCode].exists, "Link does not exist");
+        LinkData memory l = links[shortCode];
+        return (l.activateAt, l.expiresAt, l.maxClicks);
+    }
+
     /**
      * @dev Get media data without incrementing view count (view only)
      * @param shortCode The short code to look up
@@ -249,14 +544,14 @@ contract LinkIO is Ownable {
      * @dev Get total number of links created
      */
     function getTotalLinks() external view returns (uint256) {
-        return _linkCounter.current();
+        return _linkCounter;
     }
 
     /**
      * @dev Get total number of media files uploaded
      */
     function getTotalMedia() external view returns (uint256) {
-        return _mediaCounter.current();
+        return _mediaCounter;
     }
 
     /**
@@ -4,6 +4,8 @@ import Header from './components/Header';
 import LinkShortener from './components/LinkShortener';
 import MediaUpload from './components/MediaUpload';
 import RedirectPage from './components/RedirectPage';
+import Dashboard from './components/Dashboard';
+import AnalyticsPage from './components/AnalyticsPage';
 import Footer from './components/Footer';
 
 function App() {
@@ -49,6 +51,30 @@ function App() {
             </>
           }
         />
+        <Route
+          path="/dashboard"
+          element={
+            <>
+              <Header />
+              <main className="main-content">
+                <Dashboard />
+              </main>
+              <Footer />
+            </>
+          }
+        />
+        <Route
+          path="/dashboard/:shortCode"
+          element={
+            <>
+              <Header />
+              <main className="main-content">
+                <AnalyticsPage />
+              </main>
+              <Footer />
+            </>
+          }
+        />
         <Route path="/l/:shortCode" element={<RedirectPage type="link" />} />
         <Route path="/m/:shortCode" element={<RedirectPage type="media" />} />
       </Routes>
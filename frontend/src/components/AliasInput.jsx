@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react';
+import { checkAliasAvailability } from '../utils/api';
+import { validateAlias } from '../utils/contract';
+
+// Optional custom alias field with a debounced availability check
+function AliasInput({ value, onChange, type = 'link', disabled = false }) {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (!value) {
+      setStatus(null);
+      return;
+    }
+
+    const aliasError = validateAlias(value);
+    if (aliasError) {
+      setStatus({ state: 'unavailable', message: aliasError });
+      return;
+    }
+
+    setStatus({ state: 'checking', message: 'Checking availability...' });
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await checkAliasAvailability(value, type);
+        if (cancelled) return;
+        setStatus(result.available
+          ? { state: 'available', message: 'Alias is available' }
+          : { state: 'unavailable', message: result.reason });
+      } catch (err) {
+        console.error('Error checking alias:', err);
+        if (!cancelled) setStatus(null);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value, type]);
+
+  const inputId = `${type}-alias`;
+
+  return (
+    <div className="form-group">
+      <label htmlFor={inputId}>Custom alias (optional)</label>
+      <div className="alias-input">
+        <span className="alias-prefix">/{type === 'link' ? 'l' : 'm'}/</span>
+        <input
+          type="text"
+          id={inputId}
+          value={value}
+          onChange={(e) => onChange(e.target.value.trim())}
+          placeholder="launch-2026"
+          disabled={disabled}
+        />
+      </div>
+      {status && (
+        <div className={`alias-status ${status.state}`}>{status.message}</div>
+      )}
+    </div>
+  );
+}
+
+export default AliasInput;
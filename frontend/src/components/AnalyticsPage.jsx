@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { useWeb3 } from '../context/Web3Context';
+import { getAnalytics } from '../utils/api';
+import TimeSeriesChart from './TimeSeriesChart';
+import BreakdownList from './BreakdownList';
+import LinkEditor from './LinkEditor';
+
+const DAY = 24 * 60 * 60;
+
+const PRESETS = [
+  { label: '24h', days: 1 },
+  { label: '7d', days: 7 },
+  { label: '30d', days: 30 },
+  { label: '90d', days: 90 }
+];
+
+// Unix seconds <-> yyyy-mm-dd for the date inputs (local time)
+const toDateInput = (timestamp) => {
+  const date = new Date(timestamp * 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+const fromDateInput = (value, endOfDay = false) => {
+  const date = new Date(`${value}T00:00:00`);
+  if (endOfDay) date.setHours(23, 59, 59);
+  return Math.floor(date.getTime() / 1000);
+};
+
+function AnalyticsPage() {
+  const { shortCode } = useParams();
+  const [searchParams] = useSearchParams();
+  const type = searchParams.get('type') === 'media' ? 'media' : 'link';
+  const { account, isAuthenticated } = useWeb3();
+
+  const [range, setRange] = useState(() => {
+    const now = Math.floor(Date.now() / 1000);
+    return { from: now - 7 * DAY, to: now, preset: '7d' };
+  });
+  const [data, setData] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Hourly buckets only make sense for short ranges
+  const bucket = range.to - range.from <= 3 * DAY ? 'hour' : 'day';
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [shortCode, type, range, account, isAuthenticated]);
+
+  const loadAnalytics = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const result = await getAnalytics(type, shortCode, {
+        from: range.from,
+        to: range.to,
+        bucket
+      });
+      setData(result);
+    } catch (err) {
+      console.error('Error loading analytics:', err);
+      setData(null);
+      if (err.status === 401) {
+        setError('Connect and verify your wallet to view analytics for this item.');
+      } else if (err.status === 403) {
+        setError('Only the creator can view analytics for this item.');
+      } else if (err.status === 404) {
+        setError(`This ${type === 'link' ? 'link' : 'file'} does not exist.`);
+      } else {
+        setError(err.message || 'Failed to load analytics');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const selectPreset = (preset) => {
+    const now = Math.floor(Date.now() / 1000);
+    setRange({ from: now - preset.days * DAY, to: now, preset: preset.label });
+  };
+
+  const updateCustomRange = (field, value) => {
+    if (!value) return;
+    const timestamp = fromDateInput(value, field === 'to');
+    const next = { ...range, [field]: timestamp, preset: null };
+    if (next.from < next.to) {
+      setRange(next);
+    }
+  };
+
+  const path = type === 'link' ? 'l' : 'm';
+
+  return (
+    <div className="card">
+      <Link to="/dashboard" className="back-link">← Back to dashboard</Link>
+      <h2>
+        Analytics for <span className="short-code">/{path}/{shortCode}</span>
+      </h2>
+
+      <div className="range-picker">
+        {PRESETS.map(preset => (
+          <button
+            key={preset.label}
+            className={`range-btn ${range.preset === preset.label ? 'active' : ''}`}
+            onClick={() => selectPreset(preset)}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <input
+          type="date"
+          value={toDateInput(range.from)}
+          max={toDateInput(range.to)}
+          onChange={(e) => updateCustomRange('from', e.target.value)}
+        />
+        <span>to</span>
+        <input
+          type="date"
+          value={toDateInput(range.to)}
+          min={toDateInput(range.from)}
+          onChange={(e) => updateCustomRange('to', e.target.value)}
+        />
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {isLoading && !data ? (
+        <div className="loading">
+          <span className="spinner"></span>
+          Loading analytics...
+        </div>
+      ) : data && (
+        <>
+          <div className="stats">
+            <div className="stat-card">
+              <div className="stat-value">{data.total}</div>
+              <div className="stat-label">{type === 'link' ? 'Clicks' : 'Views'}</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-value">{data.uniqueVisitors}</div>
+              <div className="stat-label">Unique Visitors</div>
+            </div>
+          </div>
+
+          <div className="chart-section">
+            <h3>{type === 'link' ? 'Clicks' : 'Views'} over time</h3>
+            <TimeSeriesChart series={data.series} bucket={data.bucket} />
+          </div>
+
+          <div className="breakdown-grid">
+            <BreakdownList title="Referrers" items={data.breakdowns.referrers} total={data.total} />
+            <BreakdownList title="Devices" items={data.breakdowns.devices} total={data.total} />
+            <BreakdownList title="Browsers" items={data.breakdowns.browsers} total={data.total} />
+            <BreakdownList title="Languages" items={data.breakdowns.languages} total={data.total} />
+            <BreakdownList title="Sources" items={data.breakdowns.sources} total={data.total} />
+          </div>
+
+          {type === 'link' && <LinkEditor shortCode={shortCode} />}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AnalyticsPage;
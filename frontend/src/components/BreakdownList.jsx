@@ -0,0 +1,30 @@
+// Horizontal bar list for a top-N analytics breakdown
+function BreakdownList({ title, items, total }) {
+  return (
+    <div className="breakdown">
+      <h3>{title}</h3>
+      {items.length === 0 ? (
+        <div className="chart-empty">No data</div>
+      ) : (
+        <ul>
+          {items.map((item) => {
+            const share = total ? (item.count / total) * 100 : 0;
+            return (
+              <li key={item.value}>
+                <div className="breakdown-row">
+                  <span className="breakdown-value">{item.value}</span>
+                  <span className="breakdown-count">{item.count}</span>
+                </div>
+                <div className="breakdown-bar">
+                  <div style={{ width: `${share}%` }} />
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default BreakdownList;
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { createShortLinksBulk } from '../utils/api';
+import { toCsv, downloadCsv } from '../utils/csv';
+
+const EXAMPLE = 'url,alias,tags,expiresAt\nhttps://example.com/spring-sale,spring-sale,campaign;email,2030-01-01';
+
+const getFullShortUrl = (code) => `${window.location.origin}/l/${code}`;
+
+// Collapsible panel for creating many links from pasted or uploaded CSV / JSON
+function BulkImport({ onImported }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [input, setInput] = useState('');
+  const [result, setResult] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      setInput(await file.text());
+    }
+    e.target.value = '';
+  };
+
+  const handleImport = async () => {
+    setError('');
+    setResult(null);
+
+    const text = input.trim();
+    if (!text) {
+      setError('Paste CSV or JSON, or choose a file');
+      return;
+    }
+
+    let payload = text;
+    if (text.startsWith('[') || text.startsWith('{')) {
+      try {
+        payload = JSON.parse(text);
+      } catch {
+        setError('The JSON could not be parsed');
+        return;
+      }
+    }
+
+    setIsImporting(true);
+    try {
+      const data = await createShortLinksBulk(payload);
+      setResult(data);
+      if (data.created > 0) onImported?.();
+    } catch (err) {
+      console.error('Error importing links:', err);
+      setError(err.message || 'Failed to import links');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const downloadResults = () => {
+    const rows = result.results.map((row) => [
+      row.row,
+      row.originalUrl,
+      row.alias,
+      row.status,
+      row.shortCode ? getFullShortUrl(row.shortCode) : '',
+      row.error || ''
+    ]);
+    downloadCsv('linkio-import.csv', toCsv([['row', 'url', 'alias', 'status', 'short_url', 'error'], ...rows]));
+  };
+
+  return (
+    <div className="bulk-import">
+      <button type="button" className="options-toggle" onClick={() => setIsOpen(!isOpen)}>
+        {isOpen ? '▾' : '▸'} Bulk import
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="form-group">
+            <label htmlFor="bulkInput">
+              CSV with a header row (url, alias, tags, expiresAt) or a JSON array, up to 500 links
+            </label>
+            <textarea
+              id="bulkInput"
+              rows={6}
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder={EXAMPLE}
+              disabled={isImporting}
+            />
+          </div>
+
+          <div className="bulk-actions">
+            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} disabled={isImporting} />
+            <button type="button" className="range-btn" onClick={handleImport} disabled={isImporting}>
+              {isImporting ? 'Importing...' : 'Import'}
+            </button>
+          </div>
+
+          {error && <div className="error-message">{error}</div>}
+
+          {result && (
+            <div className="bulk-results">
+              <div className="bulk-summary">
+                <span>{result.created} created, {result.failed} failed</span>
+                <button type="button" className="range-btn" onClick={downloadResults}>
+                  Download CSV
+                </button>
+              </div>
+              <table className="dashboard-table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>URL</th>
+                    <th>Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.results.map((row) => (
+                    <tr key={row.row} className={row.status === 'failed' ? 'bulk-failed' : ''}>
+                      <td>{row.row}</td>
+                      <td className="original">{row.originalUrl}</td>
+                      <td>
+                        {row.status === 'created'
+                          ? <span className="short-code">/l/{row.shortCode}</span>
+                          : row.error}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default BulkImport;
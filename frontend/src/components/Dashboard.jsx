@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useWeb3 } from '../context/Web3Context';
+import { getUserLinks, getUserMedia, getUserCampaigns } from '../utils/api';
+
+const PAGE_SIZE = 50;
+
+const toLinkRow = (link) => ({
+  type: 'link',
+  shortCode: link.shortCode,
+  target: link.originalUrl,
+  hits: link.clicks,
+  createdAt: link.createdAt,
+  passwordProtected: link.passwordProtected
+});
+
+const toMediaRow = (item) => ({
+  type: 'media',
+  shortCode: item.shortCode,
+  target: item.fileName,
+  hits: item.views,
+  createdAt: item.createdAt,
+  passwordProtected: item.passwordProtected
+});
+
+const COLUMNS = [
+  { key: 'type', label: 'Type' },
+  { key: 'shortCode', label: 'Short Code' },
+  { key: 'target', label: 'Destination' },
+  { key: 'hits', label: 'Clicks / Views' },
+  { key: 'createdAt', label: 'Created' }
+];
+
+function Dashboard() {
+  const { account, isConnected, isAuthenticated } = useWeb3();
+  const [items, setItems] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sort, setSort] = useState({ key: 'createdAt', direction: 'desc' });
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [campaigns, setCampaigns] = useState([]);
+  // Selected campaign id; only links belong to campaigns, so media is hidden while one is selected
+  const [campaign, setCampaign] = useState('');
+  // Next-page cursors per type; null once that type is exhausted
+  const [cursors, setCursors] = useState({ link: null, media: null });
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadItems();
+    } else {
+      setItems([]);
+    }
+  }, [account, isAuthenticated, query, campaign]);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      getUserCampaigns(account)
+        .then(setCampaigns)
+        .catch(err => console.error('Error loading campaigns:', err));
+    } else {
+      setCampaigns([]);
+      setCampaign('');
+    }
+  }, [account, isAuthenticated]);
+
+  // Load the first page, or with more=true append the next page of each type
+  const loadItems = async (more = false) => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const [links, media] = await Promise.all([
+        !more || cursors.link
+          ? getUserLinks(account, {
+            limit: PAGE_SIZE,
+            q: query,
+            campaign: campaign || undefined,
+            cursor: more ? cursors.link : undefined
+          })
+          : { items: [], nextCursor: null },
+        !campaign && (!more || cursors.media)
+          ? getUserMedia(account, { limit: PAGE_SIZE, q: query, cursor: more ? cursors.media : undefined })
+          : { items: [], nextCursor: null }
+      ]);
+
+      const rows = [...links.items.map(toLinkRow), ...media.items.map(toMediaRow)];
+      setItems(current => more ? [...current, ...rows] : rows);
+      setCursors({ link: links.nextCursor, media: media.nextCursor });
+    } catch (err) {
+      console.error('Error loading dashboard:', err);
+      setError('Failed to load your links and media');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleSort = (key) => {
+    setSort(current => ({
+      key,
+      direction: current.key === key && current.direction === 'desc' ? 'asc' : 'desc'
+    }));
+  };
+
+  const sortedItems = [...items].sort((a, b) => {
+    const left = a[sort.key] ?? '';
+    const right = b[sort.key] ?? '';
+    const order = typeof left === 'number' && typeof right === 'number'
+      ? left - right
+      : String(left).localeCompare(String(right));
+    return sort.direction === 'asc' ? order : -order;
+  });
+
+  if (!isAuthenticated) {
+    return (
+      <div className="card">
+        <h2>Dashboard</h2>
+        <p className="dashboard-hint">
+          {isConnected
+            ? 'Verify your wallet to see analytics for your links and media.'
+            : 'Connect your wallet to see analytics for your links and media.'}
+        </p>
+      </div>
+    );
+  }
+
+  const selectedCampaign = campaigns.find(item => String(item.id) === campaign);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setQuery(search.trim());
+  };
+
+  return (
+    <div className="card">
+      <h2>Your Links & Media</h2>
+
+      <form className="dashboard-search" onSubmit={handleSearch}>
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search URLs, file names and short codes"
+        />
+        {campaigns.length > 0 && (
+          <select value={campaign} onChange={(e) => setCampaign(e.target.value)} aria-label="Campaign">
+            <option value="">All campaigns</option>
+            {campaigns.map(item => (
+              <option key={item.id} value={item.id}>{item.name}</option>
+            ))}
+          </select>
+        )}
+        <button type="submit" className="copy-btn">Search</button>
+      </form>
+
+      {selectedCampaign && (
+        <p className="campaign-summary">
+          {selectedCampaign.links} links · {selectedCampaign.clicks} clicks · {selectedCampaign.uniqueVisitors} unique visitors
+        </p>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      {isLoading && items.length === 0 ? (
+        <div className="loading">
+          <span className="spinner"></span>
+          Loading...
+        </div>
+      ) : sortedItems.length === 0 ? (
+        <p className="dashboard-hint">
+          {query ? `Nothing matches "${query}".` : "You haven't created any links or media yet."}
+        </p>
+      ) : (
+        <div className="table-wrapper">
+          <table className="dashboard-table">
+            <thead>
+              <tr>
+                {COLUMNS.map(column => (
+                  <th key={column.key}>
+                    <button className="sort-btn" onClick={() => toggleSort(column.key)}>
+                      {column.label}
+                      {sort.key === column.key && (sort.direction === 'asc' ? ' ▴' : ' ▾')}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sortedItems.map(item => (
+                <tr key={`${item.type}:${item.shortCode}`}>
+                  <td>{item.type === 'link' ? 'Link' : 'Media'}</td>
+                  <td>
+                    <Link
+                      to={`/dashboard/${item.shortCode}?type=${item.type}`}
+                      className="short-code"
+                    >
+                      /{item.type === 'link' ? 'l' : 'm'}/{item.shortCode}
+                    </Link>
+                    {item.passwordProtected && <span title="Password protected"> 🔒</span>}
+                  </td>
+                  <td className="original">{item.target}</td>
+                  <td>{item.hits}</td>
+                  <td>{new Date(item.createdAt * 1000).toLocaleDateString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {(cursors.link || cursors.media) && (
+            <button className="options-toggle load-more" onClick={() => loadItems(true)} disabled={isLoading}>
+              {isLoading ? 'Loading...' : 'Load more'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Dashboard;
@@ -0,0 +1,38 @@
+import { useState } from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import { exportUserData } from '../utils/api';
+import { downloadBlob } from '../utils/download';
+
+// Download all of the signed-in wallet's links, media and stats as CSV or JSON
+function ExportButton({ onError }) {
+  const { account } = useWeb3();
+  const [format, setFormat] = useState('csv');
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const { blob, fileName } = await exportUserData(account, format);
+      downloadBlob(fileName, blob);
+    } catch (err) {
+      console.error('Error exporting data:', err);
+      onError?.(err.message || 'Failed to export data');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="export-control">
+      <select value={format} onChange={(e) => setFormat(e.target.value)} disabled={isExporting}>
+        <option value="csv">CSV</option>
+        <option value="json">JSON</option>
+      </select>
+      <button type="button" className="range-btn" onClick={handleExport} disabled={isExporting}>
+        {isExporting ? 'Exporting...' : 'Export'}
+      </button>
+    </div>
+  );
+}
+
+export default ExportButton;
@@ -0,0 +1,130 @@
+import { useState, useEffect } from 'react';
+import { getUserFolders, createFolder, updateFolder, deleteFolder } from '../utils/api';
+
+// Order a flat folder list as a tree: each folder followed by its subfolders, with its depth and path
+export function folderTree(folders) {
+  const children = new Map();
+  for (const folder of folders) {
+    const siblings = children.get(folder.parentId) || [];
+    siblings.push(folder);
+    children.set(folder.parentId, siblings);
+  }
+
+  const ordered = [];
+  const visit = (parentId, depth, path) => {
+    for (const folder of children.get(parentId) || []) {
+      const folderPath = path ? `${path} / ${folder.name}` : folder.name;
+      ordered.push({ ...folder, depth, path: folderPath });
+      visit(folder.id, depth + 1, folderPath);
+    }
+  };
+  visit(null, 0, '');
+  return ordered;
+}
+
+// Folders of the signed-in wallet, reloaded when the account changes
+export function useFolders(account, enabled) {
+  const [folders, setFolders] = useState([]);
+
+  const reloadFolders = async () => {
+    try {
+      setFolders(await getUserFolders(account));
+    } catch (err) {
+      console.error('Error loading folders:', err);
+    }
+  };
+
+  useEffect(() => {
+    if (enabled) {
+      reloadFolders();
+    } else {
+      setFolders([]);
+    }
+  }, [account, enabled]);
+
+  return { folders, reloadFolders };
+}
+
+// Select for filing one item: "No folder" or any folder, labelled with its full path
+export function FolderSelect({ folders, value, onChange, disabled }) {
+  return (
+    <select
+      className="folder-select"
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value ? Number(e.target.value) : null)}
+      disabled={disabled}
+      title="Move to folder"
+    >
+      <option value="">No folder</option>
+      {folderTree(folders).map(folder => (
+        <option key={folder.id} value={folder.id}>{folder.path}</option>
+      ))}
+    </select>
+  );
+}
+
+/**
+ * Folder tree for filtering a list: all items, unfiled items or one folder.
+ * selected is '' (all), 'none' (unfiled) or a folder id; count picks the per-folder total shown ('links' | 'media').
+ */
+function FolderSidebar({ account, folders, selected, count, onSelect, onChanged, onError }) {
+  const run = async (action) => {
+    try {
+      await action();
+      onChanged();
+    } catch (err) {
+      console.error('Error updating folders:', err);
+      onError(err.message || 'Failed to update folders');
+    }
+  };
+
+  const handleCreate = () => {
+    const parentId = typeof selected === 'number' ? selected : null;
+    const name = window.prompt(parentId ? 'New subfolder name' : 'New folder name');
+    if (name) run(() => createFolder(account, name, parentId));
+  };
+
+  const handleRename = (folder) => {
+    const name = window.prompt('Rename folder', folder.name);
+    if (name && name !== folder.name) run(() => updateFolder(account, folder.id, { name }));
+  };
+
+  const handleDelete = (folder) => {
+    if (!window.confirm(`Delete the folder "${folder.name}"? Its contents move up to the parent folder.`)) return;
+    if (selected === folder.id) onSelect(folder.parentId ?? '');
+    run(() => deleteFolder(account, folder.id));
+  };
+
+  const item = (value, label, extra = {}) => (
+    <button
+      type="button"
+      className={`folder-item ${selected === value ? 'active' : ''}`}
+      style={{ paddingLeft: `${0.5 + (extra.depth || 0) * 0.75}rem` }}
+      onClick={() => onSelect(value)}
+    >
+      <span className="folder-name">{label}</span>
+      {extra.total !== undefined && <span className="folder-count">{extra.total}</span>}
+    </button>
+  );
+
+  return (
+    <nav className="folder-sidebar">
+      {item('', 'All')}
+      {item('none', 'Unfiled')}
+      {folderTree(folders).map(folder => (
+        <div key={folder.id} className="folder-row">
+          {item(folder.id, `📁 ${folder.name}`, { depth: folder.depth, total: folder[count] })}
+          <span className="folder-actions">
+            <button type="button" title="Rename" onClick={() => handleRename(folder)}>✎</button>
+            <button type="button" title="Delete" onClick={() => handleDelete(folder)}>×</button>
+          </span>
+        </div>
+      ))}
+      <button type="button" className="range-btn folder-new" onClick={handleCreate}>
+        + {typeof selected === 'number' ? 'Subfolder' : 'Folder'}
+      </button>
+    </nav>
+  );
+}
+
+export default FolderSidebar;
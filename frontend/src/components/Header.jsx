@@ -1,13 +1,27 @@
+import { Link } from 'react-router-dom';
 import { WalletMultiButton } from '@solana/wallet-adapter-react-ui';
+import { useWeb3 } from '../context/Web3Context';
 
 function Header() {
+  const { isConnected, isAuthenticated, isSigningIn, signIn } = useWeb3();
+
   return (
     <header className="header">
       <a href="/" className="logo">
         Link<span>.io</span>
       </a>
 
-      <WalletMultiButton />
+      <div className="header-actions">
+        {isAuthenticated && (
+          <Link to="/dashboard" className="nav-link">Dashboard</Link>
+        )}
+        {isConnected && !isAuthenticated && (
+          <button className="connect-btn" onClick={signIn} disabled={isSigningIn}>
+            {isSigningIn ? 'Signing...' : 'Verify Wallet'}
+          </button>
+        )}
+        <WalletMultiButton />
+      </div>
     </header>
   );
 }
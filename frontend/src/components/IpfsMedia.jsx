@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react';
+import { getGatewayUrls, rankGateways, reportGatewayFailure } from '../utils/ipfs';
+
+/**
+ * URL of a CID on the best gateway, moving on to the next one when the page reports that it
+ * failed to load (onError). exhausted is set once every gateway has failed.
+ */
+export function useGatewayUrl(hash) {
+  // Gateways best first, with the URL of hash on each, and the one in use
+  const [sources, setSources] = useState(() => ({ gateways: hash ? getGatewayUrls(hash) : [], index: 0 }));
+
+  useEffect(() => {
+    if (!hash) return undefined;
+    let cancelled = false;
+    setSources({ gateways: getGatewayUrls(hash), index: 0 });
+
+    // Probing takes a moment on the first visit; switch to the fastest gateway unless one failed meanwhile
+    rankGateways().then(() => {
+      if (cancelled) return;
+      setSources(current => (current.index > 0 ? current : { gateways: getGatewayUrls(hash), index: 0 }));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [hash]);
+
+  const { gateways, index } = sources;
+  const current = gateways[index];
+
+  const onError = () => {
+    if (!current) return;
+    reportGatewayFailure(current.gateway);
+    setSources({ gateways, index: index + 1 });
+  };
+
+  return {
+    url: current ? current.url : gateways[0]?.url,
+    onError,
+    exhausted: gateways.length > 0 && index >= gateways.length
+  };
+}
+
+// Preview of an IPFS file by type, falling back through the gateways as they fail
+function IpfsMedia({ media, source }) {
+  const style = { maxWidth: '100%', maxHeight: '500px', borderRadius: '8px' };
+
+  if (source.exhausted && media.fileType !== 'application/pdf') {
+    return <p className="media-unavailable">This file could not be loaded from any IPFS gateway. Try again later.</p>;
+  }
+
+  if (media.fileType.startsWith('image/')) {
+    return <img key={source.url} src={source.url} alt={media.fileName} onError={source.onError} style={style} />;
+  }
+
+  if (media.fileType.startsWith('video/')) {
+    return <video key={source.url} src={source.url} controls onError={source.onError} style={style} />;
+  }
+
+  if (media.fileType.startsWith('audio/')) {
+    return (
+      <div style={{ padding: '2rem' }}>
+        <div style={{ fontSize: '4rem', marginBottom: '1rem' }}>🎵</div>
+        <audio key={source.url} src={source.url} controls onError={source.onError} style={{ width: '100%' }} />
+      </div>
+    );
+  }
+
+  if (media.fileType === 'application/pdf') {
+    return (
+      <div style={{ padding: '2rem' }}>
+        <div style={{ fontSize: '4rem', marginBottom: '1rem' }}>📄</div>
+        <a
+          href={source.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="submit-btn"
+          style={{ display: 'inline-block', textDecoration: 'none' }}
+        >
+          View PDF
+        </a>
+      </div>
+    );
+  }
+
+  return null;
+}
+
+export default IpfsMedia;
@@ -0,0 +1,112 @@
+import { useState, useEffect } from 'react';
+import { updateLink, getLinkRevisions, rollbackLink } from '../utils/api';
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+// Retarget, disable or roll back a link owned by the signed-in wallet
+function LinkEditor({ shortCode }) {
+  const [link, setLink] = useState(null);
+  const [revisions, setRevisions] = useState([]);
+  const [targetUrl, setTargetUrl] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadRevisions();
+  }, [shortCode]);
+
+  const loadRevisions = async () => {
+    try {
+      const history = await getLinkRevisions(shortCode);
+      setRevisions(history);
+      setLink(history[0]);
+      setTargetUrl(history[0].originalUrl);
+    } catch (err) {
+      console.error('Error loading revisions:', err);
+      setError(err.message);
+    }
+  };
+
+  const save = async (action) => {
+    setIsSaving(true);
+    setError('');
+
+    try {
+      await action();
+      await loadRevisions();
+    } catch (err) {
+      console.error('Error updating link:', err);
+      setError(err.message || 'Failed to update link');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!targetUrl.trim() || targetUrl === link.originalUrl) return;
+    save(() => updateLink(shortCode, { originalUrl: targetUrl }));
+  };
+
+  if (!link) {
+    return error ? <div className="error-message">{error}</div> : null;
+  }
+
+  return (
+    <div className="link-editor">
+      <h3>Destination</h3>
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <input
+            type="url"
+            value={targetUrl}
+            onChange={(e) => setTargetUrl(e.target.value)}
+            disabled={isSaving}
+            required
+          />
+        </div>
+        <div className="link-editor-actions">
+          <button type="submit" className="range-btn" disabled={isSaving || targetUrl === link.originalUrl}>
+            Save destination
+          </button>
+          <button
+            type="button"
+            className="range-btn"
+            disabled={isSaving}
+            onClick={() => save(() => updateLink(shortCode, { disabled: !link.disabled }))}
+          >
+            {link.disabled ? 'Enable link' : 'Disable link'}
+          </button>
+        </div>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <h3>History</h3>
+      <ul className="revision-list">
+        {revisions.map((revision, index) => (
+          <li key={revision.revision}>
+            <div className="revision-info">
+              <span className="revision-url">{revision.originalUrl}</span>
+              <span className="revision-meta">
+                #{revision.revision} · {formatDate(revision.createdAt)}
+                {revision.disabled && ' · disabled'}
+              </span>
+            </div>
+            {index > 0 && (
+              <button
+                className="range-btn"
+                disabled={isSaving}
+                onClick={() => save(() => rollbackLink(shortCode, revision.revision))}
+              >
+                Restore
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default LinkEditor;
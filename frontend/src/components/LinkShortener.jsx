@@ -1,28 +1,57 @@
 import { useState, useEffect } from 'react';
 import { useWeb3 } from '../context/Web3Context';
-import { createShortLink, getUserLinks, getStats } from '../utils/api';
+import {
+  createShortLink, deleteLink, getUserLinks, getStats, setContentTags, setContentFolder
+} from '../utils/api';
+import { validateAlias } from '../utils/contract';
+import AliasInput from './AliasInput';
+import PreviewFields, { EMPTY_PREVIEW, previewOptions } from './PreviewFields';
+import UtmBuilder, { EMPTY_UTM, utmOptions } from './UtmBuilder';
+import BulkImport from './BulkImport';
+import ExportButton from './ExportButton';
+import QrCodePanel from './QrCodePanel';
+import FolderSidebar, { FolderSelect, useFolders } from './FolderSidebar';
+import TagChips from './TagChips';
 
 function LinkShortener() {
-  const { account, isConnected } = useWeb3();
+  const { account, isAuthenticated } = useWeb3();
   const [url, setUrl] = useState('');
+  const [alias, setAlias] = useState('');
+  const [showOptions, setShowOptions] = useState(false);
+  const [activateAt, setActivateAt] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [maxClicks, setMaxClicks] = useState('');
+  const [password, setPassword] = useState('');
+  const [preview, setPreview] = useState(EMPTY_PREVIEW);
+  const [utm, setUtm] = useState(EMPTY_UTM);
+  // Return the wallet's existing link for an equivalent URL instead of creating another one
+  const [reuseExisting, setReuseExisting] = useState(true);
   const [shortCode, setShortCode] = useState('');
+  const [reused, setReused] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [copied, setCopied] = useState(false);
   const [userLinks, setUserLinks] = useState([]);
   const [stats, setStats] = useState({ totalLinks: 0 });
+  // Filters for the recent links list: '' (all), 'none' (unfiled) or a folder id, and a tag name
+  const [folder, setFolder] = useState('');
+  const [tag, setTag] = useState('');
+  const { folders, reloadFolders } = useFolders(account, isAuthenticated);
 
   useEffect(() => {
     loadStats();
-    if (account) {
+  }, [account, isAuthenticated]);
+
+  useEffect(() => {
+    if (isAuthenticated) {
       loadUserLinks();
     }
-  }, [account]);
+  }, [account, isAuthenticated, folder, tag]);
 
   const loadUserLinks = async () => {
     try {
-      const links = await getUserLinks(account);
-      setUserLinks(links.slice(0, 5));
+      const { items } = await getUserLinks(account, { limit: 5, folder, tag });
+      setUserLinks(items);
     } catch (err) {
       console.error('Error loading user links:', err);
     }
@@ -37,6 +66,65 @@ function LinkShortener() {
     }
   };
 
+  const handleDelete = async (code) => {
+    if (!window.confirm(`Delete /l/${code}? The short link will stop working.`)) return;
+
+    try {
+      await deleteLink(code);
+      loadUserLinks();
+      reloadFolders();
+      loadStats();
+    } catch (err) {
+      console.error('Error deleting link:', err);
+      setError(err.message || 'Failed to delete link');
+    }
+  };
+
+  const handleTagsChange = async (code, tags) => {
+    try {
+      await setContentTags('link', code, tags);
+      loadUserLinks();
+    } catch (err) {
+      console.error('Error tagging link:', err);
+      setError(err.message || 'Failed to update tags');
+    }
+  };
+
+  const handleMove = async (code, folderId) => {
+    try {
+      await setContentFolder('link', code, folderId);
+      loadUserLinks();
+      reloadFolders();
+    } catch (err) {
+      console.error('Error moving link:', err);
+      setError(err.message || 'Failed to move link');
+    }
+  };
+
+  // Convert a datetime-local value to unix seconds
+  const toTimestamp = (value) => Math.floor(new Date(value).getTime() / 1000);
+
+  const buildLinkOptions = () => {
+    const options = {};
+    if (alias) options.alias = alias;
+    if (activateAt) options.activateAt = toTimestamp(activateAt);
+    if (expiresAt) options.expiresAt = toTimestamp(expiresAt);
+    if (maxClicks) options.maxClicks = parseInt(maxClicks, 10);
+    if (password) options.password = password;
+    if (isAuthenticated && reuseExisting) options.reuseExisting = true;
+    return { ...options, ...previewOptions(preview), ...utmOptions(utm) };
+  };
+
+  const resetOptions = () => {
+    setAlias('');
+    setActivateAt('');
+    setExpiresAt('');
+    setMaxClicks('');
+    setPassword('');
+    setPreview(EMPTY_PREVIEW);
+    setUtm(EMPTY_UTM);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -45,26 +133,51 @@ function LinkShortener() {
       return;
     }
 
-    // Basic URL validation
+    // Basic URL validation; the server also rejects other schemes such as javascript:
+    let parsed;
     try {
-      new URL(url);
+      parsed = new URL(url);
     } catch {
       setError('Please enter a valid URL');
       return;
     }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      setError('Only http and https links can be shortened');
+      return;
+    }
+
+    if (alias) {
+      const aliasError = validateAlias(alias);
+      if (aliasError) {
+        setError(aliasError);
+        return;
+      }
+    }
+
+    if (expiresAt && toTimestamp(expiresAt) <= Math.floor(Date.now() / 1000)) {
+      setError('Expiry must be in the future');
+      return;
+    }
+
+    if (activateAt && expiresAt && toTimestamp(activateAt) >= toTimestamp(expiresAt)) {
+      setError('Activation must be before expiry');
+      return;
+    }
 
     setIsLoading(true);
     setError('');
     setShortCode('');
 
     try {
-      const linkData = await createShortLink(url, account);
+      const linkData = await createShortLink(url, buildLinkOptions());
       setShortCode(linkData.shortCode);
+      setReused(linkData.reused);
       loadStats();
-      if (account) {
+      if (isAuthenticated) {
         loadUserLinks();
       }
       setUrl('');
+      resetOptions();
     } catch (err) {
       console.error('Error creating short link:', err);
       setError(err.message || 'Failed to create short link');
@@ -112,6 +225,87 @@ function LinkShortener() {
           />
         </div>
 
+        {isAuthenticated && (
+          <label className="reuse-option">
+            <input
+              type="checkbox"
+              checked={reuseExisting}
+              onChange={(e) => setReuseExisting(e.target.checked)}
+              disabled={isLoading}
+            />
+            Reuse my existing short link if I already shortened this URL
+          </label>
+        )}
+
+        <AliasInput value={alias} onChange={setAlias} type="link" disabled={isLoading} />
+
+        <button
+          type="button"
+          className="options-toggle"
+          onClick={() => setShowOptions(!showOptions)}
+        >
+          {showOptions ? '▾' : '▸'} Expiration, limits & password
+        </button>
+
+        {showOptions && (
+          <div className="link-options">
+            <div className="form-group">
+              <label htmlFor="activateAt">Activate at</label>
+              <input
+                type="datetime-local"
+                id="activateAt"
+                value={activateAt}
+                onChange={(e) => setActivateAt(e.target.value)}
+                disabled={isLoading}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="expiresAt">Expires at</label>
+              <input
+                type="datetime-local"
+                id="expiresAt"
+                value={expiresAt}
+                onChange={(e) => setExpiresAt(e.target.value)}
+                disabled={isLoading}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="maxClicks">Max clicks</label>
+              <input
+                type="number"
+                id="maxClicks"
+                min="1"
+                value={maxClicks}
+                onChange={(e) => setMaxClicks(e.target.value)}
+                placeholder="Unlimited"
+                disabled={isLoading}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="linkPassword">Password</label>
+              <input
+                type="password"
+                id="linkPassword"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="None"
+                autoComplete="new-password"
+                disabled={isLoading}
+              />
+            </div>
+          </div>
+        )}
+
+        <PreviewFields value={preview} onChange={setPreview} disabled={isLoading} />
+
+        <UtmBuilder
+          url={url}
+          value={utm}
+          onChange={setUtm}
+          disabled={isLoading}
+          showCampaignHint={isAuthenticated}
+        />
+
         <button type="submit" className="submit-btn" disabled={isLoading}>
           {isLoading ? (
             <span className="loading">
@@ -131,7 +325,7 @@ function LinkShortener() {
               <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14" />
               <polyline points="22 4 12 14.01 9 11.01" />
             </svg>
-            Your Short Link is Ready!
+            {reused ? 'You Already Have a Link for This URL' : 'Your Short Link is Ready!'}
           </h3>
           <div className="result-link">
             <input
@@ -148,13 +342,16 @@ function LinkShortener() {
           </div>
           <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginTop: '0.5rem' }}>
             Short code: <strong>{shortCode}</strong>
-            {isConnected ? ' | Linked to your wallet' : ' | Share with anyone!'}
+            {isAuthenticated ? ' | Linked to your wallet' : ' | Share with anyone!'}
           </p>
+          <QrCodePanel type="link" shortCode={shortCode} />
         </div>
       )}
 
-      {isConnected && (
+      {isAuthenticated && (
         <>
+          <BulkImport onImported={() => { loadUserLinks(); loadStats(); }} />
+
           <div className="stats">
             <div className="stat-card">
               <div className="stat-value">{stats.totalLinks}</div>
@@ -166,26 +363,62 @@ function LinkShortener() {
             </div>
           </div>
 
-          {userLinks.length > 0 && (
+          {(userLinks.length > 0 || folder || tag) && (
             <div style={{ marginTop: '2rem' }}>
-              <h3 style={{ marginBottom: '1rem' }}>Your Recent Links</h3>
-              <div className="history-list">
-                {userLinks.map((link) => (
-                  <div key={link.shortCode} className="history-item">
-                    <div>
-                      <span className="short-code">/l/{link.shortCode}</span>
-                      <div className="original">{link.originalUrl}</div>
+              <div className="list-header">
+                <h3>Your Recent Links</h3>
+                <ExportButton onError={setError} />
+              </div>
+              <div className="organized-list">
+                <FolderSidebar
+                  account={account}
+                  folders={folders}
+                  selected={folder}
+                  count="links"
+                  onSelect={setFolder}
+                  onChanged={() => { reloadFolders(); loadUserLinks(); }}
+                  onError={setError}
+                />
+                <div className="history-list">
+                  {tag && (
+                    <div className="tag-filter">
+                      Tagged <span className="tag-chip active">#{tag}</span>
+                      <button type="button" className="delete-btn" onClick={() => setTag('')}>Clear</button>
                     </div>
-                    <div style={{ textAlign: 'right' }}>
-                      <div style={{ color: 'var(--primary)', fontWeight: '600' }}>
-                        {link.clicks} clicks
+                  )}
+                  {userLinks.length === 0 && <p className="empty-list">No links here yet</p>}
+                  {userLinks.map((link) => (
+                    <div key={link.shortCode} className="history-item">
+                      <div>
+                        <span className="short-code">/l/{link.shortCode}</span>
+                        {link.passwordProtected && <span title="Password protected"> 🔒</span>}
+                        <div className="original">{link.originalUrl}</div>
+                        <TagChips
+                          tags={link.tags}
+                          activeTag={tag}
+                          onSelect={setTag}
+                          onEdit={(tags) => handleTagsChange(link.shortCode, tags)}
+                        />
                       </div>
-                      <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
-                        {new Date(link.createdAt * 1000).toLocaleDateString()}
+                      <div style={{ textAlign: 'right' }}>
+                        <div style={{ color: 'var(--primary)', fontWeight: '600' }}>
+                          {link.clicks}{link.maxClicks ? ` / ${link.maxClicks}` : ''} clicks
+                        </div>
+                        <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                          {new Date(link.createdAt * 1000).toLocaleDateString()}
+                        </div>
+                        <FolderSelect
+                          folders={folders}
+                          value={link.folderId}
+                          onChange={(folderId) => handleMove(link.shortCode, folderId)}
+                        />
+                        <button className="delete-btn" onClick={() => handleDelete(link.shortCode)}>
+                          Delete
+                        </button>
                       </div>
                     </div>
-                  </div>
-                ))}
+                  ))}
+                </div>
               </div>
             </div>
           )}
@@ -1,15 +1,36 @@
 import { useState, useEffect, useRef } from 'react';
 import { useWeb3 } from '../context/Web3Context';
-import { uploadToIPFS, getIpfsUrl } from '../utils/ipfs';
-import { saveMediaMetadata, getUserMedia, getStats } from '../utils/api';
-import { formatFileSize, SUPPORTED_FILE_TYPES, MAX_FILE_SIZE } from '../utils/contract';
+import { getIpfsUrl } from '../utils/ipfs';
+import { computeCid } from '../utils/cid';
+import {
+  uploadMedia, deleteMedia, getUserMedia, getStats, setContentTags, setContentFolder
+} from '../utils/api';
+import { formatFileSize, validateAlias, SUPPORTED_FILE_TYPES, MAX_FILE_SIZE } from '../utils/contract';
+import AliasInput from './AliasInput';
+import PreviewFields, { EMPTY_PREVIEW, previewOptions } from './PreviewFields';
+import ExportButton from './ExportButton';
+import QrCodePanel from './QrCodePanel';
+import FolderSidebar, { FolderSelect, useFolders } from './FolderSidebar';
+import TagChips from './TagChips';
+
+// Pin states reported by the API for files it uploaded; "pinned" needs no badge
+const PIN_STATUS_LABELS = {
+  queued: 'Pin queued',
+  pinning: 'Pinning…',
+  failed: 'Pin failed',
+  unpinned: 'Not pinned'
+};
 
 function MediaUpload() {
-  const { account, isConnected } = useWeb3();
+  const { account, isAuthenticated } = useWeb3();
   const [file, setFile] = useState(null);
   const [preview, setPreview] = useState(null);
+  const [alias, setAlias] = useState('');
+  const [password, setPassword] = useState('');
+  const [socialPreview, setSocialPreview] = useState(EMPTY_PREVIEW);
   const [shortCode, setShortCode] = useState('');
   const [ipfsHash, setIpfsHash] = useState('');
+  const [verified, setVerified] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState('');
   const [error, setError] = useState('');
@@ -17,14 +38,21 @@ function MediaUpload() {
   const [dragging, setDragging] = useState(false);
   const [userMedia, setUserMedia] = useState([]);
   const [stats, setStats] = useState({ totalMedia: 0 });
+  // Filters for the recent uploads list: '' (all), 'none' (unfiled) or a folder id, and a tag name
+  const [folder, setFolder] = useState('');
+  const [tag, setTag] = useState('');
+  const { folders, reloadFolders } = useFolders(account, isAuthenticated);
   const fileInputRef = useRef(null);
 
   useEffect(() => {
     loadStats();
-    if (account) {
+  }, [account, isAuthenticated]);
+
+  useEffect(() => {
+    if (isAuthenticated) {
       loadUserMedia();
     }
-  }, [account]);
+  }, [account, isAuthenticated, folder, tag]);
 
   useEffect(() => {
     if (file) {
@@ -37,8 +65,8 @@ function MediaUpload() {
 
   const loadUserMedia = async () => {
     try {
-      const media = await getUserMedia(account);
-      setUserMedia(media.slice(0, 5));
+      const { items } = await getUserMedia(account, { limit: 5, folder, tag });
+      setUserMedia(items);
     } catch (err) {
       console.error('Error loading user media:', err);
     }
@@ -53,6 +81,41 @@ function MediaUpload() {
     }
   };
 
+  const handleDelete = async (code) => {
+    if (!window.confirm(`Delete /m/${code}? The short link will stop working.`)) return;
+
+    try {
+      await deleteMedia(code);
+      loadUserMedia();
+      reloadFolders();
+      loadStats();
+    } catch (err) {
+      console.error('Error deleting media:', err);
+      setError(err.message || 'Failed to delete media');
+    }
+  };
+
+  const handleTagsChange = async (code, tags) => {
+    try {
+      await setContentTags('media', code, tags);
+      loadUserMedia();
+    } catch (err) {
+      console.error('Error tagging media:', err);
+      setError(err.message || 'Failed to update tags');
+    }
+  };
+
+  const handleMove = async (code, folderId) => {
+    try {
+      await setContentFolder('media', code, folderId);
+      loadUserMedia();
+      reloadFolders();
+    } catch (err) {
+      console.error('Error moving media:', err);
+      setError(err.message || 'Failed to move media');
+    }
+  };
+
   const handleFileSelect = (selectedFile) => {
     setError('');
     setShortCode('');
@@ -105,28 +168,44 @@ function MediaUpload() {
       return;
     }
 
+    if (!isAuthenticated) {
+      setError('Sign in with your wallet to upload files');
+      return;
+    }
+
+    if (alias) {
+      const aliasError = validateAlias(alias);
+      if (aliasError) {
+        setError(aliasError);
+        return;
+      }
+    }
+
     setIsLoading(true);
     setError('');
-    setUploadProgress('Uploading to IPFS...');
+    setUploadProgress('Computing CID...');
 
     try {
-      // Upload to IPFS
-      const ipfsResult = await uploadToIPFS(file);
-      setIpfsHash(ipfsResult.hash);
-      setUploadProgress('Saving metadata...');
-
-      // Save metadata to backend
-      const mediaData = await saveMediaMetadata(
-        ipfsResult.hash,
-        file.name,
-        file.type,
-        file.size,
-        account
-      );
-
+      // The API recomputes the CID from the bytes it receives and rejects the upload if they differ
+      const cid = await computeCid(file);
+
+      // The API pins the file and saves the media entry in one request
+      setUploadProgress('Uploading to IPFS...');
+      const mediaData = await uploadMedia(file, {
+        ...(cid && { cid }),
+        ...(alias && { alias }),
+        ...(password && { password }),
+        ...previewOptions(socialPreview)
+      });
+
+      setIpfsHash(mediaData.ipfsHash);
+      setVerified(mediaData.verified);
       setShortCode(mediaData.shortCode);
+      setAlias('');
+      setPassword('');
+      setSocialPreview(EMPTY_PREVIEW);
       loadStats();
-      if (account) {
+      if (isAuthenticated) {
         loadUserMedia();
       }
       setUploadProgress('');
@@ -220,10 +299,29 @@ function MediaUpload() {
         </div>
       )}
 
+      {file && (
+        <div style={{ marginTop: '1.5rem' }}>
+          <AliasInput value={alias} onChange={setAlias} type="media" disabled={isLoading} />
+          <div className="form-group">
+            <label htmlFor="mediaPassword">Password (optional)</label>
+            <input
+              type="password"
+              id="mediaPassword"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Anyone with the link can view"
+              autoComplete="new-password"
+              disabled={isLoading}
+            />
+          </div>
+          <PreviewFields value={socialPreview} onChange={setSocialPreview} disabled={isLoading} />
+        </div>
+      )}
+
       <button
         className="submit-btn"
         onClick={handleUpload}
-        disabled={isLoading || !file}
+        disabled={isLoading || !file || !isAuthenticated}
         style={{ marginTop: '1.5rem' }}
       >
         {isLoading ? (
@@ -232,7 +330,7 @@ function MediaUpload() {
             {uploadProgress || 'Uploading...'}
           </span>
         ) : (
-          'Upload to IPFS'
+          isAuthenticated ? 'Upload to IPFS' : 'Sign in to upload'
         )}
       </button>
 
@@ -260,7 +358,8 @@ function MediaUpload() {
           </div>
           <p style={{ fontSize: '0.875rem', color: 'var(--text-muted)', marginTop: '0.5rem' }}>
             Short code: <strong>{shortCode}</strong> | IPFS: <code style={{ fontSize: '0.75rem' }}>{ipfsHash.slice(0, 12)}...</code>
-            {isConnected ? ' | Linked to your wallet' : ' | Share with anyone!'}
+            {verified && <span className="verified-badge" title="The pinned content matches the file's CID">Verified</span>}
+            {isAuthenticated ? ' | Linked to your wallet' : ' | Share with anyone!'}
           </p>
           <a
             href={getIpfsUrl(ipfsHash)}
@@ -270,10 +369,11 @@ function MediaUpload() {
           >
             View on IPFS Gateway
           </a>
+          <QrCodePanel type="media" shortCode={shortCode} />
         </div>
       )}
 
-      {isConnected && (
+      {isAuthenticated && (
         <>
           <div className="stats">
             <div className="stat-card">
@@ -286,29 +386,69 @@ function MediaUpload() {
             </div>
           </div>
 
-          {userMedia.length > 0 && (
+          {(userMedia.length > 0 || folder || tag) && (
             <div style={{ marginTop: '2rem' }}>
-              <h3 style={{ marginBottom: '1rem' }}>Your Recent Uploads</h3>
-              <div className="history-list">
-                {userMedia.map((item) => (
-                  <div key={item.shortCode} className="history-item">
-                    <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
-                      <span style={{ fontSize: '1.5rem' }}>{getFileIcon(item.fileType)}</span>
-                      <div>
-                        <span className="short-code">/m/{item.shortCode}</span>
-                        <div className="original">{item.fileName}</div>
-                      </div>
+              <div className="list-header">
+                <h3>Your Recent Uploads</h3>
+                <ExportButton onError={setError} />
+              </div>
+              <div className="organized-list">
+                <FolderSidebar
+                  account={account}
+                  folders={folders}
+                  selected={folder}
+                  count="media"
+                  onSelect={setFolder}
+                  onChanged={() => { reloadFolders(); loadUserMedia(); }}
+                  onError={setError}
+                />
+                <div className="history-list">
+                  {tag && (
+                    <div className="tag-filter">
+                      Tagged <span className="tag-chip active">#{tag}</span>
+                      <button type="button" className="delete-btn" onClick={() => setTag('')}>Clear</button>
                     </div>
-                    <div style={{ textAlign: 'right' }}>
-                      <div style={{ color: 'var(--primary)', fontWeight: '600' }}>
-                        {item.views} views
+                  )}
+                  {userMedia.length === 0 && <p className="empty-list">No uploads here yet</p>}
+                  {userMedia.map((item) => (
+                    <div key={item.shortCode} className="history-item">
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+                        <span style={{ fontSize: '1.5rem' }}>{getFileIcon(item.fileType)}</span>
+                        <div>
+                          <span className="short-code">/m/{item.shortCode}</span>
+                          {item.passwordProtected && <span title="Password protected"> 🔒</span>}
+                          {item.verified && <span className="verified-badge" title="The pinned content matches the file's CID">Verified</span>}
+                          {item.pinStatus && item.pinStatus !== 'pinned' && (
+                            <span className={`pin-status ${item.pinStatus}`}>{PIN_STATUS_LABELS[item.pinStatus]}</span>
+                          )}
+                          <div className="original">{item.fileName}</div>
+                          <TagChips
+                            tags={item.tags}
+                            activeTag={tag}
+                            onSelect={setTag}
+                            onEdit={(tags) => handleTagsChange(item.shortCode, tags)}
+                          />
+                        </div>
                       </div>
-                      <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
-                        {formatFileSize(item.fileSize)}
+                      <div style={{ textAlign: 'right' }}>
+                        <div style={{ color: 'var(--primary)', fontWeight: '600' }}>
+                          {item.views} views
+                        </div>
+                        <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                          {formatFileSize(item.fileSize)}
+                        </div>
+                        <FolderSelect
+                          folders={folders}
+                          value={item.folderId}
+                          onChange={(folderId) => handleMove(item.shortCode, folderId)}
+                        />
+                        <button className="delete-btn" onClick={() => handleDelete(item.shortCode)}>
+                          Delete
+                        </button>
                       </div>
                     </div>
-                  </div>
-                ))}
+                  ))}
+                </div>
               </div>
             </div>
           )}
@@ -0,0 +1,69 @@
+import { useState } from 'react';
+
+export const EMPTY_PREVIEW = { title: '', description: '', image: '' };
+
+// Map filled-in preview fields to the API's previewTitle/previewDescription/previewImage options
+export function previewOptions(preview) {
+  const options = {};
+  if (preview.title.trim()) options.previewTitle = preview.title.trim();
+  if (preview.description.trim()) options.previewDescription = preview.description.trim();
+  if (preview.image.trim()) options.previewImage = preview.image.trim();
+  return options;
+}
+
+// Collapsible overrides for the title, description and image shown in social previews
+function PreviewFields({ value, onChange, disabled }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const update = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+
+  return (
+    <>
+      <button type="button" className="options-toggle" onClick={() => setIsOpen(!isOpen)}>
+        {isOpen ? '▾' : '▸'} Social preview
+      </button>
+
+      {isOpen && (
+        <div className="preview-options">
+          <div className="form-group">
+            <label htmlFor="previewTitle">Preview title</label>
+            <input
+              type="text"
+              id="previewTitle"
+              maxLength={200}
+              value={value.title}
+              onChange={update('title')}
+              placeholder="Defaults to the page or file title"
+              disabled={disabled}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="previewDescription">Preview description</label>
+            <input
+              type="text"
+              id="previewDescription"
+              maxLength={500}
+              value={value.description}
+              onChange={update('description')}
+              placeholder="Defaults to the page description"
+              disabled={disabled}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="previewImage">Preview image URL</label>
+            <input
+              type="url"
+              id="previewImage"
+              value={value.image}
+              onChange={update('image')}
+              placeholder="https://example.com/card.png"
+              disabled={disabled}
+            />
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default PreviewFields;
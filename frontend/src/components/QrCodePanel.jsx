@@ -0,0 +1,75 @@
+import { useState } from 'react';
+import { getQrCodeUrl } from '../utils/api';
+
+const SIZES = [256, 512, 1024, 2048];
+
+// QR code preview with print options and PNG / SVG downloads
+function QrCodePanel({ type, shortCode }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [size, setSize] = useState(512);
+  const [ecl, setEcl] = useState('M');
+  const [fg, setFg] = useState('#000000');
+  const [bg, setBg] = useState('#ffffff');
+  const [logo, setLogo] = useState(false);
+
+  const options = { size, ecl, fg: fg.slice(1), bg: bg.slice(1), logo: logo ? 1 : undefined };
+
+  return (
+    <div className="qr-panel">
+      <button type="button" className="options-toggle" onClick={() => setIsOpen(!isOpen)}>
+        {isOpen ? '▾' : '▸'} QR code
+      </button>
+
+      {isOpen && (
+        <div className="qr-content">
+          <img
+            className="qr-preview"
+            src={getQrCodeUrl(type, shortCode, { ...options, format: 'svg' })}
+            alt={`QR code for ${shortCode}`}
+          />
+
+          <div className="qr-options">
+            <label>
+              Size
+              <select value={size} onChange={(e) => setSize(Number(e.target.value))}>
+                {SIZES.map(value => <option key={value} value={value}>{value}px</option>)}
+              </select>
+            </label>
+            <label>
+              Error correction
+              <select value={ecl} onChange={(e) => setEcl(e.target.value)}>
+                <option value="L">Low (7%)</option>
+                <option value="M">Medium (15%)</option>
+                <option value="Q">Quartile (25%)</option>
+                <option value="H">High (30%)</option>
+              </select>
+            </label>
+            <label>
+              Color
+              <input type="color" value={fg} onChange={(e) => setFg(e.target.value)} />
+            </label>
+            <label>
+              Background
+              <input type="color" value={bg} onChange={(e) => setBg(e.target.value)} />
+            </label>
+            <label className="qr-logo">
+              <input type="checkbox" checked={logo} onChange={(e) => setLogo(e.target.checked)} />
+              Center logo
+            </label>
+
+            <div className="qr-downloads">
+              <a className="range-btn" href={getQrCodeUrl(type, shortCode, { ...options, format: 'png', download: 1 })}>
+                Download PNG
+              </a>
+              <a className="range-btn" href={getQrCodeUrl(type, shortCode, { ...options, format: 'svg', download: 1 })}>
+                Download SVG
+              </a>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QrCodePanel;
@@ -1,14 +1,61 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { getLinkForRedirect, getMediaForView } from '../utils/api';
-import { getIpfsUrl } from '../utils/ipfs';
+import { getLinkForRedirect, getMediaForView, unlockLink, unlockMedia, ApiError } from '../utils/api';
+import IpfsMedia, { useGatewayUrl } from './IpfsMedia';
 
 function RedirectPage({ type }) {
   const { shortCode } = useParams();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [errorTitle, setErrorTitle] = useState('Oops!');
   const [mediaData, setMediaData] = useState(null);
+  const [passwordRequired, setPasswordRequired] = useState(false);
+  const [password, setPassword] = useState('');
+  const [unlockError, setUnlockError] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  // Flagged destination the visitor has to confirm before continuing
+  const [warning, setWarning] = useState(null);
+  const source = useGatewayUrl(mediaData?.ipfsHash);
+
+  // Show a message for links that are expired, not yet active or rate limited; returns false for other errors
+  const showUnavailable = (err) => {
+    if (!(err instanceof ApiError)) return false;
+
+    if (err.status === 429 && err.data.code === 'rate_limited') {
+      setErrorTitle('Slow Down');
+      setError(`Too many requests. Please try again in ${err.data.retryAfter} second${err.data.retryAfter === 1 ? '' : 's'}.`);
+      return true;
+    }
+    if (err.status === 425) {
+      setErrorTitle('Not Active Yet');
+      setError(`This link becomes available on ${formatDateTime(err.data.activateAt)}.`);
+      return true;
+    }
+    if (err.status === 410 && err.data.code === 'disabled') {
+      setErrorTitle('Link Disabled');
+      setError('This link has been disabled by its owner.');
+      return true;
+    }
+    if (err.status === 410) {
+      setErrorTitle('Link Expired');
+      setError(err.data.code === 'click_limit'
+        ? 'This link has reached its maximum number of clicks and is no longer available.'
+        : `This link expired on ${formatDateTime(err.data.expiresAt)}.`);
+      return true;
+    }
+    return false;
+  };
+
+  // Follow a link, or stop at the warning page if its destination has been flagged
+  const followLink = (data) => {
+    if (data.warning) {
+      setWarning({ url: data.originalUrl, reason: data.warning.reason });
+      return false;
+    }
+    window.location.href = data.originalUrl;
+    return true;
+  };
 
   useEffect(() => {
     const fetchData = async () => {
@@ -22,8 +69,9 @@ function RedirectPage({ type }) {
             return;
           }
 
-          // Redirect to the original URL
-          window.location.href = data.originalUrl;
+          if (!followLink(data)) {
+            setLoading(false);
+          }
         } else if (type === 'media') {
           const data = await getMediaForView(shortCode);
 
@@ -33,15 +81,16 @@ function RedirectPage({ type }) {
             return;
           }
 
-          setMediaData({
-            ...data,
-            url: getIpfsUrl(data.ipfsHash)
-          });
+          setMediaData(data);
           setLoading(false);
         }
       } catch (err) {
-        console.error('Error fetching data:', err);
-        setError('Failed to load content. Please try again.');
+        if (err instanceof ApiError && err.data.code === 'password_required') {
+          setPasswordRequired(true);
+        } else if (!showUnavailable(err)) {
+          console.error('Error fetching data:', err);
+          setError('Failed to load content. Please try again.');
+        }
         setLoading(false);
       }
     };
@@ -49,6 +98,45 @@ function RedirectPage({ type }) {
     fetchData();
   }, [shortCode, type]);
 
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    if (!password) return;
+
+    setIsUnlocking(true);
+    setUnlockError('');
+
+    try {
+      if (type === 'link') {
+        const data = await unlockLink(shortCode, password);
+        if (!followLink(data)) {
+          setPasswordRequired(false);
+          setIsUnlocking(false);
+        }
+      } else {
+        const data = await unlockMedia(shortCode, password);
+        setMediaData(data);
+        setPasswordRequired(false);
+        setIsUnlocking(false);
+      }
+    } catch (err) {
+      if (err instanceof ApiError && err.status === 429 && err.data.code === 'too_many_attempts') {
+        const minutes = Math.ceil(err.data.retryAfter / 60);
+        setUnlockError(`Too many incorrect attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+      } else if (err instanceof ApiError && err.status === 429) {
+        setUnlockError('Too many requests. Please wait a moment and try again.');
+      } else if (err instanceof ApiError && err.status === 401) {
+        setUnlockError('Incorrect password');
+      } else if (showUnavailable(err)) {
+        setPasswordRequired(false);
+      } else {
+        console.error('Error unlocking:', err);
+        setUnlockError('Failed to unlock. Please try again.');
+      }
+      setPassword('');
+      setIsUnlocking(false);
+    }
+  };
+
   const formatDate = (timestamp) => {
     return new Date(timestamp * 1000).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -57,6 +145,16 @@ function RedirectPage({ type }) {
     });
   };
 
+  const formatDateTime = (timestamp) => {
+    return new Date(timestamp * 1000).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -76,10 +174,53 @@ function RedirectPage({ type }) {
     );
   }
 
+  if (warning) {
+    return (
+      <div className="redirect-page">
+        <h2>This link may be unsafe</h2>
+        <p>
+          It has been flagged: {warning.reason}. It may try to steal your information or harm your device.
+        </p>
+        <p className="warning-target">{warning.url}</p>
+        <button className="submit-btn" style={{ maxWidth: '200px' }} onClick={() => navigate('/')}>
+          Go Home
+        </button>
+        <a href={warning.url} className="warning-continue" rel="nofollow noopener noreferrer">
+          Continue anyway
+        </a>
+      </div>
+    );
+  }
+
+  if (passwordRequired && !error) {
+    return (
+      <div className="redirect-page">
+        <h2>Password Protected</h2>
+        <p>This {type === 'link' ? 'link' : 'media'} is protected. Enter the password to continue.</p>
+        <form className="unlock-form" onSubmit={handleUnlock}>
+          {unlockError && <div className="error-message">{unlockError}</div>}
+          <div className="form-group">
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              autoFocus
+              disabled={isUnlocking}
+            />
+          </div>
+          <button type="submit" className="submit-btn" disabled={isUnlocking || !password}>
+            {isUnlocking ? 'Unlocking...' : 'Unlock'}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
   if (error) {
     return (
       <div className="redirect-page">
-        <h2>Oops!</h2>
+        <h2>{errorTitle}</h2>
         <p>{error}</p>
         <button className="submit-btn" style={{ maxWidth: '200px' }} onClick={() => navigate('/')}>
           Go Home
@@ -102,43 +243,7 @@ function RedirectPage({ type }) {
             <h2 style={{ wordBreak: 'break-word' }}>{mediaData.fileName}</h2>
 
             <div className="media-preview" style={{ marginBottom: '1.5rem', textAlign: 'center' }}>
-              {mediaData.fileType.startsWith('image/') && (
-                <img
-                  src={mediaData.url}
-                  alt={mediaData.fileName}
-                  style={{ maxWidth: '100%', maxHeight: '500px', borderRadius: '8px' }}
-                />
-              )}
-
-              {mediaData.fileType.startsWith('video/') && (
-                <video
-                  src={mediaData.url}
-                  controls
-                  style={{ maxWidth: '100%', maxHeight: '500px', borderRadius: '8px' }}
-                />
-              )}
-
-              {mediaData.fileType.startsWith('audio/') && (
-                <div style={{ padding: '2rem' }}>
-                  <div style={{ fontSize: '4rem', marginBottom: '1rem' }}>🎵</div>
-                  <audio src={mediaData.url} controls style={{ width: '100%' }} />
-                </div>
-              )}
-
-              {mediaData.fileType === 'application/pdf' && (
-                <div style={{ padding: '2rem' }}>
-                  <div style={{ fontSize: '4rem', marginBottom: '1rem' }}>📄</div>
-                  <a
-                    href={mediaData.url}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="submit-btn"
-                    style={{ display: 'inline-block', textDecoration: 'none' }}
-                  >
-                    View PDF
-                  </a>
-                </div>
-              )}
+              <IpfsMedia media={mediaData} source={source} />
             </div>
 
             <div className="stats" style={{ marginBottom: '1.5rem' }}>
@@ -158,7 +263,7 @@ function RedirectPage({ type }) {
 
             <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
               <a
-                href={mediaData.url}
+                href={source.url}
                 target="_blank"
                 rel="noopener noreferrer"
                 className="submit-btn"
@@ -167,7 +272,7 @@ function RedirectPage({ type }) {
                 Open in IPFS
               </a>
               <a
-                href={mediaData.url}
+                href={source.url}
                 download={mediaData.fileName}
                 className="submit-btn"
                 style={{
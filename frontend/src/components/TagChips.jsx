@@ -0,0 +1,29 @@
+// Tags of one item as chips: clicking a chip filters the list by it, the edit button replaces the tags
+function TagChips({ tags, activeTag, onSelect, onEdit, disabled }) {
+  const handleEdit = () => {
+    const value = window.prompt('Tags (comma separated)', tags.join(', '));
+    if (value !== null) onEdit(value);
+  };
+
+  return (
+    <div className="tag-chips">
+      {tags.map(tag => (
+        <button
+          key={tag}
+          type="button"
+          className={`tag-chip ${tag === activeTag ? 'active' : ''}`}
+          onClick={() => onSelect(tag === activeTag ? '' : tag)}
+        >
+          #{tag}
+        </button>
+      ))}
+      {onEdit && (
+        <button type="button" className="tag-edit" onClick={handleEdit} disabled={disabled}>
+          {tags.length > 0 ? 'Edit tags' : '+ Tags'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TagChips;
@@ -0,0 +1,66 @@
+// SVG bar chart of access counts per time bucket
+const WIDTH = 800;
+const HEIGHT = 240;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 40 };
+
+function TimeSeriesChart({ series, bucket }) {
+  if (!series || series.length === 0) {
+    return <div className="chart-empty">No data for this period</div>;
+  }
+
+  const max = Math.max(1, ...series.map(point => point.count));
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slot = plotWidth / series.length;
+  const barWidth = Math.max(1, slot * 0.8);
+
+  const formatLabel = (timestamp) => {
+    const date = new Date(timestamp * 1000);
+    return bucket === 'hour'
+      ? date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric' })
+      : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  };
+
+  // Label roughly six evenly spaced buckets along the x axis
+  const labelEvery = Math.max(1, Math.ceil(series.length / 6));
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" role="img">
+      <line
+        x1={PADDING.left}
+        y1={PADDING.top + plotHeight}
+        x2={WIDTH - PADDING.right}
+        y2={PADDING.top + plotHeight}
+        className="chart-axis"
+      />
+      <text x={PADDING.left - 8} y={PADDING.top + 4} textAnchor="end" className="chart-label">{max}</text>
+      <text x={PADDING.left - 8} y={PADDING.top + plotHeight} textAnchor="end" className="chart-label">0</text>
+
+      {series.map((point, i) => {
+        const barHeight = (point.count / max) * plotHeight;
+        const x = PADDING.left + i * slot + (slot - barWidth) / 2;
+
+        return (
+          <g key={point.timestamp}>
+            <rect
+              x={x}
+              y={PADDING.top + plotHeight - barHeight}
+              width={barWidth}
+              height={barHeight}
+              className="chart-bar"
+            >
+              <title>{`${formatLabel(point.timestamp)}: ${point.count}`}</title>
+            </rect>
+            {i % labelEvery === 0 && (
+              <text x={x + barWidth / 2} y={HEIGHT - 8} textAnchor="middle" className="chart-label">
+                {formatLabel(point.timestamp)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export default TimeSeriesChart;
@@ -0,0 +1,75 @@
+import { useState } from 'react';
+
+export const EMPTY_UTM = { source: '', medium: '', campaign: '', term: '', content: '' };
+
+const FIELDS = [
+  { key: 'source', label: 'Source', placeholder: 'newsletter, twitter' },
+  { key: 'medium', label: 'Medium', placeholder: 'email, social, cpc' },
+  { key: 'campaign', label: 'Campaign', placeholder: 'spring-sale' },
+  { key: 'term', label: 'Term', placeholder: 'Paid search keywords' },
+  { key: 'content', label: 'Content', placeholder: 'Tells apart links in the same ad' }
+];
+
+// Map filled-in UTM fields to the API's utm option
+export function utmOptions(utm) {
+  const filled = Object.entries(utm)
+    .map(([key, value]) => [key, value.trim()])
+    .filter(([, value]) => value);
+  return filled.length > 0 ? { utm: Object.fromEntries(filled) } : {};
+}
+
+// The destination as visitors will reach it, or null if it is not a valid URL yet
+function taggedUrl(url, utm) {
+  try {
+    const target = new URL(url);
+    for (const [key, value] of Object.entries(utmOptions(utm).utm || {})) {
+      target.searchParams.set(`utm_${key}`, value);
+    }
+    return target.href;
+  } catch {
+    return null;
+  }
+}
+
+// Collapsible UTM parameters merged into the destination when the link is followed
+function UtmBuilder({ url, value, onChange, disabled, showCampaignHint }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const update = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+  const preview = utmOptions(value).utm ? taggedUrl(url, value) : null;
+
+  return (
+    <>
+      <button type="button" className="options-toggle" onClick={() => setIsOpen(!isOpen)}>
+        {isOpen ? '▾' : '▸'} UTM parameters
+      </button>
+
+      {isOpen && (
+        <div className="utm-options">
+          <div className="link-options">
+            {FIELDS.map(({ key, label, placeholder }) => (
+              <div className="form-group" key={key}>
+                <label htmlFor={`utm-${key}`}>{label}</label>
+                <input
+                  type="text"
+                  id={`utm-${key}`}
+                  maxLength={200}
+                  value={value[key]}
+                  onChange={update(key)}
+                  placeholder={placeholder}
+                  disabled={disabled}
+                />
+              </div>
+            ))}
+          </div>
+          {showCampaignHint && (
+            <p className="utm-hint">Links with the same campaign are grouped on your dashboard.</p>
+          )}
+          {preview && <div className="utm-preview">{preview}</div>}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default UtmBuilder;
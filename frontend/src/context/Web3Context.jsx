@@ -3,6 +3,8 @@ import { ConnectionProvider, WalletProvider, useWallet, useConnection } from '@s
 import { WalletModalProvider } from '@solana/wallet-adapter-react-ui';
 import { PhantomWalletAdapter, SolflareWalletAdapter } from '@solana/wallet-adapter-wallets';
 import { clusterApiUrl } from '@solana/web3.js';
+import { Buffer } from 'buffer';
+import { getStoredSession, requestSignInNonce, verifySignIn, signOut } from '../utils/api';
 
 // Import Solana wallet adapter styles
 import '@solana/wallet-adapter-react-ui/styles.css';
@@ -11,9 +13,41 @@ const Web3Context = createContext(null);
 
 // Inner provider that uses wallet hooks
 function Web3ContextInner({ children }) {
-  const { publicKey, connected, connecting, disconnect, wallet, connect, select, wallets } = useWallet();
+  const { publicKey, connected, connecting, disconnect, wallet, connect, select, wallets, signMessage } = useWallet();
   const { connection } = useConnection();
   const [error, setError] = useState(null);
+  const [session, setSession] = useState(null);
+  const [isSigningIn, setIsSigningIn] = useState(false);
+
+  const account = publicKey ? publicKey.toBase58() : null;
+
+  // Restore a stored session only if it belongs to the connected wallet
+  useEffect(() => {
+    const stored = getStoredSession();
+    setSession(stored && stored.address === account ? stored : null);
+  }, [account]);
+
+  // Prove wallet ownership by signing a server-issued nonce
+  const signIn = useCallback(async () => {
+    if (!account || !signMessage) {
+      setError('Connected wallet does not support message signing');
+      return;
+    }
+
+    try {
+      setError(null);
+      setIsSigningIn(true);
+      const { nonce, message } = await requestSignInNonce(account);
+      const signature = await signMessage(new TextEncoder().encode(message));
+      const newSession = await verifySignIn(account, nonce, Buffer.from(signature).toString('base64'));
+      setSession(newSession);
+    } catch (err) {
+      console.error('Error signing in:', err);
+      setError(err.message);
+    } finally {
+      setIsSigningIn(false);
+    }
+  }, [account, signMessage]);
 
   const connectWallet = useCallback(async () => {
     try {
@@ -31,6 +65,8 @@ function Web3ContextInner({ children }) {
 
   const disconnectWallet = useCallback(async () => {
     try {
+      await signOut();
+      setSession(null);
       await disconnect();
     } catch (err) {
       console.error('Error disconnecting wallet:', err);
@@ -38,13 +74,16 @@ function Web3ContextInner({ children }) {
   }, [disconnect]);
 
   const value = {
-    account: publicKey ? publicKey.toBase58() : null,
+    account,
     publicKey,
     isConnecting: connecting,
     error,
     connectWallet,
     disconnectWallet,
     isConnected: connected,
+    isAuthenticated: connected && !!session,
+    isSigningIn,
+    signIn,
     wallet,
     connection
   };
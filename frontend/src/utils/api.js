@@ -1,17 +1,115 @@
 // API service for backend communication
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+const SESSION_KEY = 'linkio_session';
+
+// Error carrying the HTTP status and response body of a failed request
+export class ApiError extends Error {
+  constructor(message, status, data = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// ============ AUTH FUNCTIONS ============
+
+// Get the stored session ({ token, address, expiresAt }) if it has not expired
+export function getStoredSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (session && session.expiresAt > Math.floor(Date.now() / 1000)) {
+      return session;
+    }
+  } catch {
+    // Ignore malformed storage
+  }
+  return null;
+}
+
+export function clearStoredSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+// Build an ApiError from a failed response
+async function toApiError(response, fallbackMessage) {
+  const data = await response.json().catch(() => ({}));
+  return new ApiError(data.error || fallbackMessage, response.status, data);
+}
+
+// Forward the page's referrer and ?src= marker (e.g. "qr") so clicks are attributed to where the visitor came from
+function trackingQuery() {
+  const source = new URLSearchParams(window.location.search).get('src');
+  return toQueryString({ ref: document.referrer, src: source });
+}
+
+// Build "?a=1&b=2" from an object, skipping empty values
+function toQueryString(params) {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+  return query ? `?${query}` : '';
+}
+
+// Authorization header for the current session, if any
+function authHeaders() {
+  const session = getStoredSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+}
+
+// Request a nonce and the sign-in message for a wallet
+export async function requestSignInNonce(address) {
+  const response = await fetch(`${API_URL}/auth/nonce`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ address })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to get sign-in nonce');
+  }
+
+  return response.json();
+}
+
+// Exchange a signed nonce for a session token
+export async function verifySignIn(address, nonce, signature) {
+  const response = await fetch(`${API_URL}/auth/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ address, nonce, signature })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to verify signature');
+  }
+
+  const session = await response.json();
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  return session;
+}
+
+// End the current session
+export async function signOut() {
+  const headers = authHeaders();
+  clearStoredSession();
+
+  if (headers.Authorization) {
+    await fetch(`${API_URL}/auth/logout`, { method: 'POST', headers }).catch(() => {});
+  }
+}
 
 // ============ LINK FUNCTIONS ============
 
-// Create a short link
-export async function createShortLink(originalUrl, walletAddress = null) {
+// Create a short link (attributed to the signed-in wallet, if any)
+// options: { alias, activateAt, expiresAt, maxClicks, password } (timestamps in unix seconds)
+export async function createShortLink(originalUrl, options = {}) {
   const response = await fetch(`${API_URL}/links`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      originalUrl,
-      creator: walletAddress || 'anonymous'
-    })
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ originalUrl, ...options })
   });
 
   if (!response.ok) {
@@ -22,6 +120,23 @@ export async function createShortLink(originalUrl, walletAddress = null) {
   return response.json();
 }
 
+// Create many links at once from CSV text (with a header row) or an array of
+// { originalUrl, alias, tags, expiresAt } objects. Returns { created, failed, results } with one result per row
+export async function createShortLinksBulk(input) {
+  const isCsv = typeof input === 'string';
+  const response = await fetch(`${API_URL}/links/bulk`, {
+    method: 'POST',
+    headers: { 'Content-Type': isCsv ? 'text/csv' : 'application/json', ...authHeaders() },
+    body: isCsv ? input : JSON.stringify(input)
+  });
+
+  if (!response.ok) {
+    throw await toApiError(response, 'Failed to import links');
+  }
+
+  return response.json();
+}
+
 // Get link data by short code
 export async function getLinkData(shortCode) {
   const response = await fetch(`${API_URL}/links/${shortCode}`);
@@ -35,22 +150,102 @@ export async function getLinkData(shortCode) {
 }
 
 // Get link and increment clicks (for redirect)
+// Throws an ApiError with status 401 (password required), 410 (expired) or 425 (not yet active)
 export async function getLinkForRedirect(shortCode) {
-  const response = await fetch(`${API_URL}/links/${shortCode}/redirect`);
+  const response = await fetch(`${API_URL}/links/${shortCode}/redirect${trackingQuery()}`);
 
   if (!response.ok) {
     if (response.status === 404) return null;
-    throw new Error('Failed to get link');
+    throw await toApiError(response, 'Failed to get link');
   }
 
   return response.json();
 }
 
-// Get user's links
-export async function getUserLinks(walletAddress) {
-  if (!walletAddress) return [];
+// Unlock a password-protected link and increment clicks
+// Throws an ApiError with status 401 (wrong password) or 429 (too many attempts)
+export async function unlockLink(shortCode, password) {
+  const response = await fetch(`${API_URL}/links/${shortCode}/unlock${trackingQuery()}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password })
+  });
+
+  if (!response.ok) {
+    throw await toApiError(response, 'Failed to unlock link');
+  }
+
+  return response.json();
+}
+
+// Edit a link owned by the signed-in wallet
+// changes: { originalUrl, previewTitle, previewDescription, previewImage, activateAt, expiresAt, maxClicks, disabled }
+// Omitted fields stay unchanged, null clears an optional field. Returns the link with its new revision number
+export async function updateLink(shortCode, changes) {
+  const response = await fetch(`${API_URL}/links/${shortCode}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(changes)
+  });
+
+  if (!response.ok) {
+    throw await toApiError(response, 'Failed to update link');
+  }
+
+  return response.json();
+}
+
+// Delete a link owned by the signed-in wallet
+export async function deleteLink(shortCode) {
+  const response = await fetch(`${API_URL}/links/${shortCode}`, {
+    method: 'DELETE',
+    headers: authHeaders()
+  });
 
-  const response = await fetch(`${API_URL}/users/${walletAddress}/links`);
+  if (!response.ok) {
+    throw await toApiError(response, 'Failed to delete link');
+  }
+
+  return response.json();
+}
+
+// Get the revision history of a link owned by the signed-in wallet (newest first)
+export async function getLinkRevisions(shortCode) {
+  const response = await fetch(`${API_URL}/links/${shortCode}/revisions`, {
+    headers: authHeaders()
+  });
+
+  if (!response.ok) {
+    throw await toApiError(response, 'Failed to get link revisions');
+  }
+
+  return response.json();
+}
+
+// Restore an earlier revision of a link (recorded as a new revision)
+export async function rollbackLink(shortCode, revision) {
+  const response = await fetch(`${API_URL}/links/${shortCode}/revisions/${revision}/rollback`, {
+    method: 'POST',
+    headers: authHeaders()
+  });
+
+  if (!response.ok) {
+    throw await toApiError(response, 'Failed to roll back link');
+  }
+
+  return response.json();
+}
+
+// Get a page of the user's links (most recent first, 10 by default)
+// options: { limit, cursor, sort: 'created' | 'clicks', order: 'desc' | 'asc', q, from, to,
+//            tag: 'a,b' (all must match), folder: folder id | 'none' }
+// Returns { items, nextCursor }; pass nextCursor as cursor to get the next page
+export async function getUserLinks(walletAddress, options = {}) {
+  if (!walletAddress) return { items: [], nextCursor: null };
+
+  const response = await fetch(`${API_URL}/users/${walletAddress}/links${toQueryString(options)}`, {
+    headers: authHeaders()
+  });
 
   if (!response.ok) {
     throw new Error('Failed to get user links');
@@ -59,19 +254,62 @@ export async function getUserLinks(walletAddress) {
   return response.json();
 }
 
+// Export all of the user's links, media and click/view stats (format: 'csv' | 'json')
+// Returns { blob, fileName } for downloading
+export async function exportUserData(walletAddress, format = 'csv') {
+  const response = await fetch(`${API_URL}/users/${walletAddress}/export${toQueryString({ format })}`, {
+    headers: authHeaders()
+  });
+
+  if (!response.ok) {
+    throw await toApiError(response, 'Failed to export data');
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || `linkio-export.${format}`;
+  return { blob: await response.blob(), fileName };
+}
+
 // ============ MEDIA FUNCTIONS ============
 
-// Save media metadata
-export async function saveMediaMetadata(ipfsHash, fileName, fileType, fileSize, walletAddress = null) {
+// Upload a file through the API, which stores it on IPFS and saves the media entry in one step
+// (requires a signed-in wallet, which the media is attributed to)
+// options: { alias, password, previewTitle, previewDescription, previewImage, tags, folderId }
+export async function uploadMedia(file, options = {}) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null && value !== '') {
+      form.append(name, Array.isArray(value) ? value.join(',') : String(value));
+    }
+  }
+  // The file goes last so the server has read the options when the upload finishes
+  form.append('file', file, file.name);
+
+  const response = await fetch(`${API_URL}/media/upload`, {
+    method: 'POST',
+    headers: authHeaders(),
+    body: form
+  });
+
+  if (!response.ok) {
+    throw await toApiError(response, 'Failed to upload media');
+  }
+
+  return response.json();
+}
+
+// Save metadata for a file that is already on IPFS (attributed to the signed-in wallet, if any)
+// options: { alias, password }
+export async function saveMediaMetadata(ipfsHash, fileName, fileType, fileSize, options = {}) {
   const response = await fetch(`${API_URL}/media`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
     body: JSON.stringify({
       ipfsHash,
       fileName,
       fileType,
       fileSize,
-      creator: walletAddress || 'anonymous'
+      ...options
     })
   });
 
@@ -96,22 +334,58 @@ export async function getMediaData(shortCode) {
 }
 
 // Get media and increment views
+// Throws an ApiError with status 401 if the media is password-protected
 export async function getMediaForView(shortCode) {
-  const response = await fetch(`${API_URL}/media/${shortCode}/view`);
+  const response = await fetch(`${API_URL}/media/${shortCode}/view${trackingQuery()}`);
 
   if (!response.ok) {
     if (response.status === 404) return null;
-    throw new Error('Failed to get media');
+    throw await toApiError(response, 'Failed to get media');
   }
 
   return response.json();
 }
 
-// Get user's media
-export async function getUserMedia(walletAddress) {
-  if (!walletAddress) return [];
+// Unlock password-protected media and increment views
+// Throws an ApiError with status 401 (wrong password) or 429 (too many attempts)
+export async function unlockMedia(shortCode, password) {
+  const response = await fetch(`${API_URL}/media/${shortCode}/unlock${trackingQuery()}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password })
+  });
+
+  if (!response.ok) {
+    throw await toApiError(response, 'Failed to unlock media');
+  }
 
-  const response = await fetch(`${API_URL}/users/${walletAddress}/media`);
+  return response.json();
+}
+
+// Delete media owned by the signed-in wallet
+export async function deleteMedia(shortCode) {
+  const response = await fetch(`${API_URL}/media/${shortCode}`, {
+    method: 'DELETE',
+    headers: authHeaders()
+  });
+
+  if (!response.ok) {
+    throw await toApiError(response, 'Failed to delete media');
+  }
+
+  return response.json();
+}
+
+// Get a page of the user's media (most recent first, 10 by default)
+// options: { limit, cursor, sort: 'created' | 'views', order: 'desc' | 'asc', q, from, to,
+//            fileType: 'image' | 'image/png' | ..., tag, folder }
+// Returns { items, nextCursor }; pass nextCursor as cursor to get the next page
+export async function getUserMedia(walletAddress, options = {}) {
+  if (!walletAddress) return { items: [], nextCursor: null };
+
+  const response = await fetch(`${API_URL}/users/${walletAddress}/media${toQueryString(options)}`, {
+    headers: authHeaders()
+  });
 
   if (!response.ok) {
     throw new Error('Failed to get user media');
@@ -120,6 +394,132 @@ export async function getUserMedia(walletAddress) {
   return response.json();
 }
 
+// Campaigns of the signed-in wallet with their link count, clicks and unique visitors
+export async function getUserCampaigns(walletAddress) {
+  if (!walletAddress) return [];
+
+  const response = await fetch(`${API_URL}/users/${walletAddress}/campaigns`, {
+    headers: authHeaders()
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to get campaigns');
+  }
+
+  const { campaigns } = await response.json();
+  return campaigns;
+}
+
+// ============ TAG AND FOLDER FUNCTIONS ============
+
+// Send a JSON request for the signed-in wallet and return the parsed response
+async function sendJson(method, path, body, fallbackMessage) {
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    throw await toApiError(response, fallbackMessage);
+  }
+
+  return response.json();
+}
+
+// Tags of the signed-in wallet: [{ id, name, createdAt, links, media }]
+export async function getUserTags(walletAddress) {
+  if (!walletAddress) return [];
+  const { tags } = await sendJson('GET', `/users/${walletAddress}/tags`, undefined, 'Failed to get tags');
+  return tags;
+}
+
+export async function createTag(walletAddress, name) {
+  return sendJson('POST', `/users/${walletAddress}/tags`, { name }, 'Failed to create tag');
+}
+
+// Rename a tag everywhere it is used
+export async function renameTag(walletAddress, tagId, name) {
+  return sendJson('PATCH', `/users/${walletAddress}/tags/${tagId}`, { name }, 'Failed to rename tag');
+}
+
+// Delete a tag and remove it from all links and media
+export async function deleteTag(walletAddress, tagId) {
+  return sendJson('DELETE', `/users/${walletAddress}/tags/${tagId}`, undefined, 'Failed to delete tag');
+}
+
+// Folders of the signed-in wallet as a flat list: [{ id, name, parentId, createdAt, links, media }]
+export async function getUserFolders(walletAddress) {
+  if (!walletAddress) return [];
+  const { folders } = await sendJson('GET', `/users/${walletAddress}/folders`, undefined, 'Failed to get folders');
+  return folders;
+}
+
+// Create a folder at the top level (parentId null) or inside parentId
+export async function createFolder(walletAddress, name, parentId = null) {
+  return sendJson('POST', `/users/${walletAddress}/folders`, { name, parentId }, 'Failed to create folder');
+}
+
+// Rename and/or move a folder; changes: { name, parentId } (parentId null moves it to the top level)
+export async function updateFolder(walletAddress, folderId, changes) {
+  return sendJson('PATCH', `/users/${walletAddress}/folders/${folderId}`, changes, 'Failed to update folder');
+}
+
+// Delete a folder; its subfolders and content move up to its parent
+export async function deleteFolder(walletAddress, folderId) {
+  return sendJson('DELETE', `/users/${walletAddress}/folders/${folderId}`, undefined, 'Failed to delete folder');
+}
+
+// Replace the tags of a link or media entry (type: 'link' | 'media')
+export async function setContentTags(type, shortCode, tags) {
+  const path = `/${type === 'link' ? 'links' : 'media'}/${shortCode}/tags`;
+  return sendJson('PUT', path, { tags }, 'Failed to update tags');
+}
+
+// Move a link or media entry into a folder, or out of all folders with folderId null
+export async function setContentFolder(type, shortCode, folderId) {
+  const path = `/${type === 'link' ? 'links' : 'media'}/${shortCode}/folder`;
+  return sendJson('PUT', path, { folderId }, 'Failed to move to folder');
+}
+
+// ============ ANALYTICS FUNCTIONS ============
+
+// Get click/view analytics for a link or media entry
+// params: { from, to, bucket: 'hour' | 'day', top } (timestamps in unix seconds)
+export async function getAnalytics(type, shortCode, params = {}) {
+  const path = type === 'link' ? 'links' : 'media';
+  const response = await fetch(`${API_URL}/${path}/${shortCode}/analytics${toQueryString(params)}`, {
+    headers: authHeaders()
+  });
+
+  if (!response.ok) {
+    throw await toApiError(response, 'Failed to get analytics');
+  }
+
+  return response.json();
+}
+
+// ============ QR CODE FUNCTIONS ============
+
+// URL of the QR code image for a short link or media code
+// options: { format: 'png' | 'svg', size, margin, ecl: 'L' | 'M' | 'Q' | 'H', fg, bg, logo, download }
+export function getQrCodeUrl(type, shortCode, options = {}) {
+  return `${API_URL}/qr/${type}/${shortCode}${toQueryString(options)}`;
+}
+
+// ============ ALIAS FUNCTIONS ============
+
+// Check whether a custom alias is available ({ alias, type, available, reason })
+export async function checkAliasAvailability(alias, type = 'link') {
+  const response = await fetch(`${API_URL}/aliases/${encodeURIComponent(alias)}?type=${type}`);
+
+  if (!response.ok) {
+    throw new Error('Failed to check alias');
+  }
+
+  return response.json();
+}
+
 // ============ STATS FUNCTIONS ============
 
 export async function getStats() {
@@ -0,0 +1,36 @@
+// Compute a file's IPFS CIDv1 in the browser with Web Crypto, the same way the API and IPFS nodes do.
+// The encoding and CID parsing are shared with the API.
+import { CHUNK_SIZE, MAX_LINKS, RAW_CODEC, DAG_PB_CODEC, cidBytes, cidString, fileNodeBlock } from '../../../shared/cid.mjs';
+
+export { parseCid, toCidV1, toCidV0 } from '../../../shared/cid.mjs';
+
+const sha256 = async (data) => new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+
+async function parentNode(children) {
+  const { block, size, tsize } = fileNodeBlock(children);
+  return { cid: cidBytes(DAG_PB_CODEC, await sha256(block)), size, tsize };
+}
+
+/**
+ * CIDv1 (base32) of a File or Blob, read one chunk at a time
+ * @returns {Promise<string | null>} null where Web Crypto is unavailable (pages not served over https or localhost)
+ */
+export async function computeCid(file) {
+  if (!globalThis.crypto?.subtle) return null;
+
+  const leaves = [];
+  for (let offset = 0; offset < file.size || leaves.length === 0; offset += CHUNK_SIZE) {
+    const block = new Uint8Array(await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer());
+    leaves.push({ cid: cidBytes(RAW_CODEC, await sha256(block)), size: block.length, tsize: block.length });
+  }
+
+  let level = leaves;
+  while (level.length > 1) {
+    const parents = [];
+    for (let i = 0; i < level.length; i += MAX_LINKS) {
+      parents.push(await parentNode(level.slice(i, i + MAX_LINKS)));
+    }
+    level = parents;
+  }
+  return cidString(level[0].cid);
+}
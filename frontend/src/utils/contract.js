@@ -31,3 +31,21 @@ export const SUPPORTED_FILE_TYPES = [
 
 // Max file size (50MB)
 export const MAX_FILE_SIZE = 50 * 1024 * 1024;
+
+// Custom alias rules (kept in sync with the API and LinkIO contract)
+export const ALIAS_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{1,30}[A-Za-z0-9]$/;
+export const RESERVED_ALIASES = [
+  'api', 'admin', 'l', 'm', 'auth', 'login', 'logout', 'static', 'assets',
+  'health', 'stats', 'app', 'www', 'dashboard', 'settings', 'help', 'about'
+];
+
+// Validate a custom alias, returning an error message or null
+export function validateAlias(alias) {
+  if (!ALIAS_PATTERN.test(alias)) {
+    return 'Alias must be 3-32 letters, numbers, hyphens or underscores';
+  }
+  if (RESERVED_ALIASES.includes(alias.toLowerCase())) {
+    return 'This alias is reserved';
+  }
+  return null;
+}
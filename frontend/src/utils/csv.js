@@ -0,0 +1,20 @@
+import { downloadBlob } from './download';
+
+// Quote a CSV field if needed. Text starting with =, +, - or @ is prefixed with '
+// so spreadsheets do not evaluate it as a formula.
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build CSV text from rows of values
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Let the browser save CSV text as a file
+export function downloadCsv(fileName, csv) {
+  downloadBlob(fileName, new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+}
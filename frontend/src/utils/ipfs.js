@@ -1,180 +1,151 @@
-// IPFS Gateway URLs
-const IPFS_GATEWAYS = [
+import { parseCid, toCidV1 } from './cid';
+
+// IPFS gateways, best first until they have been probed. VITE_IPFS_GATEWAYS overrides them with a
+// comma separated list of path gateways ("https://ipfs.io/ipfs/") or subdomain gateways with a {cid}
+// placeholder ("https://{cid}.ipfs.dweb.link/"), e.g. the API's /ipfs/ route for the local pinning backend.
+const DEFAULT_GATEWAYS = [
   'https://ipfs.io/ipfs/',
+  'https://{cid}.ipfs.dweb.link/',
   'https://gateway.pinata.cloud/ipfs/',
-  'https://cloudflare-ipfs.com/ipfs/',
-  'https://dweb.link/ipfs/'
+  'https://{cid}.ipfs.w3s.link/'
 ];
 
-// Get IPFS URL from hash
-export function getIpfsUrl(hash) {
-  // Use first gateway by default
-  return `${IPFS_GATEWAYS[0]}${hash}`;
-}
+const IPFS_GATEWAYS = import.meta.env.VITE_IPFS_GATEWAYS
+  ? import.meta.env.VITE_IPFS_GATEWAYS.split(',').map(gateway => gateway.trim()).filter(Boolean)
+    .map(gateway => (gateway.includes('{cid}') || gateway.endsWith('/') ? gateway : `${gateway}/`))
+  : DEFAULT_GATEWAYS;
 
-// Get multiple gateway URLs for fallback
-export function getIpfsUrls(hash) {
-  return IPFS_GATEWAYS.map(gateway => `${gateway}${hash}`);
+const RANKING_KEY = 'linkio_gateway_ranking';
+const RANKING_TTL_MS = 10 * 60 * 1000;
+const PROBE_TIMEOUT_MS = 5000;
+// The empty UnixFS directory: every gateway has it, so probing it measures the gateway rather than the content
+const PROBE_CID = 'bafybeiczsscdsbs7ffqz55asqdf3smv6klcw3gofszvwlyarci47bgf354';
+
+// URL of a CID on one gateway. Subdomain gateways need the CIDv1 base32 form.
+function gatewayUrl(gateway, hash) {
+  return gateway.includes('{cid}') ? gateway.replace('{cid}', toCidV1(hash) || hash) : `${gateway}${hash}`;
 }
 
-/**
- * Upload file to IPFS using Pinata
- * You need to set PINATA_API_KEY and PINATA_SECRET_KEY in your .env
- */
-export async function uploadToIPFS(file) {
-  const apiKey = import.meta.env.VITE_PINATA_API_KEY;
-  const secretKey = import.meta.env.VITE_PINATA_SECRET_KEY;
-
-  if (!apiKey || !secretKey) {
-    // Fallback to local simulation for demo purposes
-    console.warn('Pinata API keys not configured. Using simulated upload.');
-    return simulateUpload(file);
+// Stored ranking ({ gateways, ranking, checkedAt }) if it is recent and for the configured gateways
+function getStoredRanking() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RANKING_KEY));
+    if (stored && stored.gateways === IPFS_GATEWAYS.join(',') && Date.now() - stored.checkedAt < RANKING_TTL_MS) {
+      return stored;
+    }
+  } catch {
+    // Ignore malformed storage
   }
+  return null;
+}
 
-  const formData = new FormData();
-  formData.append('file', file);
-
-  const metadata = JSON.stringify({
-    name: file.name,
-    keyvalues: {
-      uploadedAt: new Date().toISOString(),
-      type: file.type,
-      size: file.size.toString()
-    }
-  });
-  formData.append('pinataMetadata', metadata);
+function storeRanking(ranking) {
+  const stored = { gateways: IPFS_GATEWAYS.join(','), ranking, checkedAt: Date.now() };
+  localStorage.setItem(RANKING_KEY, JSON.stringify(stored));
+}
 
-  const options = JSON.stringify({
-    cidVersion: 1
-  });
-  formData.append('pinataOptions', options);
+// Configured gateways, the ones that answered fastest first and unreachable ones last
+function rankedGateways() {
+  const stored = getStoredRanking();
+  if (!stored) return IPFS_GATEWAYS;
+  const order = stored.ranking.map(entry => entry.gateway);
+  return [...IPFS_GATEWAYS].sort((a, b) => order.indexOf(a) - order.indexOf(b));
+}
 
+/**
+ * Time one gateway. Any answer that is not a server error counts as available, so a local gateway
+ * that only holds its own files (and answers 404 for the probe) still ranks by its latency.
+ * @returns {Promise<{ gateway: string, latency: number | null }>} latency in ms, null if unavailable
+ */
+async function probeGateway(gateway) {
+  const started = performance.now();
   try {
-    const response = await fetch('https://api.pinata.cloud/pinning/pinFileToIPFS', {
-      method: 'POST',
-      headers: {
-        'pinata_api_key': apiKey,
-        'pinata_secret_api_key': secretKey
-      },
-      body: formData
+    const response = await fetch(gatewayUrl(gateway, PROBE_CID), {
+      method: 'HEAD',
+      cache: 'no-store',
+      signal: AbortSignal.timeout(PROBE_TIMEOUT_MS)
     });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'Failed to upload to IPFS');
-    }
-
-    const result = await response.json();
-    return {
-      hash: result.IpfsHash,
-      url: getIpfsUrl(result.IpfsHash),
-      size: file.size,
-      name: file.name,
-      type: file.type
-    };
-  } catch (error) {
-    console.error('IPFS upload error:', error);
-    throw error;
+    const available = response.status < 500 && response.status !== 429;
+    return { gateway, latency: available ? Math.round(performance.now() - started) : null };
+  } catch {
+    return { gateway, latency: null };
   }
 }
 
+let probing = null;
+
 /**
- * Upload using Web3.Storage (alternative to Pinata)
- * Requires VITE_WEB3_STORAGE_TOKEN
+ * Probe all gateways (at most every 10 minutes; the ranking is kept in localStorage) and
+ * return them best first
+ * @returns {Promise<string[]>}
  */
-export async function uploadToWeb3Storage(file) {
-  const token = import.meta.env.VITE_WEB3_STORAGE_TOKEN;
-
-  if (!token) {
-    console.warn('Web3.Storage token not configured.');
-    return simulateUpload(file);
+export async function rankGateways() {
+  if (getStoredRanking()) return rankedGateways();
+
+  if (!probing) {
+    probing = Promise.all(IPFS_GATEWAYS.map(probeGateway))
+      .then((results) => {
+        const ranking = results.sort((a, b) => (a.latency ?? Infinity) - (b.latency ?? Infinity));
+        storeRanking(ranking);
+      })
+      .finally(() => {
+        probing = null;
+      });
   }
+  await probing;
+  return rankedGateways();
+}
 
-  try {
-    const response = await fetch('https://api.web3.storage/upload', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'X-NAME': file.name
-      },
-      body: file
-    });
+// Move a gateway to the end of the ranking after it failed to serve content
+export function reportGatewayFailure(gateway) {
+  const stored = getStoredRanking();
+  if (!stored) return;
+  const ranking = stored.ranking.filter(entry => entry.gateway !== gateway);
+  storeRanking([...ranking, { gateway, latency: null }]);
+}
 
-    if (!response.ok) {
-      throw new Error('Failed to upload to Web3.Storage');
-    }
+// Get IPFS URL from hash, on the best gateway known so far
+export function getIpfsUrl(hash) {
+  return gatewayUrl(rankedGateways()[0], hash);
+}
 
-    const result = await response.json();
-    return {
-      hash: result.cid,
-      url: getIpfsUrl(result.cid),
-      size: file.size,
-      name: file.name,
-      type: file.type
-    };
-  } catch (error) {
-    console.error('Web3.Storage upload error:', error);
-    throw error;
-  }
+// Gateways best first paired with the URL of hash on each, for switching gateways as they fail
+export function getGatewayUrls(hash) {
+  return rankedGateways().map(gateway => ({ gateway, url: gatewayUrl(gateway, hash) }));
 }
 
-/**
- * Simulate IPFS upload for demo/testing
- * Generates a fake CID that looks realistic
- */
-function simulateUpload(file) {
-  return new Promise((resolve) => {
-    // Simulate upload delay
-    setTimeout(() => {
-      // Generate a realistic-looking CID
-      const randomBytes = new Uint8Array(32);
-      crypto.getRandomValues(randomBytes);
-      const hash = 'Qm' + Array.from(randomBytes)
-        .map(b => b.toString(16).padStart(2, '0'))
-        .join('')
-        .substring(0, 44);
-
-      resolve({
-        hash,
-        url: getIpfsUrl(hash),
-        size: file.size,
-        name: file.name,
-        type: file.type
-      });
-    }, 1500);
-  });
+// Get URLs on every gateway, best first, for fallback
+export function getIpfsUrls(hash) {
+  return getGatewayUrls(hash).map(({ url }) => url);
 }
 
+// Files are uploaded through the API (uploadMedia in api.js), which holds the pinning credentials
+
 /**
- * Check if an IPFS hash/CID is valid
+ * Check if an IPFS hash/CID is valid: a CIDv0 or a multibase CIDv1 with a well-formed multihash
  */
 export function isValidCid(cid) {
-  // Basic validation for CIDv0 (Qm...) and CIDv1 (ba...)
-  if (!cid || typeof cid !== 'string') return false;
-  if (cid.startsWith('Qm') && cid.length === 46) return true;
-  if (cid.startsWith('ba') && cid.length >= 59) return true;
-  return false;
+  return parseCid(cid) !== null;
 }
 
 /**
- * Fetch file from IPFS with fallback gateways
+ * Find a gateway that serves a file, trying them best first
+ * @returns {Promise<string>} the file's URL on the first gateway that has it, or on the best gateway if none answered
  */
 export async function fetchFromIPFS(hash) {
-  const urls = getIpfsUrls(hash);
+  const gateways = await rankGateways();
 
-  for (const url of urls) {
+  for (const gateway of gateways) {
+    const url = gatewayUrl(gateway, hash);
     try {
-      const response = await fetch(url, {
-        method: 'HEAD',
-        mode: 'no-cors'
-      });
-      return url;
-    } catch (error) {
-      console.warn(`Gateway failed: ${url}`);
-      continue;
+      const response = await fetch(url, { method: 'HEAD', signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+      if (response.ok) return url;
+    } catch {
+      // Unreachable or timed out
     }
+    console.warn(`Gateway failed: ${url}`);
+    reportGatewayFailure(gateway);
   }
 
-  // Return first gateway as fallback
-  return urls[0];
+  return gatewayUrl(gateways[0], hash);
 }
@@ -1,5 +1,6 @@
 // Local storage service for links and media
 // This allows features to work without wallet connection
+import { validateAlias } from './contract';
 
 const LINKS_KEY = 'linkio_links';
 const MEDIA_KEY = 'linkio_media';
@@ -17,6 +18,22 @@ function generateShortCode(length = 6) {
   return result;
 }
 
+// Use a custom alias if given, otherwise generate a unique short code
+function resolveShortCode(existing, alias) {
+  if (alias) {
+    const aliasError = validateAlias(alias);
+    if (aliasError) throw new Error(aliasError);
+    if (existing[alias]) throw new Error('Alias is already taken');
+    return alias;
+  }
+
+  let shortCode = generateShortCode();
+  while (existing[shortCode]) {
+    shortCode = generateShortCode();
+  }
+  return shortCode;
+}
+
 // Get all links from storage
 export function getLinks() {
   try {
@@ -53,15 +70,11 @@ function saveStats(stats) {
 }
 
 // Create a short link
-export function createShortLink(originalUrl, walletAddress = null) {
+export function createShortLink(originalUrl, walletAddress = null, alias = null) {
   const links = getLinks();
   const stats = getStats();
 
-  // Generate unique short code
-  let shortCode = generateShortCode();
-  while (links[shortCode]) {
-    shortCode = generateShortCode();
-  }
+  const shortCode = resolveShortCode(links, alias);
 
   const linkData = {
     shortCode,
@@ -120,15 +133,11 @@ export function getUserLinks(walletAddress = null) {
 }
 
 // Upload media metadata
-export function saveMediaMetadata(ipfsHash, fileName, fileType, fileSize, walletAddress = null) {
+export function saveMediaMetadata(ipfsHash, fileName, fileType, fileSize, walletAddress = null, alias = null) {
   const media = getMedia();
   const stats = getStats();
 
-  // Generate unique short code
-  let shortCode = generateShortCode();
-  while (media[shortCode]) {
-    shortCode = generateShortCode();
-  }
+  const shortCode = resolveShortCode(media, alias);
 
   const mediaData = {
     shortCode,
@@ -1,11 +1,19 @@
-import { defineConfig } from 'vite'
+import { defineConfig, searchForWorkspaceRoot } from 'vite'
 import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
   server: {
     port: 5173,
-    open: true
+    open: true,
+    // The CID encoding in ../shared is used by the API too
+    fs: {
+      allow: [searchForWorkspaceRoot(process.cwd()), '../shared']
+    },
+    // Short URLs are served by the API (HTTP redirects and the media viewer page)
+    proxy: {
+      '^/(l|m)/[^/]+$': 'http://localhost:3001'
+    }
   },
   build: {
     outDir: 'dist',
@@ -0,0 +1,236 @@
+// Content identifier (CID) encoding shared by the API (api/cid.js) and the web app (frontend/src/utils/cid.js):
+// multibase and varint codecs, UnixFS (dag-pb) file nodes and CID parsing. Hashing is left to each side
+// (node's crypto in the API, Web Crypto in the browser), so this module only works on bytes.
+
+// Files are split into 256 KiB chunks, stored as raw blocks
+export const CHUNK_SIZE = 262144;
+// Most links in one UnixFS node before the tree grows another level
+export const MAX_LINKS = 174;
+
+export const RAW_CODEC = 0x55;
+export const DAG_PB_CODEC = 0x70;
+const SHA2_256 = 0x12;
+const UNIXFS_FILE = 2;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE36_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE16_ALPHABET = '0123456789abcdef';
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// Digest lengths of common multihash functions; other functions are accepted with any length
+const DIGEST_LENGTHS = {
+  0x12: 32, // sha2-256
+  0x13: 64, // sha2-512
+  0x16: 32, // sha3-256
+  0x14: 64, // sha3-512
+  0x1b: 32, // keccak-256
+  0xb220: 32 // blake2b-256
+};
+
+// RFC 4648 base32, lowercase and without padding, as used by multibase "b"
+function toBase32(bytes) {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+// Bytes of an RFC 4648 string (base32, base16, base64 without padding), or null if it has other characters
+function fromRfc4648(string, alphabet, bitsPerChar) {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of string) {
+    const value = alphabet.indexOf(char);
+    if (value === -1) return null;
+    buffer = ((buffer << bitsPerChar) | value) & 0xffff;
+    bits += bitsPerChar;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >>> bits) & 0xff);
+    }
+  }
+  // Leftover bits are padding and must be zero
+  if (bits >= bitsPerChar || (buffer & ((1 << bits) - 1)) !== 0) return null;
+  return new Uint8Array(bytes);
+}
+
+// Base-N codecs without a bit-aligned alphabet (base58btc, base36): leading zero bytes are leading "zero" characters
+function toBaseX(bytes, alphabet) {
+  const base = BigInt(alphabet.length);
+  let value = bytes.reduce((total, byte) => total * 256n + BigInt(byte), 0n);
+  let output = '';
+  while (value > 0n) {
+    output = alphabet[Number(value % base)] + output;
+    value /= base;
+  }
+  const zeros = bytes.findIndex(byte => byte !== 0);
+  return alphabet[0].repeat(zeros === -1 ? bytes.length : zeros) + output;
+}
+
+function fromBaseX(string, alphabet) {
+  const base = BigInt(alphabet.length);
+  let value = 0n;
+  let zeros = 0;
+  for (const char of string) {
+    const digit = alphabet.indexOf(char);
+    if (digit === -1) return null;
+    if (digit === 0 && value === 0n) zeros++;
+    value = value * base + BigInt(digit);
+  }
+  const bytes = [];
+  for (; value > 0n; value /= 256n) bytes.unshift(Number(value % 256n));
+  return new Uint8Array([...new Array(zeros).fill(0), ...bytes]);
+}
+
+// Multibase prefixes accepted for CIDv1 strings
+const MULTIBASES = {
+  b: (string) => fromRfc4648(string, BASE32_ALPHABET, 5),
+  B: (string) => fromRfc4648(string.toLowerCase(), BASE32_ALPHABET, 5),
+  f: (string) => fromRfc4648(string, BASE16_ALPHABET, 4),
+  F: (string) => fromRfc4648(string.toLowerCase(), BASE16_ALPHABET, 4),
+  k: (string) => fromBaseX(string, BASE36_ALPHABET),
+  K: (string) => fromBaseX(string.toLowerCase(), BASE36_ALPHABET),
+  z: (string) => fromBaseX(string, BASE58_ALPHABET),
+  m: (string) => fromRfc4648(string, BASE64_ALPHABET, 6),
+  u: (string) => fromRfc4648(string, BASE64URL_ALPHABET, 6)
+};
+
+// [value, offset after it] of the unsigned varint at offset, or null if it is cut off or too large
+function readVarint(bytes, offset) {
+  let value = 0;
+  for (let i = 0; i < 8 && offset + i < bytes.length; i++) {
+    const byte = bytes[offset + i];
+    value += (byte & 0x7f) * 2 ** (7 * i);
+    if (byte < 0x80) return [value, offset + i + 1];
+  }
+  return null;
+}
+
+function varint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return bytes;
+}
+
+function concat(parts) {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
+
+/**
+ * Binary CIDv1 of a block with the given codec and SHA-256 digest
+ * @returns {Uint8Array}
+ */
+export function cidBytes(codec, digest) {
+  return concat([[0x01, codec, SHA2_256, digest.length], digest]);
+}
+
+/**
+ * String form of a binary CIDv1: multibase base32, as IPFS prints it
+ * @returns {string}
+ */
+export function cidString(bytes) {
+  return `b${toBase32(bytes)}`;
+}
+
+/**
+ * dag-pb block linking the nodes below it in a file's tree, with UnixFS file data listing their sizes.
+ * Each child is { cid, size, tsize }: its binary CID, the file bytes below it and the size of all blocks below it.
+ * Links are encoded before the data, as dag-pb requires.
+ * @returns {{ block: Uint8Array, size: number, tsize: number }} the block to hash, and the new node's sizes
+ */
+export function fileNodeBlock(children) {
+  const size = children.reduce((total, child) => total + child.size, 0);
+  const unixfs = concat([
+    [0x08, UNIXFS_FILE, 0x18], varint(size),
+    ...children.flatMap(child => [[0x20], varint(child.size)])
+  ]);
+
+  const parts = [];
+  for (const child of children) {
+    const link = concat([[0x0a], varint(child.cid.length), child.cid, [0x12, 0x00, 0x18], varint(child.tsize)]);
+    parts.push([0x12], varint(link.length), link);
+  }
+  parts.push([0x0a], varint(unixfs.length), unixfs);
+  const block = concat(parts);
+
+  return { block, size, tsize: block.length + children.reduce((total, child) => total + child.tsize, 0) };
+}
+
+// The multihash at offset, if it runs exactly to the end of bytes with a digest of the right length
+function isMultihash(bytes, offset) {
+  const code = readVarint(bytes, offset);
+  const length = code && readVarint(bytes, code[1]);
+  if (!length || length[0] === 0 || length[1] + length[0] !== bytes.length) return false;
+  return !(code[0] in DIGEST_LENGTHS) || DIGEST_LENGTHS[code[0]] === length[0];
+}
+
+/**
+ * Decode a CID string: CIDv0 (base58btc, "Qm...") or CIDv1 in base32, base58btc, base36, base16 or base64
+ * @returns {{ version: 0 | 1, codec: number, multihash: Uint8Array } | null} null for anything that is not a well-formed CID
+ */
+export function parseCid(string) {
+  if (typeof string !== 'string' || string.length < 2 || string.length > 512) return null;
+
+  if (string.length === 46 && string.startsWith('Qm')) {
+    const multihash = fromBaseX(string, BASE58_ALPHABET);
+    if (!multihash || multihash.length !== 34 || !isMultihash(multihash, 0)) return null;
+    return { version: 0, codec: DAG_PB_CODEC, multihash };
+  }
+
+  const decode = MULTIBASES[string[0]];
+  const bytes = decode && decode(string.slice(1));
+  if (!bytes) return null;
+
+  // A binary CIDv0 (a bare sha2-256 multihash) in a multibase wrapper
+  if (bytes.length === 34 && bytes[0] === SHA2_256 && bytes[1] === 32) {
+    return { version: 0, codec: DAG_PB_CODEC, multihash: bytes };
+  }
+
+  const version = readVarint(bytes, 0);
+  const codec = version && version[0] === 1 && readVarint(bytes, version[1]);
+  if (!codec || !isMultihash(bytes, codec[1])) return null;
+  return { version: 1, codec: codec[0], multihash: bytes.subarray(codec[1]) };
+}
+
+/**
+ * The CIDv1 base32 form of a CID string, as stored by the API and required by subdomain gateways
+ * @returns {string | null} null if the string is not a CID
+ */
+export function toCidV1(string) {
+  const cid = parseCid(string);
+  if (!cid) return null;
+  return cidString(concat([varint(1), varint(cid.codec), cid.multihash]));
+}
+
+/**
+ * The CIDv0 ("Qm...") form of a CID string
+ * @returns {string | null} null if the string is not a CID or has no CIDv0 form (only dag-pb with sha2-256 has one)
+ */
+export function toCidV0(string) {
+  const cid = parseCid(string);
+  if (!cid || cid.codec !== DAG_PB_CODEC || cid.multihash[0] !== SHA2_256) return null;
+  return toBaseX(cid.multihash, BASE58_ALPHABET);
+}
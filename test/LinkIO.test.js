@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("LinkIO", function () {
   let linkIO;
@@ -20,14 +21,16 @@ describe("LinkIO", function () {
       const tx = await linkIO.connect(user1).createShortLink(originalUrl);
       const receipt = await tx.wait();
 
-      // Get the short code from the event
+      // Find the creation event
       const event = receipt.logs.find(
         (log) => log.fragment && log.fragment.name === "LinkCreated"
       );
       expect(event).to.not.be.undefined;
 
-      const shortCode = event.args.shortCode;
+      // shortCode is an indexed string, so the event only carries its hash
+      const [shortCode] = await linkIO.getUserLinks(user1.address);
       expect(shortCode.length).to.equal(6);
+      expect(event.args.shortCode.hash).to.equal(ethers.id(shortCode));
 
       // Verify the link exists
       expect(await linkIO.linkExists(shortCode)).to.be.true;
@@ -36,12 +39,9 @@ describe("LinkIO", function () {
     it("Should retrieve the original URL", async function () {
       const originalUrl = "https://example.com/test";
       const tx = await linkIO.connect(user1).createShortLink(originalUrl);
-      const receipt = await tx.wait();
+      await tx.wait();
 
-      const event = receipt.logs.find(
-        (log) => log.fragment && log.fragment.name === "LinkCreated"
-      );
-      const shortCode = event.args.shortCode;
+      const [shortCode] = await linkIO.getUserLinks(user1.address);
 
       const [url, creator, , clicks] = await linkIO.getLinkData(shortCode);
       expect(url).to.equal(originalUrl);
@@ -52,12 +52,9 @@ describe("LinkIO", function () {
     it("Should increment click count when accessing link", async function () {
       const originalUrl = "https://example.com/test";
       const tx = await linkIO.connect(user1).createShortLink(originalUrl);
-      const receipt = await tx.wait();
+      await tx.wait();
 
-      const event = receipt.logs.find(
-        (log) => log.fragment && log.fragment.name === "LinkCreated"
-      );
-      const shortCode = event.args.shortCode;
+      const [shortCode] = await linkIO.getUserLinks(user1.address);
 
       // Access the link
       await linkIO.connect(user2).getLink(shortCode);
@@ -101,8 +98,10 @@ describe("LinkIO", function () {
       );
       expect(event).to.not.be.undefined;
 
-      const shortCode = event.args.shortCode;
+      // shortCode is an indexed string, so the event only carries its hash
+      const [shortCode] = await linkIO.getUserMedia(user1.address);
       expect(shortCode.length).to.equal(6);
+      expect(event.args.shortCode.hash).to.equal(ethers.id(shortCode));
       expect(await linkIO.mediaExists(shortCode)).to.be.true;
     });
 
@@ -113,12 +112,9 @@ describe("LinkIO", function () {
         testFileType,
         testFileSize
       );
-      const receipt = await tx.wait();
+      await tx.wait();
 
-      const event = receipt.logs.find(
-        (log) => log.fragment && log.fragment.name === "MediaUploaded"
-      );
-      const shortCode = event.args.shortCode;
+      const [shortCode] = await linkIO.getUserMedia(user1.address);
 
       const [ipfsHash, fileName, fileType, fileSize, creator, , views] =
         await linkIO.getMediaData(shortCode);
@@ -138,12 +134,9 @@ describe("LinkIO", function () {
         testFileType,
         testFileSize
       );
-      const receipt = await tx.wait();
+      await tx.wait();
 
-      const event = receipt.logs.find(
-        (log) => log.fragment && log.fragment.name === "MediaUploaded"
-      );
-      const shortCode = event.args.shortCode;
+      const [shortCode] = await linkIO.getUserMedia(user1.address);
 
       // Access the media
       await linkIO.connect(user2).getMedia(shortCode);
@@ -177,6 +170,330 @@ describe("LinkIO", function () {
     });
   });
 
+  describe("Bulk Creation", function () {
+    it("Should create several links at once", async function () {
+      const urls = ["https://example.com/a", "https://example.com/b", "https://example.com/c"];
+      const shortCodes = await linkIO.connect(user1).createShortLinks.staticCall(urls);
+      expect(shortCodes).to.have.lengthOf(3);
+
+      await linkIO.connect(user1).createShortLinks(urls);
+
+      const userLinks = await linkIO.getUserLinks(user1.address);
+      expect(userLinks).to.have.lengthOf(3);
+      expect(await linkIO.getTotalLinks()).to.equal(3);
+      for (let i = 0; i < urls.length; i++) {
+        const linkData = await linkIO.getLinkData(userLinks[i]);
+        expect(linkData.originalUrl).to.equal(urls[i]);
+      }
+    });
+
+    it("Should reject empty or oversized batches", async function () {
+      await expect(linkIO.connect(user1).createShortLinks([])).to.be.revertedWith("No URLs given");
+      await expect(
+        linkIO.connect(user1).createShortLinks(Array(101).fill("https://example.com"))
+      ).to.be.revertedWith("Too many URLs");
+    });
+
+    it("Should reject the whole batch if one URL is invalid", async function () {
+      await expect(
+        linkIO.connect(user1).createShortLinks(["https://example.com", ""])
+      ).to.be.revertedWith("URL cannot be empty");
+      expect(await linkIO.getUserLinks(user1.address)).to.have.lengthOf(0);
+    });
+  });
+
+  describe("Custom Aliases", function () {
+    it("Should create a short link with a custom alias", async function () {
+      await linkIO.connect(user1).createShortLinkWithAlias("https://example.com/launch", "launch-2026");
+
+      expect(await linkIO.linkExists("launch-2026")).to.be.true;
+      const [url, creator] = await linkIO.getLinkData("launch-2026");
+      expect(url).to.equal("https://example.com/launch");
+      expect(creator).to.equal(user1.address);
+
+      const userLinks = await linkIO.getUserLinks(user1.address);
+      expect(userLinks).to.deep.equal(["launch-2026"]);
+      expect(await linkIO.getTotalLinks()).to.equal(1);
+    });
+
+    it("Should reject an alias that is already taken", async function () {
+      await linkIO.connect(user1).createShortLinkWithAlias("https://example.com", "promo");
+
+      await expect(
+        linkIO.connect(user2).createShortLinkWithAlias("https://example2.com", "promo")
+      ).to.be.revertedWith("Alias already taken");
+    });
+
+    it("Should reject reserved aliases regardless of case", async function () {
+      await expect(
+        linkIO.connect(user1).createShortLinkWithAlias("https://example.com", "api")
+      ).to.be.revertedWith("Alias is reserved");
+      await expect(
+        linkIO.connect(user1).createShortLinkWithAlias("https://example.com", "ADMIN")
+      ).to.be.revertedWith("Alias is reserved");
+    });
+
+    it("Should reject malformed aliases", async function () {
+      await expect(
+        linkIO.connect(user1).createShortLinkWithAlias("https://example.com", "ab")
+      ).to.be.revertedWith("Alias must be 3-32 characters");
+      await expect(
+        linkIO.connect(user1).createShortLinkWithAlias("https://example.com", "has space")
+      ).to.be.revertedWith("Invalid alias character");
+      await expect(
+        linkIO.connect(user1).createShortLinkWithAlias("https://example.com", "-launch")
+      ).to.be.revertedWith("Invalid alias character");
+    });
+
+    it("Should let the owner manage reserved aliases", async function () {
+      await linkIO.connect(owner).setReservedAlias("Dashboard", true);
+      await expect(
+        linkIO.connect(user1).createShortLinkWithAlias("https://example.com", "dashboard")
+      ).to.be.revertedWith("Alias is reserved");
+
+      await linkIO.connect(owner).setReservedAlias("dashboard", false);
+      await linkIO.connect(user1).createShortLinkWithAlias("https://example.com", "dashboard");
+      expect(await linkIO.linkExists("dashboard")).to.be.true;
+    });
+
+    it("Should not let other accounts manage reserved aliases", async function () {
+      await expect(
+        linkIO.connect(user1).setReservedAlias("promo", true)
+      ).to.be.revertedWithCustomError(linkIO, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Link Limits", function () {
+    async function createLimitedLink(activateAt, expiresAt, maxClicks) {
+      await linkIO.connect(user1).createShortLinkWithLimits(
+        "https://example.com/campaign",
+        activateAt,
+        expiresAt,
+        maxClicks
+      );
+      const userLinks = await linkIO.getUserLinks(user1.address);
+      return userLinks[userLinks.length - 1];
+    }
+
+    it("Should store link limits", async function () {
+      const now = await time.latest();
+      const shortCode = await createLimitedLink(now + 100, now + 1000, 5);
+
+      const [activateAt, expiresAt, maxClicks] = await linkIO.getLinkLimits(shortCode);
+      expect(activateAt).to.equal(now + 100);
+      expect(expiresAt).to.equal(now + 1000);
+      expect(maxClicks).to.equal(5);
+    });
+
+    it("Should not resolve a link before it is active", async function () {
+      const now = await time.latest();
+      const shortCode = await createLimitedLink(now + 100, 0, 0);
+
+      await expect(linkIO.connect(user2).getLink(shortCode)).to.be.revertedWith("Link is not yet active");
+
+      await time.increaseTo(now + 100);
+      await linkIO.connect(user2).getLink(shortCode);
+      const [, , , clicks] = await linkIO.getLinkData(shortCode);
+      expect(clicks).to.equal(1);
+    });
+
+    it("Should not resolve an expired link", async function () {
+      const now = await time.latest();
+      const shortCode = await createLimitedLink(0, now + 100, 0);
+
+      await time.increaseTo(now + 100);
+      await expect(linkIO.connect(user2).getLink(shortCode)).to.be.revertedWith("Link has expired");
+    });
+
+    it("Should stop resolving once the click limit is reached", async function () {
+      const shortCode = await createLimitedLink(0, 0, 2);
+
+      await linkIO.connect(user2).getLink(shortCode);
+      await linkIO.connect(user2).getLink(shortCode);
+      await expect(linkIO.connect(user2).getLink(shortCode)).to.be.revertedWith("Link click limit reached");
+    });
+
+    it("Should reject an expiry in the past or before activation", async function () {
+      const now = await time.latest();
+      await expect(createLimitedLink(0, now - 1, 0)).to.be.revertedWith("Expiry must be in the future");
+      await expect(createLimitedLink(now + 500, now + 100, 0)).to.be.revertedWith("Activation must be before expiry");
+    });
+
+    it("Should only let the creator update link limits", async function () {
+      const shortCode = await createLimitedLink(0, 0, 0);
+
+      await expect(
+        linkIO.connect(user2).setLinkLimits(shortCode, 0, 0, 1)
+      ).to.be.revertedWith("Not the link creator");
+
+      await expect(linkIO.connect(user1).setLinkLimits(shortCode, 0, 0, 1))
+        .to.emit(linkIO, "LinkLimitsUpdated");
+      const [, , maxClicks] = await linkIO.getLinkLimits(shortCode);
+      expect(maxClicks).to.equal(1);
+    });
+  });
+
+  describe("Moderation", function () {
+    async function createLink() {
+      await linkIO.connect(user1).createShortLink("https://example.com/moderated");
+      const [shortCode] = await linkIO.getUserLinks(user1.address);
+      return shortCode;
+    }
+
+    async function uploadMedia() {
+      await linkIO.connect(user1).uploadMedia("QmModerated", "file.png", "image/png", 1000);
+      const [shortCode] = await linkIO.getUserMedia(user1.address);
+      return shortCode;
+    }
+
+    it("Should let the owner disable and re-enable a link", async function () {
+      const shortCode = await createLink();
+
+      await expect(linkIO.connect(owner).setLinkDisabled(shortCode, true))
+        .to.emit(linkIO, "LinkModerated")
+        .withArgs(shortCode, true);
+      expect(await linkIO.disabledLinks(shortCode)).to.be.true;
+      await expect(linkIO.connect(user2).getLink(shortCode)).to.be.revertedWith("Link is disabled");
+
+      await linkIO.connect(owner).setLinkDisabled(shortCode, false);
+      await expect(linkIO.connect(user2).getLink(shortCode)).to.not.be.reverted;
+    });
+
+    it("Should let the owner disable media", async function () {
+      const shortCode = await uploadMedia();
+
+      await expect(linkIO.connect(owner).setMediaDisabled(shortCode, true))
+        .to.emit(linkIO, "MediaModerated")
+        .withArgs(shortCode, true);
+      await expect(linkIO.connect(user2).getMedia(shortCode)).to.be.revertedWith("Media is disabled");
+    });
+
+    it("Should only let the owner moderate content", async function () {
+      const shortCode = await createLink();
+
+      await expect(
+        linkIO.connect(user1).setLinkDisabled(shortCode, true)
+      ).to.be.revertedWithCustomError(linkIO, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should reject moderation of unknown content", async function () {
+      await expect(linkIO.connect(owner).setLinkDisabled("nope00", true)).to.be.revertedWith("Link does not exist");
+      await expect(linkIO.connect(owner).setMediaDisabled("nope00", true)).to.be.revertedWith("Media does not exist");
+    });
+  });
+
+  describe("Link Editing", function () {
+    async function createLink() {
+      await linkIO.connect(user1).createShortLink("https://example.com/old");
+      const [shortCode] = await linkIO.getUserLinks(user1.address);
+      return shortCode;
+    }
+
+    it("Should let the creator retarget a link", async function () {
+      const shortCode = await createLink();
+
+      await expect(linkIO.connect(user1).updateLink(shortCode, "https://example.com/new"))
+        .to.emit(linkIO, "LinkUpdated")
+        .withArgs(shortCode, "https://example.com/new", false);
+
+      const linkData = await linkIO.getLinkData(shortCode);
+      expect(linkData.originalUrl).to.equal("https://example.com/new");
+    });
+
+    it("Should let the creator disable and re-enable a link", async function () {
+      const shortCode = await createLink();
+
+      await expect(linkIO.connect(user1).disableLink(shortCode, true))
+        .to.emit(linkIO, "LinkUpdated")
+        .withArgs(shortCode, "https://example.com/old", true);
+      await expect(linkIO.connect(user2).getLink(shortCode)).to.be.revertedWith("Link is disabled");
+
+      await linkIO.connect(user1).disableLink(shortCode, false);
+      await expect(linkIO.connect(user2).getLink(shortCode)).to.not.be.reverted;
+    });
+
+    it("Should only let the creator edit a link", async function () {
+      const shortCode = await createLink();
+
+      await expect(
+        linkIO.connect(user2).updateLink(shortCode, "https://evil.example")
+      ).to.be.revertedWith("Not the link creator");
+      await expect(
+        linkIO.connect(user2).disableLink(shortCode, true)
+      ).to.be.revertedWith("Not the link creator");
+    });
+
+    it("Should reject invalid updates", async function () {
+      const shortCode = await createLink();
+
+      await expect(linkIO.connect(user1).updateLink(shortCode, "")).to.be.revertedWith("URL cannot be empty");
+      await expect(linkIO.connect(user1).updateLink("nope00", "https://example.com")).to.be.revertedWith("Link does not exist");
+    });
+  });
+
+  describe("Deletion", function () {
+    it("Should let the creator delete a link without leaving gaps", async function () {
+      for (const url of ["https://example.com/1", "https://example.com/2", "https://example.com/3"]) {
+        await linkIO.connect(user1).createShortLink(url);
+      }
+      const [first, second, third] = await linkIO.getUserLinks(user1.address);
+
+      await expect(linkIO.connect(user1).deleteLink(first))
+        .to.emit(linkIO, "LinkDeleted")
+        .withArgs(first, user1.address);
+
+      expect(await linkIO.linkExists(first)).to.be.false;
+      const remaining = await linkIO.getUserLinks(user1.address);
+      expect(remaining).to.have.lengthOf(2);
+      expect([...remaining]).to.have.members([second, third]);
+      await expect(linkIO.getLink(first)).to.be.revertedWith("Link does not exist");
+    });
+
+    it("Should let the creator delete media", async function () {
+      await linkIO.connect(user1).uploadMedia("QmHash1", "file.png", "image/png", 1000);
+      const [shortCode] = await linkIO.getUserMedia(user1.address);
+
+      await expect(linkIO.connect(user1).deleteMedia(shortCode))
+        .to.emit(linkIO, "MediaDeleted")
+        .withArgs(shortCode, user1.address);
+
+      expect(await linkIO.mediaExists(shortCode)).to.be.false;
+      expect(await linkIO.getUserMedia(user1.address)).to.have.lengthOf(0);
+    });
+
+    it("Should only let the creator delete content", async function () {
+      await linkIO.connect(user1).createShortLink("https://example.com");
+      await linkIO.connect(user1).uploadMedia("QmHash1", "file.png", "image/png", 1000);
+      const [link] = await linkIO.getUserLinks(user1.address);
+      const [file] = await linkIO.getUserMedia(user1.address);
+
+      await expect(linkIO.connect(user2).deleteLink(link)).to.be.revertedWith("Not the link creator");
+      await expect(linkIO.connect(user2).deleteMedia(file)).to.be.revertedWith("Not the media creator");
+      await expect(linkIO.connect(user1).deleteLink("nope00")).to.be.revertedWith("Link does not exist");
+    });
+
+    it("Should not let anyone re-claim the alias of a deleted link", async function () {
+      await linkIO.connect(user1).createShortLinkWithAlias("https://example.com/launch", "launch-2026");
+      await linkIO.connect(user1).deleteLink("launch-2026");
+
+      expect(await linkIO.retiredLinkCodes("launch-2026")).to.be.true;
+      await expect(
+        linkIO.connect(user2).createShortLinkWithAlias("https://evil.example", "launch-2026")
+      ).to.be.revertedWith("Alias already taken");
+      await expect(
+        linkIO.connect(user1).createShortLinkWithAlias("https://example.com/launch", "launch-2026")
+      ).to.be.revertedWith("Alias already taken");
+    });
+
+    it("Should retire the short code of deleted media", async function () {
+      await linkIO.connect(user1).uploadMedia("QmHash1", "file.png", "image/png", 1000);
+      const [shortCode] = await linkIO.getUserMedia(user1.address);
+      await linkIO.connect(user1).deleteMedia(shortCode);
+
+      expect(await linkIO.retiredMediaCodes(shortCode)).to.be.true;
+    });
+  });
+
   describe("Statistics", function () {
     it("Should track total links", async function () {
       expect(await linkIO.getTotalLinks()).to.equal(0);